@@ -1,11 +1,19 @@
 #!/usr/bin/env node
 // build.js — ASCRI static site generator
 // Zero npm dependencies. Uses only fs and path.
-// Reads papers.json, generates paper pages, programme pages, sitemap, RSS feed.
+// Reads papers.json, generates paper pages, programme pages, sitemap, feeds.
+//
+// Usage: node build.js [--force] [--check] [--pdf-dir dir] [--serve [--port 8080]]
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { Canvas } = require('./lib/raster');
+const { Font } = require('./lib/ttf');
+const { renderMarkdown, markdownToText } = require('./lib/markdown');
+const { readPdf } = require('./lib/pdf');
+const { extractText } = require('./lib/pdf-text');
+const { parseReferences } = require('./lib/references');
 
 // ---------------------------------------------------------------------------
 // Config
@@ -17,17 +25,71 @@ const SITE_DESCRIPTION = 'Adversarial Systems & Complexity Research Initiative';
 const PUBLISHER = 'ASCRI';
 const OPERATOR = 'Dissensus AI';
 const PDF_BASE = 'https://farzulla.org/papers';
+const CONTACT_EMAIL = 'research@systems.ac';
+
+// OAI-PMH: identifiers are oai:{OAI_REPOSITORY_ID}:{wpNumber}. Harvesters
+// reach the static repository through a Static Repository Gateway; set its
+// base URL here once registered (baseURL is then gateway + file URL).
+const OAI_REPOSITORY_ID = 'systems.ac';
+const OAI_GATEWAY = null;
+const OAI_PATH = '/oai/repository.xml';
+const OAI_SETS_PATH = '/oai/sets.xml';
+const HOME_RECENT_COUNT = 5;
+
+// Sections of the People page, in display order
+const PEOPLE_GROUPS = {
+  core: { label: 'Core Team', title: 'Researchers' },
+  affiliate: { label: 'Network', title: 'Affiliates' },
+};
 
 const ROOT = __dirname;
 const PUBLIC = path.join(ROOT, 'public');
 const DATA_FILE = path.join(ROOT, 'papers.json');
+const FONTS_DIR = path.join(ROOT, 'fonts');
+
+// Local-PDF mode: when set (`--pdf-dir pdfs`, or PDF_DIR=pdfs in the
+// environment), every `pdf` in papers.json names a file in this directory.
+// The files are published next to the paper pages instead of linked at
+// PDF_BASE, and a missing or unreadable file fails the build.
+function pdfDirOption() {
+  const args = require.main === module ? process.argv.slice(2) : [];
+  const i = args.indexOf('--pdf-dir');
+  const dir = i === -1 ? process.env.PDF_DIR : args[i + 1];
+  return dir ? path.resolve(dir) : null;
+}
+const PDF_DIR = pdfDirOption();
+
+// Plain text of each paper's current PDF, one fulltext/{wpNumber}.txt per
+// paper. Local-PDF mode (re)extracts it when the PDF changes. Commit the
+// files with the papers.json change that records the PDF: builds without the
+// PDFs read them to search the text and list the references parsed from it,
+// and a build with no fulltext/ lists no references.
+const FULLTEXT_DIR = path.join(ROOT, 'fulltext');
 
 // ---------------------------------------------------------------------------
 // Load data
 // ---------------------------------------------------------------------------
 
-const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
-const { papers, tags, statuses, programs, categories } = data;
+function loadData() {
+  const raw = fs.readFileSync(DATA_FILE, 'utf-8');
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.error(`papers.json is not valid JSON: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+const data = loadData();
+const { tags, statuses, programs, categories, people = {} } = data;
+
+// Retired papers keep their record (and wpNumber) but are left out of every
+// listing; their URL serves a tombstone page instead (buildTombstonePage).
+// This runs before validateData(), which reports a papers value that is not
+// an array.
+const allPapers = Array.isArray(data.papers) ? data.papers : [];
+const papers = allPapers.filter(p => !(p && p.retired));
+const retiredPapers = allPapers.filter(p => p && p.retired);
 
 // CSS cache-busting hash (first 8 chars of MD5)
 const cssPath = path.join(PUBLIC, 'css', 'ascri.css');
@@ -43,6 +105,13 @@ function ensureDir(dir) {
   }
 }
 
+// JSON for an inline <script> element: <, > and & are written as \u
+// escapes, so no string in it (a reference parsed from a PDF, say) can end
+// the element early
+function scriptJson(value) {
+  return JSON.stringify(value, null, 2).replace(/[<>&]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
 function escapeHtml(str) {
   if (!str) return '';
   return String(str)
@@ -115,14 +184,99 @@ function programmeNumber(programKey) {
   return p ? romanToArabic(p.index) : 0;
 }
 
+// Versions sorted oldest first; empty when the paper has no recorded history
+function paperVersions(paper) {
+  return [...(paper.versions || [])].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function latestVersion(paper) {
+  const versions = paperVersions(paper);
+  return versions.length ? versions[versions.length - 1] : null;
+}
+
+// Current PDF and DOI: the latest version's, falling back to the paper record
+function currentPdf(paper) {
+  const latest = latestVersion(paper);
+  return (latest && latest.pdf) || paper.pdf || null;
+}
+
+function currentDoi(paper) {
+  const latest = latestVersion(paper);
+  return (latest && latest.doi) || paper.doi || null;
+}
+
+// Date of the most recent revision (first publication when there are no versions)
+function lastRevised(paper) {
+  const latest = latestVersion(paper);
+  return latest && latest.date > paper.date ? latest.date : paper.date;
+}
+
+function versionSlug(version) {
+  return `version-${slugify(version.version)}`;
+}
+
 function pdfUrl(paper) {
-  if (!paper.pdf) return null;
-  return `${PDF_BASE}/${paper.pdf}`;
+  const pdf = currentPdf(paper);
+  if (!pdf) return null;
+  return PDF_DIR ? `${SITE_URL}/${paperFile(paper, 'pdf')}` : `${PDF_BASE}/${pdf}`;
+}
+
+// A version's PDF: the current one is the paper's, earlier ones (local-PDF
+// mode) are published as {num}/{wpNumber}-{version}.pdf
+function versionPdfUrl(paper, version) {
+  if (!version.pdf) return null;
+  if (!PDF_DIR) return `${PDF_BASE}/${version.pdf}`;
+  if (version.pdf === currentPdf(paper)) return pdfUrl(paper);
+  return `${SITE_URL}/${programmeNumber(paper.program)}/${paper.wpNumber}-${slugify(version.version)}.pdf`;
+}
+
+// Files a paper publishes in local-PDF mode, as [{ source, file }] with
+// file relative to public/; empty otherwise
+function localPdfs(paper) {
+  if (!PDF_DIR || !currentPdf(paper)) return [];
+  const out = [{ source: currentPdf(paper), file: paperFile(paper, 'pdf') }];
+  for (const version of paperVersions(paper)) {
+    if (!version.pdf || out.some(p => p.source === version.pdf)) continue;
+    out.push({ source: version.pdf, file: new URL(versionPdfUrl(paper, version)).pathname.slice(1) });
+  }
+  return out;
+}
+
+// Checksum, size and page count of a file in PDF_DIR, read once per build.
+// Throws when the file is missing or is not a readable PDF.
+const pdfInfoCache = new Map();
+function pdfInfo(source) {
+  if (!pdfInfoCache.has(source)) {
+    const buffer = fs.readFileSync(path.join(PDF_DIR, source));
+    pdfInfoCache.set(source, {
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      bytes: buffer.length,
+      pages: readPdf(buffer).pageCount,
+    });
+  }
+  return pdfInfoCache.get(source);
+}
+
+// pdfInfo() for the current PDF in local-PDF mode, else null
+function currentPdfInfo(paper) {
+  return PDF_DIR && currentPdf(paper) ? pdfInfo(currentPdf(paper)) : null;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
 function doiUrl(paper) {
-  if (!paper.doi) return null;
-  return `https://doi.org/${paper.doi}`;
+  const doi = currentDoi(paper);
+  if (!doi) return null;
+  return `https://doi.org/${doi}`;
+}
+
+// Output file for a paper, relative to public/: {num}/{wpNumber}.{ext}
+function paperFile(paper, ext) {
+  return `${programmeNumber(paper.program)}/${paper.wpNumber}.${ext}`;
 }
 
 function paperUrl(paper) {
@@ -135,6 +289,124 @@ function programmeUrl(programKey) {
   return `/${num}`;
 }
 
+function personUrl(slug) {
+  return `/people/${slug}`;
+}
+
+function orcidUrl(orcid) {
+  return orcid ? `https://orcid.org/${orcid}` : null;
+}
+
+function personDisplayName(person) {
+  return person.credentials ? `${person.name}, ${person.credentials}` : person.name;
+}
+
+function personInitials(person) {
+  return person.name.split(/\s+/).slice(0, 2).map(w => w.charAt(0).toUpperCase()).join('');
+}
+
+// Resolve an author name to its people entry
+const personSlugByName = {};
+for (const [slug, person] of Object.entries(people || {})) {
+  if (person && person.name) personSlugByName[person.name] = slug;
+}
+
+function personSlugForAuthor(name) {
+  return personSlugByName[name] || null;
+}
+
+function personForAuthor(name) {
+  const slug = personSlugForAuthor(name);
+  return slug ? people[slug] : null;
+}
+
+// paper.authors entries are "Given Family" strings, or objects for what a
+// string cannot say:
+//   { given, family, suffix, orcid, affiliations: [index into paper.affiliations] }
+//   { name } for a corporate author
+// Everything that prints authors reads them through paperAuthors(), which
+// resolves both forms to
+//   { name, given, family, suffix, corporate, slug, person, orcid, affiliations: [name] }
+// with the ORCID and affiliation falling back to the people entry.
+function resolveAuthor(author, affiliations = []) {
+  const fields = typeof author === 'string' ? {} : author;
+  const corporate = Boolean(fields.name);
+  const { given, family, suffix } = nameParts(author);
+  const name = corporate ? fields.name : [given, family, suffix].filter(Boolean).join(' ');
+  const slug = personSlugForAuthor(name);
+  const person = slug ? people[slug] : null;
+  const own = (fields.affiliations || []).map(i => affiliations[i]).filter(Boolean);
+  return {
+    name,
+    given,
+    family,
+    suffix,
+    corporate,
+    slug,
+    person,
+    orcid: fields.orcid || (person && person.orcid) || null,
+    affiliations: own.length ? own : person && person.affiliation ? [person.affiliation] : [],
+  };
+}
+
+function paperAuthors(paper) {
+  return paper.authors.map(author => resolveAuthor(author, paper.affiliations));
+}
+
+function authorNames(paper) {
+  return paperAuthors(paper).map(a => a.name);
+}
+
+// Papers listing the person as an author
+function papersByPerson(slug) {
+  return papers.filter(p => paperAuthors(p).some(a => a.slug === slug));
+}
+
+function slugify(str) {
+  return String(str)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function tagUrl(tag) {
+  return `/tags/${tag}`;
+}
+
+function methodUrl(method) {
+  return `/methods/${slugify(method)}`;
+}
+
+// Distinct methods across all papers, keyed by slug
+function methodsBySlug() {
+  const map = {};
+  for (const paper of papers) {
+    for (const m of paper.methods || []) {
+      map[slugify(m)] = map[slugify(m)] || m;
+    }
+  }
+  return map;
+}
+
+// Tags that appear on at least one paper, in tags-map order
+function usedTags() {
+  const used = new Set(papers.flatMap(p => p.tags));
+  return Object.keys(tags).filter(t => used.has(t));
+}
+
+// Abstract and summary as plain text (Markdown and TeX flattened) for
+// metadata, feeds, citation exports and the search index
+function abstractText(paper) {
+  return paper.abstract ? markdownToText(paper.abstract) : '';
+}
+
+function summaryText(paper) {
+  return paper.summary ? markdownToText(paper.summary) : '';
+}
+
 function truncateAbstract(text, maxLen) {
   if (!text) return '';
   if (text.length <= maxLen) return text;
@@ -166,6 +438,13 @@ function groupByProgramme(paperList) {
   return grouped;
 }
 
+// Curated homepage selection, ordered by `featured` position
+function featuredPapers() {
+  return papers
+    .filter(p => p.featured)
+    .sort((a, b) => a.featured - b.featured);
+}
+
 // Count papers per programme
 function paperCountByProgramme() {
   const counts = {};
@@ -180,48 +459,319 @@ function paperCountByProgramme() {
   return counts;
 }
 
+// ---------------------------------------------------------------------------
+// Citations
+// ---------------------------------------------------------------------------
+
+// Published journal articles are cited as articles; everything else is cited
+// as an ASCRI working/discussion paper (a technical report with wpNumber).
+function isJournalArticle(paper) {
+  return paper.status === 'published' && !!paper.journal;
+}
+
+function paperTypeLabel(paper) {
+  const kind = paper.wpNumber && paper.wpNumber.startsWith('DP') ? 'Discussion' : 'Working';
+  return `${kind} Paper`;
+}
+
+function citationDoi(paper) {
+  return currentDoi(paper) || paper.zenodo || '';
+}
+
+// Stable link for a citation: the DOI resolver when there is one
+function citationUrl(paper) {
+  const doi = citationDoi(paper);
+  return doi ? `https://doi.org/${doi}` : `${SITE_URL}${paperUrl(paper)}`;
+}
+
+// Lower-case particles that start a family name ("van Beethoven", "de la Cruz")
+const NAME_PARTICLES = new Set(['al', 'bin', 'da', 'das', 'de', 'del', 'della', 'der', 'di', 'do', 'dos', 'du', 'ibn', 'la', 'le', 'ten', 'ter', 'van', 'von', 'zu']);
+const NAME_SUFFIX_RE = /^(Jr\.?|Sr\.?|II|III|IV)$/;
+
+// Given, family and suffix of an author: the fields of a structured entry,
+// or split from "First Middle [particles] Last[,] [Jr.]"
+function nameParts(author) {
+  if (typeof author === 'object') {
+    return { given: author.given || '', family: author.family || author.name || '', suffix: author.suffix || '' };
+  }
+  const parts = author.trim().replace(/,/g, ' ').split(/\s+/);
+  const suffix = parts.length > 2 && NAME_SUFFIX_RE.test(parts[parts.length - 1]) ? parts.pop() : '';
+  let start = parts.length - 1;
+  while (start > 1 && NAME_PARTICLES.has(parts[start - 1])) start--;
+  return { given: parts.slice(0, start).join(' '), family: parts.slice(start).join(' '), suffix };
+}
+
+// "Family, Given, Suffix" (just the name for a corporate author), as RIS,
+// EndNote and the first name of a Chicago or MLA reference have it
+function invertedName(author) {
+  return [author.family, author.given, author.suffix].filter(Boolean).join(', ');
+}
+
+// Highwire citation_author: inverted when the family name has several words
+// or there is a suffix, so Scholar does not split it at the last space
+function highwireName(author) {
+  if (author.corporate || (!author.family.includes(' ') && !author.suffix)) return author.name;
+  return invertedName(author);
+}
+
+// The particle leading a family name, split off for CSL
+function familyParticle(family) {
+  const words = family.split(' ');
+  let n = 0;
+  while (n < words.length - 1 && NAME_PARTICLES.has(words[n])) n++;
+  return { particle: words.slice(0, n).join(' '), family: words.slice(n).join(' ') };
+}
+
+function initials(given) {
+  return given
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(g => g.split('-').map(p => `${p.charAt(0)}.`).join('-'))
+    .join(' ');
+}
+
+// "A, B, and C" style joins
+function joinNames(names, conj) {
+  if (names.length <= 1) return names.join('');
+  if (names.length === 2) return `${names[0]} ${conj} ${names[1]}`;
+  return `${names.slice(0, -1).join(', ')}, ${conj} ${names[names.length - 1]}`;
+}
+
+function monthName(dateStr, short) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  return d.toLocaleDateString('en-GB', { month: short ? 'short' : 'long', timeZone: 'UTC' });
+}
+
+// Text formatters for citation styles: HTML for pages, plain for exports
+const HTML_TEXT = { esc: escapeHtml, em: s => `<em>${s}</em>` };
+const PLAIN_TEXT = { esc: s => String(s), em: s => s };
+
 // Generate BibTeX key: LastnameYear
 function bibtexKey(paper) {
-  const firstAuthor = paper.authors[0] || 'Unknown';
-  const lastName = firstAuthor.split(' ').pop();
+  const [first] = paperAuthors(paper);
+  const lastName = (first && slugify(first.family).replace(/-/g, '')) || 'unknown';
   const year = paper.date.substring(0, 4);
   const slug = paper.id.replace(/-/g, '_');
   return `${lastName.toLowerCase()}${year}_${slug}`;
 }
 
-// Generate BibTeX entry
+function bibtexEscape(str) {
+  return String(str).replace(/([&%$#_])/g, '\\$1');
+}
+
+// Generate BibTeX entry (@article for published journal papers, else @techreport)
 function bibtexEntry(paper) {
   const key = bibtexKey(paper);
   const year = paper.date.substring(0, 4);
-  const authors = paper.authors.map(a => {
-    const parts = a.split(' ');
-    return parts[parts.length - 1] + ', ' + parts.slice(0, -1).join(' ');
+  // "von Last, Jr, First"; corporate names are braced so BibTeX keeps them whole
+  const authors = paperAuthors(paper).map(a => {
+    if (a.corporate) return `{${a.name}}`;
+    return [a.family, a.suffix, a.given].filter(Boolean).join(', ');
   }).join(' and ');
-  const doi = paper.doi || paper.zenodo || '';
-  const paperType = paper.wpNumber && paper.wpNumber.startsWith('DP') ? 'Discussion' : 'Working';
-
-  let bib = `@misc{${key},\n`;
-  bib += `  author       = {${authors}},\n`;
-  bib += `  title        = {${paper.title}},\n`;
-  bib += `  year         = {${year}},\n`;
-  bib += `  howpublished = {${PUBLISHER} ${paperType} Paper${paper.wpNumber ? ' ' + paper.wpNumber : ''}},\n`;
-  if (doi) {
-    bib += `  doi          = {${doi}},\n`;
+  const doi = citationDoi(paper);
+
+  const fields = [['author', authors], ['title', paper.title]];
+  let type;
+  if (isJournalArticle(paper)) {
+    type = 'article';
+    fields.push(['journal', paper.journal]);
+  } else {
+    type = 'techreport';
+    fields.push(['institution', PUBLISHER]);
+    fields.push(['type', paperTypeLabel(paper)]);
+    if (paper.wpNumber) fields.push(['number', paper.wpNumber]);
   }
-  bib += `  url          = {${SITE_URL}${paperUrl(paper)}}\n`;
-  bib += `}`;
+  fields.push(['year', year]);
+  fields.push(['month', monthName(paper.date, true).toLowerCase()]);
+  if (doi) fields.push(['doi', doi]);
+  fields.push(['url', `${SITE_URL}${paperUrl(paper)}`]);
+
+  let bib = `@${type}{${key},\n`;
+  bib += fields
+    .map(([name, value]) => {
+      // month uses the BibTeX macro, everything else is braced
+      const v = name === 'month' ? value : `{${name === 'url' || name === 'doi' ? value : bibtexEscape(value)}}`;
+      return `  ${name.padEnd(12)} = ${v}`;
+    })
+    .join(',\n');
+  bib += `\n}`;
   return bib;
 }
 
+// RIS (Zotero, Mendeley, EndNote import)
+function risEntry(paper) {
+  const lines = [];
+  const add = (tag, value) => { if (value) lines.push(`${tag}  - ${value}`); };
+  const article = isJournalArticle(paper);
+
+  add('TY', article ? 'JOUR' : 'RPRT');
+  for (const a of paperAuthors(paper)) add('AU', invertedName(a));
+  add('TI', paper.title);
+  if (article) {
+    add('T2', paper.journal);
+  } else {
+    add('T3', `${PUBLISHER} ${paperTypeLabel(paper)} Series`);
+    add('PB', PUBLISHER);
+    add('SN', paper.wpNumber);
+  }
+  add('PY', paper.date.substring(0, 4));
+  add('DA', formatDateSlash(paper.date));
+  add('AB', abstractText(paper).replace(/\s+/g, ' '));
+  for (const t of paper.tags) add('KW', tags[t] || t);
+  add('DO', citationDoi(paper));
+  add('UR', `${SITE_URL}${paperUrl(paper)}`);
+  add('L1', pdfUrl(paper));
+  add('LA', 'en');
+  lines.push('ER  - ');
+  return lines.join('\n') + '\n';
+}
+
+// EndNote tagged import format (.enw)
+function endnoteEntry(paper) {
+  const lines = [];
+  const add = (tag, value) => { if (value) lines.push(`${tag} ${value}`); };
+  const article = isJournalArticle(paper);
+
+  add('%0', article ? 'Journal Article' : 'Report');
+  // A trailing comma marks a corporate author
+  for (const a of paperAuthors(paper)) add('%A', a.corporate ? `${a.name},` : invertedName(a));
+  add('%T', paper.title);
+  if (article) {
+    add('%J', paper.journal);
+  } else {
+    add('%S', `${PUBLISHER} ${paperTypeLabel(paper)} Series`);
+    add('%I', PUBLISHER);
+    add('%N', paper.wpNumber);
+    add('%9', paperTypeLabel(paper));
+  }
+  add('%D', paper.date.substring(0, 4));
+  add('%8', formatDate(paper.date));
+  add('%X', abstractText(paper).replace(/\s+/g, ' '));
+  for (const t of paper.tags) add('%K', tags[t] || t);
+  add('%R', citationDoi(paper));
+  add('%U', `${SITE_URL}${paperUrl(paper)}`);
+  add('%G', 'English');
+  return lines.join('\n') + '\n';
+}
+
+// CSL-JSON item (citeproc, Zotero, Pandoc)
+function cslJsonItem(paper) {
+  const [y, m, d] = paper.date.split('-').map(Number);
+  const item = {
+    id: bibtexKey(paper),
+    type: isJournalArticle(paper) ? 'article-journal' : 'report',
+    title: paper.title,
+    author: paperAuthors(paper).map(a => {
+      if (a.corporate || !a.given) return { literal: a.name };
+      const { particle, family } = familyParticle(a.family);
+      const name = { family, given: a.given };
+      if (particle) name['non-dropping-particle'] = particle;
+      if (a.suffix) name.suffix = a.suffix;
+      return name;
+    }),
+    issued: { 'date-parts': [[y, m, d]] },
+  };
+  if (isJournalArticle(paper)) {
+    item['container-title'] = paper.journal;
+  } else {
+    item['publisher'] = PUBLISHER;
+    item['genre'] = paperTypeLabel(paper);
+    item['collection-title'] = `${PUBLISHER} ${paperTypeLabel(paper)} Series`;
+    if (paper.wpNumber) item['number'] = paper.wpNumber;
+  }
+  if (paper.abstract) item['abstract'] = abstractText(paper);
+  if (citationDoi(paper)) item['DOI'] = citationDoi(paper);
+  item['URL'] = `${SITE_URL}${paperUrl(paper)}`;
+  item['keyword'] = paper.tags.map(t => tags[t] || t).join(', ');
+  item['language'] = 'en';
+  return item;
+}
+
+// APA 7th edition reference
+function apaCitation(paper, fmt = PLAIN_TEXT) {
+  const names = paperAuthors(paper).map(a => {
+    if (!a.given) return a.name;
+    return [a.family, initials(a.given), a.suffix].filter(Boolean).join(', ');
+  });
+  const authors = names.length > 1
+    ? `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`
+    : names.join('');
+  const year = paper.date.substring(0, 4);
+
+  // The author element ends with a period: initials supply it, a suffix
+  // such as "III" or a corporate name does not
+  let cite = `${fmt.esc(authors)}${authors.endsWith('.') ? '' : '.'} (${year}). `;
+  if (isJournalArticle(paper)) {
+    cite += `${fmt.esc(paper.title)}. ${fmt.em(fmt.esc(paper.journal))}.`;
+  } else {
+    const series = paper.wpNumber ? ` (${PUBLISHER} ${paperTypeLabel(paper)} No. ${paper.wpNumber})` : '';
+    cite += `${fmt.em(fmt.esc(paper.title))}${series}. ${PUBLISHER}.`;
+  }
+  return `${cite} ${fmt.esc(citationUrl(paper))}`;
+}
+
+// Chicago 17th edition, author-date reference list entry
+function chicagoCitation(paper, fmt = PLAIN_TEXT) {
+  const names = paperAuthors(paper).map((a, i) => (i === 0 ? invertedName(a) : a.name));
+  const year = paper.date.substring(0, 4);
+
+  // Inverted first author takes a comma before "and" even with two names
+  const authors = names.length === 2 ? `${names[0]}, and ${names[1]}` : joinNames(names, 'and');
+
+  let cite = `${fmt.esc(authors)}. ${year}. `;
+  if (isJournalArticle(paper)) {
+    cite += `“${fmt.esc(paper.title)}.” ${fmt.em(fmt.esc(paper.journal))}.`;
+  } else {
+    const series = paper.wpNumber ? ` ${PUBLISHER} ${paperTypeLabel(paper)} ${paper.wpNumber}.` : '';
+    cite += `“${fmt.esc(paper.title)}.”${series} ${PUBLISHER}.`;
+  }
+  return `${cite} ${fmt.esc(citationUrl(paper))}.`;
+}
+
+// MLA 9th edition works-cited entry
+function mlaCitation(paper, fmt = PLAIN_TEXT) {
+  const list = paperAuthors(paper);
+  const firstName = invertedName(list[0]);
+  let authors = firstName;
+  if (list.length === 2) {
+    authors = `${firstName}, and ${list[1].name}`;
+  } else if (list.length > 2) {
+    authors = `${firstName}, et al`;
+  }
+  const [y, , d] = paper.date.split('-');
+  const date = `${Number(d)} ${monthName(paper.date, true)}. ${y}`;
+  const url = citationUrl(paper).replace(/^https?:\/\//, '');
+
+  let cite = `${fmt.esc(authors)}. “${fmt.esc(paper.title)}.” `;
+  if (isJournalArticle(paper)) {
+    cite += `${fmt.em(fmt.esc(paper.journal))}, ${date}, ${fmt.esc(url)}.`;
+  } else {
+    const series = paper.wpNumber ? `, no. ${paper.wpNumber}` : '';
+    cite += `${fmt.em(`${PUBLISHER} ${paperTypeLabel(paper)}`)}${series}, ${PUBLISHER}, ${date}, ${fmt.esc(url)}.`;
+  }
+  return cite;
+}
+
+// Downloadable export files written next to each paper page
+const CITATION_FILES = [
+  { key: 'bibtex', label: 'BibTeX', ext: 'bib', render: p => bibtexEntry(p) + '\n' },
+  { key: 'ris', label: 'RIS', ext: 'ris', render: risEntry },
+  { key: 'endnote', label: 'EndNote', ext: 'enw', render: endnoteEntry },
+  { key: 'csl', label: 'CSL-JSON', ext: 'csl.json', render: p => JSON.stringify([cslJsonItem(p)], null, 2) + '\n' },
+];
+
+function citationFileUrl(paper, ext) {
+  return `${paperUrl(paper)}.${ext}`;
+}
+
 // Generate suggested citation string (returns HTML)
 function suggestedCitation(paper) {
   const year = paper.date.substring(0, 4);
-  const authors = paper.authors.join(', ');
-  const doi = paper.doi || paper.zenodo || '';
-  const paperType = paper.wpNumber && paper.wpNumber.startsWith('DP') ? 'Discussion' : 'Working';
+  const authors = authorNames(paper).join(', ');
+  const doi = citationDoi(paper);
   let cite = `${escapeHtml(authors)} (${year}). <em>${escapeHtml(paper.title)}</em>.`;
   cite += paper.wpNumber
-    ? ` ${PUBLISHER} ${paperType} Paper ${paper.wpNumber}.`
+    ? ` ${PUBLISHER} ${paperTypeLabel(paper)} ${paper.wpNumber}.`
     : ` ${PUBLISHER}.`;
   if (doi) {
     cite += ` DOI: ${doi}`;
@@ -230,144 +780,1107 @@ function suggestedCitation(paper) {
 }
 
 // ---------------------------------------------------------------------------
-// Shared HTML fragments
+// Related papers
 // ---------------------------------------------------------------------------
 
-function getHeadHtml(meta) {
-  const title = meta.title ? `${escapeHtml(meta.title)} | ${SITE_TITLE}` : SITE_TITLE;
-  const description = meta.description || SITE_DESCRIPTION;
-  const canonicalUrl = meta.canonicalUrl || SITE_URL;
-  const ogType = meta.ogType || 'website';
-  const ogImage = meta.ogImage || `${SITE_URL}/assets/og-default.png`;
+// Curated links between papers. Each field of papers.json lists wpNumbers;
+// the linked paper shows the link back under the inverse label (and key,
+// in the JSON API).
+const RELATIONS = {
+  supersedes: { label: 'Supersedes', inverse: 'Superseded by', inverseKey: 'supersededBy' },
+  extends:    { label: 'Extends', inverse: 'Extended by', inverseKey: 'extendedBy' },
+  related:    { label: 'Related', inverse: 'Related', inverseKey: 'related' },
+};
+
+// Computed recommendations: how many to show, and the score a paper needs.
+// Each shared tag, method or author counts its weight times its IDF (so an
+// author on every paper counts for nothing); the text weight multiplies the
+// cosine similarity of TF-IDF vectors over title, summary and abstract.
+const RELATED_COUNT = 3;
+const RELATED_MIN_SCORE = 1;
+const RELATED_WEIGHTS = { tags: 1, methods: 1, authors: 0.5, text: 4 };
+
+const STOP_WORDS = new Set(`
+  about above across after against all also among and any are because been before being between both but
+  can could does during each either from further have having here how into its itself more most much must
+  not only other our over same should such than that the their them then there these they this those
+  through under until upon very was were what when where whether which while who whose why will with
+  within without would yet using used use via per may well two one new paper papers we us`.trim().split(/\s+/));
+
+// Lower-cased content words with plural endings stripped
+function textTerms(str) {
+  return (str.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').match(/[a-z][a-z0-9]+/g) || [])
+    .filter(w => w.length > 2 && !STOP_WORDS.has(w))
+    .map(w => w.replace(/ies$/, 'y').replace(/([^s])s$/, '$1'));
+}
 
-  let head = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${title}</title>
-  <meta name="description" content="${escapeHtml(description)}">
+function idfTable(docs) {
+  const df = {};
+  for (const doc of docs) for (const term of new Set(doc)) df[term] = (df[term] || 0) + 1;
+  const idf = {};
+  for (const [term, n] of Object.entries(df)) idf[term] = Math.log(docs.length / n);
+  return idf;
+}
 
-  <!-- Fonts -->
-  <link rel="preconnect" href="https://fonts.googleapis.com">
-  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-  <link href="https://fonts.googleapis.com/css2?family=Crimson+Text:ital,wght@0,400;0,600;0,700;1,400;1,600&family=Inter:wght@300;400;500;600;700&family=JetBrains+Mono:wght@400;500;600&display=swap" rel="stylesheet">
+// Unit-length TF-IDF vector (log-scaled term frequency)
+function tfidfVector(terms, idf) {
+  const tf = {};
+  for (const term of terms) tf[term] = (tf[term] || 0) + 1;
+  const vec = {};
+  let norm = 0;
+  for (const [term, n] of Object.entries(tf)) {
+    vec[term] = (1 + Math.log(n)) * (idf[term] || 0);
+    norm += vec[term] * vec[term];
+  }
+  norm = Math.sqrt(norm);
+  if (norm) for (const term of Object.keys(vec)) vec[term] /= norm;
+  return vec;
+}
 
-  <!-- CSS -->
-  <link rel="stylesheet" href="/css/ascri.css?v=${CSS_HASH}">
-  <script>(function(){var t=localStorage.getItem('ascri-theme')||(matchMedia('(prefers-color-scheme:dark)').matches?'dark':'light');document.documentElement.setAttribute('data-theme',t)})()</script>
+function cosine(a, b) {
+  let dot = 0;
+  for (const [term, w] of Object.entries(a)) if (b[term]) dot += w * b[term];
+  return dot;
+}
 
-  <!-- Canonical -->
-  <link rel="canonical" href="${escapeHtml(canonicalUrl)}">
+// Scores for every pair of current papers, computed once per build:
+// Map wpNumber -> [{ paper, score }] sorted best first
+let relatedScores = null;
+
+function scoreRelated() {
+  const features = {
+    tags: papers.map(p => p.tags),
+    methods: papers.map(p => (p.methods || []).map(slugify)),
+    authors: papers.map(authorNames),
+  };
+  const featureIdf = {};
+  for (const [kind, lists] of Object.entries(features)) featureIdf[kind] = idfTable(lists);
+  const docs = papers.map(p => textTerms([p.title, p.subtitle, summaryText(p), abstractText(p)].join(' ')));
+  const textIdf = idfTable(docs);
+  const vectors = docs.map(doc => tfidfVector(doc, textIdf));
+
+  const scores = new Map(papers.map(p => [p.wpNumber, []]));
+  papers.forEach((a, i) => {
+    papers.forEach((b, j) => {
+      if (j <= i) return;
+      let score = RELATED_WEIGHTS.text * cosine(vectors[i], vectors[j]);
+      for (const [kind, lists] of Object.entries(features)) {
+        const shared = lists[i].filter(x => lists[j].includes(x));
+        for (const x of new Set(shared)) score += RELATED_WEIGHTS[kind] * featureIdf[kind][x];
+      }
+      scores.get(a.wpNumber).push({ paper: b, score });
+      scores.get(b.wpNumber).push({ paper: a, score });
+    });
+  });
+  for (const list of scores.values()) {
+    list.sort((x, y) => y.score - x.score || sortByDateDesc(x.paper, y.paper) || x.paper.wpNumber.localeCompare(y.paper.wpNumber));
+  }
+  return scores;
+}
 
-  <!-- RSS -->
-  <link rel="alternate" type="application/rss+xml" title="${SITE_TITLE} Papers" href="${SITE_URL}/feed.xml">
+// Curated links from and to a paper as [{ paper, label, relation }],
+// outgoing first.
+// Outgoing links may point at retired papers (whose URLs serve tombstones);
+// links back are only shown from current papers.
+function curatedRelations(paper) {
+  const out = [];
+  const seen = new Set([paper.wpNumber]);
+  const add = (target, label, relation) => {
+    if (!target || seen.has(target.wpNumber)) return;
+    seen.add(target.wpNumber);
+    out.push({ paper: target, label, relation });
+  };
+  for (const [field, rel] of Object.entries(RELATIONS)) {
+    for (const wp of paper[field] || []) add(data.papers.find(p => p.wpNumber === wp), rel.label, field);
+  }
+  for (const [field, rel] of Object.entries(RELATIONS)) {
+    for (const other of papers) {
+      if ((other[field] || []).includes(paper.wpNumber)) add(other, rel.inverse, rel.inverseKey);
+    }
+  }
+  return out;
+}
 
-  <!-- Open Graph -->
-  <meta property="og:type" content="${ogType}">
-  <meta property="og:title" content="${escapeHtml(meta.title || SITE_TITLE)}">
-  <meta property="og:description" content="${escapeHtml(description)}">
-  <meta property="og:url" content="${escapeHtml(canonicalUrl)}">
-  <meta property="og:site_name" content="${SITE_TITLE}">
-  <meta property="og:image" content="${escapeHtml(ogImage)}">
+// Cards for the Related Papers section: curated links with their labels,
+// then up to RELATED_COUNT computed recommendations not already linked
+function relatedPapers(paper) {
+  if (!relatedScores) relatedScores = scoreRelated();
+  const curated = curatedRelations(paper);
+  const linked = new Set(curated.map(r => r.paper.wpNumber));
+  const computed = (relatedScores.get(paper.wpNumber) || [])
+    .filter(r => r.score >= RELATED_MIN_SCORE && !linked.has(r.paper.wpNumber))
+    .slice(0, RELATED_COUNT)
+    .map(r => ({ paper: r.paper, label: null }));
+  return [...curated, ...computed];
+}
 
-  <!-- Twitter -->
-  <meta name="twitter:card" content="summary_large_image">
-  <meta name="twitter:title" content="${escapeHtml(meta.title || SITE_TITLE)}">
-  <meta name="twitter:description" content="${escapeHtml(description)}">
-  <meta name="twitter:image" content="${escapeHtml(ogImage)}">
-`;
+// ---------------------------------------------------------------------------
+// Replication materials
+// ---------------------------------------------------------------------------
 
-  // Scholar metadata (paper pages only)
-  if (meta.paper) {
-    const paper = meta.paper;
-    head += `
-  <!-- Highwire Press / Google Scholar -->
-  <meta name="citation_title" content="${escapeHtml(paper.title)}">
-`;
-    for (const author of paper.authors) {
-      head += `  <meta name="citation_author" content="${escapeHtml(author)}">\n`;
-    }
-    head += `  <meta name="citation_publication_date" content="${formatDateSlash(paper.date)}">
-  <meta name="citation_publisher" content="${PUBLISHER}">
-  <meta name="citation_abstract_html_url" content="${SITE_URL}${paperUrl(paper)}">
-`;
-    if (paper.pdf) {
-      head += `  <meta name="citation_pdf_url" content="${escapeHtml(pdfUrl(paper))}">\n`;
-    }
-    if (paper.doi) {
-      head += `  <meta name="citation_doi" content="${escapeHtml(paper.doi)}">\n`;
-    }
-    if (paper.journal) {
-      head += `  <meta name="citation_journal_title" content="${escapeHtml(paper.journal)}">\n`;
-    }
-    if (paper.wpNumber) {
-      head += `  <meta name="citation_technical_report_number" content="${paper.wpNumber}">\n`;
-    }
+// Kinds of paper.artifacts, in display order. Code, data and notebooks are
+// what a paper is based on; slides, videos and dashboards are about it.
+const ARTIFACT_TYPES = {
+  code:      { label: 'Code', plural: 'Code', schemaType: 'SoftwareSourceCode', relation: 'isBasedOn' },
+  dataset:   { label: 'Dataset', plural: 'Datasets', schemaType: 'Dataset', relation: 'isBasedOn' },
+  notebook:  { label: 'Notebook', plural: 'Notebooks', schemaType: 'SoftwareSourceCode', relation: 'isBasedOn' },
+  dashboard: { label: 'Dashboard', plural: 'Dashboards', schemaType: 'WebApplication', relation: 'subjectOf' },
+  slides:    { label: 'Slides', plural: 'Slides', schemaType: 'PresentationDigitalDocument', relation: 'subjectOf' },
+  video:     { label: 'Video', plural: 'Videos', schemaType: 'VideoObject', relation: 'subjectOf' },
+};
+
+// A paper's materials: its artifacts, then its github and dashboard links
+// unless an artifact already lists them, sorted by ARTIFACT_TYPES order
+function paperArtifacts(paper) {
+  const list = (paper.artifacts || []).map(a => ({ ...a }));
+  const listed = new Set(list.map(a => a.url));
+  if (paper.github && !listed.has(paper.github)) {
+    const repo = paper.github.replace(/^https?:\/\/(www\.)?github\.com\//, '').replace(/\/+$/, '');
+    list.push({ type: 'code', title: repo === paper.github ? 'Source code' : repo, url: paper.github });
+  }
+  if (paper.dashboard && !listed.has(paper.dashboard)) {
+    list.push({ type: 'dashboard', title: 'Interactive dashboard', url: paper.dashboard });
+  }
+  const order = Object.keys(ARTIFACT_TYPES);
+  return list.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+}
 
-    // Dublin Core
-    head += `
-  <!-- Dublin Core -->
-  <meta name="DC.title" content="${escapeHtml(paper.title)}">
-  <meta name="DC.creator" content="${escapeHtml(paper.authors.join('; '))}">
-  <meta name="DC.date" content="${formatDateISO(paper.date)}">
-  <meta name="DC.publisher" content="${PUBLISHER}">
-  <meta name="DC.type" content="Text">
-  <meta name="DC.format" content="text/html">
-  <meta name="DC.language" content="en">
-`;
-    if (paper.doi) {
-      head += `  <meta name="DC.identifier" content="doi:${escapeHtml(paper.doi)}">\n`;
-    }
-    if (paper.abstract) {
-      head += `  <meta name="DC.description" content="${escapeHtml(truncateAbstract(paper.abstract, 300))}">\n`;
-    }
+function artifactDoiUrl(artifact) {
+  return artifact.doi ? `https://doi.org/${artifact.doi}` : null;
+}
 
-    // JSON-LD ScholarlyArticle
-    const jsonLd = {
-      '@context': 'https://schema.org',
-      '@type': 'ScholarlyArticle',
-      'name': paper.title,
-      'headline': paper.title,
-      'author': paper.authors.map(a => ({ '@type': 'Person', 'name': a })),
-      'datePublished': paper.date,
-      'publisher': {
-        '@type': 'Organization',
-        'name': PUBLISHER,
-      },
-      'url': `${SITE_URL}${paperUrl(paper)}`,
-      'abstract': paper.abstract || '',
-    };
-    if (paper.doi) {
-      jsonLd['identifier'] = {
-        '@type': 'PropertyValue',
-        'propertyID': 'doi',
-        'value': paper.doi,
-      };
-      jsonLd['sameAs'] = `https://doi.org/${paper.doi}`;
-    }
-    if (paper.pdf) {
-      jsonLd['encoding'] = {
-        '@type': 'MediaObject',
-        'contentUrl': pdfUrl(paper),
-        'encodingFormat': 'application/pdf',
-      };
-    }
+// Licences are SPDX identifiers ("MIT", "CC-BY-4.0")
+function licenceUrl(licence) {
+  return `https://spdx.org/licenses/${licence}.html`;
+}
 
-    head += `
-  <!-- JSON-LD -->
-  <script type="application/ld+json">
-${JSON.stringify(jsonLd, null, 2)}
-  </script>
-`;
+// schema.org entry for an artifact, listed under the paper's isBasedOn or
+// subjectOf
+function artifactJsonLd(artifact) {
+  const type = ARTIFACT_TYPES[artifact.type];
+  const ld = { '@type': type.schemaType, 'name': artifact.title, 'url': artifact.url };
+  if (artifact.description) ld['description'] = artifact.description;
+  if (artifact.type === 'code') ld['codeRepository'] = artifact.url;
+  if (artifact.doi) {
+    ld['identifier'] = {
+      '@type': 'PropertyValue',
+      'propertyID': 'doi',
+      'value': artifact.doi,
+    };
+    ld['sameAs'] = artifactDoiUrl(artifact);
   }
-
-  head += `</head>`;
-  return head;
+  if (artifact.licence) ld['license'] = licenceUrl(artifact.licence);
+  if (artifact.size) ld['contentSize'] = artifact.size;
+  return ld;
 }
 
-function getNavHtml(activePage) {
-  const links = [
+// ---------------------------------------------------------------------------
+// Full text
+// ---------------------------------------------------------------------------
+
+// A stored text is a header of "key: value" lines (pdf, sha256, pages), a
+// blank line, then the text as lib/pdf-text.js extracts it: lines in page
+// order, pages separated by form feeds
+function fullTextFile(wpNumber) {
+  return path.join(FULLTEXT_DIR, `${wpNumber}.txt`);
+}
+
+function readFullText(wpNumber) {
+  const file = fullTextFile(wpNumber);
+  if (!fs.existsSync(file)) return null;
+  const raw = fs.readFileSync(file, 'utf-8');
+  const split = raw.indexOf('\n\n');
+  if (split === -1) return null;
+  const header = {};
+  for (const line of raw.slice(0, split).split('\n')) {
+    const m = line.match(/^(\w+):\s*(.*)$/);
+    if (m) header[m[1]] = m[2];
+  }
+  return { pdf: header.pdf || null, sha256: header.sha256 || null, pages: Number(header.pages) || null, text: raw.slice(split + 2) };
+}
+
+function writeFullText(paper, info, text) {
+  const header = [`wpNumber: ${paper.wpNumber}`, `pdf: ${currentPdf(paper)}`, `sha256: ${info.sha256}`, `pages: ${info.pages}`];
+  fs.writeFileSync(fullTextFile(paper.wpNumber), `${header.join('\n')}\n\n${text}\n`, 'utf-8');
+}
+
+// Local-PDF mode: extract the text of each current PDF whose stored text is
+// missing or came from a different file (by checksum), and drop the text of
+// papers that no longer have a PDF. A PDF without extractable text (scanned,
+// encrypted) is a warning, not an error. Returns { extracted, warnings }.
+function updateFullTexts() {
+  const result = { extracted: 0, warnings: [] };
+  if (!PDF_DIR) return result;
+  fs.mkdirSync(FULLTEXT_DIR, { recursive: true });
+  const keep = new Set();
+  for (const paper of data.papers) {
+    const source = currentPdf(paper);
+    if (!source) continue;
+    const info = pdfInfo(source);
+    const stored = readFullText(paper.wpNumber);
+    if (stored && stored.sha256 === info.sha256) {
+      keep.add(paper.wpNumber);
+      continue;
+    }
+    try {
+      const text = extractText(readPdf(fs.readFileSync(path.join(PDF_DIR, source))));
+      if (!/\p{L}{3}/u.test(text)) throw new Error('it has no text layer');
+      writeFullText(paper, info, text);
+      keep.add(paper.wpNumber);
+      result.extracted++;
+    } catch (err) {
+      result.warnings.push(`${paper.wpNumber}: no text extracted from "${source}": ${err.message}`);
+    }
+  }
+  for (const file of fs.readdirSync(FULLTEXT_DIR)) {
+    if (file.endsWith('.txt') && !keep.has(file.slice(0, -4))) fs.unlinkSync(path.join(FULLTEXT_DIR, file));
+  }
+  return result;
+}
+
+// Stored text of a paper, read once per build (null when there is none)
+const fullTextCache = new Map();
+function fullText(paper) {
+  if (!fullTextCache.has(paper.wpNumber)) {
+    const stored = readFullText(paper.wpNumber);
+    fullTextCache.set(paper.wpNumber, stored ? stored.text : null);
+  }
+  return fullTextCache.get(paper.wpNumber);
+}
+
+// Reference list parsed from the full text, as [{ text, doi }]
+const referencesCache = new Map();
+function paperReferences(paper) {
+  if (!referencesCache.has(paper.wpNumber)) {
+    referencesCache.set(paper.wpNumber, parseReferences(fullText(paper)));
+  }
+  return referencesCache.get(paper.wpNumber);
+}
+
+function referenceDoiUrl(ref) {
+  return ref.doi ? `https://doi.org/${ref.doi}` : null;
+}
+
+// schema.org entry for a reference, listed under the paper's citation
+function referenceJsonLd(ref) {
+  const ld = { '@type': 'CreativeWork', 'name': ref.text };
+  if (ref.doi) {
+    ld['identifier'] = {
+      '@type': 'PropertyValue',
+      'propertyID': 'doi',
+      'value': ref.doi,
+    };
+    ld['sameAs'] = referenceDoiUrl(ref);
+  }
+  return ld;
+}
+
+// Distinct words of the full text for the search index, folded the way the
+// search script folds queries (lower case, no diacritics), words broken
+// across lines rejoined, stop words and words under three characters left out
+function fullTextWords(paper) {
+  const text = fullText(paper);
+  if (!text) return '';
+  const words = text.replace(/(\p{Ll})-\n(\p{Ll})/gu, '$1$2').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').match(/[\p{L}\p{N}]{3,}/gu) || [];
+  return [...new Set(words.filter(w => !STOP_WORDS.has(w) && !/^\d+$/.test(w)))].join(' ');
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+const SLUG_RE = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DOI_RE = /^10\.\d{4,9}\/\S+$/;
+const ARXIV_RE = /^(\d{4}\.\d{4,5}|[a-z-]+(\.[A-Z]{2})?\/\d{7})(v\d+)?$/;
+const WP_NUMBER_RE = /^(DAI|DP)-\d{4}$/;
+const URL_RE = /^https?:\/\/\S+$/;
+const ORCID_RE = /^\d{4}-\d{4}-\d{4}-\d{3}[\dX]$/;
+
+// Field rules for a paper record. Optional fields may be absent or null.
+const PAPER_FIELDS = {
+  id:           { type: 'string', required: true, pattern: SLUG_RE, hint: 'lowercase-hyphenated slug' },
+  title:        { type: 'string', required: true },
+  subtitle:     { type: 'string' },
+  date:         { type: 'string', required: true, pattern: DATE_RE, hint: 'YYYY-MM-DD' },
+  status:       { type: 'string', required: true },
+  journal:      { type: 'string' },
+  tags:         { type: 'array', required: true, items: 'string' },
+  authors:      { type: 'array', required: true, nonEmpty: true },
+  affiliations: { type: 'array', items: 'string', nonEmpty: true },
+  summary:      { type: 'string' },
+  abstract:     { type: 'string' },
+  doi:          { type: 'string', pattern: DOI_RE, hint: 'DOI such as 10.5281/zenodo.123' },
+  zenodo:       { type: 'string', pattern: DOI_RE, hint: 'Zenodo DOI such as 10.5281/zenodo.123' },
+  arxiv:        { type: 'string', pattern: ARXIV_RE, hint: 'arXiv ID such as 2601.06692' },
+  pdf:          { type: 'string' },
+  github:       { type: 'string', pattern: URL_RE, hint: 'http(s) URL' },
+  dashboard:    { type: 'string', pattern: URL_RE, hint: 'http(s) URL' },
+  methods:      { type: 'array', items: 'string' },
+  wpNumber:     { type: 'string', required: true, pattern: WP_NUMBER_RE, hint: 'DAI-YYNN or DP-YYNN' },
+  program:      { type: 'string', required: true },
+  category:     { type: 'string', required: true },
+  featured:     { type: 'number', integer: true, min: 1, hint: 'homepage position (1 = first)' },
+  versions:     { type: 'array', items: 'object' },
+  artifacts:    { type: 'array', items: 'object' },
+  supersedes:   { type: 'array', items: 'string' },
+  extends:      { type: 'array', items: 'string' },
+  related:      { type: 'array', items: 'string' },
+  crossref:     { type: 'boolean' },
+  retired:      { type: 'object' },
+};
+
+// Field rules for object entries of paper.authors ("Given Family" strings
+// need none). People have a family name; a corporate author has only a name.
+const AUTHOR_FIELDS = {
+  given:        { type: 'string' },
+  family:       { type: 'string' },
+  suffix:       { type: 'string' },
+  name:         { type: 'string' },
+  orcid:        { type: 'string', pattern: ORCID_RE, hint: 'ORCID iD such as 0000-0002-1825-0097' },
+  affiliations: { type: 'array', items: 'number', nonEmpty: true },
+};
+
+// Field rules for entries of paper.artifacts (types: ARTIFACT_TYPES)
+const ARTIFACT_FIELDS = {
+  type:        { type: 'string', required: true },
+  title:       { type: 'string', required: true },
+  url:         { type: 'string', required: true, pattern: URL_RE, hint: 'http(s) URL' },
+  description: { type: 'string' },
+  doi:         { type: 'string', pattern: DOI_RE, hint: 'DOI such as 10.5281/zenodo.123' },
+  licence:     { type: 'string', pattern: /^[A-Za-z0-9][A-Za-z0-9.+-]*$/, hint: 'SPDX licence identifier such as MIT or CC-BY-4.0' },
+  size:        { type: 'string', pattern: /^\d+(\.\d+)? ?(B|KB|MB|GB|TB)$/, hint: 'size such as 850 KB or 1.2 GB' },
+};
+
+// Field rules for paper.retired
+const RETIRED_FIELDS = {
+  date:       { type: 'string', required: true, pattern: DATE_RE, hint: 'YYYY-MM-DD' },
+  reason:     { type: 'string', required: true },
+  replacedBy: { type: 'string', pattern: WP_NUMBER_RE, hint: 'wpNumber such as DAI-2601' },
+};
+
+// Field rules for entries of the top-level redirects list (written to _redirects as 301s)
+const REDIRECT_FIELDS = {
+  from: { type: 'string', required: true, pattern: /^\/\S*$/, hint: 'site path such as /1/DAI-2601' },
+  to:   { type: 'string', required: true, pattern: /^(\/|https?:\/\/)\S*$/, hint: 'site path or http(s) URL' },
+};
+
+// Field rules for entries of paper.versions
+const VERSION_FIELDS = {
+  version: { type: 'string', required: true },
+  date:    { type: 'string', required: true, pattern: DATE_RE, hint: 'YYYY-MM-DD' },
+  pdf:     { type: 'string' },
+  doi:     { type: 'string', pattern: DOI_RE, hint: 'DOI such as 10.5281/zenodo.123' },
+  note:    { type: 'string' },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isRealDate(str) {
+  const d = new Date(str + 'T00:00:00Z');
+  return !isNaN(d) && d.toISOString().slice(0, 10) === str;
+}
+
+function checkField(value, rule) {
+  const actual = typeOf(value);
+  if (actual !== rule.type) {
+    return `expected ${rule.type}, got ${actual}`;
+  }
+  if (rule.type === 'string') {
+    if (!value.trim()) return 'must not be empty';
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return `"${value}" is not a valid ${rule.hint}`;
+    }
+  }
+  if (rule.type === 'array') {
+    if (rule.nonEmpty && value.length === 0) return 'must not be empty';
+    const bad = rule.items ? value.findIndex(v => typeOf(v) !== rule.items || (rule.items === 'string' && !v.trim())) : -1;
+    if (bad !== -1) {
+      return rule.items === 'string' ? `entry ${bad} must be a non-empty string` : `entry ${bad} must be ${rule.items === 'object' ? 'an' : 'a'} ${rule.items}`;
+    }
+  }
+  if (rule.type === 'number') {
+    if ((rule.integer && !Number.isInteger(value)) || (rule.min !== undefined && value < rule.min)) {
+      return `${value} is not a valid ${rule.hint}`;
+    }
+  }
+  return null;
+}
+
+// ISO 7064 11,2 check digit used by ORCID iDs
+function isValidOrcid(orcid) {
+  if (!ORCID_RE.test(orcid)) return false;
+  const digits = orcid.replace(/-/g, '');
+  let total = 0;
+  for (const ch of digits.slice(0, -1)) {
+    total = (total + Number(ch)) * 2;
+  }
+  const result = (12 - (total % 11)) % 11;
+  const check = result === 10 ? 'X' : String(result);
+  return digits.slice(-1) === check;
+}
+
+function checkKey(key, map, label) {
+  if (Object.prototype.hasOwnProperty.call(map || {}, key)) return null;
+  return `unknown ${label} "${key}" (expected one of: ${Object.keys(map || {}).join(', ')})`;
+}
+
+// Check papers.json for structural and referential problems.
+// Returns a list of { paper, field, message } records; empty when valid.
+function validateData(d) {
+  const errors = [];
+  const fail = (paper, field, message) => errors.push({ paper, field, message });
+
+  for (const key of ['papers', 'tags', 'statuses', 'programs', 'categories']) {
+    const expected = key === 'papers' ? 'array' : 'object';
+    if (typeOf(d[key]) !== expected) {
+      fail(null, key, `expected top-level ${expected}, got ${typeOf(d[key])}`);
+    }
+  }
+  if (d.people !== undefined && typeOf(d.people) !== 'object') {
+    fail(null, 'people', `expected top-level object, got ${typeOf(d.people)}`);
+  }
+  if (d.redirects !== undefined && typeOf(d.redirects) !== 'array') {
+    fail(null, 'redirects', `expected top-level array, got ${typeOf(d.redirects)}`);
+  }
+  if (errors.length) return errors;
+
+  // Redirects
+  const seenFrom = {};
+  (d.redirects || []).forEach((redirect, i) => {
+    const where = `redirects[${i}]`;
+    if (typeOf(redirect) !== 'object') {
+      fail(null, where, `expected object, got ${typeOf(redirect)}`);
+      return;
+    }
+    for (const [field, rule] of Object.entries(REDIRECT_FIELDS)) {
+      const value = redirect[field];
+      if (value === undefined || value === null) {
+        fail(null, `${where}.${field}`, 'is required');
+        continue;
+      }
+      const problem = checkField(value, rule);
+      if (problem) fail(null, `${where}.${field}`, problem);
+    }
+    if (typeOf(redirect.from) === 'string') {
+      if (redirect.from === redirect.to) {
+        fail(null, `${where}.to`, 'redirects to itself');
+      } else if (seenFrom[redirect.from] !== undefined) {
+        fail(null, `${where}.from`, `"${redirect.from}" is already redirected by redirects[${seenFrom[redirect.from]}]`);
+      } else {
+        seenFrom[redirect.from] = i;
+      }
+    }
+  });
+
+  // Lookup maps
+  for (const key of ['tags', 'statuses', 'categories']) {
+    for (const [k, label] of Object.entries(d[key])) {
+      if (typeOf(label) !== 'string' || !label.trim()) {
+        fail(null, `${key}.${k}`, 'label must be a non-empty string');
+      }
+    }
+  }
+  const seenNumbers = {};
+  for (const [k, prog] of Object.entries(d.programs)) {
+    if (typeOf(prog) !== 'object') {
+      fail(null, `programs.${k}`, `expected object, got ${typeOf(prog)}`);
+      continue;
+    }
+    for (const field of ['title', 'description', 'index']) {
+      if (typeOf(prog[field]) !== 'string' || !prog[field].trim()) {
+        fail(null, `programs.${k}.${field}`, 'must be a non-empty string');
+      }
+    }
+    if (prog.tagline !== undefined && (typeOf(prog.tagline) !== 'string' || !prog.tagline.trim())) {
+      fail(null, `programs.${k}.tagline`, 'must be a non-empty string');
+    }
+    const num = romanToArabic(prog.index);
+    if (!num) {
+      fail(null, `programs.${k}.index`, `"${prog.index}" is not a supported roman numeral`);
+    } else if (seenNumbers[num]) {
+      fail(null, `programs.${k}.index`, `duplicates programme index of "${seenNumbers[num]}"`);
+    } else {
+      seenNumbers[num] = k;
+    }
+  }
+
+  // People
+  const seenNames = {};
+  for (const [slug, person] of Object.entries(d.people || {})) {
+    const where = `people.${slug}`;
+    if (!SLUG_RE.test(slug)) {
+      fail(null, where, 'key must be a lowercase-hyphenated slug');
+    }
+    if (typeOf(person) !== 'object') {
+      fail(null, where, `expected object, got ${typeOf(person)}`);
+      continue;
+    }
+    for (const field of ['name', 'role']) {
+      if (typeOf(person[field]) !== 'string' || !person[field].trim()) {
+        fail(null, `${where}.${field}`, 'must be a non-empty string');
+      }
+    }
+    for (const field of ['credentials', 'affiliation', 'bio']) {
+      const value = person[field];
+      if (value !== undefined && value !== null && (typeOf(value) !== 'string' || !value.trim())) {
+        fail(null, `${where}.${field}`, 'must be a non-empty string or null');
+      }
+    }
+    const groupProblem = checkKey(person.group, PEOPLE_GROUPS, 'group');
+    if (groupProblem) fail(null, `${where}.group`, groupProblem);
+    if (person.orcid !== undefined && person.orcid !== null && !isValidOrcid(String(person.orcid))) {
+      fail(null, `${where}.orcid`, `"${person.orcid}" is not a valid ORCID iD such as 0000-0002-1825-0097`);
+    }
+    if (person.links !== undefined) {
+      if (typeOf(person.links) !== 'object') {
+        fail(null, `${where}.links`, `expected object, got ${typeOf(person.links)}`);
+      } else {
+        for (const [label, url] of Object.entries(person.links)) {
+          if (typeOf(url) !== 'string' || !URL_RE.test(url)) {
+            fail(null, `${where}.links.${label}`, 'must be an http(s) URL');
+          }
+        }
+      }
+    }
+    if (typeOf(person.name) === 'string') {
+      if (seenNames[person.name]) {
+        fail(null, `${where}.name`, `"${person.name}" is already used by people.${seenNames[person.name]}`);
+      } else {
+        seenNames[person.name] = slug;
+      }
+    }
+  }
+
+  // Papers
+  const seenIds = {};
+  const seenWp = {};
+  const seenFeatured = {};
+  const seenMethods = {};
+  d.papers.forEach((paper, i) => {
+    if (typeOf(paper) !== 'object') {
+      fail({ index: i }, null, `expected object, got ${typeOf(paper)}`);
+      return;
+    }
+    const ref = { index: i, id: paper.id, wpNumber: paper.wpNumber };
+
+    for (const [field, rule] of Object.entries(PAPER_FIELDS)) {
+      const value = paper[field];
+      if (value === undefined || value === null) {
+        if (rule.required) fail(ref, field, 'is required');
+        continue;
+      }
+      const problem = checkField(value, rule);
+      if (problem) fail(ref, field, problem);
+    }
+
+    if (typeOf(paper.date) === 'string' && DATE_RE.test(paper.date) && !isRealDate(paper.date)) {
+      fail(ref, 'date', `"${paper.date}" is not a real calendar date`);
+    }
+
+    // Authors: "Given Family" strings or AUTHOR_FIELDS objects, whose
+    // affiliations index into paper.affiliations
+    if (typeOf(paper.authors) === 'array') {
+      const affiliations = typeOf(paper.affiliations) === 'array' ? paper.affiliations : [];
+      const cited = new Set();
+      paper.authors.forEach((author, j) => {
+        const where = `authors[${j}]`;
+        if (typeOf(author) === 'string') {
+          if (!author.trim()) fail(ref, where, 'must not be empty');
+          return;
+        }
+        if (typeOf(author) !== 'object') {
+          fail(ref, where, `expected string or object, got ${typeOf(author)}`);
+          return;
+        }
+        for (const [field, rule] of Object.entries(AUTHOR_FIELDS)) {
+          const value = author[field];
+          if (value === undefined || value === null) continue;
+          const problem = checkField(value, rule);
+          if (problem) fail(ref, `${where}.${field}`, problem);
+        }
+        if (author.name !== undefined && ['given', 'family', 'suffix', 'orcid'].some(f => author[f] !== undefined)) {
+          fail(ref, where, 'has a name and personal fields; use given/family for people and name only for corporate authors');
+        } else if (author.name === undefined && author.family === undefined) {
+          fail(ref, where, 'needs a family name (or a name, for a corporate author)');
+        }
+        if (typeOf(author.orcid) === 'string' && ORCID_RE.test(author.orcid) && !isValidOrcid(author.orcid)) {
+          fail(ref, `${where}.orcid`, `"${author.orcid}" is not a valid ORCID iD such as 0000-0002-1825-0097`);
+        }
+        if (typeOf(author.affiliations) === 'array') {
+          author.affiliations.forEach((n, k) => {
+            if (typeOf(n) !== 'number') return;
+            if (!Number.isInteger(n) || n < 0 || n >= affiliations.length) {
+              fail(ref, `${where}.affiliations[${k}]`, `${n} is not an index into affiliations (${affiliations.length ? `0-${affiliations.length - 1}` : 'the paper has none'})`);
+            } else {
+              cited.add(n);
+            }
+          });
+        }
+      });
+      affiliations.forEach((name, k) => {
+        if (!cited.has(k)) fail(ref, `affiliations[${k}]`, `"${name}" is not used by any author`);
+      });
+    }
+
+    // Markdown and TeX must render (unsupported commands, unsafe links, unclosed $$)
+    for (const field of ['summary', 'abstract']) {
+      if (typeOf(paper[field]) !== 'string') continue;
+      try {
+        renderMarkdown(paper[field]);
+      } catch (e) {
+        fail(ref, field, e.message);
+      }
+    }
+
+    // Version history
+    if (typeOf(paper.versions) === 'array') {
+      const seenLabels = {};
+      paper.versions.forEach((version, j) => {
+        if (typeOf(version) !== 'object') return;
+        const where = `versions[${j}]`;
+        for (const [field, rule] of Object.entries(VERSION_FIELDS)) {
+          const value = version[field];
+          if (value === undefined || value === null) {
+            if (rule.required) fail(ref, `${where}.${field}`, 'is required');
+            continue;
+          }
+          const problem = checkField(value, rule);
+          if (problem) fail(ref, `${where}.${field}`, problem);
+        }
+        if (typeOf(version.date) === 'string' && DATE_RE.test(version.date)) {
+          if (!isRealDate(version.date)) {
+            fail(ref, `${where}.date`, `"${version.date}" is not a real calendar date`);
+          } else if (typeOf(paper.date) === 'string' && version.date < paper.date) {
+            fail(ref, `${where}.date`, `${version.date} is before the paper's first publication date ${paper.date}`);
+          }
+        }
+        if (typeOf(version.version) === 'string') {
+          if (seenLabels[version.version] !== undefined) {
+            fail(ref, `${where}.version`, `"${version.version}" is already used by versions[${seenLabels[version.version]}]`);
+          } else {
+            seenLabels[version.version] = j;
+          }
+        }
+      });
+    }
+
+    // Replication materials
+    if (typeOf(paper.artifacts) === 'array') {
+      const seenUrls = {};
+      paper.artifacts.forEach((artifact, j) => {
+        if (typeOf(artifact) !== 'object') return;
+        const where = `artifacts[${j}]`;
+        for (const [field, rule] of Object.entries(ARTIFACT_FIELDS)) {
+          const value = artifact[field];
+          if (value === undefined || value === null) {
+            if (rule.required) fail(ref, `${where}.${field}`, 'is required');
+            continue;
+          }
+          const problem = checkField(value, rule);
+          if (problem) fail(ref, `${where}.${field}`, problem);
+        }
+        if (artifact.license !== undefined) fail(ref, `${where}.license`, 'is spelled "licence" here');
+        if (typeOf(artifact.type) === 'string') {
+          const problem = checkKey(artifact.type, ARTIFACT_TYPES, 'artifact type');
+          if (problem) fail(ref, `${where}.type`, problem);
+        }
+        if (typeOf(artifact.url) === 'string') {
+          if (seenUrls[artifact.url] !== undefined) {
+            fail(ref, `${where}.url`, `"${artifact.url}" is already listed by artifacts[${seenUrls[artifact.url]}]`);
+          } else {
+            seenUrls[artifact.url] = j;
+          }
+        }
+      });
+    }
+
+    // Retirement
+    if (typeOf(paper.retired) === 'object') {
+      for (const [field, rule] of Object.entries(RETIRED_FIELDS)) {
+        const value = paper.retired[field];
+        if (value === undefined || value === null) {
+          if (rule.required) fail(ref, `retired.${field}`, 'is required');
+          continue;
+        }
+        const problem = checkField(value, rule);
+        if (problem) fail(ref, `retired.${field}`, problem);
+      }
+      const by = paper.retired.replacedBy;
+      if (typeOf(by) === 'string' && WP_NUMBER_RE.test(by)) {
+        const replacement = d.papers.find(p => p && p.wpNumber === by);
+        if (!replacement) fail(ref, 'retired.replacedBy', `no paper has wpNumber "${by}"`);
+        else if (replacement === paper || replacement.retired) fail(ref, 'retired.replacedBy', `${by} is not a current paper`);
+      }
+      if (paper.featured !== undefined && paper.featured !== null) {
+        fail(ref, 'featured', 'retired papers cannot be featured');
+      }
+    }
+
+    // Curated links to other papers
+    const linked = {};
+    for (const field of Object.keys(RELATIONS)) {
+      if (typeOf(paper[field]) !== 'array') continue;
+      paper[field].forEach((wp, j) => {
+        if (typeOf(wp) !== 'string') return;
+        const where = `${field}[${j}]`;
+        if (!WP_NUMBER_RE.test(wp)) fail(ref, where, `"${wp}" is not a wpNumber (DAI-YYNN or DP-YYNN)`);
+        else if (wp === paper.wpNumber) fail(ref, where, 'links the paper to itself');
+        else if (!d.papers.some(p => p && p.wpNumber === wp)) fail(ref, where, `no paper has wpNumber "${wp}"`);
+        else if (linked[wp]) fail(ref, where, `${wp} is already linked in ${linked[wp]}`);
+        else linked[wp] = where;
+      });
+    }
+
+    // Cross-references
+    if (typeOf(paper.status) === 'string') {
+      const problem = checkKey(paper.status, d.statuses, 'status');
+      if (problem) fail(ref, 'status', problem);
+    }
+    if (typeOf(paper.program) === 'string') {
+      const problem = checkKey(paper.program, d.programs, 'programme');
+      if (problem) fail(ref, 'program', problem);
+    }
+    if (typeOf(paper.category) === 'string') {
+      const problem = checkKey(paper.category, d.categories, 'category');
+      if (problem) fail(ref, 'category', problem);
+    }
+    if (typeOf(paper.methods) === 'array') {
+      paper.methods.forEach((m, j) => {
+        if (typeOf(m) !== 'string') return;
+        const slug = slugify(m);
+        if (!slug) {
+          fail(ref, `methods[${j}]`, `"${m}" has no letters or digits to build a /methods/ URL from`);
+        } else if (seenMethods[slug] && seenMethods[slug] !== m) {
+          fail(ref, `methods[${j}]`, `"${m}" clashes with "${seenMethods[slug]}" at /methods/${slug}; use one spelling`);
+        } else {
+          seenMethods[slug] = m;
+        }
+      });
+    }
+    if (typeOf(paper.tags) === 'array') {
+      paper.tags.forEach((t, j) => {
+        if (typeOf(t) !== 'string') return;
+        const problem = checkKey(t, d.tags, 'tag');
+        if (problem) fail(ref, `tags[${j}]`, problem);
+      });
+    }
+
+    // Uniqueness
+    if (typeOf(paper.id) === 'string') {
+      if (seenIds[paper.id] !== undefined) {
+        fail(ref, 'id', `"${paper.id}" is already used by papers[${seenIds[paper.id]}]`);
+      } else {
+        seenIds[paper.id] = i;
+      }
+    }
+    if (typeOf(paper.wpNumber) === 'string') {
+      if (seenWp[paper.wpNumber] !== undefined) {
+        fail(ref, 'wpNumber', `"${paper.wpNumber}" is already used by papers[${seenWp[paper.wpNumber]}]`);
+      } else {
+        seenWp[paper.wpNumber] = i;
+      }
+    }
+    if (typeOf(paper.featured) === 'number') {
+      if (seenFeatured[paper.featured] !== undefined) {
+        fail(ref, 'featured', `position ${paper.featured} is already used by papers[${seenFeatured[paper.featured]}]`);
+      } else {
+        seenFeatured[paper.featured] = i;
+      }
+    }
+  });
+
+  return errors;
+}
+
+// Local-PDF mode: every PDF named in papers.json must be a readable file in
+// PDF_DIR. Returns records shaped like validateData()'s.
+function checkLocalPdfs() {
+  if (!PDF_DIR) return [];
+  const dir = path.relative(ROOT, PDF_DIR).startsWith('..') ? PDF_DIR : path.relative(ROOT, PDF_DIR);
+  if (!fs.existsSync(PDF_DIR) || !fs.statSync(PDF_DIR).isDirectory()) {
+    return [{ message: `the PDF directory ${dir}/ does not exist` }];
+  }
+  const errors = [];
+  data.papers.forEach((paper, i) => {
+    const ref = { index: i, id: paper.id, wpNumber: paper.wpNumber };
+    const named = [['pdf', paper.pdf], ...(paper.versions || []).map((v, j) => [`versions[${j}].pdf`, v.pdf])];
+    for (const [field, source] of named) {
+      if (!source) continue;
+      try {
+        pdfInfo(source);
+      } catch (err) {
+        const message = err.code === 'ENOENT'
+          ? `"${source}" is not in ${dir}/`
+          : `"${source}" is not a readable PDF: ${err.message}`;
+        errors.push({ paper: ref, field, message });
+      }
+    }
+  });
+  return errors;
+}
+
+// Human-readable report, grouped by paper
+function formatValidationReport(errors) {
+  const groups = new Map();
+  for (const err of errors) {
+    let heading = 'papers.json';
+    if (err.paper) {
+      heading = `papers[${err.paper.index}]`;
+      if (err.paper.id) heading += ` ${err.paper.id}`;
+      if (err.paper.wpNumber) heading += ` (${err.paper.wpNumber})`;
+    }
+    if (!groups.has(heading)) groups.set(heading, []);
+    groups.get(heading).push(err.field ? `${err.field}: ${err.message}` : err.message);
+  }
+
+  let report = `papers.json failed validation with ${errors.length} problem${errors.length !== 1 ? 's' : ''}:\n`;
+  for (const [heading, lines] of groups) {
+    report += `\n  ${heading}\n`;
+    for (const line of lines) {
+      report += `    - ${line}\n`;
+    }
+  }
+  return report;
+}
+
+// ---------------------------------------------------------------------------
+// Shared HTML fragments
+// ---------------------------------------------------------------------------
+
+// schema.org Person (or Organization, for a corporate author) for an
+// author from paperAuthors()
+function personJsonLd(author) {
+  if (author.corporate) return { '@type': 'Organization', 'name': author.name };
+  const person = { '@type': 'Person', 'name': author.name };
+  if (author.suffix) person['honorificSuffix'] = author.suffix;
+  if (author.slug) person['url'] = `${SITE_URL}${personUrl(author.slug)}`;
+  if (author.orcid) {
+    person['identifier'] = {
+      '@type': 'PropertyValue',
+      'propertyID': 'ORCID',
+      'value': author.orcid,
+    };
+    person['sameAs'] = orcidUrl(author.orcid);
+  }
+  const affiliations = author.affiliations.map(name => ({ '@type': 'Organization', 'name': name }));
+  if (affiliations.length) person['affiliation'] = affiliations.length === 1 ? affiliations[0] : affiliations;
+  return person;
+}
+
+// Dublin Core elements for a paper as [element, value] pairs, in DCMES order.
+// Shared by the page <meta name="DC.*"> tags and the OAI-PMH oai_dc records.
+function dublinCore(paper) {
+  const dc = [['title', paper.title]];
+  for (const name of authorNames(paper)) dc.push(['creator', name]);
+  for (const tag of paper.tags) dc.push(['subject', tags[tag] || tag]);
+  if (paper.abstract) dc.push(['description', abstractText(paper)]);
+  if (paper.summary) dc.push(['description', summaryText(paper)]);
+  dc.push(['publisher', PUBLISHER]);
+  dc.push(['date', formatDateISO(paper.date)]);
+  dc.push(['type', 'Text']);
+  dc.push(['format', 'text/html']);
+  if (currentDoi(paper)) dc.push(['identifier', `doi:${currentDoi(paper)}`]);
+  dc.push(['identifier', `${SITE_URL}${paperUrl(paper)}`]);
+  dc.push(['language', 'en']);
+  return dc;
+}
+
+// Author names for a paper page, linked to profiles where one exists, with
+// superscript numbers into the paper's own affiliations list (if it has one)
+function authorLinksHtml(paper) {
+  return paperAuthors(paper)
+    .map((a, i) => {
+      const name = a.slug ? `<a href="${personUrl(a.slug)}">${escapeHtml(a.name)}</a>` : escapeHtml(a.name);
+      const marks = (typeof paper.authors[i] === 'object' && paper.authors[i].affiliations) || [];
+      return marks.length ? `${name}<sup>${marks.map(n => n + 1).join(',')}</sup>` : name;
+    })
+    .join(', ');
+}
+
+// The numbered affiliations under the authors of a paper page
+function affiliationsHtml(paper) {
+  if (!paper.affiliations || !paper.affiliations.length) return '';
+  return `\n      <ol class="paper-detail__affiliations">${paper.affiliations.map(a => `<li>${escapeHtml(a)}</li>`).join('')}</ol>`;
+}
+
+function getHeadHtml(meta) {
+  const title = meta.title ? `${escapeHtml(meta.title)} | ${SITE_TITLE}` : `${SITE_TITLE} — ${escapeHtml(SITE_DESCRIPTION)}`;
+  const description = meta.description || SITE_DESCRIPTION;
+  const canonicalUrl = meta.canonicalUrl || SITE_URL;
+  const ogType = meta.ogType || 'website';
+  const ogImage = meta.ogImage || `${SITE_URL}/assets/og-default.png`;
+
+  let head = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <meta name="description" content="${escapeHtml(description)}">
+
+  <!-- Fonts -->
+  <link rel="preconnect" href="https://fonts.googleapis.com">
+  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+  <link href="https://fonts.googleapis.com/css2?family=Crimson+Text:ital,wght@0,400;0,600;0,700;1,400;1,600&family=Inter:wght@300;400;500;600;700&family=JetBrains+Mono:wght@400;500;600&display=swap" rel="stylesheet">
+
+  <!-- CSS -->
+  <link rel="stylesheet" href="/css/ascri.css?v=${CSS_HASH}">
+  <script>(function(){var t=localStorage.getItem('ascri-theme')||(matchMedia('(prefers-color-scheme:dark)').matches?'dark':'light');document.documentElement.setAttribute('data-theme',t)})()</script>
+
+  <!-- Canonical -->
+  <link rel="canonical" href="${escapeHtml(canonicalUrl)}">
+
+  <!-- Feeds -->
+${[siteFeed(), ...(meta.feeds || [])].map(feedAlternateLinks).join('')}
+  <!-- Open Graph -->
+  <meta property="og:type" content="${ogType}">
+  <meta property="og:title" content="${escapeHtml(meta.title || SITE_TITLE)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:url" content="${escapeHtml(canonicalUrl)}">
+  <meta property="og:site_name" content="${SITE_TITLE}">
+  <meta property="og:image" content="${escapeHtml(ogImage)}">
+  <meta property="og:image:width" content="1200">
+  <meta property="og:image:height" content="630">
+  <meta property="og:image:alt" content="${escapeHtml(meta.ogImageAlt || meta.title || SITE_TITLE)}">
+
+  <!-- Twitter -->
+  <meta name="twitter:card" content="summary_large_image">
+  <meta name="twitter:title" content="${escapeHtml(meta.title || SITE_TITLE)}">
+  <meta name="twitter:description" content="${escapeHtml(description)}">
+  <meta name="twitter:image" content="${escapeHtml(ogImage)}">
+`;
+
+  // Scholar metadata (paper pages only)
+  if (meta.paper) {
+    const paper = meta.paper;
+    head += `
+  <!-- Highwire Press / Google Scholar -->
+  <meta name="citation_title" content="${escapeHtml(paper.title)}">
+`;
+    // Each author's institutions and ORCID follow their citation_author
+    for (const author of paperAuthors(paper)) {
+      head += `  <meta name="citation_author" content="${escapeHtml(highwireName(author))}">\n`;
+      for (const institution of author.affiliations) {
+        head += `  <meta name="citation_author_institution" content="${escapeHtml(institution)}">\n`;
+      }
+      if (author.orcid) {
+        head += `  <meta name="citation_author_orcid" content="${escapeHtml(orcidUrl(author.orcid))}">\n`;
+      }
+    }
+    head += `  <meta name="citation_publication_date" content="${formatDateSlash(paper.date)}">
+  <meta name="citation_publisher" content="${PUBLISHER}">
+  <meta name="citation_abstract_html_url" content="${SITE_URL}${paperUrl(paper)}">
+`;
+    if (currentPdf(paper)) {
+      head += `  <meta name="citation_pdf_url" content="${escapeHtml(pdfUrl(paper))}">\n`;
+    }
+    if (currentDoi(paper)) {
+      head += `  <meta name="citation_doi" content="${escapeHtml(currentDoi(paper))}">\n`;
+    }
+    if (latestVersion(paper)) {
+      head += `  <meta name="citation_online_date" content="${formatDateSlash(lastRevised(paper))}">\n`;
+    }
+    if (paper.journal) {
+      head += `  <meta name="citation_journal_title" content="${escapeHtml(paper.journal)}">\n`;
+    }
+    if (paper.wpNumber) {
+      head += `  <meta name="citation_technical_report_number" content="${paper.wpNumber}">\n`;
+    }
+    // The reference list parsed from the full text, one entry per tag
+    for (const ref of paperReferences(paper)) {
+      head += `  <meta name="citation_reference" content="${escapeHtml(ref.text)}">\n`;
+    }
+
+    // Dublin Core
+    head += `\n  <!-- Dublin Core -->\n`;
+    for (const [element, value] of dublinCore(paper)) {
+      const content = element === 'description' ? truncateAbstract(value, 300) : value;
+      head += `  <meta name="DC.${element}" content="${escapeHtml(content)}">\n`;
+    }
+
+    // JSON-LD ScholarlyArticle
+    const jsonLd = {
+      '@context': 'https://schema.org',
+      '@type': 'ScholarlyArticle',
+      'name': paper.title,
+      'headline': paper.title,
+      'author': paperAuthors(paper).map(personJsonLd),
+      'datePublished': paper.date,
+      'publisher': {
+        '@type': 'Organization',
+        'name': PUBLISHER,
+      },
+      'url': `${SITE_URL}${paperUrl(paper)}`,
+      'abstract': abstractText(paper),
+    };
+    if (paper.summary) {
+      jsonLd['description'] = summaryText(paper);
+    }
+    if (latestVersion(paper)) {
+      jsonLd['version'] = latestVersion(paper).version;
+      jsonLd['dateModified'] = lastRevised(paper);
+    }
+    if (currentDoi(paper)) {
+      jsonLd['identifier'] = {
+        '@type': 'PropertyValue',
+        'propertyID': 'doi',
+        'value': currentDoi(paper),
+      };
+      jsonLd['sameAs'] = doiUrl(paper);
+    }
+    if (paper.retired) {
+      jsonLd['creativeWorkStatus'] = 'Withdrawn';
+    }
+    for (const artifact of paperArtifacts(paper)) {
+      const relation = ARTIFACT_TYPES[artifact.type].relation;
+      jsonLd[relation] = [...(jsonLd[relation] || []), artifactJsonLd(artifact)];
+    }
+    const references = paperReferences(paper);
+    if (references.length) {
+      jsonLd['citation'] = references.map(referenceJsonLd);
+    }
+    if (currentPdf(paper)) {
+      jsonLd['encoding'] = {
+        '@type': 'MediaObject',
+        'contentUrl': pdfUrl(paper),
+        'encodingFormat': 'application/pdf',
+      };
+      const pdf = currentPdfInfo(paper);
+      if (pdf) {
+        jsonLd['encoding']['contentSize'] = formatBytes(pdf.bytes);
+        jsonLd['encoding']['sha256'] = pdf.sha256;
+      }
+    }
+
+    head += `
+  <!-- JSON-LD -->
+  <script type="application/ld+json">
+${scriptJson(jsonLd)}
+  </script>
+`;
+  }
+
+  // Page-specific JSON-LD (non-paper pages)
+  if (meta.jsonLd) {
+    head += `
+  <!-- JSON-LD -->
+  <script type="application/ld+json">
+${scriptJson(meta.jsonLd)}
+  </script>
+`;
+  }
+
+  head += `</head>`;
+  return head;
+}
+
+function getNavHtml(activePage) {
+  const links = [
     { href: '/framework', label: 'Framework', key: 'framework' },
     { href: '/programmes/', label: 'Programmes', key: 'programmes' },
     { href: '/papers/', label: 'Papers', key: 'papers' },
@@ -375,592 +1888,3338 @@ function getNavHtml(activePage) {
     { href: '/about', label: 'About', key: 'about' },
   ];
 
-  const linksHtml = links
-    .map(l => {
-      const activeClass = l.key === activePage ? ' site-nav__link--active' : '';
-      return `<a href="${l.href}" class="site-nav__link${activeClass}">${l.label}</a>`;
-    })
-    .join('\n        ');
+  const linksHtml = links
+    .map(l => {
+      const activeClass = l.key === activePage ? ' site-nav__link--active' : '';
+      return `<a href="${l.href}" class="site-nav__link${activeClass}">${l.label}</a>`;
+    })
+    .join('\n        ');
+
+  return `<nav class="site-nav" role="navigation" aria-label="Main navigation">
+    <div class="site-nav__inner">
+      <a href="/" class="site-nav__brand">${SITE_TITLE}</a>
+      <div style="display:flex;align-items:center;">
+        <div class="site-nav__links">
+          ${linksHtml}
+        </div>
+        <button class="theme-toggle" onclick="toggleTheme()" aria-label="Toggle theme">
+          <svg class="icon-moon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/></svg>
+          <svg class="icon-sun" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"/><line x1="12" y1="1" x2="12" y2="3"/><line x1="12" y1="21" x2="12" y2="23"/><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"/><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"/><line x1="1" y1="12" x2="3" y2="12"/><line x1="21" y1="12" x2="23" y2="12"/><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"/><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"/></svg>
+        </button>
+        <button class="site-nav__toggle" aria-label="Toggle menu" onclick="document.querySelector('.site-nav__links').classList.toggle('is-open')">
+          <span></span><span></span><span></span>
+        </button>
+      </div>
+    </div>
+  </nav>`;
+}
+
+// One entry of a materials list: type, linked title, then licence, DOI and
+// size. `paper` adds a link to the paper (for the /materials index).
+function artifactItemHtml(artifact, paper = null) {
+  const meta = [];
+  if (artifact.licence) {
+    meta.push(`Licence: <a href="${escapeHtml(licenceUrl(artifact.licence))}" target="_blank" rel="noopener">${escapeHtml(artifact.licence)}</a>`);
+  }
+  if (artifact.doi) {
+    meta.push(`DOI: <a href="${escapeHtml(artifactDoiUrl(artifact))}" target="_blank" rel="noopener">${escapeHtml(artifact.doi)}</a>`);
+  }
+  if (artifact.size) meta.push(escapeHtml(artifact.size));
+  const paperHtml = paper
+    ? `\n            <p class="materials-list__paper"><a href="${paperUrl(paper)}">${escapeHtml(paper.title)}</a> <span class="paper-detail__date">${paper.wpNumber}</span></p>`
+    : '';
+  const descriptionHtml = artifact.description
+    ? `\n            <p class="materials-list__description">${escapeHtml(artifact.description)}</p>`
+    : '';
+  const metaHtml = meta.length ? `\n            <p class="materials-list__meta">${meta.join(' &middot; ')}</p>` : '';
+  return `
+          <li class="materials-list__item">
+            <span class="materials-list__type">${escapeHtml(ARTIFACT_TYPES[artifact.type].label)}</span>
+            <a href="${escapeHtml(artifact.url)}" class="materials-list__title" target="_blank" rel="noopener">${escapeHtml(artifact.title)}</a>${paperHtml}${descriptionHtml}${metaHtml}
+          </li>`;
+}
+
+// Paper card used in listings. `opts.abstract` adds the summary, or a short
+// excerpt of the abstract when there is none; `opts.relation` labels a
+// curated link (e.g. "Supersedes") on a paper page.
+function paperCardHtml(paper, opts = {}) {
+  const subtitleHtml = paper.subtitle
+    ? `\n          <p class="paper-card__subtitle">${escapeHtml(paper.subtitle)}</p>`
+    : '';
+  const excerpt = summaryText(paper) || truncateAbstract(abstractText(paper), 240);
+  const abstractHtml = opts.abstract && excerpt
+    ? `\n          <p class="paper-card__abstract">${escapeHtml(excerpt.replace(/\s+/g, ' '))}</p>`
+    : '';
+  return `
+        <a href="${paperUrl(paper)}" class="paper-card">
+          <div class="paper-card__meta">${opts.relation ? `
+            <span class="paper-card__relation">${escapeHtml(opts.relation)}</span>` : ''}
+            <span class="paper-card__date">${formatDate(paper.date)}</span>
+            <span class="status ${statusClass(paper.status)}">${escapeHtml(statusLabel(paper.status))}</span>
+          </div>
+          <h3 class="paper-card__title">${escapeHtml(paper.title)}</h3>${subtitleHtml}
+          <p class="paper-card__authors">${escapeHtml(authorNames(paper).join(', '))}</p>${abstractHtml}
+        </a>`;
+}
+
+function getFooterHtml() {
+  return `<footer class="site-footer">
+    <div class="container container--wide">
+      <div class="site-footer__inner">
+        <div>
+          <div class="site-footer__brand">${SITE_TITLE}</div>
+          <div class="site-footer__copy">&copy; 2026 ${PUBLISHER} &middot; Operated by ${OPERATOR}</div>
+        </div>
+        <div class="site-footer__links">
+          <a href="/framework">Framework</a>
+          <a href="/programmes/">Programmes</a>
+          <a href="/papers/">Papers</a>
+          <a href="/people">People</a>
+          <a href="/materials">Materials</a>
+          <a href="/stats">Stats</a>
+          <a href="/about">About</a>
+          <a href="/contact">Contact</a>
+          <a href="/feed.xml">RSS</a>
+        </div>
+      </div>
+    </div>
+  </footer>`;
+}
+
+function getThemeScript() {
+  return `<script>
+(function(){var t=localStorage.getItem('ascri-theme')||(matchMedia('(prefers-color-scheme:dark)').matches?'dark':'light');document.documentElement.setAttribute('data-theme',t)})();
+function toggleTheme(){var h=document.documentElement,t=h.getAttribute('data-theme')==='dark'?'light':'dark';h.setAttribute('data-theme',t);localStorage.setItem('ascri-theme',t)}
+</script>`;
+}
+
+// Tab switching and copy for the citation formats on paper pages
+function getCiteSwitcherScript() {
+  return `<script>
+(function(){
+  var root=document.querySelector('[data-cite]');if(!root)return;
+  var tabs=[].slice.call(root.querySelectorAll('[role=tab]'));
+  tabs.forEach(function(tab){tab.addEventListener('click',function(){
+    tabs.forEach(function(t){var on=t===tab;t.classList.toggle('is-active',on);t.setAttribute('aria-selected',on);document.getElementById(t.getAttribute('aria-controls')).hidden=!on;});
+  });});
+  var copy=root.querySelector('[data-cite-copy]');
+  copy.addEventListener('click',function(){
+    var panel=root.querySelector('.cite-panel:not([hidden])');
+    navigator.clipboard.writeText(panel.textContent.trim()).then(function(){copy.textContent='Copied';setTimeout(function(){copy.textContent='Copy';},2000);});
+  });
+})();
+</script>`;
+}
+
+function wrapPage(headHtml, navHtml, bodyContent, footerHtml) {
+  return `${headHtml}
+<body class="has-nav">
+  ${navHtml}
+  ${bodyContent}
+  ${footerHtml}
+  ${getThemeScript()}
+</body>
+</html>`;
+}
+
+// ---------------------------------------------------------------------------
+// Page generators
+// ---------------------------------------------------------------------------
+
+function buildPaperPage(paper) {
+  const headHtml = getHeadHtml({
+    title: paper.title,
+    description: truncateAbstract((summaryText(paper) || abstractText(paper)).replace(/\s+/g, ' '), 200),
+    canonicalUrl: `${SITE_URL}${paperUrl(paper)}`,
+    ogType: 'article',
+    ogImage: `${SITE_URL}${ogImageUrl(paper)}`,
+    ogImageAlt: `${paper.title} — ${SITE_TITLE} ${paperTypeLabel(paper)} ${paper.wpNumber}`,
+    paper: paper,
+  });
+
+  const navHtml = getNavHtml('papers');
+
+  // Meta row: date, status, programme
+  const wpBadge = paper.wpNumber
+    ? `<span class="paper-detail__date">${paper.wpNumber}</span>`
+    : '';
+  const metaHtml = `
+      <div class="paper-detail__meta">
+        ${wpBadge}
+        <span class="paper-detail__date">${formatDate(paper.date)}</span>
+        <span class="status ${statusClass(paper.status)}">${escapeHtml(statusLabel(paper.status))}</span>
+        <a href="${programmeUrl(paper.program)}" class="paper-detail__programme">Programme ${escapeHtml(programIndex(paper.program))}: ${escapeHtml(programTitle(paper.program))}</a>
+      </div>`;
+
+  // Title block
+  let titleBlock = `<h1 class="paper-detail__title">${escapeHtml(paper.title)}</h1>`;
+  if (paper.subtitle) {
+    titleBlock += `\n      <p class="paper-detail__subtitle">${escapeHtml(paper.subtitle)}</p>`;
+  }
+  titleBlock += `\n      <p class="paper-detail__authors">${authorLinksHtml(paper)}</p>${affiliationsHtml(paper)}`;
+
+  // Journal info (if under peer review)
+  if (paper.journal) {
+    titleBlock += `\n      <p style="font-family: var(--font-mono); font-size: 0.8125rem; color: var(--text-muted); margin-top: 0.5rem;">Submitted to: ${escapeHtml(paper.journal)}</p>`;
+  }
+
+  // Action buttons
+  const actions = [];
+  const pdf = currentPdfInfo(paper);
+  if (currentPdf(paper)) {
+    const details = pdf ? ` <span class="btn__meta">${pdf.pages} page${pdf.pages !== 1 ? 's' : ''} &middot; ${formatBytes(pdf.bytes)}</span>` : '';
+    actions.push(`<a href="${escapeHtml(pdfUrl(paper))}" class="btn btn--primary" target="_blank" rel="noopener">Download PDF${details}</a>`);
+  }
+  if (currentDoi(paper)) {
+    actions.push(`<a href="${escapeHtml(doiUrl(paper))}" class="btn" target="_blank" rel="noopener">DOI: ${escapeHtml(currentDoi(paper))}</a>`);
+  }
+  if (paper.arxiv) {
+    actions.push(`<a href="https://arxiv.org/abs/${escapeHtml(paper.arxiv)}" class="btn" target="_blank" rel="noopener">arXiv: ${escapeHtml(paper.arxiv)}</a>`);
+  }
+  if (paper.github) {
+    actions.push(`<a href="${escapeHtml(paper.github)}" class="btn" target="_blank" rel="noopener">GitHub</a>`);
+  }
+  if (paper.dashboard) {
+    actions.push(`<a href="${escapeHtml(paper.dashboard)}" class="btn" target="_blank" rel="noopener">Dashboard</a>`);
+  }
+
+  const checksumHtml = pdf
+    ? `\n        <p class="paper-detail__checksum">PDF SHA-256: <code>${pdf.sha256}</code></p>`
+    : '';
+  const actionsHtml = actions.length
+    ? `\n      <div class="paper-detail__actions">\n        ${actions.join('\n        ')}${checksumHtml}\n      </div>`
+    : '';
+
+  // Summary and abstract (Markdown with TeX, see lib/markdown.js)
+  const summaryHtml = paper.summary
+    ? `
+      <div class="paper-detail__section">
+        <h2 class="paper-detail__section-title">Summary</h2>
+        <div class="paper-detail__abstract">
+          ${renderMarkdown(paper.summary)}
+        </div>
+      </div>`
+    : '';
+  const abstractHtml = paper.abstract
+    ? `
+      <div class="paper-detail__section">
+        <h2 class="paper-detail__section-title">Abstract</h2>
+        <div class="paper-detail__abstract">
+          ${renderMarkdown(paper.abstract)}
+        </div>
+      </div>`
+    : '';
+
+  // Replication & Materials
+  let materialsHtml = '';
+  const artifacts = paperArtifacts(paper);
+  if (artifacts.length) {
+    materialsHtml = `
+      <div class="paper-detail__section" id="materials">
+        <h2 class="paper-detail__section-title">Replication &amp; Materials</h2>
+        <ul class="materials-list">${artifacts.map(a => artifactItemHtml(a)).join('')}
+        </ul>
+      </div>`;
+  }
+
+  // References parsed from the full text; DOIs link to their resolver
+  let referencesHtml = '';
+  const references = paperReferences(paper);
+  if (references.length) {
+    const itemsHtml = references
+      .map(ref => {
+        const text = escapeHtml(ref.text);
+        const linked = ref.doi
+          ? text.replace(escapeHtml(ref.doi), () => `<a href="${escapeHtml(referenceDoiUrl(ref))}" target="_blank" rel="noopener">${escapeHtml(ref.doi)}</a>`)
+          : text;
+        return `\n          <li class="reference-list__item">${linked}</li>`;
+      })
+      .join('');
+    referencesHtml = `
+      <div class="paper-detail__section" id="references">
+        <details class="references">
+          <summary class="references__summary"><h2 class="paper-detail__section-title">References <span class="references__count">(${references.length})</span></h2></summary>
+          <ol class="reference-list">${itemsHtml}
+          </ol>
+        </details>
+      </div>`;
+  }
+
+  // Version history, newest first
+  let versionsHtml = '';
+  const versions = paperVersions(paper);
+  if (versions.length) {
+    const itemsHtml = versions
+      .slice()
+      .reverse()
+      .map((v, i) => {
+        const links = [];
+        if (v.pdf) {
+          links.push(`<a href="${escapeHtml(versionPdfUrl(paper, v))}" target="_blank" rel="noopener">PDF</a>`);
+        }
+        if (v.doi) {
+          links.push(`<a href="https://doi.org/${escapeHtml(v.doi)}" target="_blank" rel="noopener">DOI: ${escapeHtml(v.doi)}</a>`);
+        }
+        const current = i === 0 ? ' <span class="status status--published">Current</span>' : '';
+        const noteHtml = v.note ? `\n            <p class="version-list__note">${escapeHtml(v.note)}</p>` : '';
+        const linksHtml = links.length ? `\n            <div class="version-list__links">${links.join(' ')}</div>` : '';
+        return `
+          <li class="version-list__item" id="${versionSlug(v)}">
+            <div class="version-list__meta"><span class="version-list__label">${escapeHtml(v.version)}</span> <span class="paper-detail__date">${formatDate(v.date)}</span>${current}</div>${noteHtml}${linksHtml}
+          </li>`;
+      })
+      .join('');
+    versionsHtml = `
+      <div class="paper-detail__section">
+        <h2 class="paper-detail__section-title">Version History</h2>
+        <ol class="version-list">${itemsHtml}
+        </ol>
+      </div>`;
+  }
+
+  // Citation
+  const citationHtml = `
+      <div class="paper-detail__section">
+        <h2 class="paper-detail__section-title">Suggested Citation</h2>
+        <div class="citation-block">
+          ${suggestedCitation(paper)}
+        </div>
+      </div>`;
+
+  // Citation formats: rendered styles plus copyable export formats
+  const formats = [
+    { key: 'apa', label: 'APA', html: apaCitation(paper, HTML_TEXT) },
+    { key: 'chicago', label: 'Chicago', html: chicagoCitation(paper, HTML_TEXT) },
+    { key: 'mla', label: 'MLA', html: mlaCitation(paper, HTML_TEXT) },
+    ...CITATION_FILES.map(f => ({ key: f.key, label: f.label, code: f.render(paper) })),
+  ];
+  const tabsHtml = formats
+    .map((f, i) => `<button type="button" class="cite-formats__tab${i === 0 ? ' is-active' : ''}" role="tab" aria-selected="${i === 0}" aria-controls="cite-${paper.id}-${f.key}">${f.label}</button>`)
+    .join('\n          ');
+  const panelsHtml = formats
+    .map((f, i) => {
+      const hidden = i === 0 ? '' : ' hidden';
+      return f.code
+        ? `<pre class="citation-block cite-panel" id="cite-${paper.id}-${f.key}" role="tabpanel"${hidden} style="white-space: pre-wrap; font-size: 0.75rem;">${escapeHtml(f.code)}</pre>`
+        : `<div class="citation-block cite-panel" id="cite-${paper.id}-${f.key}" role="tabpanel"${hidden}>${f.html}</div>`;
+    })
+    .join('\n          ');
+  const downloadsHtml = CITATION_FILES
+    .map(f => `<a href="${citationFileUrl(paper, f.ext)}" download>${f.label} (.${f.ext})</a>`)
+    .join('\n          ');
+  const citeFormatsHtml = `
+      <div class="paper-detail__section cite-formats" data-cite>
+        <h2 class="paper-detail__section-title">Cite This Paper</h2>
+        <div class="cite-formats__tabs" role="tablist">
+          ${tabsHtml}
+        </div>
+        <div style="position: relative;">
+          ${panelsHtml}
+          <button class="btn btn--small" style="position: absolute; top: 0.5rem; right: 0.5rem;" data-cite-copy>Copy</button>
+        </div>
+        <div class="cite-formats__downloads">
+          ${downloadsHtml}
+        </div>
+      </div>
+  ${getCiteSwitcherScript()}`;
+
+  // Tags
+  let tagsHtml = '';
+  if (paper.tags && paper.tags.length) {
+    const tagPills = paper.tags
+      .map(t => `<a href="${tagUrl(t)}" class="tag">${escapeHtml(tags[t] || t)}</a>`)
+      .join('\n          ');
+    tagsHtml = `
+      <div class="paper-detail__section">
+        <h2 class="paper-detail__section-title">Tags</h2>
+        <div class="tag-list">
+          ${tagPills}
+        </div>
+      </div>`;
+  }
+
+  // Methods
+  let methodsHtml = '';
+  if (paper.methods && paper.methods.length) {
+    const methodPills = paper.methods
+      .map(m => `<a href="${methodUrl(m)}" class="tag tag--method">${escapeHtml(m)}</a>`)
+      .join('\n          ');
+    methodsHtml = `
+      <div class="paper-detail__section">
+        <h2 class="paper-detail__section-title">Methodology</h2>
+        <div class="tag-list">
+          ${methodPills}
+        </div>
+      </div>`;
+  }
+
+  // Related papers: curated links first, then computed recommendations
+  let relatedHtml = '';
+  const related = relatedPapers(paper);
+  if (related.length) {
+    relatedHtml = `
+      <div class="paper-detail__section">
+        <h2 class="paper-detail__section-title">Related Papers</h2>
+        <div class="featured-papers">
+${related.map(r => paperCardHtml(r.paper, { relation: r.label })).join('')}
+        </div>
+      </div>`;
+  }
+
+  const bodyContent = `
+  <main class="paper-detail">
+    <div class="container">
+      <a href="/papers/" class="paper-detail__back">&larr; All Papers</a>
+
+      <div class="paper-detail__header">
+${metaHtml}
+${titleBlock}
+      </div>
+${actionsHtml}
+${summaryHtml}
+${abstractHtml}
+${methodsHtml}
+${materialsHtml}
+${referencesHtml}
+${versionsHtml}
+${citationHtml}
+${citeFormatsHtml}
+${tagsHtml}
+${relatedHtml}
+    </div>
+  </main>`;
+
+  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
+}
+
+// Retired (withdrawn) papers keep their URL: it serves a withdrawal notice
+// with the full citation metadata, so the identifier stays citable and
+// links in the wild still land on the paper's record
+function buildTombstonePage(paper) {
+  const { retired } = paper;
+  const replacement = retired.replacedBy ? papers.find(p => p.wpNumber === retired.replacedBy) : null;
+  const headHtml = getHeadHtml({
+    title: `Withdrawn: ${paper.title}`,
+    description: `${SITE_TITLE} ${paperTypeLabel(paper)} ${paper.wpNumber} was withdrawn on ${formatDate(retired.date)}. ${retired.reason}`,
+    canonicalUrl: `${SITE_URL}${paperUrl(paper)}`,
+    ogType: 'article',
+    paper: paper,
+  });
+
+  const replacementHtml = replacement
+    ? `
+        <p>It has been replaced by <a href="${paperUrl(replacement)}">${escapeHtml(replacement.title)}</a> (${replacement.wpNumber}).</p>`
+    : '';
+  const downloadsHtml = CITATION_FILES
+    .map(f => `<a href="${citationFileUrl(paper, f.ext)}" download>${f.label} (.${f.ext})</a>`)
+    .join('\n          ');
+
+  const bodyContent = `
+  <main class="paper-detail">
+    <div class="container">
+      <a href="/papers/" class="paper-detail__back">&larr; All Papers</a>
+
+      <div class="paper-detail__header">
+      <div class="paper-detail__meta">
+        <span class="paper-detail__date">${paper.wpNumber}</span>
+        <span class="paper-detail__date">${formatDate(paper.date)}</span>
+        <span class="status">Withdrawn ${formatDate(retired.date)}</span>
+      </div>
+      <h1 class="paper-detail__title">${escapeHtml(paper.title)}</h1>
+      <p class="paper-detail__authors">${authorLinksHtml(paper)}</p>${affiliationsHtml(paper)}
+      </div>
+
+      <div class="paper-detail__section">
+        <h2 class="paper-detail__section-title">This Paper Has Been Withdrawn</h2>
+        <p>${escapeHtml(retired.reason)}</p>${replacementHtml}
+        <p>This page is kept so that existing citations of ${paper.wpNumber} still resolve.</p>
+      </div>
+
+      <div class="paper-detail__section">
+        <h2 class="paper-detail__section-title">Citation</h2>
+        <div class="citation-block">
+          ${suggestedCitation(paper)}
+        </div>
+        <div class="cite-formats__downloads">
+          ${downloadsHtml}
+        </div>
+      </div>
+    </div>
+  </main>`;
+
+  return wrapPage(headHtml, getNavHtml('papers'), bodyContent, getFooterHtml());
+}
+
+// Facet options for the Papers page: [value, label, count] in display order
+function paperFacets() {
+  const count = (list) => {
+    const counts = {};
+    for (const v of list) counts[v] = (counts[v] || 0) + 1;
+    return counts;
+  };
+  const tagCounts = count(papers.flatMap(p => p.tags));
+  const statusCounts = count(papers.map(p => p.status));
+  const programCounts = paperCountByProgramme();
+  const yearCounts = count(papers.map(p => p.date.substring(0, 4)));
+  const methodCounts = count(papers.flatMap(p => p.methods || []));
+
+  return {
+    tag: Object.keys(tagCounts)
+      .map(k => [k, tags[k] || k, tagCounts[k]])
+      .sort((a, b) => a[1].localeCompare(b[1])),
+    status: Object.keys(statuses)
+      .filter(k => statusCounts[k])
+      .map(k => [k, statuses[k], statusCounts[k]]),
+    programme: Object.keys(programs)
+      .filter(k => programCounts[k])
+      .map(k => [k, `${programs[k].index}. ${programs[k].title}`, programCounts[k]]),
+    year: Object.keys(yearCounts)
+      .sort((a, b) => b.localeCompare(a))
+      .map(y => [y, y, yearCounts[y]]),
+    method: Object.keys(methodCounts)
+      .sort((a, b) => a.localeCompare(b))
+      .map(m => [m, m, methodCounts[m]]),
+  };
+}
+
+// Client-side search and filtering for the Papers page. Progressive
+// enhancement: the form stays hidden and the full list is shown without JS.
+function getPapersSearchScript() {
+  return `<script>
+(function(){
+  var form=document.getElementById('paper-search');
+  if(!form||!window.fetch||!window.URLSearchParams||!window.history.replaceState)return;
+  var results=document.getElementById('paper-results');
+  var countEl=document.getElementById('paper-search-count');
+  var cards=[].slice.call(results.querySelectorAll('.paper-card'));
+  var sections=[].slice.call(results.querySelectorAll('section'));
+  var facets=['tag','status','programme','year','method'];
+  var byUrl={};
+  function norm(s){return String(s||'').toLowerCase().normalize('NFD').replace(/[\\u0300-\\u036f]/g,'');}
+  function readUrl(){
+    var params=new URLSearchParams(location.search);
+    form.elements.q.value=params.get('q')||'';
+    facets.forEach(function(f){var v=params.get(f)||'',el=form.elements[f];el.value=v;if(el.value!==v)el.value='';});
+  }
+  function apply(){
+    var terms=norm(form.elements.q.value).split(/\\s+/).filter(Boolean);
+    var sel={};facets.forEach(function(f){sel[f]=form.elements[f].value;});
+    var shown=0;
+    cards.forEach(function(card){
+      var e=byUrl[card.getAttribute('href')],ok=!!e;
+      if(ok&&sel.tag)ok=e.tags.indexOf(sel.tag)!==-1;
+      if(ok&&sel.status)ok=e.status===sel.status;
+      if(ok&&sel.programme)ok=e.programme===sel.programme;
+      if(ok&&sel.year)ok=e.year===sel.year;
+      if(ok&&sel.method)ok=e.methods.indexOf(sel.method)!==-1;
+      for(var i=0;ok&&i<terms.length;i++)ok=e.text.indexOf(terms[i])!==-1;
+      card.hidden=!ok;if(ok)shown++;
+    });
+    sections.forEach(function(s){s.hidden=!s.querySelector('.paper-card:not([hidden])');});
+    var active=terms.length||facets.some(function(f){return sel[f];});
+    countEl.textContent=active?shown+' of '+cards.length+' papers':'';
+    var params=new URLSearchParams();
+    if(form.elements.q.value.trim())params.set('q',form.elements.q.value.trim());
+    facets.forEach(function(f){if(sel[f])params.set(f,sel[f]);});
+    var qs=params.toString();
+    history.replaceState(null,'',location.pathname+(qs?'?'+qs:''));
+  }
+  fetch('/papers/search-index.json').then(function(r){return r.json();}).then(function(index){
+    index.papers.forEach(function(e){
+      e.text=norm([e.wpNumber,e.title,e.subtitle,e.authors.join(' '),e.abstract,e.methods.join(' '),e.tags.map(function(t){return index.tags[t]||t;}).join(' '),e.fulltext||''].join(' '));
+      byUrl[e.url]=e;
+    });
+    form.hidden=false;
+    readUrl();apply();
+    form.addEventListener('input',apply);
+    form.addEventListener('change',apply);
+    form.addEventListener('submit',function(ev){ev.preventDefault();apply();});
+    form.addEventListener('reset',function(){setTimeout(apply,0);});
+    window.addEventListener('popstate',function(){readUrl();apply();});
+  });
+})();
+</script>`;
+}
+
+function buildPapersIndexPage() {
+  const headHtml = getHeadHtml({
+    title: 'Papers',
+    description: 'Research papers from the Adversarial Systems & Complexity Research Initiative.',
+    canonicalUrl: `${SITE_URL}/papers/`,
+  });
+
+  const navHtml = getNavHtml('papers');
+
+  const grouped = groupByProgramme(papers);
+  let sectionsHtml = '';
+
+  for (const [programKey, programPapers] of Object.entries(grouped)) {
+    if (programPapers.length === 0) continue;
+
+    const prog = programs[programKey];
+    if (!prog) continue;
+
+    const cardsHtml = programPapers.map(p => paperCardHtml(p)).join('');
+
+    sectionsHtml += `
+      <section>
+        <span class="section-label">Programme ${escapeHtml(prog.index)}</span>
+        <h2 class="section-title">${escapeHtml(prog.title)}</h2>
+        <div class="featured-papers">
+${cardsHtml}
+        </div>
+      </section>`;
+  }
+
+  const facets = paperFacets();
+  const facetLabels = { tag: 'All tags', status: 'All statuses', programme: 'All programmes', year: 'All years', method: 'All methods' };
+  const selectsHtml = Object.entries(facets)
+    .map(([name, options]) => {
+      const optionsHtml = options
+        .map(([value, label, count]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)} (${count})</option>`)
+        .join('');
+      return `<select name="${name}" aria-label="Filter by ${name}"><option value="">${facetLabels[name]}</option>${optionsHtml}</select>`;
+    })
+    .join('\n          ');
+
+  const bodyContent = `
+  <main>
+    <div class="container">
+      <section class="hero" style="border-bottom: none; padding-bottom: 2rem;">
+        <span class="hero__label">Research Output</span>
+        <h1 class="hero__title">Papers</h1>
+        <p class="hero__subtitle">${papers.length} papers across ${Object.keys(programs).length} research programmes.</p>
+      </section>
+
+      <form id="paper-search" class="paper-search" role="search" hidden>
+        <input type="search" name="q" class="paper-search__input" placeholder="Search titles, abstracts, authors, methods, WP numbers" aria-label="Search papers">
+        <div class="paper-search__facets">
+          ${selectsHtml}
+          <button type="reset" class="btn btn--small">Clear</button>
+        </div>
+        <p id="paper-search-count" class="paper-search__count" aria-live="polite"></p>
+      </form>
+
+      <div id="paper-results" class="paper-results">
+${sectionsHtml}
+      </div>
+    </div>
+  </main>
+  ${getPapersSearchScript()}`;
+
+  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
+}
+
+function buildProgrammePage(programKey) {
+  const prog = programs[programKey];
+  if (!prog) return null;
+
+  const programPapers = papers
+    .filter(p => p.program === programKey)
+    .sort(sortByDateDesc);
+
+  const feed = programmeFeed(programKey);
+  const headHtml = getHeadHtml({
+    title: `Programme ${prog.index}: ${prog.title}`,
+    description: prog.description,
+    canonicalUrl: `${SITE_URL}${programmeUrl(programKey)}`,
+    feeds: [feed],
+  });
+
+  const navHtml = getNavHtml('programmes');
+
+  const cardsHtml = programPapers.map(p => paperCardHtml(p)).join('');
+
+  const bodyContent = `
+  <main class="programme-detail">
+    <div class="container">
+      <a href="/programmes/" class="paper-detail__back">&larr; All Programmes</a>
+
+      <div class="programme-detail__header">
+        <span class="programme-detail__index">Programme ${escapeHtml(prog.index)}</span>
+        <h1 class="programme-detail__title">${escapeHtml(prog.title)}</h1>
+        <p class="programme-detail__desc">${escapeHtml(prog.description)}</p>
+        <p style="margin-top: 1rem;">${feedLinksHtml(feed)}</p>
+      </div>
+
+      <section>
+        <span class="section-label">${programPapers.length} paper${programPapers.length !== 1 ? 's' : ''}</span>
+        <div class="featured-papers">
+${cardsHtml}
+        </div>
+      </section>
+    </div>
+  </main>`;
+
+  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
+}
+
+function buildProgrammesIndexPage() {
+  const headHtml = getHeadHtml({
+    title: 'Research Programmes',
+    description: 'Research programmes of the Adversarial Systems & Complexity Research Initiative.',
+    canonicalUrl: `${SITE_URL}/programmes/`,
+  });
+
+  const navHtml = getNavHtml('programmes');
+
+  const counts = paperCountByProgramme();
+
+  let cardsHtml = '';
+  for (const [key, prog] of Object.entries(programs)) {
+    const count = counts[key] || 0;
+    cardsHtml += `
+        <a href="${programmeUrl(key)}" class="programme-card">
+          <span class="programme-card__index">Programme ${escapeHtml(prog.index)}</span>
+          <h3 class="programme-card__title">${escapeHtml(prog.title)}</h3>
+          <p class="programme-card__desc">${escapeHtml(prog.description)}</p>
+          <span class="programme-card__count">${count} paper${count !== 1 ? 's' : ''}</span>
+        </a>`;
+  }
+
+  const bodyContent = `
+  <main>
+    <div class="container container--wide">
+      <section class="hero" style="border-bottom: none; padding-bottom: 2rem;">
+        <span class="hero__label">Research Structure</span>
+        <h1 class="hero__title">Programmes</h1>
+        <p class="hero__subtitle">Five interlocking research programmes investigating friction, consent, and stability across adversarial systems.</p>
+      </section>
+
+      <div class="programme-grid">
+${cardsHtml}
+      </div>
+    </div>
+  </main>`;
+
+  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
+}
+
+// Every current paper's materials, grouped by type (ARTIFACT_TYPES order)
+function buildMaterialsPage() {
+  const headHtml = getHeadHtml({
+    title: 'Replication & Materials',
+    description: `Code, datasets, notebooks, dashboards, slides and videos accompanying ${SITE_TITLE} working and discussion papers.`,
+    canonicalUrl: `${SITE_URL}/materials`,
+  });
+
+  const navHtml = getNavHtml('materials');
+  const entries = papers
+    .slice()
+    .sort(sortByDateDesc)
+    .flatMap(paper => paperArtifacts(paper).map(artifact => ({ paper, artifact })));
+
+  const sectionsHtml = Object.entries(ARTIFACT_TYPES)
+    .map(([type, info]) => {
+      const items = entries.filter(e => e.artifact.type === type);
+      if (!items.length) return '';
+      return `
+      <div class="paper-detail__section" id="${type}">
+        <h2 class="paper-detail__section-title">${info.plural} (${items.length})</h2>
+        <ul class="materials-list">${items.map(e => artifactItemHtml(e.artifact, e.paper)).join('')}
+        </ul>
+      </div>`;
+    })
+    .join('');
+  const paperCount = new Set(entries.map(e => e.paper.wpNumber)).size;
+
+  const bodyContent = `
+  <main>
+    <div class="container">
+      <section class="hero" style="border-bottom: none; padding-bottom: 1rem;">
+        <span class="hero__label">Replication</span>
+        <h1 class="hero__title">Replication &amp; Materials</h1>
+        <p class="hero__subtitle">${entries.length} item${entries.length !== 1 ? 's' : ''} of code, data and other materials accompanying ${paperCount} paper${paperCount !== 1 ? 's' : ''}, newest paper first. Each paper page lists its own under Replication &amp; Materials.</p>
+      </section>
+${sectionsHtml || `
+      <p class="stats-note">No materials have been published yet.</p>`}
+    </div>
+  </main>`;
+
+  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
+}
+
+// Landing page for a tag or method: header plus paper cards
+function buildListingPage(opts) {
+  const listed = [...opts.papers].sort(sortByDateDesc);
+
+  const headHtml = getHeadHtml({
+    title: opts.title,
+    description: opts.description,
+    canonicalUrl: `${SITE_URL}${opts.url}`,
+    feeds: opts.feed ? [opts.feed] : [],
+  });
+
+  const navHtml = getNavHtml('papers');
+
+  const cardsHtml = listed.map(p => paperCardHtml(p)).join('');
+  const feedHtml = opts.feed
+    ? `\n        <p style="margin-top: 1rem;">${feedLinksHtml(opts.feed)}</p>`
+    : '';
+
+  const bodyContent = `
+  <main class="programme-detail">
+    <div class="container">
+      <a href="/papers/" class="paper-detail__back">&larr; All Papers</a>
+
+      <div class="programme-detail__header">
+        <span class="programme-detail__index">${escapeHtml(opts.kind)}</span>
+        <h1 class="programme-detail__title">${escapeHtml(opts.title)}</h1>
+        <p class="programme-detail__desc">${escapeHtml(opts.description)}</p>${feedHtml}
+      </div>
+
+      <section>
+        <span class="section-label">${listed.length} paper${listed.length !== 1 ? 's' : ''}</span>
+        <div class="featured-papers">
+${cardsHtml}
+        </div>
+      </section>
+    </div>
+  </main>`;
+
+  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
+}
+
+function buildTagPage(tag) {
+  const label = tags[tag] || tag;
+  return buildListingPage({
+    kind: 'Tag',
+    title: label,
+    description: `Papers tagged ${label} from the ${SITE_DESCRIPTION}.`,
+    url: tagUrl(tag),
+    papers: papers.filter(p => p.tags.includes(tag)),
+    feed: tagFeed(tag),
+  });
+}
+
+function buildMethodPage(slug, method) {
+  return buildListingPage({
+    kind: 'Method',
+    title: method,
+    description: `Papers using ${method} from the ${SITE_DESCRIPTION}.`,
+    url: `/methods/${slug}`,
+    papers: papers.filter(p => (p.methods || []).some(m => slugify(m) === slug)),
+  });
+}
+
+// Person card body shared by the People page and profile pages
+function personCardHtml(slug, opts = {}) {
+  const person = people[slug];
+  const nameHtml = opts.link
+    ? `<a href="${personUrl(slug)}">${escapeHtml(personDisplayName(person))}</a>`
+    : escapeHtml(personDisplayName(person));
+  const affiliationHtml = person.affiliation
+    ? `\n          <div class="person-card__affiliation">${escapeHtml(person.affiliation)}</div>`
+    : '';
+  const bioHtml = person.bio
+    ? `\n          <p class="person-card__bio">${escapeHtml(person.bio)}</p>`
+    : '';
+
+  const links = [];
+  if (person.orcid) {
+    links.push(`<a href="${escapeHtml(orcidUrl(person.orcid))}">ORCID</a>`);
+  }
+  for (const [label, url] of Object.entries(person.links || {})) {
+    links.push(`<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`);
+  }
+  const linksHtml = links.length
+    ? `\n          <div class="person-card__links">\n            ${links.join('\n            ')}\n          </div>`
+    : '';
+
+  return `
+      <div class="person-card">
+        <div class="person-card__avatar">${escapeHtml(personInitials(person))}</div>
+        <div>
+          <div class="person-card__role">${escapeHtml(person.role)}</div>
+          <div class="person-card__name">${nameHtml}</div>${affiliationHtml}${bioHtml}${linksHtml}
+        </div>
+      </div>`;
+}
+
+function buildPeoplePage() {
+  const headHtml = getHeadHtml({
+    title: 'People',
+    description: 'Research team and affiliates of the Adversarial Systems & Complexity Research Initiative.',
+    canonicalUrl: `${SITE_URL}/people`,
+  });
 
-  return `<nav class="site-nav" role="navigation" aria-label="Main navigation">
-    <div class="site-nav__inner">
-      <a href="/" class="site-nav__brand">${SITE_TITLE}</a>
-      <div style="display:flex;align-items:center;">
-        <div class="site-nav__links">
-          ${linksHtml}
+  const navHtml = getNavHtml('people');
+
+  let sectionsHtml = '';
+  let alt = false;
+  for (const [groupKey, group] of Object.entries(PEOPLE_GROUPS)) {
+    const members = Object.keys(people).filter(slug => people[slug].group === groupKey);
+    if (members.length === 0) continue;
+
+    sectionsHtml += `
+  <section${alt ? ' class="section--alt"' : ''}>
+    <div class="container">
+      <span class="section-label">${escapeHtml(group.label)}</span>
+      <h2 class="section-title">${escapeHtml(group.title)}</h2>
+${members.map(slug => personCardHtml(slug, { link: true })).join('\n')}
+    </div>
+  </section>
+`;
+    alt = !alt;
+  }
+
+  const bodyContent = `
+  <!-- Header -->
+  <section class="hero">
+    <div class="container">
+      <span class="hero__label">Research Team</span>
+      <h1 class="hero__title">People</h1>
+      <p class="hero__subtitle">The researchers and collaborators behind ${SITE_TITLE}.</p>
+    </div>
+  </section>
+${sectionsHtml}
+  <!-- Institutional Note -->
+  <section>
+    <div class="container">
+      <p style="font-size: 0.9375rem; color: var(--text-muted);">${SITE_TITLE} operates under <a href="https://dissensus.ai">${OPERATOR}</a>. For full organizational information, visit <a href="https://dissensus.ai">dissensus.ai</a>.</p>
+    </div>
+  </section>`;
+
+  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
+}
+
+function buildPersonPage(slug) {
+  const person = people[slug];
+  const authored = papersByPerson(slug);
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'ProfilePage',
+    'mainEntity': Object.assign(personJsonLd(resolveAuthor(person.name)), { 'jobTitle': person.role }),
+  };
+  if (person.bio) {
+    jsonLd.mainEntity['description'] = person.bio;
+  }
+
+  const headHtml = getHeadHtml({
+    title: personDisplayName(person),
+    description: person.bio ? truncateAbstract(person.bio, 200) : `${person.role}, ${SITE_DESCRIPTION}.`,
+    canonicalUrl: `${SITE_URL}${personUrl(slug)}`,
+    ogType: 'profile',
+    jsonLd: jsonLd,
+  });
+
+  const navHtml = getNavHtml('people');
+
+  let papersHtml = '';
+  if (authored.length) {
+    const grouped = groupByProgramme(authored);
+    for (const [programKey, programPapers] of Object.entries(grouped)) {
+      if (programPapers.length === 0) continue;
+      const prog = programs[programKey];
+      if (!prog) continue;
+
+      papersHtml += `
+        <h3 style="margin: 2rem 0 0.75rem;"><a href="${programmeUrl(programKey)}">Programme ${escapeHtml(prog.index)}: ${escapeHtml(prog.title)}</a></h3>
+        <div class="featured-papers">
+${programPapers.map(p => paperCardHtml(p)).join('')}
+        </div>`;
+    }
+  } else {
+    papersHtml = `
+        <p style="color: var(--text-muted);">No papers listed yet.</p>`;
+  }
+
+  const bodyContent = `
+  <main class="programme-detail">
+    <div class="container">
+      <a href="/people" class="paper-detail__back">&larr; All People</a>
+${personCardHtml(slug)}
+
+      <section>
+        <span class="section-label">${authored.length} paper${authored.length !== 1 ? 's' : ''}</span>
+        <h2 class="section-title">Papers</h2>${papersHtml}
+      </section>
+    </div>
+  </main>`;
+
+  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
+}
+
+function buildHomePage() {
+  const headHtml = getHeadHtml({
+    description: 'Investigating friction dynamics in complex systems where competing interests generate structural conflict.',
+    canonicalUrl: `${SITE_URL}/`,
+  });
+
+  const navHtml = getNavHtml('home');
+
+  const counts = paperCountByProgramme();
+  const programmeCount = Object.keys(programs).length;
+  const numberWords = ['Zero', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven'];
+
+  let programmeCardsHtml = '';
+  for (const [key, prog] of Object.entries(programs)) {
+    const count = counts[key] || 0;
+    programmeCardsHtml += `
+        <a href="${programmeUrl(key)}" class="programme-card">
+          <span class="programme-card__index">Programme ${escapeHtml(prog.index)}</span>
+          <h3 class="programme-card__title">${escapeHtml(prog.title)}</h3>
+          <p class="programme-card__desc">${escapeHtml(prog.tagline || prog.description)}</p>
+          <span class="programme-card__count">${count} paper${count !== 1 ? 's' : ''}</span>
+        </a>`;
+  }
+
+  const featured = featuredPapers();
+  const featuredHtml = featured.length
+    ? `
+  <!-- Featured Papers -->
+  <section class="section--alt">
+    <div class="container">
+      <span class="section-label">Featured Work</span>
+      <h2 class="section-title">Selected Papers</h2>
+      <p class="section-desc">Core publications that define the research programme.</p>
+
+      <div class="featured-papers">
+${featured.map(p => paperCardHtml(p, { abstract: true })).join('')}
+      </div>
+    </div>
+  </section>
+`
+    : '';
+
+  const recent = [...papers]
+    .sort(sortByDateDesc)
+    .filter(p => !p.featured)
+    .slice(0, HOME_RECENT_COUNT);
+  const recentHtml = recent.length
+    ? `
+  <!-- Recent Papers -->
+  <section>
+    <div class="container">
+      <span class="section-label">Latest Output</span>
+      <h2 class="section-title">Recent Papers</h2>
+
+      <div class="featured-papers">
+${recent.map(p => paperCardHtml(p)).join('')}
+      </div>
+
+      <div style="margin-top: 2.5rem;">
+        <a href="/papers/" class="btn">View All Papers</a>
+      </div>
+    </div>
+  </section>
+`
+    : '';
+
+  const bodyContent = `
+  <!-- Hero -->
+  <section class="hero">
+    <div class="container">
+      <span class="hero__label">Adversarial Systems &amp; Complexity Research Initiative</span>
+      <h1 class="hero__title">${SITE_TITLE}</h1>
+      <p class="hero__subtitle">Investigating friction dynamics in complex systems where competing interests generate structural conflict. Formalizing the coordination costs that multi-agent systems impose.</p>
+      <div class="hero__meta">
+        <div class="hero__meta-item">
+          <span class="hero__meta-label">Focus</span>
+          <span class="hero__meta-value">Multi-Agent Friction</span>
+        </div>
+        <div class="hero__meta-item">
+          <span class="hero__meta-label">Publications</span>
+          <span class="hero__meta-value">${papers.length} Paper${papers.length !== 1 ? 's' : ''}</span>
+        </div>
+        <div class="hero__meta-item">
+          <span class="hero__meta-label">Status</span>
+          <span class="hero__meta-value">Active Research</span>
         </div>
-        <button class="theme-toggle" onclick="toggleTheme()" aria-label="Toggle theme">
-          <svg class="icon-moon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/></svg>
-          <svg class="icon-sun" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"/><line x1="12" y1="1" x2="12" y2="3"/><line x1="12" y1="21" x2="12" y2="23"/><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"/><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"/><line x1="1" y1="12" x2="3" y2="12"/><line x1="21" y1="12" x2="23" y2="12"/><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"/><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"/></svg>
-        </button>
-        <button class="site-nav__toggle" aria-label="Toggle menu" onclick="document.querySelector('.site-nav__links').classList.toggle('is-open')">
-          <span></span><span></span><span></span>
-        </button>
       </div>
     </div>
-  </nav>`;
-}
+  </section>
 
-function getFooterHtml() {
-  return `<footer class="site-footer">
-    <div class="container container--wide">
-      <div class="site-footer__inner">
+  <!-- Framework Brief -->
+  <section class="section--alt">
+    <div class="container">
+      <span class="section-label">Core Framework</span>
+      <h2 class="section-title">The Axiom of Consent</h2>
+      <p class="section-desc">A pre-game-theoretic framework that formalizes why coordination fails before strategy even begins.</p>
+
+      <p style="margin-bottom: 1.5rem;">Game theory assumes agents are already participating. It models what happens after the game begins but says nothing about how agents enter strategic interaction, why payoff structures take certain forms, or what happens when participation itself is refused. The Axiom of Consent addresses the structural layer beneath: the conditions under which optimization is delegated, and the friction that emerges when those conditions are violated.</p>
+
+      <p style="margin-bottom: 2rem;">The framework introduces a measurable friction function over three kernel variables&mdash;alignment, stakes, and entropy&mdash;that predicts coordination costs across political, economic, and computational systems. Where traditional models assume equilibria, the Axiom of Consent formalizes why some systems never reach them.</p>
+
+      <div class="equation">
+        <span class="equation__label">Friction Function</span>
+        F = &sigma; &middot; (1 + &epsilon;) / (1 + &alpha;)
+      </div>
+
+      <div class="grid-3" style="margin-top: 2rem;">
         <div>
-          <div class="site-footer__brand">${SITE_TITLE}</div>
-          <div class="site-footer__copy">&copy; 2026 ${PUBLISHER} &middot; Operated by ${OPERATOR}</div>
+          <h4 style="font-family: var(--font-mono); color: var(--accent); font-size: 1.125rem; margin-bottom: 0.5rem;">&alpha;</h4>
+          <h4 style="margin-bottom: 0.5rem;">Alignment</h4>
+          <p style="font-size: 0.9375rem;">Convergence of optimization targets between principal and agent. When alignment is high, delegation is cheap. When it collapses, friction dominates.</p>
         </div>
-        <div class="site-footer__links">
-          <a href="/framework">Framework</a>
-          <a href="/programmes/">Programmes</a>
-          <a href="/papers/">Papers</a>
-          <a href="/people">People</a>
-          <a href="/about">About</a>
-          <a href="/contact">Contact</a>
-          <a href="/feed.xml">RSS</a>
+        <div>
+          <h4 style="font-family: var(--font-mono); color: var(--accent); font-size: 1.125rem; margin-bottom: 0.5rem;">&sigma;</h4>
+          <h4 style="margin-bottom: 0.5rem;">Stakes</h4>
+          <p style="font-size: 0.9375rem;">Magnitude of optimization being delegated. Higher stakes amplify every misalignment. Small disagreements become structural failures when enough is at risk.</p>
         </div>
+        <div>
+          <h4 style="font-family: var(--font-mono); color: var(--accent); font-size: 1.125rem; margin-bottom: 0.5rem;">&epsilon;</h4>
+          <h4 style="margin-bottom: 0.5rem;">Entropy</h4>
+          <p style="font-size: 0.9375rem;">Efficiency loss in optimization transfer. Even perfectly aligned agents lose information in delegation. Entropy is the irreducible cost of coordination.</p>
+        </div>
+      </div>
+
+      <div style="margin-top: 3rem;">
+        <a href="/framework" class="btn btn--primary">Read the Full Framework</a>
       </div>
     </div>
-  </footer>`;
-}
+  </section>
 
-function getThemeScript() {
-  return `<script>
-(function(){var t=localStorage.getItem('ascri-theme')||(matchMedia('(prefers-color-scheme:dark)').matches?'dark':'light');document.documentElement.setAttribute('data-theme',t)})();
-function toggleTheme(){var h=document.documentElement,t=h.getAttribute('data-theme')==='dark'?'light':'dark';h.setAttribute('data-theme',t);localStorage.setItem('ascri-theme',t)}
-</script>`;
+  <!-- Programmes -->
+  <section>
+    <div class="container container--wide">
+      <span class="section-label">Research Programmes</span>
+      <h2 class="section-title">${numberWords[programmeCount] || programmeCount} Domains of Friction</h2>
+      <p class="section-desc">Each programme applies the consent-friction framework to a different substrate, testing whether the formal machinery generalizes.</p>
+
+      <div class="programme-grid">
+${programmeCardsHtml}
+      </div>
+    </div>
+  </section>
+${featuredHtml}${recentHtml}`;
+
+  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
 }
 
-function wrapPage(headHtml, navHtml, bodyContent, footerHtml) {
-  return `${headHtml}
-<body class="has-nav">
-  ${navHtml}
-  ${bodyContent}
-  ${footerHtml}
-  ${getThemeScript()}
-</body>
-</html>`;
+// ---------------------------------------------------------------------------
+// Search index
+// ---------------------------------------------------------------------------
+
+// Compact catalogue consumed by the Papers page search script
+function buildSearchIndex() {
+  return {
+    tags: tags,
+    papers: [...papers].sort(sortByDateDesc).map(p => ({
+      url: paperUrl(p),
+      wpNumber: p.wpNumber,
+      title: p.title,
+      subtitle: p.subtitle || '',
+      authors: authorNames(p),
+      abstract: [summaryText(p), abstractText(p)].filter(Boolean).join(' '),
+      tags: p.tags,
+      methods: p.methods || [],
+      status: p.status,
+      programme: p.program,
+      year: p.date.substring(0, 4),
+      ...(fullText(p) ? { fulltext: fullTextWords(p) } : {}),
+    })),
+  };
 }
 
 // ---------------------------------------------------------------------------
-// Page generators
+// Series statistics (/stats)
 // ---------------------------------------------------------------------------
 
-function buildPaperPage(paper) {
-  const headHtml = getHeadHtml({
-    title: paper.title,
-    description: truncateAbstract(paper.abstract, 200),
-    canonicalUrl: `${SITE_URL}${paperUrl(paper)}`,
-    ogType: 'article',
-    paper: paper,
+// Link fields counted for the coverage chart, in display order
+const COVERAGE_FIELDS = [
+  { field: 'doi', label: 'DOI', has: p => !!currentDoi(p) },
+  { field: 'arxiv', label: 'arXiv', has: p => !!p.arxiv },
+  { field: 'github', label: 'Code (GitHub)', has: p => !!p.github },
+  { field: 'dashboard', label: 'Dashboard', has: p => !!p.dashboard },
+];
+
+// Methods shown in the chart; the downloads list every method
+const STATS_TOP_METHODS = 15;
+
+// Output numbers for current papers (retired papers are counted separately).
+// The same object is published as /stats.json and flattened into /stats.csv.
+function computeStats() {
+  const count = pred => papers.filter(pred).length;
+
+  const years = papers.map(p => Number(p.date.substring(0, 4)));
+  const byYear = [];
+  for (let y = Math.min(...years); y <= Math.max(...years); y++) {
+    byYear.push({ year: String(y), papers: years.filter(x => x === y).length });
+  }
+
+  const methodCounts = {};
+  for (const paper of papers) {
+    for (const m of new Set(paper.methods || [])) methodCounts[m] = (methodCounts[m] || 0) + 1;
+  }
+
+  const tagKeys = usedTags();
+  return {
+    papers: papers.length,
+    withdrawn: retiredPapers.length,
+    byYear,
+    byProgramme: Object.entries(programs).map(([key, prog]) => ({
+      programme: key,
+      number: programmeNumber(key),
+      title: prog.title,
+      papers: count(p => p.program === key),
+    })),
+    byStatus: Object.keys(statuses).map(key => ({
+      status: key,
+      label: statusLabel(key),
+      papers: count(p => p.status === key),
+    })),
+    methods: Object.entries(methodCounts)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([method, n]) => ({ method, slug: slugify(method), papers: n })),
+    coverage: COVERAGE_FIELDS.map(c => {
+      const n = count(c.has);
+      return { field: c.field, label: c.label, papers: n, share: papers.length ? Number((n / papers.length).toFixed(3)) : 0 };
+    }),
+    tagCooccurrence: {
+      tags: tagKeys.map(tag => ({ tag, label: tags[tag] })),
+      // papers[i][j]: papers carrying both tags; the diagonal is each tag's total
+      papers: tagKeys.map(a => tagKeys.map(b => count(p => p.tags.includes(a) && p.tags.includes(b)))),
+    },
+  };
+}
+
+function csvField(value) {
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// One row per number: table, key, label, column (for two-way tables and
+// the count/share pair) and value
+function buildStatsCsv(stats) {
+  const rows = [['table', 'key', 'label', 'column', 'value']];
+  rows.push(['summary', 'papers', 'Current papers', '', stats.papers]);
+  rows.push(['summary', 'withdrawn', 'Withdrawn papers', '', stats.withdrawn]);
+  for (const r of stats.byYear) rows.push(['papers_by_year', r.year, r.year, '', r.papers]);
+  for (const r of stats.byProgramme) rows.push(['papers_by_programme', r.programme, r.title, '', r.papers]);
+  for (const r of stats.byStatus) rows.push(['papers_by_status', r.status, r.label, '', r.papers]);
+  for (const r of stats.methods) rows.push(['papers_by_method', r.slug, r.method, '', r.papers]);
+  for (const r of stats.coverage) {
+    rows.push(['coverage', r.field, r.label, 'papers', r.papers]);
+    rows.push(['coverage', r.field, r.label, 'share', r.share]);
+  }
+  const { tags: tagList, papers: matrix } = stats.tagCooccurrence;
+  tagList.forEach((a, i) => {
+    tagList.forEach((b, j) => rows.push(['tag_cooccurrence', a.tag, a.label, b.tag, matrix[i][j]]));
   });
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
 
-  const navHtml = getNavHtml('papers');
+// Horizontal bar chart. rows: [{ label, value, text? }]; bars are scaled to
+// `max` (default: the largest value) and labelled with `text` or the value.
+function barChartSvg(id, title, rows, max = Math.max(1, ...rows.map(r => r.value))) {
+  const labelWidth = 230;
+  const barWidth = 330;
+  const rowHeight = 28;
+  const width = labelWidth + barWidth + 80;
+  const height = rows.length * rowHeight + 8;
+  const bars = rows.map((r, i) => {
+    const y = 4 + i * rowHeight;
+    const w = Math.round((r.value / max) * barWidth);
+    const label = r.label.length > 30 ? `${r.label.slice(0, 29).trimEnd()}…` : r.label;
+    return `
+      <g>
+        <title>${escapeXml(r.label)}: ${escapeXml(r.text || String(r.value))}</title>
+        <text x="${labelWidth - 10}" y="${y + 18}" text-anchor="end" class="stats-chart__label">${escapeXml(label)}</text>
+        <rect x="${labelWidth}" y="${y + 4}" width="${barWidth}" height="${rowHeight - 10}" class="stats-chart__track"/>
+        <rect x="${labelWidth}" y="${y + 4}" width="${w}" height="${rowHeight - 10}" class="stats-chart__bar"/>
+        <text x="${labelWidth + w + 8}" y="${y + 18}" class="stats-chart__value">${escapeXml(r.text || String(r.value))}</text>
+      </g>`;
+  }).join('');
+  return `<svg class="stats-chart" viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="${id}-title">
+      <title id="${id}-title">${escapeXml(title)}</title>${bars}
+    </svg>`;
+}
 
-  // Meta row: date, status, programme
-  const wpBadge = paper.wpNumber
-    ? `<span class="paper-detail__date">${paper.wpNumber}</span>`
-    : '';
-  const metaHtml = `
-      <div class="paper-detail__meta">
-        ${wpBadge}
-        <span class="paper-detail__date">${formatDate(paper.date)}</span>
-        <span class="status ${statusClass(paper.status)}">${escapeHtml(statusLabel(paper.status))}</span>
-        <a href="${programmeUrl(paper.program)}" class="paper-detail__programme">Programme ${escapeHtml(programIndex(paper.program))}: ${escapeHtml(programTitle(paper.program))}</a>
+// Tag co-occurrence heatmap: cell shade is the share of the largest
+// off-diagonal count; the diagonal (papers per tag) is outlined
+function heatmapSvg(id, title, labels, matrix) {
+  const cell = 24;
+  const left = 190;
+  const top = 150;
+  const n = labels.length;
+  const width = left + n * cell + 10;
+  const height = top + n * cell + 10;
+  const max = Math.max(1, ...matrix.flatMap((row, i) => row.filter((_, j) => j !== i)));
+  const short = l => (l.length > 24 ? `${l.slice(0, 23).trimEnd()}…` : l);
+
+  let body = '';
+  labels.forEach((label, i) => {
+    const y = top + i * cell;
+    body += `
+      <text x="${left - 8}" y="${y + 16}" text-anchor="end" class="stats-chart__label">${escapeXml(short(label))}</text>`;
+    const x = left + i * cell + 16;
+    body += `
+      <text x="${x}" y="${top - 8}" transform="rotate(-55 ${x} ${top - 8})" class="stats-chart__label">${escapeXml(short(label))}</text>`;
+  });
+  matrix.forEach((row, i) => {
+    row.forEach((value, j) => {
+      const x = left + j * cell;
+      const y = top + i * cell;
+      const diagonal = i === j;
+      const opacity = diagonal ? 0 : value / max;
+      body += `
+      <g>
+        <title>${escapeXml(diagonal ? `${labels[i]}: ${value} paper${value !== 1 ? 's' : ''}` : `${labels[i]} + ${labels[j]}: ${value} paper${value !== 1 ? 's' : ''}`)}</title>
+        <rect x="${x}" y="${y}" width="${cell - 2}" height="${cell - 2}" class="${diagonal ? 'stats-chart__diagonal' : 'stats-chart__cell'}"${diagonal ? '' : ` fill-opacity="${(0.08 + 0.92 * opacity).toFixed(2)}"`}/>${value ? `
+        <text x="${x + (cell - 2) / 2}" y="${y + 16}" text-anchor="middle" class="stats-chart__count${opacity > 0.5 ? ' stats-chart__count--inverse' : ''}">${value}</text>` : ''}
+      </g>`;
+    });
+  });
+  return `<svg class="stats-chart stats-chart--matrix" viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="${id}-title">
+      <title id="${id}-title">${escapeXml(title)}</title>${body}
+    </svg>`;
+}
+
+function buildStatsPage(stats) {
+  const headHtml = getHeadHtml({
+    title: 'Research Output',
+    description: `Output statistics for the ${SITE_TITLE} working and discussion paper series: papers by year, programme, status, tag and method.`,
+    canonicalUrl: `${SITE_URL}/stats`,
+  });
+
+  const navHtml = getNavHtml('stats');
+  const total = stats.papers;
+  const pct = n => (total ? `${Math.round((n / total) * 100)}%` : '0%');
+  const section = (title, chart, note = '') => `
+      <div class="paper-detail__section">
+        <h2 class="paper-detail__section-title">${title}</h2>${note ? `
+        <p class="stats-note">${note}</p>` : ''}
+        ${chart}
       </div>`;
 
-  // Title block
-  let titleBlock = `<h1 class="paper-detail__title">${escapeHtml(paper.title)}</h1>`;
-  if (paper.subtitle) {
-    titleBlock += `\n      <p class="paper-detail__subtitle">${escapeHtml(paper.subtitle)}</p>`;
-  }
-  titleBlock += `\n      <p class="paper-detail__authors">${escapeHtml(paper.authors.join(', '))}</p>`;
+  const topMethods = stats.methods.slice(0, STATS_TOP_METHODS);
+  const { tags: tagList, papers: matrix } = stats.tagCooccurrence;
+
+  const bodyContent = `
+  <main>
+    <div class="container">
+      <section class="hero" style="border-bottom: none; padding-bottom: 1rem;">
+        <span class="hero__label">Series Statistics</span>
+        <h1 class="hero__title">Research Output</h1>
+        <p class="hero__subtitle">${total} current paper${total !== 1 ? 's' : ''} across ${stats.byProgramme.length} programmes${stats.withdrawn ? `, plus ${stats.withdrawn} withdrawn` : ''}. Generated from the paper catalogue on every build.</p>
+        <div class="paper-detail__actions" style="border-bottom: none;">
+          <a href="/stats.csv" class="btn btn--small" download>Download CSV</a>
+          <a href="/stats.json" class="btn btn--small" download>Download JSON</a>
+        </div>
+      </section>
+${section('Papers per Year', barChartSvg('stats-year', 'Papers per year', stats.byYear.map(r => ({ label: r.year, value: r.papers }))))}
+${section('Papers per Programme', barChartSvg('stats-programme', 'Papers per programme', stats.byProgramme.map(r => ({ label: `${programs[r.programme].index}. ${r.title}`, value: r.papers }))))}
+${section('Status', barChartSvg('stats-status', 'Papers by status', stats.byStatus.map(r => ({ label: r.label, value: r.papers }))))}
+${section('Identifiers and Materials', barChartSvg('stats-coverage', 'Share of papers with DOI, arXiv, code and dashboard', stats.coverage.map(r => ({ label: r.label, value: r.papers, text: `${r.papers} (${pct(r.papers)})` })), Math.max(1, total)), 'Share of current papers with each identifier or link.')}
+${section('Methods', barChartSvg('stats-methods', 'Most used methods', topMethods.map(r => ({ label: r.method, value: r.papers }))), stats.methods.length > topMethods.length ? `The ${topMethods.length} most used of ${stats.methods.length} methods; the downloads list all of them.` : '')}
+${section('Tag Co-occurrence', heatmapSvg('stats-tags', 'Papers sharing each pair of tags', tagList.map(t => t.label), matrix), 'Papers carrying both tags. Outlined cells on the diagonal give each tag\'s total.')}
+    </div>
+  </main>`;
+
+  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
+}
+
+// ---------------------------------------------------------------------------
+// Sitemap
+// ---------------------------------------------------------------------------
+
+// Every page in the sitemap and the generated file behind it
+function sitemapPages() {
+  const entries = [
+    { loc: '/', file: 'index.html', priority: '1.0', changefreq: 'weekly' },
+    { loc: '/framework', file: 'framework.html', priority: '0.9', changefreq: 'monthly' },
+    { loc: '/papers/', file: 'papers/index.html', priority: '0.9', changefreq: 'weekly' },
+    { loc: '/programmes/', file: 'programmes/index.html', priority: '0.8', changefreq: 'monthly' },
+    { loc: '/people', file: 'people.html', priority: '0.7', changefreq: 'monthly' },
+    { loc: '/materials', file: 'materials.html', priority: '0.5', changefreq: 'monthly' },
+    { loc: '/stats', file: 'stats.html', priority: '0.5', changefreq: 'monthly' },
+    { loc: '/about', file: 'about.html', priority: '0.7', changefreq: 'monthly' },
+    { loc: '/contact', file: 'contact.html', priority: '0.5', changefreq: 'yearly' },
+  ];
+
+  // Paper pages
+  for (const paper of papers) {
+    entries.push({ loc: paperUrl(paper), file: paperFile(paper, 'html'), paper, priority: '0.8', changefreq: 'monthly' });
+  }
+
+  // Tag and method pages
+  for (const tag of usedTags()) {
+    entries.push({ loc: tagUrl(tag), file: `tags/${tag}.html`, priority: '0.4', changefreq: 'monthly' });
+  }
+  for (const slug of Object.keys(methodsBySlug())) {
+    entries.push({ loc: `/methods/${slug}`, file: `methods/${slug}.html`, priority: '0.4', changefreq: 'monthly' });
+  }
+
+  // Profile pages
+  for (const slug of Object.keys(people)) {
+    entries.push({ loc: personUrl(slug), file: `people/${slug}.html`, priority: '0.5', changefreq: 'monthly' });
+  }
+
+  // Programme pages
+  for (const key of Object.keys(programs)) {
+    entries.push({ loc: programmeUrl(key), file: `${programmeNumber(key)}/index.html`, priority: '0.6', changefreq: 'monthly' });
+  }
+
+  return entries;
+}
+
+// Sitemap entries. A paper's lastmod is its last revision; for listing
+// pages lastmodOf(file) gives the date the file's content last changed
+// (from the build manifest)
+function sitemapEntries(lastmodOf) {
+  return sitemapPages().map(e => ({
+    loc: e.loc,
+    lastmod: e.paper ? lastRevised(e.paper) : lastmodOf(e.file),
+    changefreq: e.changefreq,
+    priority: e.priority,
+  }));
+}
+
+function buildSitemap(entries) {
+  let urls = '';
+  for (const entry of entries) {
+    urls += `  <url>
+    <loc>${SITE_URL}${entry.loc}</loc>
+    <lastmod>${entry.lastmod}</lastmod>
+    <changefreq>${entry.changefreq}</changefreq>
+    <priority>${entry.priority}</priority>
+  </url>\n`;
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}</urlset>`;
+}
+
+// ---------------------------------------------------------------------------
+// OAI-PMH
+// ---------------------------------------------------------------------------
+
+function oaiIdentifier(paper) {
+  return `oai:${OAI_REPOSITORY_ID}:${paper.wpNumber}`;
+}
+
+function oaiBaseUrl() {
+  const fileUrl = `${SITE_URL}${OAI_PATH}`;
+  return OAI_GATEWAY ? `${OAI_GATEWAY}${fileUrl.replace(/^https?:\/\//, '')}` : fileUrl;
+}
+
+// Sets: one per programme and one per tag, under the parent sets
+// "programme" and "tag"
+function oaiSets() {
+  const sets = [{ spec: 'programme', name: 'Research Programmes' }];
+  for (const [key, prog] of Object.entries(programs)) {
+    sets.push({ spec: `programme:${key}`, name: `Programme ${prog.index}: ${prog.title}`, description: prog.description });
+  }
+  sets.push({ spec: 'tag', name: 'Tags' });
+  for (const tag of usedTags()) {
+    sets.push({ spec: `tag:${tag}`, name: tags[tag] });
+  }
+  return sets;
+}
+
+function oaiSetSpecs(paper) {
+  return [`programme:${paper.program}`, ...paper.tags.map(tag => `tag:${tag}`)];
+}
+
+function oaiRecordXml(paper) {
+  const setSpecs = oaiSetSpecs(paper).map(spec => `        <oai:setSpec>${escapeXml(spec)}</oai:setSpec>\n`).join('');
+  const dc = dublinCore(paper).map(([element, value]) => `          <dc:${element}>${escapeXml(value)}</dc:${element}>\n`).join('');
+  return `    <oai:record>
+      <oai:header>
+        <oai:identifier>${oaiIdentifier(paper)}</oai:identifier>
+        <oai:datestamp>${lastRevised(paper)}</oai:datestamp>
+${setSpecs}      </oai:header>
+      <oai:metadata>
+        <oai_dc:dc xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/"
+          xmlns:dc="http://purl.org/dc/elements/1.1/"
+          xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/oai_dc/ http://www.openarchives.org/OAI/2.0/oai_dc.xsd">
+${dc}        </oai_dc:dc>
+      </oai:metadata>
+    </oai:record>\n`;
+}
+
+// OAI-PMH 2.0 Static Repository: Identify, ListMetadataFormats and every
+// record as oai_dc. Record headers carry setSpecs; the set list itself is
+// published separately (buildOaiSets) because the static repository format
+// has no ListSets section.
+function buildOaiRepository() {
+  const byDatestamp = [...papers].sort((a, b) => lastRevised(a).localeCompare(lastRevised(b)));
+  const earliest = byDatestamp.length ? lastRevised(byDatestamp[0]) : new Date().toISOString().split('T')[0];
+  const sample = byDatestamp.length ? oaiIdentifier(byDatestamp[0]) : `oai:${OAI_REPOSITORY_ID}:DAI-0000`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Repository xmlns="http://www.openarchives.org/OAI/2.0/static-repository"
+  xmlns:oai="http://www.openarchives.org/OAI/2.0/"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/static-repository http://www.openarchives.org/OAI/2.0/static-repository.xsd">
+  <Identify>
+    <oai:repositoryName>${escapeXml(`${SITE_TITLE} — ${SITE_DESCRIPTION}`)}</oai:repositoryName>
+    <oai:baseURL>${escapeXml(oaiBaseUrl())}</oai:baseURL>
+    <oai:protocolVersion>2.0</oai:protocolVersion>
+    <oai:adminEmail>${CONTACT_EMAIL}</oai:adminEmail>
+    <oai:earliestDatestamp>${earliest}</oai:earliestDatestamp>
+    <oai:deletedRecord>no</oai:deletedRecord>
+    <oai:granularity>YYYY-MM-DD</oai:granularity>
+    <oai:description>
+      <oai-identifier xmlns="http://www.openarchives.org/OAI/2.0/oai-identifier"
+        xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/oai-identifier http://www.openarchives.org/OAI/2.0/oai-identifier.xsd">
+        <scheme>oai</scheme>
+        <repositoryIdentifier>${OAI_REPOSITORY_ID}</repositoryIdentifier>
+        <delimiter>:</delimiter>
+        <sampleIdentifier>${sample}</sampleIdentifier>
+      </oai-identifier>
+    </oai:description>
+  </Identify>
+  <ListMetadataFormats>
+    <oai:metadataFormat>
+      <oai:metadataPrefix>oai_dc</oai:metadataPrefix>
+      <oai:schema>http://www.openarchives.org/OAI/2.0/oai_dc.xsd</oai:schema>
+      <oai:metadataNamespace>http://www.openarchives.org/OAI/2.0/oai_dc/</oai:metadataNamespace>
+    </oai:metadataFormat>
+  </ListMetadataFormats>
+  <ListRecords metadataPrefix="oai_dc">
+${byDatestamp.map(oaiRecordXml).join('')}  </ListRecords>
+</Repository>`;
+}
+
+// ListSets as a complete OAI-PMH response document
+// Latest record datestamp; doubles as the ListSets responseDate so the
+// document only changes when the repository does
+function oaiLatestDatestamp() {
+  const dates = papers.map(lastRevised).sort();
+  return dates.length ? dates[dates.length - 1] : new Date().toISOString().split('T')[0];
+}
 
-  // Journal info (if under peer review)
-  if (paper.journal) {
-    titleBlock += `\n      <p style="font-family: var(--font-mono); font-size: 0.8125rem; color: var(--text-muted); margin-top: 0.5rem;">Submitted to: ${escapeHtml(paper.journal)}</p>`;
-  }
+function buildOaiSets() {
+  const sets = oaiSets().map(set => {
+    let xml = `    <set>
+      <setSpec>${escapeXml(set.spec)}</setSpec>
+      <setName>${escapeXml(set.name)}</setName>\n`;
+    if (set.description) {
+      xml += `      <setDescription>
+        <oai_dc:dc xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/"
+          xmlns:dc="http://purl.org/dc/elements/1.1/"
+          xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/oai_dc/ http://www.openarchives.org/OAI/2.0/oai_dc.xsd">
+          <dc:description>${escapeXml(set.description)}</dc:description>
+        </oai_dc:dc>
+      </setDescription>\n`;
+    }
+    return xml + `    </set>\n`;
+  }).join('');
 
-  // Action buttons
-  const actions = [];
-  if (paper.pdf) {
-    actions.push(`<a href="${escapeHtml(pdfUrl(paper))}" class="btn btn--primary" target="_blank" rel="noopener">Download PDF</a>`);
-  }
-  if (paper.doi) {
-    actions.push(`<a href="${escapeHtml(doiUrl(paper))}" class="btn" target="_blank" rel="noopener">DOI: ${escapeHtml(paper.doi)}</a>`);
-  }
-  if (paper.arxiv) {
-    actions.push(`<a href="https://arxiv.org/abs/${escapeHtml(paper.arxiv)}" class="btn" target="_blank" rel="noopener">arXiv: ${escapeHtml(paper.arxiv)}</a>`);
-  }
-  if (paper.github) {
-    actions.push(`<a href="${escapeHtml(paper.github)}" class="btn" target="_blank" rel="noopener">GitHub</a>`);
-  }
-  if (paper.dashboard) {
-    actions.push(`<a href="${escapeHtml(paper.dashboard)}" class="btn" target="_blank" rel="noopener">Dashboard</a>`);
-  }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/ http://www.openarchives.org/OAI/2.0/OAI-PMH.xsd">
+  <responseDate>${oaiLatestDatestamp()}T00:00:00Z</responseDate>
+  <request verb="ListSets">${escapeXml(oaiBaseUrl())}</request>
+  <ListSets>
+${sets}  </ListSets>
+</OAI-PMH>`;
+}
 
-  const actionsHtml = actions.length
-    ? `\n      <div class="paper-detail__actions">\n        ${actions.join('\n        ')}\n      </div>`
-    : '';
+// ---------------------------------------------------------------------------
+// Feeds (RSS 2.0, Atom 1.0, JSON Feed 1.1)
+// ---------------------------------------------------------------------------
 
-  // Abstract
-  const abstractHtml = paper.abstract
-    ? `
-      <div class="paper-detail__section">
-        <h2 class="paper-detail__section-title">Abstract</h2>
-        <p class="paper-detail__abstract">${escapeHtml(paper.abstract)}</p>
-      </div>`
-    : '';
+// Every feed is written once per format, at {feed.base}{ext}
+const FEED_FORMATS = [
+  { key: 'rss', label: 'RSS', ext: '.xml', type: 'application/rss+xml', render: buildRSSFeed },
+  { key: 'atom', label: 'Atom', ext: '.atom', type: 'application/atom+xml', render: buildAtomFeed },
+  { key: 'json', label: 'JSON Feed', ext: '.json', type: 'application/feed+json', render: buildJsonFeed },
+];
+
+// Feed definitions: { title, description, base, link, papers }
+function siteFeed() {
+  return {
+    title: `${SITE_TITLE} — Papers`,
+    description: SITE_DESCRIPTION,
+    base: '/feed',
+    link: '/',
+    papers,
+  };
+}
 
-  // Citation
-  const citationHtml = `
-      <div class="paper-detail__section">
-        <h2 class="paper-detail__section-title">Suggested Citation</h2>
-        <div class="citation-block">
-          ${suggestedCitation(paper)}
-        </div>
-      </div>`;
+function programmeFeed(programKey) {
+  const prog = programs[programKey];
+  return {
+    title: `${SITE_TITLE} — Programme ${prog.index}: ${prog.title}`,
+    description: prog.description,
+    base: `${programmeUrl(programKey)}/feed`,
+    link: `${programmeUrl(programKey)}/`,
+    papers: papers.filter(p => p.program === programKey),
+  };
+}
 
-  // BibTeX
-  const bibtex = bibtexEntry(paper);
-  const bibtexHtml = `
-      <div class="paper-detail__section">
-        <h2 class="paper-detail__section-title">BibTeX</h2>
-        <div style="position: relative;">
-          <pre class="citation-block" id="bibtex-${paper.id}" style="white-space: pre-wrap; font-size: 0.75rem;">${escapeHtml(bibtex)}</pre>
-          <button class="btn btn--small" style="position: absolute; top: 0.5rem; right: 0.5rem;" onclick="navigator.clipboard.writeText(document.getElementById('bibtex-${paper.id}').textContent).then(() => { this.textContent = 'Copied'; setTimeout(() => { this.textContent = 'Copy'; }, 2000); })">Copy</button>
-        </div>
-      </div>`;
+function tagFeed(tag) {
+  const label = tags[tag] || tag;
+  return {
+    title: `${SITE_TITLE} — Papers: ${label}`,
+    description: `Papers tagged ${label} from the ${SITE_DESCRIPTION}.`,
+    base: tagUrl(tag),
+    link: tagUrl(tag),
+    papers: papers.filter(p => p.tags.includes(tag)),
+  };
+}
 
-  // Tags
-  let tagsHtml = '';
-  if (paper.tags && paper.tags.length) {
-    const tagPills = paper.tags
-      .map(t => `<span class="tag">${escapeHtml(tags[t] || t)}</span>`)
-      .join('\n          ');
-    tagsHtml = `
-      <div class="paper-detail__section">
-        <h2 class="paper-detail__section-title">Tags</h2>
-        <div class="tag-list">
-          ${tagPills}
-        </div>
-      </div>`;
-  }
+function feedUrl(feed, format) {
+  return `${SITE_URL}${feed.base}${format.ext}`;
+}
 
-  // Methods
-  let methodsHtml = '';
-  if (paper.methods && paper.methods.length) {
-    const methodPills = paper.methods
-      .map(m => `<span class="tag tag--method">${escapeHtml(m)}</span>`)
-      .join('\n          ');
-    methodsHtml = `
-      <div class="paper-detail__section">
-        <h2 class="paper-detail__section-title">Methodology</h2>
-        <div class="tag-list">
-          ${methodPills}
-        </div>
-      </div>`;
+// Feed entries for a list of papers, newest first: one for each paper's first
+// release plus one for every later version recorded in `versions`.
+function feedEntries(paperList) {
+  const entries = [];
+  for (const paper of paperList) {
+    entries.push({ paper, version: null, date: paper.date });
+    for (const version of paperVersions(paper).slice(1)) {
+      entries.push({ paper, version, date: version.date });
+    }
   }
+  return entries.sort((a, b) => b.date.localeCompare(a.date));
+}
 
-  const bodyContent = `
-  <main class="paper-detail">
-    <div class="container">
-      <a href="/papers/" class="paper-detail__back">&larr; All Papers</a>
+function feedAuthor(author) {
+  return {
+    name: author.name,
+    url: author.slug ? `${SITE_URL}${personUrl(author.slug)}` : null,
+    orcid: orcidUrl(author.orcid),
+  };
+}
 
-      <div class="paper-detail__header">
-${metaHtml}
-${titleBlock}
-      </div>
-${actionsHtml}
-${abstractHtml}
-${methodsHtml}
-${citationHtml}
-${bibtexHtml}
-${tagsHtml}
-    </div>
-  </main>`;
+// Format-independent fields of a feed entry. Each entry describes one release,
+// so it is never modified afterwards: updated equals published.
+function feedItem({ paper, version, date }) {
+  const paperLink = `${SITE_URL}${paperUrl(paper)}`;
+  const link = version ? `${paperLink}#${versionSlug(version)}` : paperLink;
+  const doi = version ? version.doi : paper.doi;
 
-  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
+  const summaryParts = [];
+  if (version) {
+    summaryParts.push(`New version ${version.version}${version.note ? `: ${version.note}` : ''}`);
+  }
+  if (paper.subtitle) summaryParts.push(paper.subtitle);
+  if (paper.authors.length) summaryParts.push(`By ${authorNames(paper).join(', ')}`);
+  if (paper.abstract) summaryParts.push(abstractText(paper).replace(/\s+/g, ' '));
+
+  return {
+    paper,
+    version,
+    title: version ? `${paper.title} (${version.version})` : paper.title,
+    link,
+    doi: doi || null,
+    summary: summaryParts.join(' — '),
+    published: `${date}T00:00:00Z`,
+    updated: `${date}T00:00:00Z`,
+    authors: paperAuthors(paper).map(feedAuthor),
+    tags: paper.tags.map(tag => ({ term: tag, label: tags[tag] || tag })),
+  };
 }
 
-function buildPapersIndexPage() {
-  const headHtml = getHeadHtml({
-    title: 'Papers',
-    description: 'Research papers from the Adversarial Systems & Complexity Research Initiative.',
-    canonicalUrl: `${SITE_URL}/papers/`,
-  });
+// Latest entry date, so unchanged feeds stay byte-identical between builds
+function feedUpdated(items) {
+  return items.length ? items[0].updated : `${new Date().toISOString().split('T')[0]}T00:00:00Z`;
+}
 
-  const navHtml = getNavHtml('papers');
+function buildRSSFeed(feed = siteFeed()) {
+  const feedItems = feedEntries(feed.papers).map(feedItem);
+  let items = '';
+  for (const item of feedItems) {
+    items += `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${item.link}</link>
+      <guid isPermaLink="true">${item.link}</guid>
+      <pubDate>${formatDateRFC822(item.published.slice(0, 10))}</pubDate>
+      <description>${escapeXml(item.summary)}</description>`;
+
+    if (item.doi) {
+      items += `\n      <dc:identifier>doi:${escapeXml(item.doi)}</dc:identifier>`;
+    }
 
-  const grouped = groupByProgramme(papers);
-  let sectionsHtml = '';
+    // Tags as categories
+    for (const tag of item.tags) {
+      items += `\n      <category>${escapeXml(tag.label)}</category>`;
+    }
 
-  for (const [programKey, programPapers] of Object.entries(grouped)) {
-    if (programPapers.length === 0) continue;
+    items += `\n    </item>\n`;
+  }
 
-    const prog = programs[programKey];
-    if (!prog) continue;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+  xmlns:atom="http://www.w3.org/2005/Atom"
+  xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${SITE_URL}${feed.link}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <managingEditor>${CONTACT_EMAIL} (${PUBLISHER})</managingEditor>
+    <lastBuildDate>${new Date(feedUpdated(feedItems)).toUTCString()}</lastBuildDate>
+    <atom:link href="${feedUrl(feed, FEED_FORMATS[0])}" rel="self" type="application/rss+xml" />
+${items}  </channel>
+</rss>`;
+}
 
-    let cardsHtml = '';
-    for (const paper of programPapers) {
-      const subtitleHtml = paper.subtitle
-        ? `\n          <p class="paper-card__subtitle">${escapeHtml(paper.subtitle)}</p>`
-        : '';
-      cardsHtml += `
-        <a href="${paperUrl(paper)}" class="paper-card">
-          <div class="paper-card__meta">
-            <span class="paper-card__date">${formatDate(paper.date)}</span>
-            <span class="status ${statusClass(paper.status)}">${escapeHtml(statusLabel(paper.status))}</span>
-          </div>
-          <h3 class="paper-card__title">${escapeHtml(paper.title)}</h3>${subtitleHtml}
-          <p class="paper-card__authors">${escapeHtml(paper.authors.join(', '))}</p>
-        </a>`;
+function buildAtomFeed(feed = siteFeed()) {
+  const items = feedEntries(feed.papers).map(feedItem);
+  const selfUrl = feedUrl(feed, FEED_FORMATS[1]);
+
+  let entries = '';
+  for (const item of items) {
+    entries += `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${item.link}"/>\n`;
+    if (item.doi) {
+      entries += `    <link rel="related" href="https://doi.org/${escapeXml(item.doi)}" title="doi:${escapeXml(item.doi)}"/>\n`;
+    }
+    entries += `    <id>${item.link}</id>
+    <published>${item.published}</published>
+    <updated>${item.updated}</updated>\n`;
+    for (const author of item.authors) {
+      const uri = author.url || author.orcid;
+      entries += `    <author>
+      <name>${escapeXml(author.name)}</name>${uri ? `\n      <uri>${escapeXml(uri)}</uri>` : ''}
+    </author>\n`;
     }
+    for (const tag of item.tags) {
+      entries += `    <category term="${escapeXml(tag.term)}" label="${escapeXml(tag.label)}" scheme="${SITE_URL}/tags/"/>\n`;
+    }
+    entries += `    <summary type="text">${escapeXml(item.summary)}</summary>
+  </entry>\n`;
+  }
 
-    sectionsHtml += `
-      <section>
-        <span class="section-label">Programme ${escapeHtml(prog.index)}</span>
-        <h2 class="section-title">${escapeHtml(prog.title)}</h2>
-        <div class="featured-papers">
-${cardsHtml}
-        </div>
-      </section>`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${selfUrl}"/>
+  <link rel="alternate" type="text/html" href="${SITE_URL}${feed.link}"/>
+  <id>${selfUrl}</id>
+  <updated>${feedUpdated(items)}</updated>
+  <author>
+    <name>${PUBLISHER}</name>
+    <uri>${SITE_URL}</uri>
+    <email>${CONTACT_EMAIL}</email>
+  </author>
+${entries}</feed>`;
+}
+
+function buildJsonFeed(feed = siteFeed()) {
+  const items = feedEntries(feed.papers).map(feedItem);
+  const jsonFeed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: `${SITE_URL}${feed.link}`,
+    feed_url: feedUrl(feed, FEED_FORMATS[2]),
+    description: feed.description,
+    language: 'en',
+    authors: [{ name: PUBLISHER, url: SITE_URL }],
+    items: items.map(item => {
+      const entry = {
+        id: item.link,
+        url: item.link,
+        title: item.title,
+        content_text: item.summary,
+        date_published: item.published,
+        date_modified: item.updated,
+        authors: item.authors.map(a => {
+          const author = { name: a.name };
+          if (a.url || a.orcid) author.url = a.url || a.orcid;
+          return author;
+        }),
+        tags: item.tags.map(t => t.label),
+        _ascri: {
+          about: `${SITE_URL}/`,
+          wp_number: item.paper.wpNumber,
+          programme: item.paper.program,
+        },
+      };
+      if (item.doi) {
+        entry.external_url = `https://doi.org/${item.doi}`;
+        entry._ascri.doi = item.doi;
+      }
+      if (item.version) entry._ascri.version = item.version.version;
+      return entry;
+    }),
+  };
+  return JSON.stringify(jsonFeed, null, 2) + '\n';
+}
+
+// Emit a feed in every format (see createOutputWriter)
+function emitFeed(emit, feed) {
+  const inputs = [feed.title, feed.description, listingInputs(feed.papers)];
+  for (const format of FEED_FORMATS) {
+    emit(`${feed.base.slice(1)}${format.ext}`, inputs, () => format.render(feed));
   }
+}
 
-  const bodyContent = `
-  <main>
-    <div class="container">
-      <section class="hero" style="border-bottom: none; padding-bottom: 2rem;">
-        <span class="hero__label">Research Output</span>
-        <h1 class="hero__title">Papers</h1>
-        <p class="hero__subtitle">${papers.length} papers across ${Object.keys(programs).length} research programmes.</p>
-      </section>
-${sectionsHtml}
-    </div>
-  </main>`;
+// <link rel="alternate"> tags and visible links for a feed
+function feedAlternateLinks(feed) {
+  return FEED_FORMATS.map(format => {
+    const title = format.key === 'rss' ? feed.title : `${feed.title} (${format.label})`;
+    return `  <link rel="alternate" type="${format.type}" title="${escapeHtml(title)}" href="${feedUrl(feed, format)}">\n`;
+  }).join('');
+}
 
-  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
+function feedLinksHtml(feed) {
+  return FEED_FORMATS
+    .map(format => `<a href="${feed.base}${format.ext}" class="btn btn--small">${format.label}</a>`)
+    .join(' ');
 }
 
-function buildProgrammePage(programKey) {
-  const prog = programs[programKey];
-  if (!prog) return null;
+// ---------------------------------------------------------------------------
+// JSON API (/api/v1)
+// ---------------------------------------------------------------------------
 
-  const programPapers = papers
-    .filter(p => p.program === programKey)
-    .sort(sortByDateDesc);
+// A versioned, read-only copy of the catalogue for other sites to embed.
+// Labels are resolved, URLs are absolute and every response names the part
+// of /api/v1/schema.json that describes it. Breaking changes go to /api/v2.
+const API_BASE = '/api/v1';
+const API_SCHEMA_URL = `${SITE_URL}${API_BASE}/schema.json`;
+
+// Served for every API file via the generated _headers (Cloudflare Pages)
+const API_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+  'X-Content-Type-Options': 'nosniff',
+};
+
+function absoluteUrl(sitePath) {
+  return sitePath ? `${SITE_URL}${sitePath}` : null;
+}
 
-  const headHtml = getHeadHtml({
-    title: `Programme ${prog.index}: ${prog.title}`,
-    description: prog.description,
-    canonicalUrl: `${SITE_URL}${programmeUrl(programKey)}`,
-  });
+function apiPaperUrl(paper) {
+  return `${SITE_URL}${API_BASE}/papers/${paper.wpNumber}.json`;
+}
 
-  const navHtml = getNavHtml('programmes');
+function apiProgrammeUrl(programKey) {
+  return `${SITE_URL}${API_BASE}/programmes/${programmeNumber(programKey)}.json`;
+}
 
-  let cardsHtml = '';
-  for (const paper of programPapers) {
-    const subtitleHtml = paper.subtitle
-      ? `\n          <p class="paper-card__subtitle">${escapeHtml(paper.subtitle)}</p>`
-      : '';
-    cardsHtml += `
-        <a href="${paperUrl(paper)}" class="paper-card">
-          <div class="paper-card__meta">
-            <span class="paper-card__date">${formatDate(paper.date)}</span>
-            <span class="status ${statusClass(paper.status)}">${escapeHtml(statusLabel(paper.status))}</span>
-          </div>
-          <h3 class="paper-card__title">${escapeHtml(paper.title)}</h3>${subtitleHtml}
-          <p class="paper-card__authors">${escapeHtml(paper.authors.join(', '))}</p>
-        </a>`;
-  }
+function apiFeeds(base) {
+  return Object.fromEntries(FEED_FORMATS.map(format => [format.key, feedUrl({ base }, format)]));
+}
 
-  const bodyContent = `
-  <main class="programme-detail">
-    <div class="container">
-      <a href="/programmes/" class="paper-detail__back">&larr; All Programmes</a>
+function apiPaper(paper) {
+  const versions = paperVersions(paper);
+  const latest = latestVersion(paper);
+  return {
+    wpNumber: paper.wpNumber,
+    id: paper.id,
+    type: paperTypeLabel(paper),
+    url: `${SITE_URL}${paperUrl(paper)}`,
+    apiUrl: apiPaperUrl(paper),
+    title: paper.title,
+    subtitle: paper.subtitle || null,
+    authors: paperAuthors(paper).map(a => ({
+      name: a.name,
+      type: a.corporate ? 'organization' : 'person',
+      given: a.given || null,
+      family: a.corporate ? null : a.family,
+      suffix: a.suffix || null,
+      orcid: a.orcid,
+      affiliations: a.affiliations,
+      profileUrl: a.slug ? absoluteUrl(personUrl(a.slug)) : null,
+    })),
+    date: paper.date,
+    lastRevised: lastRevised(paper),
+    version: latest ? latest.version : null,
+    status: { key: paper.status, label: statusLabel(paper.status) },
+    journal: paper.journal || null,
+    programme: {
+      key: paper.program,
+      number: programmeNumber(paper.program),
+      index: programIndex(paper.program),
+      title: programTitle(paper.program),
+      url: absoluteUrl(programmeUrl(paper.program)),
+    },
+    category: { key: paper.category, label: categories[paper.category] || paper.category },
+    summary: summaryText(paper) || null,
+    abstract: abstractText(paper) || null,
+    abstractHtml: paper.abstract ? renderMarkdown(paper.abstract) : null,
+    tags: paper.tags.map(tag => ({ key: tag, label: tags[tag] || tag, url: absoluteUrl(tagUrl(tag)) })),
+    methods: (paper.methods || []).map(method => ({ name: method, url: absoluteUrl(methodUrl(method)) })),
+    doi: currentDoi(paper),
+    doiUrl: doiUrl(paper),
+    zenodo: paper.zenodo || null,
+    arxiv: paper.arxiv || null,
+    arxivUrl: paper.arxiv ? `https://arxiv.org/abs/${paper.arxiv}` : null,
+    pdfUrl: pdfUrl(paper),
+    pdfFile: currentPdfInfo(paper),
+    github: paper.github || null,
+    dashboard: paper.dashboard || null,
+    imageUrl: paper.retired ? null : absoluteUrl(ogImageUrl(paper)),
+    versions: versions.map(v => ({
+      version: v.version,
+      date: v.date,
+      url: `${SITE_URL}${paperUrl(paper)}#${versionSlug(v)}`,
+      pdfUrl: versionPdfUrl(paper, v),
+      doi: v.doi || null,
+      doiUrl: v.doi ? `https://doi.org/${v.doi}` : null,
+      note: v.note || null,
+    })),
+    artifacts: paperArtifacts(paper).map(a => ({
+      type: a.type,
+      label: ARTIFACT_TYPES[a.type].label,
+      title: a.title,
+      url: a.url,
+      description: a.description || null,
+      doi: a.doi || null,
+      doiUrl: artifactDoiUrl(a),
+      licence: a.licence || null,
+      size: a.size || null,
+    })),
+    references: paperReferences(paper).map(ref => ({
+      text: ref.text,
+      doi: ref.doi,
+      doiUrl: referenceDoiUrl(ref),
+    })),
+    links: curatedRelations(paper).map(r => ({
+      relation: r.relation,
+      label: r.label,
+      wpNumber: r.paper.wpNumber,
+      title: r.paper.title,
+      url: `${SITE_URL}${paperUrl(r.paper)}`,
+      apiUrl: apiPaperUrl(r.paper),
+    })),
+    citations: {
+      apa: apaCitation(paper),
+      chicago: chicagoCitation(paper),
+      mla: mlaCitation(paper),
+    },
+    exports: Object.fromEntries(CITATION_FILES.map(f => [f.key, absoluteUrl(citationFileUrl(paper, f.ext))])),
+    withdrawn: paper.retired
+      ? { date: paper.retired.date, reason: paper.retired.reason, replacedBy: paper.retired.replacedBy || null }
+      : null,
+  };
+}
 
-      <div class="programme-detail__header">
-        <span class="programme-detail__index">Programme ${escapeHtml(prog.index)}</span>
-        <h1 class="programme-detail__title">${escapeHtml(prog.title)}</h1>
-        <p class="programme-detail__desc">${escapeHtml(prog.description)}</p>
-      </div>
+function apiPaperList() {
+  const list = [...papers].sort(sortByDateDesc);
+  return {
+    $schema: `${API_SCHEMA_URL}#/$defs/paperList`,
+    count: list.length,
+    papers: list.map(apiPaper),
+  };
+}
 
-      <section>
-        <span class="section-label">${programPapers.length} paper${programPapers.length !== 1 ? 's' : ''}</span>
-        <div class="featured-papers">
-${cardsHtml}
-        </div>
-      </section>
-    </div>
-  </main>`;
+function apiProgramme(programKey) {
+  const prog = programs[programKey];
+  const list = papers.filter(p => p.program === programKey).sort(sortByDateDesc);
+  return {
+    $schema: `${API_SCHEMA_URL}#/$defs/programme`,
+    key: programKey,
+    number: programmeNumber(programKey),
+    index: prog.index,
+    title: prog.title,
+    tagline: prog.tagline || null,
+    description: prog.description || null,
+    url: absoluteUrl(programmeUrl(programKey)),
+    apiUrl: apiProgrammeUrl(programKey),
+    feeds: apiFeeds(programmeFeed(programKey).base),
+    count: list.length,
+    papers: list.map(apiPaper),
+  };
+}
 
-  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
+function apiTagList() {
+  return {
+    $schema: `${API_SCHEMA_URL}#/$defs/tagList`,
+    tags: usedTags().map(tag => {
+      const list = papers.filter(p => p.tags.includes(tag)).sort(sortByDateDesc);
+      return {
+        key: tag,
+        label: tags[tag],
+        url: absoluteUrl(tagUrl(tag)),
+        feeds: apiFeeds(tagFeed(tag).base),
+        count: list.length,
+        papers: list.map(p => p.wpNumber),
+      };
+    }),
+  };
 }
 
-function buildProgrammesIndexPage() {
-  const headHtml = getHeadHtml({
-    title: 'Research Programmes',
-    description: 'Research programmes of the Adversarial Systems & Complexity Research Initiative.',
-    canonicalUrl: `${SITE_URL}/programmes/`,
+// JSON Schema for every API response; --check validates the output with it
+function apiSchema() {
+  const str = { type: 'string' };
+  const nullableStr = { type: ['string', 'null'] };
+  const uri = { type: 'string', format: 'uri' };
+  const nullableUri = { type: ['string', 'null'], format: 'uri' };
+  const date = { type: 'string', format: 'date' };
+  const wpNumber = { type: 'string', pattern: WP_NUMBER_RE.source };
+  const object = (properties, description) => ({
+    ...(description ? { description } : {}),
+    type: 'object',
+    properties,
+    required: Object.keys(properties).filter(key => key !== '$schema'),
+    additionalProperties: false,
   });
+  const labelled = object({ key: str, label: str });
+  const feeds = object(Object.fromEntries(FEED_FORMATS.map(f => [f.key, uri])), 'RSS 2.0, Atom 1.0 and JSON Feed 1.1 URLs');
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: API_SCHEMA_URL,
+    title: `${SITE_TITLE} catalogue API v1`,
+    description: `Responses of ${SITE_URL}${API_BASE}/: papers.json (paperList), papers/{wpNumber}.json (paper), programmes/{num}.json (programme) and tags.json (tagList).`,
+    $defs: {
+      paper: object({
+        $schema: str,
+        wpNumber,
+        id: str,
+        type: { type: 'string', enum: ['Working Paper', 'Discussion Paper'] },
+        url: uri,
+        apiUrl: uri,
+        title: str,
+        subtitle: nullableStr,
+        authors: {
+          type: 'array',
+          items: object({
+            name: str,
+            type: { type: 'string', enum: ['person', 'organization'] },
+            given: nullableStr,
+            family: nullableStr,
+            suffix: nullableStr,
+            orcid: nullableStr,
+            affiliations: { type: 'array', items: str },
+            profileUrl: nullableUri,
+          }),
+        },
+        date,
+        lastRevised: date,
+        version: nullableStr,
+        status: labelled,
+        journal: nullableStr,
+        programme: object({ key: str, number: { type: 'integer', minimum: 1 }, index: str, title: str, url: uri }),
+        category: labelled,
+        summary: { type: ['string', 'null'], description: 'Plain text' },
+        abstract: { type: ['string', 'null'], description: 'Plain text; paragraphs separated by blank lines' },
+        abstractHtml: { type: ['string', 'null'], description: 'HTML with MathML, no scripts or styles' },
+        tags: { type: 'array', items: object({ key: str, label: str, url: uri }) },
+        methods: { type: 'array', items: object({ name: str, url: uri }) },
+        doi: nullableStr,
+        doiUrl: nullableUri,
+        zenodo: nullableStr,
+        arxiv: nullableStr,
+        arxivUrl: nullableUri,
+        pdfUrl: nullableUri,
+        pdfFile: {
+          type: ['object', 'null'],
+          description: 'The self-hosted PDF behind pdfUrl; null when the PDF is hosted elsewhere',
+          properties: { sha256: { type: 'string', pattern: '^[0-9a-f]{64}$' }, bytes: { type: 'integer', minimum: 1 }, pages: { type: 'integer', minimum: 1 } },
+          required: ['sha256', 'bytes', 'pages'],
+          additionalProperties: false,
+        },
+        github: nullableUri,
+        dashboard: nullableUri,
+        imageUrl: nullableUri,
+        versions: {
+          type: 'array',
+          items: object({ version: str, date, url: uri, pdfUrl: nullableUri, doi: nullableStr, doiUrl: nullableUri, note: nullableStr }),
+        },
+        artifacts: {
+          type: 'array',
+          description: 'Replication materials, including the github and dashboard links',
+          items: object({
+            type: { type: 'string', enum: Object.keys(ARTIFACT_TYPES) },
+            label: str,
+            title: str,
+            url: uri,
+            description: nullableStr,
+            doi: nullableStr,
+            doiUrl: nullableUri,
+            licence: { type: ['string', 'null'], description: 'SPDX licence identifier' },
+            size: nullableStr,
+          }),
+        },
+        references: {
+          type: 'array',
+          description: 'Reference list parsed from the full text of the PDF; empty when there is no stored text',
+          items: object({ text: str, doi: nullableStr, doiUrl: nullableUri }),
+        },
+        links: {
+          type: 'array',
+          items: object({
+            relation: { type: 'string', enum: [...new Set(Object.entries(RELATIONS).flatMap(([key, rel]) => [key, rel.inverseKey]))] },
+            label: str,
+            wpNumber,
+            title: str,
+            url: uri,
+            apiUrl: uri,
+          }),
+        },
+        citations: object({ apa: str, chicago: str, mla: str }, 'Plain-text reference list entries'),
+        exports: object(Object.fromEntries(CITATION_FILES.map(f => [f.key, uri]))),
+        withdrawn: {
+          type: ['object', 'null'],
+          properties: { date, reason: str, replacedBy: { type: ['string', 'null'], pattern: WP_NUMBER_RE.source } },
+          required: ['date', 'reason', 'replacedBy'],
+          additionalProperties: false,
+        },
+      }, 'One paper, current or withdrawn'),
+      paperList: object({
+        $schema: str,
+        count: { type: 'integer', minimum: 0 },
+        papers: { type: 'array', items: { $ref: '#/$defs/paper' } },
+      }, 'Current papers, newest first'),
+      programme: object({
+        $schema: str,
+        key: str,
+        number: { type: 'integer', minimum: 1 },
+        index: str,
+        title: str,
+        tagline: nullableStr,
+        description: nullableStr,
+        url: uri,
+        apiUrl: uri,
+        feeds,
+        count: { type: 'integer', minimum: 0 },
+        papers: { type: 'array', items: { $ref: '#/$defs/paper' } },
+      }, 'A research programme and its current papers, newest first'),
+      tagList: object({
+        $schema: str,
+        tags: {
+          type: 'array',
+          items: object({
+            key: str,
+            label: str,
+            url: uri,
+            feeds,
+            count: { type: 'integer', minimum: 1 },
+            papers: { type: 'array', items: wpNumber },
+          }),
+        },
+      }, 'Tags in use, each with the wpNumbers of its papers'),
+    },
+  };
+}
 
-  const navHtml = getNavHtml('programmes');
+// Cloudflare Pages _headers: CORS for the API
+function buildHeaders() {
+  return `# Generated by build.js
+${API_BASE}/*
+${Object.entries(API_HEADERS).map(([name, value]) => `  ${name}: ${value}`).join('\n')}
+`;
+}
 
-  const counts = paperCountByProgramme();
+// ---------------------------------------------------------------------------
+// Open Graph images
+// ---------------------------------------------------------------------------
 
-  let cardsHtml = '';
-  for (const [key, prog] of Object.entries(programs)) {
-    const count = counts[key] || 0;
-    cardsHtml += `
-        <a href="${programmeUrl(key)}" class="programme-card">
-          <span class="programme-card__index">Programme ${escapeHtml(prog.index)}</span>
-          <h3 class="programme-card__title">${escapeHtml(prog.title)}</h3>
-          <p class="programme-card__desc">${escapeHtml(prog.description)}</p>
-          <span class="programme-card__count">${count} paper${count !== 1 ? 's' : ''}</span>
-        </a>`;
+const OG_WIDTH = 1200;
+const OG_HEIGHT = 630;
+const OG_MARGIN = 80;
+
+// Light-theme palette from ascri.css
+const OG_COLORS = {
+  bg: '#FFFFFF',
+  text: '#1A1A1A',
+  secondary: '#4A4A4A',
+  muted: '#757575',
+  accent: '#9B1B30',
+  border: '#E0DED9',
+};
+
+// Status badge colours: the .status--* rules in ascri.css, with translucent
+// backgrounds flattened onto white
+const OG_STATUS_COLORS = {
+  'peer-review': { bg: '#E8F5E9', fg: '#2E7D32' },
+  'published': { bg: '#E8F5E9', fg: '#1B5E20' },
+  'preprint': { bg: '#F1F8E9', fg: '#558B2F' },
+  'with-editor': { bg: '#FCEAE0', fg: '#E65100' },
+  'submitted': { bg: '#E3ECF7', fg: '#1565C0' },
+  'transferring': { bg: '#EFEBE9', fg: '#795548' },
+};
+const OG_STATUS_DEFAULT = { bg: '#F0EFEC', fg: '#757575' };
+
+let ogFontCache = null;
+
+// Bundled OFL fonts (fonts/OFL.txt), loaded on first use
+function ogFonts() {
+  if (!ogFontCache) {
+    ogFontCache = {
+      sans: Font.load(path.join(FONTS_DIR, 'Lato-Regular.ttf')),
+      mono: Font.load(path.join(FONTS_DIR, 'SourceCodePro-Regular.ttf')),
+      monoBold: Font.load(path.join(FONTS_DIR, 'SourceCodePro-Bold.ttf')),
+    };
+  }
+  return ogFontCache;
+}
+
+function ogImageUrl(paper) {
+  return `/og/${paper.wpNumber}.png`;
+}
+
+// Shorten text with an ellipsis until it fits maxWidth
+function fitText(canvas, font, text, size, maxWidth, tracking = 0) {
+  if (canvas.measureText(font, text, size, tracking) <= maxWidth) return text;
+  const words = text.split(' ');
+  while (words.length > 1) {
+    words.pop();
+    const candidate = `${words.join(' ').replace(/[\s,;:·—-]+$/, '')}…`;
+    if (canvas.measureText(font, candidate, size, tracking) <= maxWidth) return candidate;
+  }
+  return `${words[0]}…`;
+}
+
+// Greedy word wrap; returns null if the text needs more than maxLines
+function wrapText(canvas, font, text, size, maxWidth, maxLines) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && canvas.measureText(font, candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.length <= maxLines ? lines : null;
+}
+
+// Accent bar, wordmark and footer rule shared by every card
+function ogFrame(canvas, fonts) {
+  canvas.fillRect(0, 0, OG_WIDTH, 10, OG_COLORS.accent);
+  canvas.fillRect(OG_MARGIN, 520, OG_WIDTH - 2 * OG_MARGIN, 2, OG_COLORS.border);
+  const domain = SITE_URL.replace(/^https?:\/\//, '');
+  const domainWidth = canvas.measureText(fonts.sans, domain, 28);
+  canvas.drawText(fonts.sans, domain, OG_WIDTH - OG_MARGIN - domainWidth, 582, 28, OG_COLORS.muted);
+}
+
+function buildPaperOgImage(paper) {
+  const fonts = ogFonts();
+  const canvas = new Canvas(OG_WIDTH, OG_HEIGHT, OG_COLORS.bg);
+  const contentWidth = OG_WIDTH - 2 * OG_MARGIN;
+  ogFrame(canvas, fonts);
+
+  // Header: wordmark and wpNumber
+  canvas.drawText(fonts.sans, SITE_TITLE, OG_MARGIN, 120, 40, OG_COLORS.accent, 4);
+  const wpWidth = canvas.measureText(fonts.monoBold, paper.wpNumber, 32);
+  canvas.drawText(fonts.monoBold, paper.wpNumber, OG_WIDTH - OG_MARGIN - wpWidth, 120, 32, OG_COLORS.text);
+
+  const prog = programs[paper.program];
+  const programmeLine = `PROGRAMME ${prog.index} · ${prog.title.toUpperCase()}`;
+  canvas.drawText(fonts.mono, fitText(canvas, fonts.mono, programmeLine, 22, contentWidth, 1), OG_MARGIN, 172, 22, OG_COLORS.muted, 1);
+
+  // Title: the largest size that fits, ellipsised as a last resort
+  let size = 64;
+  let lines = null;
+  for (const [candidate, maxLines] of [[64, 3], [56, 3], [48, 4]]) {
+    size = candidate;
+    lines = wrapText(canvas, fonts.sans, paper.title, size, contentWidth, maxLines);
+    if (lines) break;
+  }
+  if (!lines) {
+    const all = wrapText(canvas, fonts.sans, paper.title, size, contentWidth, Infinity);
+    lines = [...all.slice(0, 3), fitText(canvas, fonts.sans, all.slice(3).join(' '), size, contentWidth)];
+  }
+  const lineHeight = Math.round(size * 1.18);
+  let baseline = 200 + size;
+  for (const line of lines) {
+    canvas.drawText(fonts.sans, line, OG_MARGIN, baseline, size, OG_COLORS.text);
+    baseline += lineHeight;
   }
 
-  const bodyContent = `
-  <main>
-    <div class="container container--wide">
-      <section class="hero" style="border-bottom: none; padding-bottom: 2rem;">
-        <span class="hero__label">Research Structure</span>
-        <h1 class="hero__title">Programmes</h1>
-        <p class="hero__subtitle">Five interlocking research programmes investigating friction, consent, and stability across adversarial systems.</p>
-      </section>
+  // Authors, shortened to "et al." when they do not fit on one line
+  const names = authorNames(paper);
+  let authors = names.join(', ');
+  for (let n = names.length - 1; n > 0 && canvas.measureText(fonts.sans, authors, 30) > contentWidth; n--) {
+    authors = `${names.slice(0, n).join(', ')} et al.`;
+  }
+  authors = fitText(canvas, fonts.sans, authors, 30, contentWidth);
+  canvas.drawText(fonts.sans, authors, OG_MARGIN, baseline - lineHeight + 60, 30, OG_COLORS.secondary);
 
-      <div class="programme-grid">
-${cardsHtml}
-      </div>
-    </div>
-  </main>`;
+  // Footer: status badge
+  const colors = OG_STATUS_COLORS[paper.status] || OG_STATUS_DEFAULT;
+  const label = statusLabel(paper.status).toUpperCase();
+  const labelWidth = canvas.measureText(fonts.mono, label, 22, 1);
+  canvas.roundRect(OG_MARGIN, 552, labelWidth + 32, 42, 4, colors.bg);
+  canvas.drawText(fonts.mono, label, OG_MARGIN + 16, 580, 22, colors.fg, 1);
 
-  return wrapPage(headHtml, navHtml, bodyContent, getFooterHtml());
+  return canvas.toPng();
+}
+
+// Site-wide fallback used by every page without its own image
+function buildDefaultOgImage() {
+  const fonts = ogFonts();
+  const canvas = new Canvas(OG_WIDTH, OG_HEIGHT, OG_COLORS.bg);
+  ogFrame(canvas, fonts);
+
+  canvas.drawText(fonts.sans, SITE_TITLE, OG_MARGIN, 290, 128, OG_COLORS.accent, 12);
+  canvas.drawText(fonts.sans, SITE_DESCRIPTION, OG_MARGIN, 380, 44, OG_COLORS.text);
+  const count = Object.keys(programs).length;
+  canvas.drawText(fonts.mono, `WORKING PAPERS · ${count} RESEARCH PROGRAMMES`, OG_MARGIN, 440, 24, OG_COLORS.muted, 1);
+
+  return canvas.toPng();
 }
 
 // ---------------------------------------------------------------------------
-// Sitemap
+// Build manifest
 // ---------------------------------------------------------------------------
 
-function buildSitemap() {
-  const staticPages = [
-    { loc: '/', priority: '1.0', changefreq: 'weekly' },
-    { loc: '/framework', priority: '0.9', changefreq: 'monthly' },
-    { loc: '/papers/', priority: '0.9', changefreq: 'weekly' },
-    { loc: '/programmes/', priority: '0.8', changefreq: 'monthly' },
-    { loc: '/people', priority: '0.7', changefreq: 'monthly' },
-    { loc: '/about', priority: '0.7', changefreq: 'monthly' },
-    { loc: '/contact', priority: '0.5', changefreq: 'yearly' },
-  ];
+// Every generated file is recorded in .build-manifest.json with a hash of
+// its inputs, a hash of its content and the date that content last changed.
+// A file whose inputs are unchanged is not regenerated; a regenerated file
+// whose content is unchanged is not rewritten and keeps its lastmod.
+const MANIFEST_FILE = path.join(ROOT, '.build-manifest.json');
+const MANIFEST_VERSION = 1;
 
+function hashOf(value) {
+  const input = typeof value === 'string' || Buffer.isBuffer(value) ? value : JSON.stringify(value);
+  return crypto.createHash('sha256').update(input).digest('hex').slice(0, 16);
+}
+
+// Generator source and the bundled fonts (drawn into the share images):
+// changing any of them invalidates every output
+const TEMPLATE_VERSION = hashOf([
+  __filename,
+  ...fs.readdirSync(path.join(ROOT, 'lib')).sort().map(f => path.join(ROOT, 'lib', f)),
+  ...fs.readdirSync(FONTS_DIR).sort().map(f => path.join(FONTS_DIR, f)),
+].map(file => hashOf(fs.readFileSync(file))).join('\n'));
+
+function loadManifest() {
+  if (!fs.existsSync(MANIFEST_FILE)) return { outputs: {} };
+  try {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf-8'));
+    return manifest.version === MANIFEST_VERSION ? manifest : { outputs: {} };
+  } catch (err) {
+    console.warn(`  Ignoring unreadable ${path.basename(MANIFEST_FILE)}: ${err.message}`);
+    return { outputs: {} };
+  }
+}
+
+function saveManifest(outputs) {
+  const sorted = {};
+  for (const key of Object.keys(outputs).sort()) sorted[key] = outputs[key];
+  const manifest = { version: MANIFEST_VERSION, outputs: sorted };
+  fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+}
+
+// Writes generated files under public/, consulting the previous manifest.
+// emit(file, inputs, render): file is relative to public/, inputs is any
+// JSON-serialisable value the content depends on besides the templates and
+// CSS, and render() returns the content (string or Buffer).
+function createOutputWriter(previous, force) {
+  const outputs = {};
   const today = new Date().toISOString().split('T')[0];
+  const stats = { written: 0, unchanged: 0, skipped: 0, removed: 0 };
+
+  function emit(file, inputs, render) {
+    const target = path.join(PUBLIC, file);
+    const prev = previous.outputs[file];
+    const exists = fs.existsSync(target);
+    const inputHash = hashOf([TEMPLATE_VERSION, CSS_HASH, inputs]);
+
+    if (!force && prev && prev.inputs === inputHash && exists) {
+      outputs[file] = prev;
+      stats.skipped++;
+      return;
+    }
 
-  let urls = '';
-  for (const page of staticPages) {
-    urls += `  <url>
-    <loc>${SITE_URL}${page.loc}</loc>
-    <lastmod>${today}</lastmod>
-    <changefreq>${page.changefreq}</changefreq>
-    <priority>${page.priority}</priority>
-  </url>\n`;
+    const content = render();
+    const contentHash = hashOf(content);
+    const same = prev && prev.content === contentHash && exists;
+    if (same && !force) {
+      stats.unchanged++;
+    } else {
+      ensureDir(path.dirname(target));
+      fs.writeFileSync(target, content);
+      stats.written++;
+    }
+    outputs[file] = { inputs: inputHash, content: contentHash, lastmod: same ? prev.lastmod : today };
   }
 
-  // Paper pages
-  for (const paper of papers) {
-    urls += `  <url>
-    <loc>${SITE_URL}${paperUrl(paper)}</loc>
-    <lastmod>${paper.date}</lastmod>
-    <changefreq>monthly</changefreq>
-    <priority>0.8</priority>
-  </url>\n`;
+  // Delete files the previous build generated that this build did not
+  function removeStale() {
+    for (const file of Object.keys(previous.outputs)) {
+      if (outputs[file]) continue;
+      const target = path.join(PUBLIC, file);
+      if (fs.existsSync(target)) fs.unlinkSync(target);
+      console.log(`  Removed public/${file}`);
+      stats.removed++;
+    }
   }
 
-  // Programme pages
-  for (const key of Object.keys(programs)) {
-    urls += `  <url>
-    <loc>${SITE_URL}${programmeUrl(key)}</loc>
-    <lastmod>${today}</lastmod>
-    <changefreq>monthly</changefreq>
-    <priority>0.6</priority>
-  </url>\n`;
+  function lastmod(file) {
+    return outputs[file] ? outputs[file].lastmod : today;
   }
 
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-${urls}</urlset>`;
+  return { emit, removeStale, lastmod, outputs, stats };
+}
+
+// What a paper page (and its exports and share image) depends on
+function paperInputs(paper) {
+  return {
+    paper,
+    program: programs[paper.program],
+    status: statuses[paper.status],
+    tags: paper.tags.map(tag => tags[tag]),
+    people: paperAuthors(paper).map(a => a.person),
+    pdfs: localPdfs(paper).map(pdf => pdfInfo(pdf.source)),
+    references: paperReferences(paper),
+  };
+}
+
+// What a paper page's Related Papers cards depend on
+function relatedInputs(paper) {
+  return relatedPapers(paper).map(r => ({ label: r.label, paper: r.paper, status: statuses[r.paper.status] }));
+}
+
+// What a paper's API links depend on (incoming links come from other papers)
+function apiLinkInputs(paper) {
+  return curatedRelations(paper).map(r => [r.relation, r.paper.wpNumber, r.paper.title, paperUrl(r.paper)]);
+}
+
+// What a paper's API entry depends on, wherever it is embedded
+function apiPaperInputs(paper) {
+  return [paperInputs(paper), categories[paper.category], apiLinkInputs(paper)];
+}
+
+// What a page or feed listing these papers depends on
+function listingInputs(paperList) {
+  return { papers: paperList, tags, statuses, programs, people };
 }
 
 // ---------------------------------------------------------------------------
-// RSS Feed
+// Published URLs
 // ---------------------------------------------------------------------------
 
-function buildRSSFeed() {
-  const sortedPapers = [...papers].sort(sortByDateDesc);
+// published-urls.json records every URL the site has published and, per
+// wpNumber, each URL the paper has lived at (oldest first). A paper whose
+// programme changes gets 301s from its earlier URLs; a listing page that
+// disappears (an unused tag, method or profile) gets a 301 to its index.
+// Anything else that was published must still resolve, or the build fails.
+const URL_LEDGER_FILE = path.join(ROOT, 'published-urls.json');
+
+// Where vanished listing pages go: the first fallback whose pattern matches.
+// A tag or programme feed goes to the site-wide feed in the same format.
+const LISTING_FALLBACKS = [
+  ...FEED_FORMATS.map(format => ({
+    pattern: new RegExp(`^/(?:tags/[^/]+|\\d+/feed)\\${format.ext}$`),
+    to: `/feed${format.ext}`,
+  })),
+  { pattern: /^\/tags\//, to: '/papers/' },
+  { pattern: /^\/methods\//, to: '/papers/' },
+  { pattern: /^\/people\//, to: '/people' },
+];
+
+function loadUrlLedger() {
+  if (!fs.existsSync(URL_LEDGER_FILE)) return { papers: {}, urls: [] };
+  const ledger = JSON.parse(fs.readFileSync(URL_LEDGER_FILE, 'utf-8'));
+  return { papers: ledger.papers || {}, urls: ledger.urls || [] };
+}
 
-  let items = '';
-  for (const paper of sortedPapers) {
-    const paperLink = `${SITE_URL}${paperUrl(paper)}`;
-    const abstract = paper.abstract ? escapeXml(paper.abstract) : '';
+function saveUrlLedger(ledger) {
+  const sortedPapers = {};
+  for (const wp of Object.keys(ledger.papers).sort()) sortedPapers[wp] = ledger.papers[wp];
+  const out = { papers: sortedPapers, urls: [...new Set(ledger.urls)].sort() };
+  fs.writeFileSync(URL_LEDGER_FILE, JSON.stringify(out, null, 2) + '\n', 'utf-8');
+}
 
-    let descriptionParts = [];
-    if (paper.subtitle) {
-      descriptionParts.push(escapeXml(paper.subtitle));
-    }
-    if (paper.authors.length) {
-      descriptionParts.push(`By ${escapeXml(paper.authors.join(', '))}`);
-    }
-    if (abstract) {
-      descriptionParts.push(abstract);
-    }
+// Feeds, API files and published PDFs, relative to public/ (each is served
+// at its own path)
+function publishedFiles() {
+  const feeds = [siteFeed(), ...Object.keys(programs).map(programmeFeed), ...usedTags().map(tagFeed)];
+  const apiFiles = [
+    API_SCHEMA_URL,
+    `${SITE_URL}${API_BASE}/papers.json`,
+    `${SITE_URL}${API_BASE}/tags.json`,
+    ...data.papers.map(apiPaperUrl),
+    ...Object.keys(programs).map(apiProgrammeUrl),
+  ];
+  return [
+    ...feeds.flatMap(feed => FEED_FORMATS.map(format => `${feed.base.slice(1)}${format.ext}`)),
+    ...apiFiles.map(url => url.slice(SITE_URL.length + 1)),
+    ...data.papers.flatMap(localPdfs).map(pdf => pdf.file),
+  ];
+}
 
-    const description = descriptionParts.join(' &mdash; ');
+// URLs this build publishes: everything in the sitemap, tombstones, the
+// citation exports of every paper, feeds, API files and PDFs
+function currentUrls() {
+  return [
+    ...sitemapPages().map(e => e.loc),
+    ...retiredPapers.map(paperUrl),
+    ...data.papers.flatMap(p => CITATION_FILES.map(f => citationFileUrl(p, f.ext))),
+    ...publishedFiles().map(file => `/${file}`),
+  ];
+}
 
-    items += `    <item>
-      <title>${escapeXml(paper.title)}</title>
-      <link>${paperLink}</link>
-      <guid isPermaLink="true">${paperLink}</guid>
-      <pubDate>${formatDateRFC822(paper.date)}</pubDate>
-      <description>${description}</description>`;
+// The files behind currentUrls()
+function currentFiles() {
+  return [
+    ...sitemapPages().map(e => e.file),
+    ...retiredPapers.map(p => paperFile(p, 'html')),
+    ...data.papers.flatMap(p => CITATION_FILES.map(f => paperFile(p, f.ext))),
+    ...publishedFiles(),
+  ];
+}
 
-    if (paper.doi) {
-      items += `\n      <dc:identifier>doi:${escapeXml(paper.doi)}</dc:identifier>`;
-    }
+// Paper URL histories with this build's URLs appended
+function updatedPaperHistory(ledger) {
+  const history = {};
+  for (const [wp, urls] of Object.entries(ledger.papers)) history[wp] = urls.slice();
+  for (const paper of data.papers) {
+    const url = paperUrl(paper);
+    history[paper.wpNumber] = (history[paper.wpNumber] || []).filter(u => u !== url).concat(url);
+  }
+  return history;
+}
 
-    // Tags as categories
-    if (paper.tags) {
-      for (const tag of paper.tags) {
-        items += `\n      <category>${escapeXml(tags[tag] || tag)}</category>`;
-      }
+// 301s derived from the ledger, as [from, to] pairs
+function ledgerRedirects(ledger, history) {
+  const redirects = [];
+  for (const paper of data.papers) {
+    const url = paperUrl(paper);
+    for (const earlier of history[paper.wpNumber].filter(u => u !== url)) {
+      redirects.push([earlier, url]);
+      for (const f of CITATION_FILES) redirects.push([`${earlier}.${f.ext}`, citationFileUrl(paper, f.ext)]);
+      for (const pdf of localPdfs(paper)) redirects.push([`${earlier}${pdf.file.slice(url.length - 1)}`, `/${pdf.file}`]);
     }
+  }
+  const current = new Set(currentUrls());
+  for (const url of ledger.urls.filter(u => !current.has(u))) {
+    const fallback = LISTING_FALLBACKS.find(f => f.pattern.test(url));
+    if (fallback) redirects.push([url, fallback.to]);
+  }
+  return redirects;
+}
 
-    items += `\n    </item>\n`;
+// _redirects: old slug-based URLs, papers.json redirects, then earlier URLs
+// of moved papers and vanished listing pages
+function buildRedirects(ledger, history) {
+  let redirects = '# Old slug-based URLs -> DOI-style URLs\n';
+  for (const paper of data.papers) {
+    redirects += `/papers/${paper.id} ${paperUrl(paper)} 301\n`;
+  }
+  for (const key of Object.keys(programs)) {
+    redirects += `/programmes/${key} ${programmeUrl(key)} 301\n`;
+  }
+  const manual = data.redirects || [];
+  if (manual.length) {
+    redirects += '\n# papers.json "redirects"\n';
+    for (const { from, to } of manual) {
+      redirects += `${from} ${to} 301\n`;
+    }
+  }
+  const automatic = ledgerRedirects(ledger, history).filter(([from]) => !manual.some(r => r.from === from));
+  if (automatic.length) {
+    redirects += '\n# Earlier URLs of moved papers and removed listing pages (published-urls.json)\n';
+    for (const [from, to] of automatic) {
+      redirects += `${from} ${to} 301\n`;
+    }
   }
+  return redirects;
+}
 
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0"
-  xmlns:atom="http://www.w3.org/2005/Atom"
-  xmlns:dc="http://purl.org/dc/elements/1.1/">
-  <channel>
-    <title>${escapeXml(SITE_TITLE)} — Papers</title>
-    <link>${SITE_URL}</link>
-    <description>${escapeXml(SITE_DESCRIPTION)}</description>
-    <language>en</language>
-    <managingEditor>research@systems.ac (${PUBLISHER})</managingEditor>
-    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
-    <atom:link href="${SITE_URL}/feed.xml" rel="self" type="application/rss+xml" />
-${items}  </channel>
-</rss>`;
+// Published URLs this build would leave unresolved. Judged before anything
+// is written, against what the build is about to produce: its URLs, its
+// _redirects and the files in public/ that no earlier build generated (a
+// generated file it no longer produces is about to be removed)
+function lostUrls(ledger, redirects, previousOutputs) {
+  const current = new Set(currentUrls());
+  const files = new Set(currentFiles());
+  const isFile = file => {
+    const rel = path.relative(PUBLIC, file).split(path.sep).join('/');
+    return files.has(rel) || (!previousOutputs[rel] && isPublicFile(file));
+  };
+  const rules = parseRedirects(redirects);
+  return ledger.urls.filter(url => !current.has(url) && !urlResolves(url, rules, isFile));
 }
 
 // ---------------------------------------------------------------------------
 // Main build
 // ---------------------------------------------------------------------------
 
-function build() {
+function build(opts = {}) {
   const start = Date.now();
 
-  console.log(`Building ${SITE_TITLE} static site...`);
+  // Refuse to write anything if papers.json is inconsistent (or, in
+  // local-PDF mode, names a PDF that is not there)
+  const errors = validateData(data);
+  if (!errors.length) errors.push(...checkLocalPdfs());
+  if (errors.length) {
+    console.error(formatValidationReport(errors));
+    process.exit(1);
+  }
+
+  console.log(`Building ${SITE_TITLE} static site${opts.force ? ' (forced full rebuild)' : ''}...`);
   console.log(`  Papers: ${papers.length}`);
   console.log(`  Programmes: ${Object.keys(programs).length}`);
 
-  // Ensure output directories
-  const papersDir = path.join(PUBLIC, 'papers');
-  const programmesDir = path.join(PUBLIC, 'programmes');
-  ensureDir(papersDir);
-  ensureDir(programmesDir);
+  // Refuse to write (or remove) anything if a URL published before would
+  // stop resolving
+  const manifest = loadManifest();
+  const ledger = loadUrlLedger();
+  const history = updatedPaperHistory(ledger);
+  const redirects = buildRedirects(ledger, history);
+  const lost = lostUrls(ledger, redirects, manifest.outputs);
+  if (lost.length) {
+    console.error(`${lost.length} previously published URL${lost.length !== 1 ? 's' : ''} no longer resolve${lost.length === 1 ? 's' : ''}:`);
+    for (const url of lost) {
+      const wp = Object.keys(history).find(k => history[k].includes(url.replace(/\.(bib|ris|enw|csl\.json)$/, '')));
+      const hint = wp && !data.papers.some(p => p.wpNumber === wp) ? ` (${wp} was removed from papers.json; retire it instead)` : '';
+      console.error(`  ${url}${hint}`);
+    }
+    console.error('\nKeep the page, or add a redirect for it to the "redirects" list in papers.json.');
+    process.exit(1);
+  }
+
+  const out = createOutputWriter(manifest, opts.force);
+  const { emit } = out;
 
-  // Ensure DOI-style programme number directories (1/, 2/, 3/, etc.)
-  for (const key of Object.keys(programs)) {
-    const num = programmeNumber(key);
-    ensureDir(path.join(PUBLIC, String(num)));
+  // --- Full text of the current PDFs (local-PDF mode) ---
+  const texts = updateFullTexts();
+  for (const warning of texts.warnings) console.warn(`  Warning: ${warning}`);
+  if (texts.extracted) {
+    console.log(`  Extracted text of ${texts.extracted} PDF${texts.extracted !== 1 ? 's' : ''} -> fulltext/{wpNumber}.txt`);
   }
 
-  // Clean old slug-based paper pages from public/papers/ (keep index.html)
-  const oldPaperFiles = fs.readdirSync(papersDir).filter(f => f !== 'index.html' && f.endsWith('.html'));
-  for (const f of oldPaperFiles) {
-    fs.unlinkSync(path.join(papersDir, f));
+  // --- Individual paper pages (DOI-style: /{num}/{wpNumber}.html) ---
+  // Retired papers keep their citation exports next to the tombstone
+  for (const paper of data.papers) {
+    const inputs = paperInputs(paper);
+    if (!paper.retired) emit(paperFile(paper, 'html'), [inputs, relatedInputs(paper)], () => buildPaperPage(paper));
+    for (const f of CITATION_FILES) {
+      emit(paperFile(paper, f.ext), inputs, () => f.render(paper));
+    }
+    for (const pdf of localPdfs(paper)) {
+      emit(pdf.file, pdfInfo(pdf.source).sha256, () => fs.readFileSync(path.join(PDF_DIR, pdf.source)));
+    }
   }
-  if (oldPaperFiles.length) {
-    console.log(`  Cleaned ${oldPaperFiles.length} old paper pages from public/papers/`);
+  console.log(`  Generated ${papers.length} paper pages -> public/{num}/{wpNumber}.html`);
+  console.log(`  Generated citation exports -> public/{num}/{wpNumber}.{${CITATION_FILES.map(f => f.ext).join(',')}}`);
+
+  // --- Checksums of the published PDFs (local-PDF mode) ---
+  const pdfSums = data.papers.flatMap(localPdfs).map(pdf => `${pdfInfo(pdf.source).sha256}  ${pdf.file}`);
+  if (pdfSums.length) {
+    emit('SHA256SUMS', pdfSums, () => pdfSums.join('\n') + '\n');
+    console.log(`  Published ${pdfSums.length} PDFs -> public/{num}/{wpNumber}.pdf, checksums in public/SHA256SUMS`);
   }
 
-  // Clean old slug-based programme pages from public/programmes/ (keep index.html)
-  const oldProgFiles = fs.readdirSync(programmesDir).filter(f => f !== 'index.html' && f.endsWith('.html'));
-  for (const f of oldProgFiles) {
-    fs.unlinkSync(path.join(programmesDir, f));
+  // --- Tombstones for retired papers (same URL, withdrawal notice) ---
+  for (const paper of retiredPapers) {
+    const replacement = papers.find(p => p.wpNumber === paper.retired.replacedBy) || null;
+    emit(paperFile(paper, 'html'), [paperInputs(paper), replacement], () => buildTombstonePage(paper));
   }
-  if (oldProgFiles.length) {
-    console.log(`  Cleaned ${oldProgFiles.length} old programme pages from public/programmes/`);
+  if (retiredPapers.length) {
+    console.log(`  Generated ${retiredPapers.length} tombstone pages for retired papers`);
   }
 
-  // --- Individual paper pages (DOI-style: /{num}/{wpNumber}.html) ---
-  let paperCount = 0;
-  for (const paper of papers) {
-    const html = buildPaperPage(paper);
-    const num = programmeNumber(paper.program);
-    const outPath = path.join(PUBLIC, String(num), `${paper.wpNumber}.html`);
-    fs.writeFileSync(outPath, html, 'utf-8');
-    paperCount++;
-  }
-  console.log(`  Generated ${paperCount} paper pages -> public/{num}/{wpNumber}.html`);
+  // --- Homepage ---
+  emit('index.html', data, buildHomePage);
+  console.log(`  Generated homepage -> public/index.html (${featuredPapers().length} featured)`);
 
   // --- Papers index ---
-  const papersIndexHtml = buildPapersIndexPage();
-  fs.writeFileSync(path.join(papersDir, 'index.html'), papersIndexHtml, 'utf-8');
+  emit('papers/index.html', data, buildPapersIndexPage);
   console.log(`  Generated papers index -> public/papers/index.html`);
 
+  // --- Search index ---
+  emit('papers/search-index.json', [data, papers.map(fullText)], () => JSON.stringify(buildSearchIndex()));
+  console.log(`  Generated search index -> public/papers/search-index.json`);
+
   // --- Individual programme pages (DOI-style: /{num}/index.html) ---
-  let progCount = 0;
   for (const key of Object.keys(programs)) {
-    const html = buildProgrammePage(key);
-    if (html) {
-      const num = programmeNumber(key);
-      const outPath = path.join(PUBLIC, String(num), 'index.html');
-      fs.writeFileSync(outPath, html, 'utf-8');
-      progCount++;
-    }
+    const programPapers = papers.filter(p => p.program === key);
+    emit(`${programmeNumber(key)}/index.html`, [key, listingInputs(programPapers)], () => buildProgrammePage(key));
   }
-  console.log(`  Generated ${progCount} programme pages -> public/{num}/index.html`);
+  console.log(`  Generated ${Object.keys(programs).length} programme pages -> public/{num}/index.html`);
 
   // --- Programmes index ---
-  const programmesIndexHtml = buildProgrammesIndexPage();
-  fs.writeFileSync(path.join(programmesDir, 'index.html'), programmesIndexHtml, 'utf-8');
+  emit('programmes/index.html', data, buildProgrammesIndexPage);
   console.log(`  Generated programmes index -> public/programmes/index.html`);
 
-  // --- Sitemap ---
-  const sitemap = buildSitemap();
-  fs.writeFileSync(path.join(PUBLIC, 'sitemap.xml'), sitemap, 'utf-8');
-  console.log(`  Generated sitemap -> public/sitemap.xml`);
+  // --- Tag pages and feeds (/tags/{tag}.html, /tags/{tag}.{xml,atom,json}) ---
+  const tagKeys = usedTags();
+  for (const tag of tagKeys) {
+    const feed = tagFeed(tag);
+    emit(`tags/${tag}.html`, [tag, listingInputs(feed.papers)], () => buildTagPage(tag));
+    emitFeed(emit, feed);
+  }
+  console.log(`  Generated ${tagKeys.length} tag pages and feeds -> public/tags/{tag}.html, .xml, .atom, .json`);
 
-  // --- RSS Feed ---
-  const feed = buildRSSFeed();
-  fs.writeFileSync(path.join(PUBLIC, 'feed.xml'), feed, 'utf-8');
-  console.log(`  Generated RSS feed -> public/feed.xml`);
+  // --- Method pages (/methods/{slug}.html) ---
+  const methodMap = methodsBySlug();
+  for (const [slug, method] of Object.entries(methodMap)) {
+    const methodPapers = papers.filter(p => (p.methods || []).some(m => slugify(m) === slug));
+    emit(`methods/${slug}.html`, [method, listingInputs(methodPapers)], () => buildMethodPage(slug, method));
+  }
+  console.log(`  Generated ${Object.keys(methodMap).length} method pages -> public/methods/{slug}.html`);
 
-  // --- _redirects for old slug-based URLs ---
-  let redirects = '# Old slug-based URLs -> DOI-style URLs\n';
+  // --- People page and profiles (/people, /people/{slug}.html) ---
+  emit('people.html', data, buildPeoplePage);
+  for (const slug of Object.keys(people)) {
+    emit(`people/${slug}.html`, [slug, people[slug], listingInputs(papersByPerson(slug))], () => buildPersonPage(slug));
+  }
+  console.log(`  Generated people page and ${Object.keys(people).length} profiles -> public/people/{slug}.html`);
+
+  // --- Replication materials index (/materials) ---
+  emit('materials.html', listingInputs(papers), buildMaterialsPage);
+  console.log(`  Generated materials index -> public/materials.html`);
+
+  // --- Series statistics (/stats, /stats.csv, /stats.json) ---
+  const stats = computeStats();
+  const statsInputs = [listingInputs(papers), retiredPapers.length];
+  emit('stats.html', statsInputs, () => buildStatsPage(stats));
+  emit('stats.csv', statsInputs, () => buildStatsCsv(stats));
+  emit('stats.json', statsInputs, () => JSON.stringify(stats, null, 2) + '\n');
+  console.log(`  Generated statistics page -> public/stats.html, .csv, .json`);
+
+  // --- JSON API (/api/v1/...) and its CORS headers ---
+  emit('api/v1/schema.json', API_SCHEMA_URL, () => JSON.stringify(apiSchema(), null, 2) + '\n');
+  // The list and programme files embed each paper's full entry, with its
+  // pdfFile and the references parsed from fulltext/
+  const apiListInputs = [data, papers.map(apiPaperInputs)];
+  emit('api/v1/papers.json', apiListInputs, () => JSON.stringify(apiPaperList(), null, 2) + '\n');
+  for (const paper of data.papers) {
+    emit(`api/v1/papers/${paper.wpNumber}.json`, apiPaperInputs(paper), () =>
+      JSON.stringify({ $schema: `${API_SCHEMA_URL}#/$defs/paper`, ...apiPaper(paper) }, null, 2) + '\n');
+  }
+  for (const key of Object.keys(programs)) {
+    emit(`api/v1/programmes/${programmeNumber(key)}.json`, apiListInputs, () => JSON.stringify(apiProgramme(key), null, 2) + '\n');
+  }
+  emit('api/v1/tags.json', data, () => JSON.stringify(apiTagList(), null, 2) + '\n');
+  emit('_headers', API_HEADERS, buildHeaders);
+  console.log(`  Generated JSON API (${data.papers.length} papers, ${Object.keys(programs).length} programmes) -> public/api/v1/, public/_headers`);
+
+  // --- Open Graph images (/og/{wpNumber}.png, /assets/og-default.png) ---
   for (const paper of papers) {
-    redirects += `/papers/${paper.id} ${paperUrl(paper)} 301\n`;
+    emit(ogImageUrl(paper).slice(1), paperInputs(paper), () => buildPaperOgImage(paper));
   }
+  emit('assets/og-default.png', Object.keys(programs).length, buildDefaultOgImage);
+  console.log(`  Generated ${papers.length} share images -> public/og/{wpNumber}.png, public/assets/og-default.png`);
+
+  // --- Feeds: site-wide and per programme ---
+  emitFeed(emit, siteFeed());
   for (const key of Object.keys(programs)) {
-    redirects += `/programmes/${key} ${programmeUrl(key)} 301\n`;
+    emitFeed(emit, programmeFeed(key));
   }
-  fs.writeFileSync(path.join(PUBLIC, '_redirects'), redirects, 'utf-8');
-  console.log(`  Generated _redirects with ${papers.length + Object.keys(programs).length} redirects`);
+  console.log(`  Generated feeds -> public/feed.{xml,atom,json} and public/{num}/feed.{xml,atom,json}`);
+
+  // --- OAI-PMH static repository ---
+  emit(OAI_PATH.slice(1), data, buildOaiRepository);
+  emit(OAI_SETS_PATH.slice(1), data, buildOaiSets);
+  console.log(`  Generated OAI-PMH static repository (${papers.length} records, ${oaiSets().length} sets) -> public${OAI_PATH}`);
+
+  // --- _redirects (buildRedirects) ---
+  emit('_redirects', redirects, () => redirects);
+  console.log(`  Generated _redirects with ${parseRedirects(redirects).length} redirects`);
 
   // --- Cache-bust CSS in static pages ---
-  const staticPages = ['index.html', 'framework.html', 'people.html', 'about.html', 'contact.html'];
+  const staticPages = ['framework.html', 'about.html', 'contact.html'];
   for (const page of staticPages) {
     const pagePath = path.join(PUBLIC, page);
     if (fs.existsSync(pagePath)) {
-      let html = fs.readFileSync(pagePath, 'utf-8');
-      html = html.replace(/ascri\.css(\?v=[a-f0-9]*)?"/g, `ascri.css?v=${CSS_HASH}"`);
-      fs.writeFileSync(pagePath, html, 'utf-8');
+      const html = fs.readFileSync(pagePath, 'utf-8');
+      emit(page, html, () => html.replace(/ascri\.css(\?v=[a-f0-9]*)?"/g, `ascri.css?v=${CSS_HASH}"`));
     }
   }
   console.log(`  Cache-busted CSS (v=${CSS_HASH}) in ${staticPages.length} static pages`);
 
+  // --- Sitemap (last, so lastmod reflects this build's changes) ---
+  const entries = sitemapEntries(out.lastmod);
+  emit('sitemap.xml', entries, () => buildSitemap(entries));
+  console.log(`  Generated sitemap -> public/sitemap.xml`);
+
+  // --- Remove outputs of deleted papers, tags, people, ... ---
+  out.removeStale();
+  saveManifest(out.outputs);
+
+  const { written, unchanged, skipped, removed } = out.stats;
   const elapsed = Date.now() - start;
-  console.log(`\nDone in ${elapsed}ms.`);
+  console.log(`\n${written} written, ${unchanged} unchanged, ${skipped} up to date, ${removed} removed.`);
+
+  saveUrlLedger({ papers: history, urls: [...ledger.urls, ...currentUrls()] });
+
+  console.log(`Done in ${elapsed}ms.`);
+}
+
+// ---------------------------------------------------------------------------
+// Preview server (--serve)
+// ---------------------------------------------------------------------------
+
+// Serves public/ the way Cloudflare Pages does (clean URLs, _redirects, _headers),
+// rebuilds when papers.json or the CSS changes and tells open tabs to reload.
+// Papers and CSS are read once at startup, so each rebuild runs in a fresh
+// `node build.js` process.
+const SERVE_PORT = 8080;
+const LIVE_RELOAD_PATH = '/__livereload';
+const LIVE_RELOAD_SCRIPT = `<script>
+new EventSource('${LIVE_RELOAD_PATH}').addEventListener('reload', () => location.reload());
+</script>`;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.atom': 'application/atom+xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.bib': 'application/x-bibtex; charset=utf-8',
+  '.ris': 'application/x-research-info-systems; charset=utf-8',
+  '.enw': 'application/x-endnote-refer; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.pdf': 'application/pdf',
+};
+
+// _redirects rules: "from to [status]", with * splats and :placeholders
+function loadRedirects() {
+  const file = path.join(PUBLIC, '_redirects');
+  return fs.existsSync(file) ? parseRedirects(fs.readFileSync(file, 'utf-8')) : [];
+}
+
+function parseRedirects(text) {
+  const rules = [];
+  for (const line of text.split('\n')) {
+    const [from, to, status = '302'] = line.replace(/#.*/, '').trim().split(/\s+/);
+    if (!from || !to) continue;
+    const names = [];
+    const pattern = from.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*|:(\w+)/g, (m, name) => {
+      names.push(name || 'splat');
+      return name ? '([^/]+)' : '(.*)';
+    });
+    rules.push({ from, re: new RegExp(`^${pattern}$`), names, to, status: parseInt(status, 10) });
+  }
+  return rules;
+}
+
+// _headers rules: an unindented URL pattern (with * splats) followed by
+// indented "Name: value" lines
+function loadHeaders() {
+  const file = path.join(PUBLIC, '_headers');
+  if (!fs.existsSync(file)) return [];
+  const rules = [];
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    if (!/^\s/.test(line)) {
+      const pattern = line.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+      rules.push({ re: new RegExp(`^${pattern}$`), headers: {} });
+    } else if (rules.length && line.includes(':')) {
+      const i = line.indexOf(':');
+      rules[rules.length - 1].headers[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+    }
+  }
+  return rules;
+}
+
+function matchHeaders(rules, pathname) {
+  return Object.assign({}, ...rules.filter(rule => rule.re.test(pathname)).map(rule => rule.headers));
+}
+
+function matchRedirect(rules, pathname) {
+  for (const rule of rules) {
+    const m = rule.re.exec(pathname);
+    if (!m) continue;
+    const to = rule.names.reduce((url, name, i) => url.split(name === 'splat' ? ':splat' : `:${name}`).join(m[i + 1]), rule.to);
+    return { to, status: rule.status };
+  }
+  return null;
+}
+
+// Resolve a URL path to a file under public/ using the Pages rules:
+// /x -> x.html, /dir/ -> dir/index.html, and canonicalising redirects for
+// /x.html, /dir/index.html and /dir (when dir/index.html exists)
+function isPublicFile(file) {
+  return fs.existsSync(file) && fs.statSync(file).isFile();
+}
+
+// The file a site path serves, or the clean-URL redirect it gets. isFile
+// decides which files exist (the build checks against the files it is about
+// to write)
+function resolveStatic(pathname, isFile = isPublicFile) {
+  const file = path.join(PUBLIC, pathname);
+  if (path.relative(PUBLIC, file).startsWith('..')) return null;
+
+  if (pathname.endsWith('/index.html')) return { redirect: pathname.slice(0, -'index.html'.length) };
+  if (pathname.endsWith('.html') && isFile(file)) return { redirect: pathname.slice(0, -'.html'.length) };
+  if (pathname.endsWith('/')) return isFile(path.join(file, 'index.html')) ? { file: path.join(file, 'index.html') } : null;
+  if (isFile(file)) return { file };
+  if (isFile(`${file}.html`)) return { file: `${file}.html` };
+  if (isFile(path.join(file, 'index.html'))) return { redirect: `${pathname}/` };
+  return null;
+}
+
+function serve(opts = {}) {
+  const http = require('http');
+  const { spawn } = require('child_process');
+  const clients = new Set();
+  let redirects = loadRedirects();
+  let headers = loadHeaders();
+  let building = false;
+  let pending = false;
+
+  function rebuild(args = []) {
+    if (building) {
+      pending = true;
+      return;
+    }
+    building = true;
+    const env = PDF_DIR ? { ...process.env, PDF_DIR } : process.env;
+    const child = spawn(process.execPath, [__filename, ...args], { stdio: 'inherit', env });
+    child.on('exit', code => {
+      building = false;
+      if (code === 0) {
+        redirects = loadRedirects();
+        headers = loadHeaders();
+        for (const res of clients) res.write('event: reload\ndata: {}\n\n');
+        console.log(`Reloaded ${clients.size} open tab(s). Watching for changes...`);
+      } else {
+        console.error('Build failed; serving the previous output. Watching for changes...');
+      }
+      if (pending) {
+        pending = false;
+        rebuild();
+      }
+    });
+  }
+
+  // Editors often save by replacing the file, so watch directories and
+  // debounce bursts of events into one rebuild
+  let timer = null;
+  function changed(what) {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      console.log(`\n${what} changed, rebuilding...`);
+      rebuild();
+    }, 100);
+  }
+  fs.watch(ROOT, (event, name) => {
+    if (name === path.basename(DATA_FILE)) changed(name);
+  });
+  fs.watch(path.join(PUBLIC, 'css'), (event, name) => changed(`css/${name}`));
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === LIVE_RELOAD_PATH) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    let target;
+    try {
+      target = decodeURIComponent(pathname);
+    } catch {
+      res.writeHead(400).end('Bad request');
+      return;
+    }
+
+    let resolved = null;
+    const redirect = matchRedirect(redirects, target);
+    if (redirect && redirect.status === 200) {
+      resolved = resolveStatic(redirect.to);
+    } else if (redirect) {
+      res.writeHead(redirect.status, { Location: redirect.to }).end();
+      log(redirect.status, `-> ${redirect.to}`);
+      return;
+    } else {
+      resolved = resolveStatic(target);
+    }
+
+    if (resolved && resolved.redirect) {
+      res.writeHead(308, { Location: resolved.redirect }).end();
+      log(308, `-> ${resolved.redirect}`);
+      return;
+    }
+
+    const notFound = !resolved;
+    const file = notFound ? path.join(PUBLIC, '404.html') : resolved.file;
+    if (notFound && !fs.existsSync(file)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+      log(404);
+      return;
+    }
+
+    const ext = path.extname(file);
+    let body = fs.readFileSync(file);
+    if (ext === '.html') {
+      const html = body.toString('utf-8');
+      body = html.includes('</body>') ? html.replace('</body>', `${LIVE_RELOAD_SCRIPT}\n</body>`) : html + LIVE_RELOAD_SCRIPT;
+    }
+    res.writeHead(notFound ? 404 : 200, {
+      ...matchHeaders(headers, target),
+      'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+      'Cache-Control': 'no-store',
+    });
+    res.end(body);
+    log(notFound ? 404 : 200);
+
+    function log(status, note = '') {
+      console.log(`  ${status} ${req.method} ${pathname} ${note}`.trimEnd());
+    }
+  });
+
+  server.listen(opts.port || SERVE_PORT, '127.0.0.1', () => {
+    console.log(`\nServing public/ at http://localhost:${server.address().port}/ (Ctrl+C to stop)`);
+    console.log('Watching papers.json and public/css for changes...');
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Output checks (--check)
+// ---------------------------------------------------------------------------
+
+// Crawls public/ offline after a build: every internal href/src must resolve
+// (with the same routing as --serve), paper pages must carry the Scholar meta
+// and a ScholarlyArticle JSON-LD block, canonicals must be unique, XML must be
+// well-formed and _redirects must point somewhere that exists.
+const REQUIRED_CITATION_META = [
+  'citation_title',
+  'citation_author',
+  'citation_publication_date',
+  'citation_publisher',
+  'citation_abstract_html_url',
+  'citation_technical_report_number',
+];
+
+function listFiles(dir, base = dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listFiles(full, base));
+    else files.push(path.relative(base, full).split(path.sep).join('/'));
+  }
+  return files.sort();
+}
+
+// URL path a file under public/ is served at (the inverse of resolveStatic)
+function urlPathForFile(file) {
+  if (file === 'index.html') return '/';
+  if (file.endsWith('/index.html')) return `/${file.slice(0, -'index.html'.length)}`;
+  if (file.endsWith('.html')) return `/${file.slice(0, -'.html'.length)}`;
+  return `/${file}`;
+}
+
+function decodeHtmlAttr(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function htmlAttrs(tag) {
+  const attrs = {};
+  for (const m of tag.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) attrs[m[1].toLowerCase()] = decodeHtmlAttr(m[2]);
+  return attrs;
+}
+
+// Whether a site path resolves to a file, following _redirects and the
+// clean-URL redirects
+function urlResolves(pathname, redirects, isFile = isPublicFile, depth = 0) {
+  if (depth > 5) return false;
+  const redirect = matchRedirect(redirects, pathname);
+  if (redirect) {
+    if (/^[a-z]+:/i.test(redirect.to)) return true;
+    if (redirect.status === 200) return !!resolveStatic(redirect.to, isFile);
+    return urlResolves(new URL(redirect.to, SITE_URL).pathname, redirects, isFile, depth + 1);
+  }
+  const resolved = resolveStatic(pathname, isFile);
+  if (!resolved) return false;
+  return resolved.redirect ? urlResolves(resolved.redirect, redirects, isFile, depth + 1) : true;
+}
+
+// Shape of the ScholarlyArticle block on paper pages (see getHeadHtml)
+function checkScholarlyArticle(ld, canonical) {
+  const problems = [];
+  const isDate = v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+  const nonEmpty = v => typeof v === 'string' && v.trim() !== '';
+  if (ld['@context'] !== 'https://schema.org') problems.push(`JSON-LD @context is ${JSON.stringify(ld['@context'])}, expected "https://schema.org"`);
+  for (const key of ['name', 'headline']) {
+    if (!nonEmpty(ld[key])) problems.push(`JSON-LD ScholarlyArticle has no ${key}`);
+  }
+  if (!Array.isArray(ld.author) || !ld.author.length) {
+    problems.push('JSON-LD ScholarlyArticle has no author list');
+  } else {
+    ld.author.forEach((a, i) => {
+      if (!a || !['Person', 'Organization'].includes(a['@type']) || !nonEmpty(a.name)) {
+        problems.push(`JSON-LD author[${i}] is not a Person or Organization with a name`);
+      }
+    });
+  }
+  if (!isDate(ld.datePublished)) problems.push(`JSON-LD datePublished ${JSON.stringify(ld.datePublished)} is not YYYY-MM-DD`);
+  if ('dateModified' in ld && !isDate(ld.dateModified)) problems.push(`JSON-LD dateModified ${JSON.stringify(ld.dateModified)} is not YYYY-MM-DD`);
+  if (!ld.publisher || ld.publisher['@type'] !== 'Organization' || !nonEmpty(ld.publisher.name)) {
+    problems.push('JSON-LD publisher is not an Organization with a name');
+  }
+  if (ld.url !== canonical) problems.push(`JSON-LD url ${JSON.stringify(ld.url)} does not match the canonical URL`);
+  if (ld.identifier && (ld.identifier['@type'] !== 'PropertyValue' || !ld.identifier.propertyID || !ld.identifier.value)) {
+    problems.push('JSON-LD identifier is not a PropertyValue with propertyID and value');
+  }
+  if (ld.encoding && (ld.encoding['@type'] !== 'MediaObject' || !nonEmpty(ld.encoding.contentUrl))) {
+    problems.push('JSON-LD encoding is not a MediaObject with a contentUrl');
+  }
+  return problems;
+}
+
+function checkOutput() {
+  const { parse } = require('./lib/xml');
+  const { JsonSchema } = require('./lib/jsonschema');
+  const problems = [];
+  const report = (file, message) => problems.push({ file, message });
+  const redirects = loadRedirects();
+  const files = listFiles(PUBLIC);
+  const canonicals = new Map();
+  const paperFiles = new Map(data.papers.map(p => [paperFile(p, 'html'), p]));
+
+  for (const file of files.filter(f => f.endsWith('.html'))) {
+    const html = fs.readFileSync(path.join(PUBLIC, file), 'utf-8');
+    const pageUrl = new URL(urlPathForFile(file), SITE_URL);
+    // Links built by inline scripts are not markup; skip script bodies
+    const markup = html.replace(/(<script\b[^>]*>)[\s\S]*?<\/script>/gi, '$1</script>');
+
+    // Internal links and assets
+    const seen = new Set();
+    for (const m of markup.matchAll(/<[a-z][^>]*?\s(?:href|src)\s*=\s*"([^"]*)"[^>]*>/gi)) {
+      for (const [attr, raw] of Object.entries(htmlAttrs(m[0]))) {
+        if (attr !== 'href' && attr !== 'src') continue;
+        const href = raw.trim();
+        if (!href || href.startsWith('#') || /^(mailto|tel|javascript|data):/i.test(href) || seen.has(href)) continue;
+        seen.add(href);
+        let url;
+        try {
+          url = new URL(href, pageUrl);
+        } catch {
+          report(file, `malformed ${attr} "${href}"`);
+          continue;
+        }
+        if (url.origin !== pageUrl.origin) continue;
+        let pathname;
+        try {
+          pathname = decodeURIComponent(url.pathname);
+        } catch {
+          report(file, `malformed ${attr} "${href}"`);
+          continue;
+        }
+        if (!urlResolves(pathname, redirects)) report(file, `broken ${attr} "${href}"`);
+      }
+    }
+
+    // Canonical URL
+    const canonicalTag = markup.match(/<link\b[^>]*\brel="canonical"[^>]*>/i);
+    const canonical = canonicalTag ? htmlAttrs(canonicalTag[0]).href : null;
+    if (canonical) {
+      if (!canonicals.has(canonical)) canonicals.set(canonical, []);
+      canonicals.get(canonical).push(file);
+    }
+
+    // JSON-LD
+    const ldBlocks = [];
+    for (const m of html.matchAll(/<script\b[^>]*type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/gi)) {
+      try {
+        ldBlocks.push(JSON.parse(m[1]));
+      } catch (err) {
+        report(file, `JSON-LD does not parse: ${err.message}`);
+      }
+    }
+
+    // Paper pages: Scholar meta and ScholarlyArticle
+    const paper = paperFiles.get(file);
+    if (!paper) continue;
+    const meta = {};
+    for (const m of markup.matchAll(/<meta\b[^>]*>/gi)) {
+      const attrs = htmlAttrs(m[0]);
+      if (attrs.name && attrs.name.startsWith('citation_')) (meta[attrs.name] = meta[attrs.name] || []).push(attrs.content || '');
+    }
+    for (const name of REQUIRED_CITATION_META) {
+      if (!meta[name] || meta[name].some(v => !v.trim())) report(file, `missing or empty <meta name="${name}">`);
+    }
+    if (currentPdf(paper) && !meta.citation_pdf_url) report(file, 'missing <meta name="citation_pdf_url"> (the paper has a PDF)');
+    if (currentDoi(paper) && !meta.citation_doi) report(file, 'missing <meta name="citation_doi"> (the paper has a DOI)');
+    if (meta.citation_abstract_html_url && canonical && meta.citation_abstract_html_url[0] !== canonical) {
+      report(file, 'citation_abstract_html_url does not match the canonical URL');
+    }
+    const articles = ldBlocks.filter(ld => ld && ld['@type'] === 'ScholarlyArticle');
+    if (articles.length !== 1) {
+      report(file, `expected one ScholarlyArticle JSON-LD block, found ${articles.length}`);
+    } else {
+      for (const message of checkScholarlyArticle(articles[0], canonical)) report(file, message);
+    }
+  }
+
+  for (const paper of data.papers) {
+    if (!files.includes(paperFile(paper, 'html'))) report(paperFile(paper, 'html'), `missing page for ${paper.wpNumber}`);
+  }
+
+  // Canonical URLs must be unique and point back at a page that exists
+  for (const [canonical, pages] of canonicals) {
+    if (pages.length > 1) report(pages[0], `canonical ${canonical} is also used by ${pages.slice(1).join(', ')}`);
+    const url = new URL(canonical);
+    if (url.origin !== new URL(SITE_URL).origin) report(pages[0], `canonical ${canonical} is not on ${SITE_URL}`);
+    else if (!urlResolves(decodeURIComponent(url.pathname), redirects)) report(pages[0], `canonical ${canonical} does not resolve`);
+  }
+
+  // Well-formed XML (sitemap, feeds, OAI) and JSON (feeds, indexes)
+  for (const file of files.filter(f => /\.(xml|atom)$/.test(f))) {
+    try {
+      parse(fs.readFileSync(path.join(PUBLIC, file), 'utf-8'));
+    } catch (err) {
+      report(file, `not well-formed XML: ${err.message}`);
+    }
+  }
+  const pdfSums = new Map();
+  if (files.includes('SHA256SUMS')) {
+    for (const line of fs.readFileSync(path.join(PUBLIC, 'SHA256SUMS'), 'utf-8').split('\n').filter(Boolean)) {
+      const [sum, file] = line.split(/\s+/);
+      pdfSums.set(file, sum);
+    }
+  }
+  const apiSchemaFile = `${API_BASE.slice(1)}/schema.json`;
+  const schema = files.includes(apiSchemaFile)
+    ? new JsonSchema(JSON.parse(fs.readFileSync(path.join(PUBLIC, apiSchemaFile), 'utf-8')))
+    : null;
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    let json;
+    try {
+      json = JSON.parse(fs.readFileSync(path.join(PUBLIC, file), 'utf-8'));
+    } catch (err) {
+      report(file, `not valid JSON: ${err.message}`);
+      continue;
+    }
+
+    // API responses must match the part of the published schema they name,
+    // every site URL in them must resolve, and each PDF checksum they give
+    // must be the one in SHA256SUMS
+    if (!file.startsWith(API_BASE.slice(1)) || file === apiSchemaFile) continue;
+    if (!schema) {
+      report(apiSchemaFile, 'missing');
+      break;
+    }
+    const ref = typeof json.$schema === 'string' && json.$schema.startsWith(`${API_SCHEMA_URL}#`)
+      ? json.$schema.slice(API_SCHEMA_URL.length)
+      : null;
+    if (!ref) {
+      report(file, `$schema ${JSON.stringify(json.$schema)} does not point into ${API_SCHEMA_URL}`);
+      continue;
+    }
+    for (const message of schema.validate(json, ref)) report(file, `schema ${ref}: ${message}`);
+    const seenUrls = new Set();
+    JSON.stringify(json, (key, value) => {
+      if (key !== '$schema' && typeof value === 'string' && value.startsWith(`${SITE_URL}/`) && !seenUrls.has(value)) {
+        seenUrls.add(value);
+        const url = new URL(value);
+        if (!urlResolves(decodeURIComponent(url.pathname), redirects)) report(file, `${key} ${value} does not resolve`);
+      }
+      if (value && value.pdfFile && typeof value.pdfUrl === 'string' && value.pdfUrl.startsWith(`${SITE_URL}/`)) {
+        const pdf = decodeURIComponent(new URL(value.pdfUrl).pathname).slice(1);
+        if (!pdfSums.has(pdf)) report(file, `pdfFile for ${value.pdfUrl} is not listed in SHA256SUMS`);
+        else if (pdfSums.get(pdf) !== value.pdfFile.sha256) report(file, `pdfFile.sha256 for ${value.pdfUrl} does not match SHA256SUMS`);
+      }
+      return value;
+    });
+  }
+
+  // Every sitemap URL must exist
+  if (files.includes('sitemap.xml')) {
+    for (const m of fs.readFileSync(path.join(PUBLIC, 'sitemap.xml'), 'utf-8').matchAll(/<loc>([^<]*)<\/loc>/g)) {
+      const url = new URL(m[1]);
+      if (!urlResolves(decodeURIComponent(url.pathname), redirects)) report('sitemap.xml', `<loc> ${m[1]} does not resolve`);
+    }
+  } else {
+    report('sitemap.xml', 'missing');
+  }
+
+  // _redirects targets must exist
+  for (const rule of redirects) {
+    if (/^[a-z]+:/i.test(rule.to) || /:\w/.test(rule.to)) continue;
+    if (!urlResolves(rule.to, redirects)) report('_redirects', `${rule.from} -> ${rule.to}: target does not resolve`);
+  }
+
+  // Published PDFs must match their recorded checksums
+  for (const [file, sum] of pdfSums) {
+    if (!files.includes(file)) {
+      report('SHA256SUMS', `${file} is listed but missing`);
+    } else if (crypto.createHash('sha256').update(fs.readFileSync(path.join(PUBLIC, file))).digest('hex') !== sum) {
+      report('SHA256SUMS', `${file} does not match its checksum`);
+    }
+  }
+
+  return problems;
+}
+
+function formatCheckReport(problems) {
+  const groups = new Map();
+  for (const { file, message } of problems) {
+    if (!groups.has(file)) groups.set(file, []);
+    groups.get(file).push(message);
+  }
+
+  let report = `Output check found ${problems.length} problem${problems.length !== 1 ? 's' : ''}:\n`;
+  for (const [file, lines] of groups) {
+    report += `\n  public/${file}\n`;
+    for (const line of lines) {
+      report += `    - ${line}\n`;
+    }
+  }
+  return report;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  if (args.includes('--serve')) {
+    const portArg = args.indexOf('--port');
+    build({ force });
+    serve({ port: portArg === -1 ? SERVE_PORT : parseInt(args[portArg + 1], 10) });
+  } else {
+    build({ force });
+  }
+  if (args.includes('--check')) {
+    const problems = checkOutput();
+    if (problems.length) {
+      console.error(`\n${formatCheckReport(problems)}`);
+      process.exit(1);
+    }
+    console.log('\nOutput check passed: links, Scholar meta, JSON-LD, canonicals, XML, API schema, PDF checksums and _redirects.');
+  }
 }
 
-build();
+// Shared with the companion scripts (crossref.js, paper.js) and test/
+module.exports = {
+  SITE_URL,
+  SITE_DESCRIPTION,
+  PUBLISHER,
+  CONTACT_EMAIL,
+  ROOT,
+  DATA_FILE,
+  data,
+  papers,
+  programs,
+  PAPER_FIELDS,
+  VERSION_FIELDS,
+  ARTIFACT_FIELDS,
+  RETIRED_FIELDS,
+  AUTHOR_FIELDS,
+  REDIRECT_FIELDS,
+  CITATION_FILES,
+  apaCitation,
+  chicagoCitation,
+  mlaCitation,
+  suggestedCitation,
+  buildPaperPage,
+  checkLocalPdfs,
+  escapeXml,
+  slugify,
+  programmeNumber,
+  paperUrl,
+  currentDoi,
+  nameParts,
+  personForAuthor,
+  paperAuthors,
+  authorNames,
+  orcidUrl,
+  paperTypeLabel,
+  abstractText,
+  summaryText,
+  textTerms,
+  idfTable,
+  tfidfVector,
+  cosine,
+  validateData,
+  formatValidationReport,
+};
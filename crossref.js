@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+// crossref.js — Crossref deposit generator for ASCRI working papers
+// Zero npm dependencies. Writes a report-paper doi_batch for every paper
+// flagged "crossref": true in papers.json, validated offline against the
+// bundled 5.3.1 schema in schemas/crossref/ before anything is written.
+//
+// Usage: node crossref.js [--prefix 10.xxxx] [--out dir] [wpNumber ...]
+
+const fs = require('fs');
+const path = require('path');
+const {
+  SITE_URL,
+  SITE_DESCRIPTION,
+  PUBLISHER,
+  CONTACT_EMAIL,
+  ROOT,
+  data,
+  papers,
+  escapeXml,
+  paperUrl,
+  currentDoi,
+  paperAuthors,
+  orcidUrl,
+  paperTypeLabel,
+  abstractText,
+  validateData,
+  formatValidationReport,
+} = require('./build');
+const { Schema } = require('./lib/xsd');
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+
+// Crossref's test prefix; set CROSSREF_PREFIX (or --prefix) to the real one
+const DEFAULT_PREFIX = process.env.CROSSREF_PREFIX || '10.5555';
+const DEPOSITOR_NAME = PUBLISHER;
+const DEPOSITOR_EMAIL = CONTACT_EMAIL;
+const REGISTRANT = PUBLISHER;
+const SCHEMA_VERSION = '5.3.1';
+const SCHEMA_FILE = path.join(ROOT, 'schemas', 'crossref', `crossref${SCHEMA_VERSION}.xsd`);
+const DEFAULT_OUT = path.join(ROOT, 'deposits');
+
+// ISSN of each paper series. Crossref records a series (series_metadata)
+// only with an ISSN, so until a series has one its papers are deposited as
+// standalone reports, with the wpNumber as report number.
+const SERIES_ISSNS = {
+  'Working Paper': process.env.CROSSREF_WP_ISSN || null,
+  'Discussion Paper': process.env.CROSSREF_DP_ISSN || null,
+};
+
+// ---------------------------------------------------------------------------
+// Arguments
+// ---------------------------------------------------------------------------
+
+function parseArgs(argv) {
+  const opts = { prefix: DEFAULT_PREFIX, out: DEFAULT_OUT, only: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--prefix') opts.prefix = argv[++i];
+    else if (arg === '--out') opts.out = path.resolve(argv[++i]);
+    else if (arg.startsWith('--')) fail(`Unknown option ${arg}`);
+    else opts.only.push(arg);
+  }
+  if (!/^10\.\d{4,9}$/.test(opts.prefix || '')) {
+    fail(`"${opts.prefix}" is not a DOI prefix (expected e.g. 10.5555)`);
+  }
+  for (const [series, issn] of Object.entries(SERIES_ISSNS)) {
+    if (issn && !validIssn(issn)) fail(`"${issn}" is not a valid ISSN for the ${series} series (expected e.g. 1234-5679)`);
+  }
+  return opts;
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+// NNNN-NNNC, where C is the mod-11 check digit (X for 10)
+function validIssn(issn) {
+  const m = /^(\d{4})-(\d{3})([\dX])$/.exec(issn);
+  if (!m) return false;
+  const digits = (m[1] + m[2]).split('').map(Number);
+  const check = (11 - digits.reduce((sum, d, i) => sum + d * (8 - i), 0) % 11) % 11;
+  return m[3] === (check === 10 ? 'X' : String(check));
+}
+
+// ---------------------------------------------------------------------------
+// Deposit XML
+// ---------------------------------------------------------------------------
+
+// A paper keeps its DOI once registered under our prefix; new deposits get
+// one derived from the wpNumber, which is already unique and permanent.
+function depositDoi(paper, prefix) {
+  const doi = currentDoi(paper);
+  if (doi && doi.startsWith(`${prefix}/`)) return doi;
+  return `${prefix}/ascri.${paper.wpNumber.toLowerCase()}`;
+}
+
+// Crossref timestamps must increase with every deposit of the same DOI
+function depositTimestamp(date = new Date()) {
+  return date.toISOString().replace(/\D/g, '').slice(0, 14);
+}
+
+// Takes an author resolved by paperAuthors(); a corporate author is an
+// <organization>, everyone else a <person_name>
+function contributorXml(author, index) {
+  const sequence = index === 0 ? 'first' : 'additional';
+  if (author.corporate) {
+    return `          <organization sequence="${sequence}" contributor_role="author">${escapeXml(author.name)}</organization>\n`;
+  }
+  let xml = `          <person_name sequence="${sequence}" contributor_role="author">\n`;
+  if (author.given) xml += `            <given_name>${escapeXml(author.given)}</given_name>\n`;
+  xml += `            <surname>${escapeXml(author.family)}</surname>\n`;
+  if (author.suffix) xml += `            <suffix>${escapeXml(author.suffix)}</suffix>\n`;
+  if (author.affiliations.length) {
+    xml += `            <affiliations>\n`;
+    for (const affiliation of author.affiliations) {
+      xml += `              <institution>
+                <institution_name>${escapeXml(affiliation)}</institution_name>
+              </institution>\n`;
+    }
+    xml += `            </affiliations>\n`;
+  }
+  if (author.orcid) xml += `            <ORCID>${orcidUrl(author.orcid)}</ORCID>\n`;
+  xml += `          </person_name>\n`;
+  return xml;
+}
+
+// Plain-text abstract (Markdown and TeX flattened); paragraphs are
+// separated by blank lines
+function abstractXml(abstract) {
+  const paragraphs = abstract.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  return `        <jats:abstract>
+${paragraphs.map(p => `          <jats:p>${escapeXml(p)}</jats:p>`).join('\n')}
+        </jats:abstract>\n`;
+}
+
+// The paper's series, for series_metadata; null while it has no ISSN
+function paperSeries(paper) {
+  const issn = SERIES_ISSNS[paperTypeLabel(paper)];
+  return issn ? { title: `${PUBLISHER} ${paperTypeLabel(paper)} Series`, issn } : null;
+}
+
+function seriesXml(series) {
+  return `        <series_metadata>
+          <titles>
+            <title>${escapeXml(series.title)}</title>
+          </titles>
+          <issn media_type="electronic">${escapeXml(series.issn)}</issn>
+        </series_metadata>\n`;
+}
+
+function reportPaperXml(paper, prefix) {
+  const [year, month, day] = paper.date.split('-');
+  const series = paperSeries(paper);
+  const metadata = series ? 'report-paper_series_metadata' : 'report-paper_metadata';
+  let xml = `    <report-paper>
+      <${metadata} language="en">\n`;
+  if (series) xml += seriesXml(series);
+  xml += `        <contributors>
+${paperAuthors(paper).map(contributorXml).join('')}        </contributors>
+        <titles>
+          <title>${escapeXml(paper.title)}</title>\n`;
+  if (paper.subtitle) xml += `          <subtitle>${escapeXml(paper.subtitle)}</subtitle>\n`;
+  xml += `        </titles>\n`;
+  if (paper.abstract) xml += abstractXml(abstractText(paper));
+  xml += `        <publication_date media_type="online">
+          <month>${month}</month>
+          <day>${day}</day>
+          <year>${year}</year>
+        </publication_date>
+        <publisher>
+          <publisher_name>${escapeXml(PUBLISHER)}</publisher_name>
+        </publisher>
+        <institution>
+          <institution_name>${escapeXml(SITE_DESCRIPTION)}</institution_name>
+          <institution_acronym>${escapeXml(PUBLISHER)}</institution_acronym>
+        </institution>
+        <publisher_item>
+          <item_number item_number_type="report-number">${escapeXml(paper.wpNumber)}</item_number>
+        </publisher_item>
+        <doi_data>
+          <doi>${escapeXml(depositDoi(paper, prefix))}</doi>
+          <resource>${escapeXml(SITE_URL + paperUrl(paper))}</resource>
+        </doi_data>
+      </${metadata}>
+    </report-paper>\n`;
+  return xml;
+}
+
+function depositXml(paperList, prefix, timestamp) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<doi_batch version="${SCHEMA_VERSION}"
+  xmlns="http://www.crossref.org/schema/${SCHEMA_VERSION}"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xmlns:jats="http://www.ncbi.nlm.nih.gov/JATS1"
+  xsi:schemaLocation="http://www.crossref.org/schema/${SCHEMA_VERSION} https://www.crossref.org/schemas/crossref${SCHEMA_VERSION}.xsd">
+  <head>
+    <doi_batch_id>ascri-${timestamp}</doi_batch_id>
+    <timestamp>${timestamp}</timestamp>
+    <depositor>
+      <depositor_name>${escapeXml(DEPOSITOR_NAME)}</depositor_name>
+      <email_address>${escapeXml(DEPOSITOR_EMAIL)}</email_address>
+    </depositor>
+    <registrant>${escapeXml(REGISTRANT)}</registrant>
+  </head>
+  <body>
+${paperList.map(p => reportPaperXml(p, prefix)).join('')}  </body>
+</doi_batch>
+`;
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+
+  const errors = validateData(data);
+  if (errors.length) fail(formatValidationReport(errors));
+
+  for (const wp of opts.only) {
+    const paper = papers.find(p => p.wpNumber === wp);
+    if (!paper) fail(`No paper with wpNumber ${wp}`);
+    if (!paper.crossref) fail(`${wp} is not flagged for deposit (set "crossref": true in papers.json)`);
+  }
+  const selected = papers.filter(p => p.crossref && (!opts.only.length || opts.only.includes(p.wpNumber)));
+  if (!selected.length) {
+    console.log('No papers are flagged for Crossref deposit ("crossref": true). Nothing to do.');
+    return;
+  }
+
+  const timestamp = depositTimestamp();
+  const xml = depositXml(selected, opts.prefix, timestamp);
+
+  const schemaErrors = Schema.load(SCHEMA_FILE).validate(xml);
+  if (schemaErrors.length) {
+    console.error(`Deposit does not validate against Crossref ${SCHEMA_VERSION}:`);
+    for (const err of schemaErrors) console.error(`  ${err}`);
+    process.exit(1);
+  }
+
+  fs.mkdirSync(opts.out, { recursive: true });
+  const outFile = path.join(opts.out, `crossref-${timestamp}.xml`);
+  fs.writeFileSync(outFile, xml, 'utf-8');
+
+  console.log(`Crossref deposit (schema ${SCHEMA_VERSION}, prefix ${opts.prefix}):`);
+  for (const paper of selected) {
+    console.log(`  ${paper.wpNumber}  ${depositDoi(paper, opts.prefix)}  ${SITE_URL}${paperUrl(paper)}`);
+  }
+  console.log(`  Wrote ${path.relative(process.cwd(), outFile)} — validated, ready to upload`);
+}
+
+main();
@@ -0,0 +1,139 @@
+// lib/jsonschema.js — validator for a practical subset of JSON Schema 2020-12
+// Zero npm dependencies. Supports what our published API schema uses: type
+// (single or a list), enum, const, pattern, minimum, format (date, uri),
+// properties/required/additionalProperties, items, and local $ref pointers
+// into $defs. Annotations ($schema, $id, title, description) are ignored.
+// Any other keyword is rejected when the schema is loaded, so the schema can
+// never promise more than is checked.
+
+class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+const KEYWORDS = new Set([
+  '$schema', '$id', '$defs', '$ref', 'title', 'description',
+  'type', 'enum', 'const', 'pattern', 'minimum', 'format',
+  'properties', 'required', 'additionalProperties', 'items',
+]);
+
+const FORMATS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  uri: /^[a-z][a-z0-9+.-]*:\S+$/i,
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// JSON Pointer segment escaping (RFC 6901)
+function pointer(base, key) {
+  return `${base}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+class JsonSchema {
+  constructor(schema) {
+    this.root = schema;
+    this.checkKeywords(schema, '#');
+  }
+
+  checkKeywords(node, where) {
+    if (typeOf(node) !== 'object') throw new SchemaError(`${where}: schema must be an object`);
+    for (const key of Object.keys(node)) {
+      if (!KEYWORDS.has(key)) throw new SchemaError(`${where}: unsupported keyword "${key}"`);
+    }
+    if (node.format && !FORMATS[node.format]) throw new SchemaError(`${where}: unsupported format "${node.format}"`);
+    if (node.$ref) this.resolve(node.$ref);
+    for (const [name, sub] of Object.entries(node.$defs || {})) this.checkKeywords(sub, `${where}/$defs/${name}`);
+    for (const [name, sub] of Object.entries(node.properties || {})) this.checkKeywords(sub, `${where}/properties/${name}`);
+    if (typeOf(node.items) === 'object') this.checkKeywords(node.items, `${where}/items`);
+    if (typeOf(node.additionalProperties) === 'object') {
+      this.checkKeywords(node.additionalProperties, `${where}/additionalProperties`);
+    }
+  }
+
+  // Local references only: "#" or "#/$defs/name"
+  resolve(ref) {
+    if (!ref.startsWith('#')) throw new SchemaError(`Only local $ref pointers are supported, got "${ref}"`);
+    let node = this.root;
+    for (const part of ref.slice(1).split('/').filter(Boolean)) {
+      node = node && node[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    if (!node) throw new SchemaError(`$ref "${ref}" does not resolve`);
+    return node;
+  }
+
+  // Validate a value against the whole schema or a pointer into it
+  // ("#/$defs/paper"). Returns a list of error strings.
+  validate(value, ref = '#') {
+    const errors = [];
+    this.check(value, this.resolve(ref), '', errors);
+    return errors;
+  }
+
+  check(value, schema, where, errors) {
+    if (schema.$ref) {
+      this.check(value, this.resolve(schema.$ref), where, errors);
+      return;
+    }
+    const at = where || '/';
+
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some(t => matchesType(value, t))) {
+        errors.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+        return;
+      }
+    }
+    if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+      errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.some(v => JSON.stringify(v) === JSON.stringify(value))) {
+      errors.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+        errors.push(`${at}: "${value}" does not match ${schema.pattern}`);
+      }
+      if (schema.format && !FORMATS[schema.format].test(value)) {
+        errors.push(`${at}: "${value}" is not a valid ${schema.format}`);
+      }
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: ${value} is less than ${schema.minimum}`);
+    }
+
+    if (typeOf(value) === 'array' && schema.items) {
+      value.forEach((item, i) => this.check(item, schema.items, pointer(where, i), errors));
+    }
+
+    if (typeOf(value) === 'object') {
+      for (const key of schema.required || []) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${at}: missing required property "${key}"`);
+      }
+      const props = schema.properties || {};
+      for (const [key, item] of Object.entries(value)) {
+        if (props[key]) {
+          this.check(item, props[key], pointer(where, key), errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${at}: unexpected property "${key}"`);
+        } else if (typeOf(schema.additionalProperties) === 'object') {
+          this.check(item, schema.additionalProperties, pointer(where, key), errors);
+        }
+      }
+    }
+  }
+}
+
+module.exports = { JsonSchema, SchemaError };
@@ -0,0 +1,337 @@
+// lib/markdown.js — safe Markdown subset for abstracts and summaries
+// Zero npm dependencies. Paragraphs, single-level bullet and numbered lists,
+// *emphasis*, **strong**, `code`, [links](https://...) and TeX math: $...$
+// inline and $$...$$ for display (rendered to MathML by lib/tex). There is
+// no raw HTML: every character of the source is escaped, and links may only
+// point at http(s), mailto or site-relative URLs.
+
+const { texToMathml, texToText } = require('./tex');
+
+class MarkdownError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MarkdownError';
+  }
+}
+
+const SAFE_URL_RE = /^(https?:\/\/|mailto:|\/(?!\/)|#)/i;
+const PUNCTUATION_RE = /[!-\/:-@[-`{-~]/;
+const BULLET_RE = /^ {0,3}([-*+])\s+(.*)$/;
+const ORDERED_RE = /^ {0,3}(\d{1,9})([.)])\s+(.*)$/;
+const MAX_NESTING = 100;
+
+function esc(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// ---------------------------------------------------------------------------
+// Inline syntax
+// ---------------------------------------------------------------------------
+
+class InlineParser {
+  constructor(src) {
+    this.src = src;
+    this.pos = 0;
+    this.inLink = false;
+    // Emphasis parsed from each opener, or null when its closer never turned
+    // up, so every opener is parsed once however the ones around it nest
+    this.emphases = new Map();
+    this.lastClosers = new Map();
+    this.depth = 0;
+  }
+
+  // Position of the last delimiter in the source that could close `stop`
+  lastCloser(stop) {
+    if (!this.lastClosers.has(stop)) {
+      let pos = this.src.length - 1;
+      while (pos >= 0 && !this.closes(stop, pos)) pos--;
+      this.lastClosers.set(stop, pos);
+    }
+    return this.lastClosers.get(stop);
+  }
+
+  // Is the delimiter at pos a closer for `stop`?
+  closes(stop, pos = this.pos) {
+    const { src } = this;
+    if (stop === ']') return src[pos] === ']';
+    if (!src.startsWith(stop, pos) || pos === 0 || /\s/.test(src[pos - 1])) return false;
+    const after = src[pos + stop.length];
+    if (stop.length === 1 && after === stop) return false;
+    return !(stop[0] === '_' && after && /[\p{L}\p{N}]/u.test(after));
+  }
+
+  // Inline nodes up to `stop`; null when a required closer never turns up
+  parse(stop = null) {
+    const { src } = this;
+    const nodes = [];
+    let text = '';
+    const flush = () => {
+      if (text) nodes.push({ t: 'text', v: text });
+      text = '';
+    };
+    while (this.pos < src.length) {
+      if (stop && this.closes(stop)) {
+        flush();
+        this.pos += stop.length;
+        return nodes;
+      }
+      const ch = src[this.pos];
+      const node = ch === '\\' ? this.escape()
+        : ch === '`' ? this.code()
+        : ch === '$' ? this.math()
+        : ch === '[' && !this.inLink ? this.link()
+        : ch === '*' || ch === '_' ? this.emphasis()
+        : null;
+      // Past an unclosed opener of our own kind we would scan exactly what
+      // it scanned, so no closer for us follows either
+      if (node && node.unclosed === stop) return null;
+      if (node && node.t === 'text') {
+        text += node.v;
+      } else if (node) {
+        flush();
+        nodes.push(node);
+      } else {
+        text += ch;
+        this.pos++;
+      }
+    }
+    flush();
+    return stop ? null : nodes;
+  }
+
+  escape() {
+    const next = this.src[this.pos + 1];
+    if (!next || !PUNCTUATION_RE.test(next)) return null;
+    this.pos += 2;
+    return { t: 'text', v: next };
+  }
+
+  code() {
+    const { src } = this;
+    const run = /^`+/.exec(src.slice(this.pos))[0];
+    const re = new RegExp(`(?<!\`)${run}(?!\`)`, 'g');
+    re.lastIndex = this.pos + run.length;
+    const m = re.exec(src);
+    if (!m) {
+      this.pos += run.length;
+      return { t: 'text', v: run };
+    }
+    const body = src.slice(this.pos + run.length, m.index).replace(/\s+/g, ' ');
+    this.pos = m.index + run.length;
+    return { t: 'code', v: /^ .*[^ ].* $/.test(body) ? body.slice(1, -1) : body };
+  }
+
+  // $...$ opens before a non-space and ends at the next unescaped $, which
+  // must follow a non-space and not precede a digit, so "between $5 and $10"
+  // stays text; $$...$$ is display math
+  math() {
+    const { src, pos } = this;
+    if (src.startsWith('$$', pos)) {
+      const end = src.indexOf('$$', pos + 2);
+      if (end === -1) throw new MarkdownError('Unclosed $$ display math');
+      this.pos = end + 2;
+      return { t: 'math', tex: src.slice(pos + 2, end), display: true };
+    }
+    if (!src[pos + 1] || /\s/.test(src[pos + 1])) return null;
+    for (let j = pos + 1; j < src.length; j++) {
+      if (src[j] === '\\') {
+        j++;
+      } else if (src[j] === '$') {
+        if (/\s/.test(src[j - 1]) || /\d/.test(src[j + 1] || '')) return null;
+        this.pos = j + 1;
+        return { t: 'math', tex: src.slice(pos + 1, j), display: false };
+      }
+    }
+    return null;
+  }
+
+  link() {
+    const start = this.pos;
+    this.pos++;
+    this.inLink = true;
+    const children = this.parse(']');
+    this.inLink = false;
+    const m = children && /^\(([^\s)]+)\)/.exec(this.src.slice(this.pos));
+    if (!m) {
+      this.pos = start + 1;
+      return { t: 'text', v: '[' };
+    }
+    if (!SAFE_URL_RE.test(m[1])) {
+      throw new MarkdownError(`Link to "${m[1]}" is not allowed (use an http(s), mailto or site-relative URL)`);
+    }
+    this.pos += m[0].length;
+    return { t: 'link', href: m[1], children };
+  }
+
+  emphasis() {
+    const { src } = this;
+    const start = this.pos;
+    const ch = src[start];
+    const delim = src[start + 1] === ch ? ch + ch : ch;
+    const next = src[start + delim.length];
+    const intraword = ch === '_' && start > 0 && /[\p{L}\p{N}]/u.test(src[start - 1]);
+    if (!next || /\s/.test(next) || intraword) {
+      this.pos += delim.length;
+      return { t: 'text', v: delim };
+    }
+    // What follows an opener parses the same wherever the parse came from:
+    // it depends only on the position, the closer and being inside a link
+    const key = `${start}${delim}${this.inLink}`;
+    if (this.lastCloser(delim) < start + delim.length) {
+      this.emphases.set(key, null);
+    } else if (!this.emphases.has(key)) {
+      if (++this.depth > MAX_NESTING) throw new MarkdownError(`Emphasis nested more than ${MAX_NESTING} deep`);
+      this.pos += delim.length;
+      const children = this.parse(delim);
+      this.depth--;
+      this.emphases.set(key, children && { children, end: this.pos });
+    }
+    const found = this.emphases.get(key);
+    if (!found || !found.children.length) {
+      this.pos = start + delim.length;
+      return found ? { t: 'text', v: delim } : { t: 'text', v: delim, unclosed: delim };
+    }
+    this.pos = found.end;
+    return { t: delim.length === 2 ? 'strong' : 'em', children: found.children };
+  }
+}
+
+function parseInlines(src) {
+  return new InlineParser(src.trim()).parse();
+}
+
+// ---------------------------------------------------------------------------
+// Blocks
+// ---------------------------------------------------------------------------
+
+function listMarker(line) {
+  let m = BULLET_RE.exec(line);
+  if (m) return { kind: m[1], text: m[2] };
+  m = ORDERED_RE.exec(line);
+  if (m) return { kind: m[2], start: Number(m[1]), text: m[3] };
+  return null;
+}
+
+function parseBlocks(src) {
+  const lines = String(src).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Display math: $$ on its own line(s), up to the closing $$
+    if (/^\s*\$\$/.test(line) && !/^\s*\$\$.*\$\$\s*\S/.test(line)) {
+      const body = [];
+      let rest = line.trim().slice(2);
+      for (;;) {
+        const end = rest.indexOf('$$');
+        if (end !== -1) {
+          body.push(rest.slice(0, end));
+          if (rest.slice(end + 2).trim()) throw new MarkdownError('Text after closing $$ (start a new paragraph)');
+          break;
+        }
+        body.push(rest);
+        if (++i >= lines.length) throw new MarkdownError('Unclosed $$ display math');
+        rest = lines[i];
+      }
+      blocks.push({ t: 'math', tex: body.join('\n') });
+      i++;
+      continue;
+    }
+
+    const marker = listMarker(line);
+    if (marker) {
+      const items = [[marker.text]];
+      i++;
+      while (i < lines.length) {
+        const next = listMarker(lines[i]);
+        if (next && next.kind === marker.kind) {
+          items.push([next.text]);
+        } else if (lines[i].trim() && !next) {
+          items[items.length - 1].push(lines[i]);
+        } else if (!lines[i].trim() && i + 1 < lines.length && (listMarker(lines[i + 1]) || {}).kind === marker.kind) {
+          // A blank line between items keeps the list going
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push({
+        t: 'list',
+        ordered: marker.start !== undefined,
+        start: marker.start,
+        items: items.map(item => parseInlines(item.join('\n'))),
+      });
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && lines[i].trim() && !(para.length && BULLET_RE.test(lines[i]))) {
+      para.push(lines[i]);
+      i++;
+    }
+    blocks.push({ t: 'para', children: parseInlines(para.join('\n')) });
+  }
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// Output
+// ---------------------------------------------------------------------------
+
+function inlineHtml(nodes) {
+  return nodes.map(node => {
+    switch (node.t) {
+      case 'text': return esc(node.v);
+      case 'code': return `<code>${esc(node.v)}</code>`;
+      case 'em': return `<em>${inlineHtml(node.children)}</em>`;
+      case 'strong': return `<strong>${inlineHtml(node.children)}</strong>`;
+      case 'link': return `<a href="${esc(node.href)}">${inlineHtml(node.children)}</a>`;
+      case 'math': return texToMathml(node.tex, { display: node.display });
+      default: throw new Error(`Unknown inline ${node.t}`);
+    }
+  }).join('');
+}
+
+function inlineText(nodes) {
+  return nodes.map(node => {
+    switch (node.t) {
+      case 'text':
+      case 'code':
+        return node.v;
+      case 'math':
+        return texToText(node.tex);
+      default:
+        return inlineText(node.children);
+    }
+  }).join('');
+}
+
+// HTML for a Markdown string: block elements (<p>, <ul>, <ol>, <math>)
+function renderMarkdown(src) {
+  return parseBlocks(src).map(block => {
+    if (block.t === 'math') return texToMathml(block.tex, { display: true });
+    if (block.t === 'para') return `<p>${inlineHtml(block.children)}</p>`;
+    const tag = block.ordered ? 'ol' : 'ul';
+    const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+    return `<${tag}${start}>${block.items.map(item => `<li>${inlineHtml(item)}</li>`).join('')}</${tag}>`;
+  }).join('\n');
+}
+
+// Plain text for feeds and metadata: markup dropped, math as Unicode,
+// paragraphs separated by blank lines
+function markdownToText(src) {
+  return parseBlocks(src).map(block => {
+    if (block.t === 'math') return texToText(block.tex);
+    if (block.t === 'para') return inlineText(block.children).replace(/\s+/g, ' ');
+    return block.items
+      .map((item, n) => `${block.ordered ? `${block.start + n}.` : '-'} ${inlineText(item).replace(/\s+/g, ' ')}`)
+      .join('\n');
+  }).join('\n\n');
+}
+
+module.exports = { renderMarkdown, markdownToText, MarkdownError };
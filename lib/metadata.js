@@ -0,0 +1,641 @@
+// lib/metadata.js — readers for saved bibliographic metadata exports
+// Zero npm dependencies and no network access. Reads arXiv API Atom feeds,
+// DataCite JSON (as exported by Zenodo or the DataCite API), Zenodo record
+// JSON, Crossref REST JSON, BibTeX and RIS into one neutral record shape:
+//
+//   { format, title, subtitle,
+//     authors: [{ given, family, suffix, name, orcid, affiliation }],
+//     date ('YYYY', 'YYYY-MM' or 'YYYY-MM-DD'), abstract (Markdown), keywords,
+//     doi, arxiv, zenodo, journal, github, pdfUrl, url }
+//
+// An author's name is set only for a corporate author (an organisation
+// named as such in the record, or a braced BibTeX name); a person has a
+// given name, family name and suffix instead.
+//
+// Missing values are null (or empty lists). Abstracts come out in the
+// Markdown subset of lib/markdown: TeX math from arXiv and BibTeX stays as
+// $...$, everything else is escaped so it renders as the text it was. Other
+// arXiv and BibTeX text is flattened to Unicode, math included; TeX that
+// cannot be (\cite, \ref, math lib/tex does not cover) is a MetadataError.
+
+const { parse, elements, firstElement, textContent } = require('./xml');
+const { texToText, TexError } = require('./tex');
+
+class MetadataError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MetadataError';
+  }
+}
+
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+const ARXIV_NS = 'http://arxiv.org/schemas/atom';
+
+const DOI_PREFIX_RE = /^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)/i;
+const ARXIV_DOI_RE = /^10\.48550\/arxiv\.(.+)$/i;
+const ZENODO_DOI_RE = /^10\.5281\/zenodo\.\d+$/i;
+const ARXIV_ID_RE = /(?:arxiv\.org\/(?:abs|pdf)\/|^arxiv:\s*|^)(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(?:v\d+)?(?:\.pdf)?$/i;
+const GITHUB_RE = /^https?:\/\/(?:www\.)?github\.com\/[^/\s]+\/[^/\s]+/i;
+const ORCID_RE = /(\d{4}-\d{4}-\d{4}-\d{3}[\dX])/;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+
+function clean(str) {
+  const s = String(str == null ? '' : str).replace(/\s+/g, ' ').trim();
+  return s || null;
+}
+
+function normalizeDoi(str) {
+  const doi = clean(str);
+  return doi ? doi.replace(DOI_PREFIX_RE, '') : null;
+}
+
+// "2601.06692" from an arXiv ID, abs/pdf URL or arXiv DOI; versions dropped
+function arxivId(str) {
+  const s = clean(str);
+  if (!s) return null;
+  const fromDoi = ARXIV_DOI_RE.exec(normalizeDoi(s));
+  const m = ARXIV_ID_RE.exec(fromDoi ? fromDoi[1] : s);
+  return m ? m[1] : null;
+}
+
+function orcid(str) {
+  const m = ORCID_RE.exec(str || '');
+  return m ? m[1] : null;
+}
+
+// "Family, Given", "Family, Given, Suffix" (as RIS has it) or "Given Family"
+function splitName(name) {
+  const s = clean(name) || '';
+  const parts = s.split(',').map(part => part.trim());
+  if (parts.length > 1) return { given: parts[1], family: parts[0], suffix: parts.slice(2).join(', ') };
+  const words = s.split(' ');
+  return { given: words.slice(0, -1).join(' '), family: words[words.length - 1], suffix: '' };
+}
+
+function author(given, family, extra = {}) {
+  return {
+    given: clean(given) || '',
+    family: clean(family) || '',
+    suffix: clean(extra.suffix),
+    name: null,
+    orcid: extra.orcid || null,
+    affiliation: clean(extra.affiliation),
+  };
+}
+
+function corporateAuthor(name) {
+  return { given: '', family: '', suffix: null, name: clean(name), orcid: null, affiliation: null };
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+// 'YYYY', 'YYYY-MM' or 'YYYY-MM-DD' from [y, m, d] parts or a date string
+function partialDate(value) {
+  if (Array.isArray(value)) {
+    const [y, m, d] = value.map(Number);
+    if (!y) return null;
+    return [String(y), m && pad2(m), m && d && pad2(d)].filter(Boolean).join('-');
+  }
+  const m = /^(\d{4})(?:[-/](\d{1,2})(?:[-/](\d{1,2}))?)?/.exec(clean(value) || '');
+  return m ? partialDate([m[1], m[2], m[3]]) : null;
+}
+
+function firstLink(urls, re) {
+  return urls.map(clean).find(u => u && re.test(u)) || null;
+}
+
+// Identifier fields shared by every format, worked out from a DOI and
+// whatever URLs the record carries
+function identifiers(doi, urls = []) {
+  const d = normalizeDoi(doi);
+  const arxivFromDoi = d && ARXIV_DOI_RE.test(d) ? arxivId(d) : null;
+  return {
+    doi: d,
+    arxiv: arxivFromDoi || urls.map(arxivId).find(Boolean) || null,
+    zenodo: d && ZENODO_DOI_RE.test(d) ? d : null,
+    github: firstLink(urls, GITHUB_RE),
+  };
+}
+
+function record(format, fields) {
+  return {
+    format,
+    title: null,
+    subtitle: null,
+    authors: [],
+    date: null,
+    abstract: null,
+    keywords: [],
+    doi: null,
+    arxiv: null,
+    zenodo: null,
+    journal: null,
+    github: null,
+    pdfUrl: null,
+    url: null,
+    ...Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== undefined)),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Abstract text -> Markdown
+// ---------------------------------------------------------------------------
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…' };
+
+function decodeEntities(str) {
+  return str.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (m, name) => {
+    if (name[0] === '#') return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    return NAMED_ENTITIES[name.toLowerCase()] || m;
+  });
+}
+
+// Plain text with paragraphs from HTML or JATS (Zenodo, DataCite, Crossref)
+function htmlToText(html) {
+  const text = String(html)
+    .replace(/<(jats:)?title\b[^>]*>[\s\S]*?<\/(jats:)?title>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|li|h\d|(jats:)?p|(jats:)?sec)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text);
+}
+
+// Backslash-escape everything lib/markdown would read as markup
+function markdownEscape(text) {
+  return text.replace(/[\\`*_[\]$]/g, '\\$&').replace(/^(\d+)([.)]) /, '$1\\$2 ').replace(/^([-*+]) /, '\\$1 ');
+}
+
+function paragraphs(text) {
+  return String(text).split(/\n\s*\n/).map(clean).filter(Boolean);
+}
+
+function plainAbstract(text) {
+  const paras = paragraphs(text).map(markdownEscape);
+  return paras.length ? paras.join('\n\n') : null;
+}
+
+const LATEX_ACCENTS = { "'": '\u0301', '`': '\u0300', '^': '\u0302', '"': '\u0308', '~': '\u0303', '=': '\u0304', '.': '\u0307', u: '\u0306', v: '\u030C', H: '\u030B', c: '\u0327', k: '\u0328' };
+const LATEX_SYMBOLS = { ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', aa: 'å', AA: 'Å', l: 'ł', L: 'Ł', i: 'ı', ldots: '…', dots: '…', textendash: '–', textemdash: '—', LaTeX: 'LaTeX', TeX: 'TeX' };
+
+// Commands that only style their argument; the argument is kept
+const LATEX_STYLES = ['emph', 'textit', 'textbf', 'textsc', 'texttt', 'textrm', 'textsf', 'textsl', 'textup', 'textmd', 'textnormal', 'text', 'mbox', 'hbox', 'underline', 'mathrm', 'url'];
+const LATEX_STYLE_RE = new RegExp(`\\\\(?:(?:${LATEX_STYLES.join('|')})(?![A-Za-z])|href\\{[^}]*\\})\\s*`, 'g');
+
+// Text-mode LaTeX (accents, escapes, dashes, quotes, \emph{} and the like)
+// to Unicode; braces are dropped
+function latexToText(str) {
+  return String(str)
+    .replace(/\\([`'^"~=.])\s*(?:\{\\?([A-Za-z])\}|\\?([A-Za-z]))/g, (m, acc, a, b) => (a || b) + LATEX_ACCENTS[acc])
+    .replace(/\\([uvHck])\s*\{\\?([A-Za-z])\}/g, (m, acc, ch) => ch + LATEX_ACCENTS[acc])
+    .replace(/\\([A-Za-z]+)\b\s*(?:\{\})?/g, (m, name) => (LATEX_SYMBOLS[name] !== undefined ? LATEX_SYMBOLS[name] : m))
+    .replace(LATEX_STYLE_RE, '')
+    .replace(/\\([&%$#_{}])/g, (m, ch) => String.fromCharCode(0xE000 + ch.charCodeAt(0)))
+    .replace(/\\\\|\\newline\b/g, ' ')
+    .replace(/\\[,;: ]/g, ' ')
+    .replace(/\\!/g, '')
+    .replace(/---/g, '—')
+    .replace(/--/g, '–')
+    .replace(/``|''/g, '"')
+    .replace(/~/g, '\u00A0')
+    .replace(/[{}]/g, '')
+    .replace(/[\uE000-\uE07F]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xE000))
+    .normalize('NFC');
+}
+
+// Split TeX-flavoured text into its text and $...$ math, calling
+// onText(text) and onMath(tex, delimiter) in order; returns what they return,
+// joined
+function mapTex(str, onText, onMath) {
+  const re = /(?<!\\)(\$\$?)([\s\S]+?)(?<!\\)\1/g;
+  let out = '';
+  let i = 0;
+  let m;
+  while ((m = re.exec(str))) {
+    out += onText(str.slice(i, m.index)) + onMath(m[2].trim(), m[1]);
+    i = m.index + m[0].length;
+  }
+  return out + onText(str.slice(i));
+}
+
+// latexToText(), failing on a command it would leave in place
+function flatten(str, field) {
+  for (const [, name] of str.matchAll(/\\(?:([A-Za-z]+)|[\s\S])/g)) {
+    if (!name || LATEX_SYMBOLS[name] !== undefined || LATEX_STYLES.includes(name) || /^(?:[uvHck]|href|newline)$/.test(name)) continue;
+    throw new MetadataError(`${field}: unsupported TeX command \\${name} (remove it from the record and import again)`);
+  }
+  return latexToText(str);
+}
+
+// Unicode for TeX math, which must be math lib/tex reads
+function mathText(tex, field) {
+  try {
+    return texToText(tex);
+  } catch (err) {
+    if (err instanceof TexError) throw new MetadataError(`${field}: ${err.message}`);
+    throw err;
+  }
+}
+
+// TeX-flavoured text (a title, a journal name) as plain Unicode
+function texText(str, field) {
+  return mapTex(String(str), text => flatten(text, field), tex => mathText(tex, field));
+}
+
+// TeX-flavoured abstract (arXiv, BibTeX): $...$ math is kept for
+// lib/markdown, the text around it is decoded and escaped
+function texAbstract(text, field) {
+  const paras = paragraphs(text).map(para => clean(mapTex(
+    para,
+    str => markdownEscape(flatten(str, field)),
+    (tex, delimiter) => {
+      mathText(tex, field);
+      return `${delimiter}${tex}${delimiter}`;
+    },
+  ))).filter(Boolean);
+  return paras.length ? paras.join('\n\n') : null;
+}
+
+// ---------------------------------------------------------------------------
+// arXiv API (Atom)
+// ---------------------------------------------------------------------------
+
+function readArxivAtom(root) {
+  const text = (el, local, ns = ATOM_NS) => clean(textContent(firstElement(el, local, ns)));
+  return elements(root, 'entry', ATOM_NS).map(entry => {
+    const links = elements(entry, 'link', ATOM_NS);
+    const pdf = links.find(l => l.attrs.title === 'pdf' || l.attrs.type === 'application/pdf');
+    const id = arxivId(text(entry, 'id'));
+    if (!id) throw new MetadataError(`arXiv entry "${text(entry, 'title')}" has no arXiv ID`);
+    const ids = identifiers(text(entry, 'doi', ARXIV_NS) || `10.48550/arXiv.${id}`, links.map(l => l.attrs.href));
+    return record('arXiv Atom', {
+      title: texText(text(entry, 'title') || '', 'arXiv title') || null,
+      authors: elements(entry, 'author', ATOM_NS).map(a => {
+        const { given, family } = splitName(text(a, 'name'));
+        return author(given, family, { affiliation: text(a, 'affiliation', ARXIV_NS) });
+      }),
+      date: partialDate(text(entry, 'published')),
+      abstract: texAbstract(textContent(firstElement(entry, 'summary', ATOM_NS)), 'arXiv abstract'),
+      keywords: elements(entry, 'category', ATOM_NS).map(c => c.attrs.term).filter(Boolean),
+      ...ids,
+      arxiv: id,
+      journal: text(entry, 'journal_ref', ARXIV_NS),
+      pdfUrl: pdf ? pdf.attrs.href : null,
+      url: `https://arxiv.org/abs/${id}`,
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// DataCite JSON and Zenodo record JSON
+// ---------------------------------------------------------------------------
+
+function readDataCite(attrs) {
+  const doi = attrs.doi || ((attrs.identifiers || []).find(i => /^doi$/i.test(i.identifierType || '')) || {}).identifier;
+  const titles = attrs.titles || [];
+  const main = titles.find(t => !t.titleType) || titles[0] || {};
+  const sub = titles.find(t => t.titleType === 'Subtitle');
+  const abstract = (attrs.descriptions || []).find(d => d.descriptionType === 'Abstract') || (attrs.descriptions || [])[0];
+  const dates = attrs.dates || [];
+  const issued = ['Issued', 'Available', 'Created'].map(type => dates.find(d => d.dateType === type)).find(Boolean);
+  const related = attrs.relatedIdentifiers || [];
+  const container = attrs.container && attrs.container.type === 'Journal' ? attrs.container.title : null;
+  return record('DataCite JSON', {
+    title: clean(main.title),
+    subtitle: sub ? clean(sub.title) : null,
+    authors: (attrs.creators || []).map(c => {
+      if (c.nameType === 'Organizational') return corporateAuthor(c.name);
+      const split = c.familyName ? { given: c.givenName, family: c.familyName } : splitName(c.name);
+      const ids = (c.nameIdentifiers || []).filter(n => /orcid/i.test(n.nameIdentifierScheme || ''));
+      const aff = (c.affiliation || []).map(a => (typeof a === 'string' ? a : a.name))[0];
+      return author(split.given, split.family, { suffix: split.suffix, orcid: ids.length ? orcid(ids[0].nameIdentifier) : null, affiliation: aff });
+    }),
+    date: partialDate(issued ? issued.date : attrs.publicationYear),
+    abstract: abstract ? plainAbstract(htmlToText(abstract.description)) : null,
+    keywords: (attrs.subjects || []).map(s => clean(s.subject)).filter(Boolean),
+    ...identifiers(doi, related.map(r => (/^arxiv$/i.test(r.relatedIdentifierType || '') ? `arXiv:${r.relatedIdentifier}` : r.relatedIdentifier))),
+    journal: clean(container),
+    url: clean(attrs.url),
+  });
+}
+
+// Zenodo's own record JSON, legacy ("metadata.creators[].name") or
+// InvenioRDM ("metadata.creators[].person_or_org")
+function readZenodo(rec) {
+  const meta = rec.metadata;
+  const rdm = meta.creators && meta.creators.some(c => c.person_or_org);
+  const doi = rec.doi || meta.doi || (rec.pids && rec.pids.doi && rec.pids.doi.identifier);
+  const related = (meta.related_identifiers || []).map(r => (r.scheme === 'arxiv' ? `arXiv:${r.identifier}` : r.identifier));
+  const pdf = (Array.isArray(rec.files) ? rec.files : []).find(f => /\.pdf$/i.test(f.key || f.filename || ''));
+  return record('Zenodo JSON', {
+    title: clean(meta.title),
+    authors: (meta.creators || []).map(c => {
+      if (rdm) {
+        const p = c.person_or_org || {};
+        if (p.type === 'organizational') return corporateAuthor(p.name);
+        const split = p.family_name ? { given: p.given_name, family: p.family_name } : splitName(p.name);
+        const id = (p.identifiers || []).find(i => i.scheme === 'orcid');
+        return author(split.given, split.family, { suffix: split.suffix, orcid: id ? orcid(id.identifier) : null, affiliation: ((c.affiliations || [])[0] || {}).name });
+      }
+      const { given, family, suffix } = splitName(c.name);
+      return author(given, family, { suffix, orcid: orcid(c.orcid), affiliation: c.affiliation });
+    }),
+    date: partialDate(meta.publication_date),
+    abstract: meta.description ? plainAbstract(htmlToText(meta.description)) : null,
+    keywords: (meta.keywords || (meta.subjects || []).map(s => s.subject) || []).map(clean).filter(Boolean),
+    ...identifiers(doi, related),
+    journal: clean(meta.journal && meta.journal.title),
+    pdfUrl: pdf ? clean((pdf.links && (pdf.links.self || pdf.links.content)) || null) : null,
+    url: clean(rec.links && (rec.links.html || rec.links.self_html)),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Crossref REST JSON (/works/{doi} or a /works list)
+// ---------------------------------------------------------------------------
+
+function readCrossref(work) {
+  const issued = ['published', 'issued', 'posted', 'published-online', 'published-print', 'created']
+    .map(key => work[key] && work[key]['date-parts'] && work[key]['date-parts'][0])
+    .find(parts => parts && parts[0]);
+  const links = (work.link || []).map(l => l.URL);
+  const pdf = (work.link || []).find(l => l['content-type'] === 'application/pdf');
+  const journal = ['journal-article', 'proceedings-article', 'book-chapter'].includes(work.type) ? (work['container-title'] || [])[0] : null;
+  return record('Crossref JSON', {
+    title: clean((work.title || [])[0]),
+    subtitle: clean((work.subtitle || [])[0]),
+    // An author with a name but no family name is an organisation
+    authors: (work.author || []).filter(a => a.family || a.name).map(a => (a.family
+      ? author(a.given, a.family, { suffix: a.suffix, orcid: orcid(a.ORCID), affiliation: ((a.affiliation || [])[0] || {}).name })
+      : corporateAuthor(a.name))),
+    date: partialDate(issued),
+    abstract: work.abstract ? plainAbstract(htmlToText(work.abstract)) : null,
+    keywords: (work.subject || []).map(clean).filter(Boolean),
+    ...identifiers(work.DOI, [...links, work.URL, ...((work.relation && Object.values(work.relation).flat()) || []).map(r => r.id)]),
+    journal: clean(journal),
+    pdfUrl: pdf ? pdf.URL : null,
+    url: clean(work.URL),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// BibTeX
+// ---------------------------------------------------------------------------
+
+// Split at each match of `sep` that is outside braces
+function splitOutsideBraces(str, sep) {
+  const re = new RegExp(sep.source, `${sep.flags}y`);
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < str.length; i++) {
+    if (str[i] === '\\') {
+      i++;
+    } else if (str[i] === '{') {
+      depth++;
+    } else if (str[i] === '}') {
+      depth--;
+    } else if (depth === 0) {
+      re.lastIndex = i;
+      const m = re.exec(str);
+      if (m && m[0]) {
+        parts.push(str.slice(start, i));
+        start = i + m[0].length;
+        i = start - 1;
+      }
+    }
+  }
+  parts.push(str.slice(start));
+  return parts;
+}
+
+// One BibTeX name: "First von Last", "von Last, First" or
+// "von Last, Jr, First"; a name wholly in braces is corporate
+function bibtexAuthor(raw) {
+  const name = raw.trim();
+  const words = splitOutsideBraces(name, /[\s~]+/).filter(Boolean);
+  if (words.length === 1 && /^\{.*\}$/.test(name)) return corporateAuthor(latexToText(name));
+  const parts = splitOutsideBraces(name, /\s*,\s*/).map(part => latexToText(part));
+  if (parts.length > 2) return author(parts.slice(2).join(', '), parts[0], { suffix: parts[1] });
+  if (parts.length === 2) return author(parts[1], parts[0]);
+  // The von part starts at the first lower-case word before the last name
+  const von = words.slice(0, -1).findIndex(word => /^\p{Ll}/u.test(latexToText(word)));
+  const cut = von === -1 ? words.length - 1 : von;
+  return author(latexToText(words.slice(0, cut).join(' ')), latexToText(words.slice(cut).join(' ')));
+}
+
+// URLs are not LaTeX: only \url{} and braces come off
+function bibtexUrl(str) {
+  return str.replace(/\\url\s*\{([^}]*)\}/, '$1').replace(/[{}]/g, '').trim();
+}
+
+function readBibtex(src) {
+  const macros = Object.fromEntries(MONTHS.map((m, i) => [m, String(i + 1)]));
+  const entries = [];
+  let pos = 0;
+
+  const fail = message => {
+    const line = src.slice(0, pos).split('\n').length;
+    throw new MetadataError(`BibTeX line ${line}: ${message}`);
+  };
+  const skipSpace = () => {
+    while (pos < src.length && /\s/.test(src[pos])) pos++;
+  };
+  const braced = () => {
+    const open = src[pos];
+    const close = open === '{' ? '}' : ')';
+    let depth = 0;
+    const start = ++pos;
+    for (; pos < src.length; pos++) {
+      if (src[pos] === '\\') pos++;
+      else if (src[pos] === '{') depth++;
+      else if (src[pos] === '}' && depth > 0) depth--;
+      else if (src[pos] === close && depth === 0) return src.slice(start, pos++);
+    }
+    return fail(`unclosed ${open}`);
+  };
+  const value = () => {
+    const parts = [];
+    for (;;) {
+      skipSpace();
+      if (src[pos] === '{') {
+        parts.push(braced());
+      } else if (src[pos] === '"') {
+        const start = ++pos;
+        let depth = 0;
+        for (; pos < src.length && !(src[pos] === '"' && depth === 0 && src[pos - 1] !== '\\'); pos++) {
+          if (src[pos] === '{') depth++;
+          else if (src[pos] === '}') depth--;
+        }
+        if (pos >= src.length) fail('unclosed "');
+        parts.push(src.slice(start, pos++));
+      } else {
+        const m = /^[\w.:+/-]+/.exec(src.slice(pos));
+        if (!m) fail('expected a value');
+        pos += m[0].length;
+        parts.push(/^\d+$/.test(m[0]) ? m[0] : (macros[m[0].toLowerCase()] !== undefined ? macros[m[0].toLowerCase()] : m[0]));
+      }
+      skipSpace();
+      if (src[pos] !== '#') return parts.join('');
+      pos++;
+    }
+  };
+
+  while ((pos = src.indexOf('@', pos)) !== -1) {
+    const m = /^@\s*(\w+)\s*([{(])/.exec(src.slice(pos));
+    if (!m) {
+      pos++;
+      continue;
+    }
+    const type = m[1].toLowerCase();
+    pos += m[0].length - 1;
+    if (type === 'comment' || type === 'preamble') {
+      braced();
+      continue;
+    }
+    const close = src[pos] === '{' ? '}' : ')';
+    pos++;
+    let key = null;
+    if (type !== 'string') {
+      const k = /^\s*([^,\s]*)\s*,/.exec(src.slice(pos));
+      if (!k) fail(`@${type} has no citation key`);
+      key = k[1];
+      pos += k[0].length;
+    }
+    const fields = {};
+    for (;;) {
+      skipSpace();
+      if (src[pos] === close) {
+        pos++;
+        break;
+      }
+      const f = /^([\w.:-]+)\s*=/.exec(src.slice(pos));
+      if (!f) fail(`expected a field in @${type}{${key || ''}`);
+      pos += f[0].length;
+      fields[f[1].toLowerCase()] = value();
+      skipSpace();
+      if (src[pos] === ',') pos++;
+    }
+    if (type === 'string') Object.assign(macros, Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, v])));
+    else entries.push({ type, key, fields });
+  }
+
+  return entries.map(({ type, fields }) => {
+    const text = name => clean(fields[name] !== undefined ? texText(fields[name], `BibTeX ${name}`) : null);
+    const month = fields.month ? (macros[fields.month.toLowerCase().slice(0, 3)] || fields.month) : null;
+    const year = text('year') || (fields.date ? fields.date.slice(0, 4) : null);
+    const eprint = /^arxiv$/i.test(fields.archiveprefix || fields.eprinttype || '') ? fields.eprint : null;
+    return record('BibTeX', {
+      title: text('title'),
+      subtitle: text('subtitle'),
+      authors: splitOutsideBraces(fields.author || '', /\s+and\s+/i).map(clean).filter(Boolean).map(bibtexAuthor),
+      date: partialDate(fields.date || (year && [year, month, fields.day])),
+      abstract: fields.abstract ? texAbstract(fields.abstract, 'BibTeX abstract') : null,
+      keywords: (text('keywords') || '').split(/[,;]/).map(clean).filter(Boolean),
+      ...identifiers(fields.doi, [eprint && `arXiv:${eprint}`, fields.url, fields.howpublished].filter(Boolean).map(bibtexUrl)),
+      journal: type === 'article' ? text('journal') || text('journaltitle') : null,
+      url: fields.url ? bibtexUrl(fields.url) : null,
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// RIS
+// ---------------------------------------------------------------------------
+
+const RIS_JOURNAL_TYPES = new Set(['JOUR', 'JFULL', 'MGZN', 'EJOUR']);
+
+function readRis(src) {
+  const entries = [];
+  let fields = null;
+  let last = null;
+  for (const line of src.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const m = /^([A-Z][A-Z0-9])  -(?: (.*))?$/.exec(line);
+    if (!m) {
+      if (fields && last && line.trim()) fields[last][fields[last].length - 1] += ` ${line.trim()}`;
+      continue;
+    }
+    const [, tag, val = ''] = m;
+    if (tag === 'TY') fields = {};
+    if (!fields) throw new MetadataError(`RIS: ${tag} before the first TY`);
+    if (tag === 'ER') {
+      entries.push(fields);
+      fields = null;
+      continue;
+    }
+    (fields[tag] = fields[tag] || []).push(val.trim());
+    last = tag;
+  }
+  if (fields) throw new MetadataError('RIS: record without a closing ER');
+
+  return entries.map(f => {
+    const one = (...tags) => clean(tags.map(t => f[t] && f[t][0]).find(Boolean));
+    const urls = [...(f.UR || []), ...(f.L1 || []), ...(f.L2 || [])];
+    const type = one('TY');
+    return record('RIS', {
+      title: one('TI', 'T1', 'CT'),
+      authors: [...(f.AU || []), ...(f.A1 || [])].map(name => {
+        const { given, family, suffix } = splitName(name);
+        return author(given, family, { suffix });
+      }),
+      date: partialDate(one('DA', 'Y1', 'PY')),
+      abstract: plainAbstract((f.AB || f.N2 || []).join('\n\n')),
+      keywords: (f.KW || []).map(clean).filter(Boolean),
+      ...identifiers(one('DO'), urls),
+      journal: RIS_JOURNAL_TYPES.has(type) ? one('T2', 'JO', 'JF', 'JA') : null,
+      pdfUrl: firstLink([...(f.L1 || []), ...urls], /\.pdf(\?|$)/i),
+      url: one('UR'),
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Format detection
+// ---------------------------------------------------------------------------
+
+function readJson(json) {
+  if (json && json.message && json.status) json = json.message;
+  if (json && Array.isArray(json.items) && json.items.some(i => i.DOI)) return json.items.map(readCrossref);
+  if (json && json.DOI && Array.isArray(json.title)) return [readCrossref(json)];
+  if (json && json.data && json.data.attributes) return [readDataCite(json.data.attributes)];
+  if (json && (json.titles || json.creators) && !json.metadata) return [readDataCite(json)];
+  if (json && json.metadata && json.metadata.title) return [readZenodo(json)];
+  throw new MetadataError('Unrecognised JSON: expected Crossref, DataCite or Zenodo record metadata');
+}
+
+// Read a saved export. Returns a list of records (a file can hold several).
+function readMetadata(src) {
+  const text = String(src).replace(/^\uFEFF/, '');
+  const start = text.trimStart();
+  let records;
+  if (start.startsWith('<')) {
+    const root = parse(text);
+    if (root.local !== 'feed' || root.ns !== ATOM_NS) {
+      throw new MetadataError(`Unrecognised XML (<${root.name}>): expected an arXiv API Atom feed`);
+    }
+    records = readArxivAtom(root);
+  } else if (start.startsWith('{') || start.startsWith('[')) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      throw new MetadataError(`Invalid JSON: ${err.message}`);
+    }
+    records = Array.isArray(json) ? json.flatMap(readJson) : readJson(json);
+  } else if (/^TY  - /m.test(text)) {
+    records = readRis(text);
+  } else if (/^\s*@\s*\w+\s*[{(]/m.test(text)) {
+    records = readBibtex(text);
+  } else {
+    throw new MetadataError('Unrecognised file: expected arXiv Atom, DataCite/Zenodo or Crossref JSON, BibTeX or RIS');
+  }
+  if (!records.length) throw new MetadataError('The file holds no records');
+  return records;
+}
+
+module.exports = { readMetadata, latexToText, MetadataError };
@@ -0,0 +1,508 @@
+// lib/pdf-text.js — plain-text extraction from PDF pages
+// Zero npm dependencies: builds on lib/pdf.js for the object structure.
+// Runs each page's content stream (and the form XObjects it draws) through a
+// small text-state interpreter, maps character codes to Unicode through the
+// font's ToUnicode CMap, its /Encoding (with /Differences) or the built-in
+// encoding of an embedded Type 1 font, then lays the positioned runs out as
+// lines. Good enough for search and reference lists; it makes no attempt at
+// reading order beyond top-to-bottom, left-to-right within the stream.
+
+const { PdfError, PdfName, PdfKeyword, PdfStream, Lexer } = require('./pdf');
+
+// ---------------------------------------------------------------------------
+// Encodings
+// ---------------------------------------------------------------------------
+
+const ascii = () => Array.from({ length: 256 }, (_, i) => (i >= 0x20 && i < 0x7f ? String.fromCharCode(i) : ''));
+
+const WIN_ANSI = ascii();
+'€\0‚ƒ„…†‡ˆ‰Š‹Œ\0Ž\0\0‘’“”•–—˜™š›œ\0žŸ'.split('').forEach((ch, i) => {
+  if (ch !== '\0') WIN_ANSI[0x80 + i] = ch;
+});
+for (let i = 0xa0; i < 0x100; i++) WIN_ANSI[i] = String.fromCharCode(i);
+
+const MAC_ROMAN = ascii();
+('ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø' +
+  '¿¡¬√ƒ≈∆«»… ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ')
+  .split('')
+  .forEach((ch, i) => {
+    if (ch !== '\0') MAC_ROMAN[0x80 + i] = ch;
+  });
+
+const STANDARD = ascii();
+STANDARD[0x27] = '’';
+STANDARD[0x60] = '‘';
+Object.assign(STANDARD, {
+  0xa1: '¡', 0xa2: '¢', 0xa3: '£', 0xa4: '⁄', 0xa5: '¥', 0xa6: 'ƒ', 0xa7: '§', 0xa8: '¤', 0xa9: "'",
+  0xaa: '“', 0xab: '«', 0xac: '‹', 0xad: '›', 0xae: 'ﬁ', 0xaf: 'ﬂ', 0xb1: '–', 0xb2: '†', 0xb3: '‡',
+  0xb4: '·', 0xb6: '¶', 0xb7: '•', 0xb8: '‚', 0xb9: '„', 0xba: '”', 0xbb: '»', 0xbc: '…', 0xbd: '‰',
+  0xbf: '¿', 0xd0: '—', 0xe1: 'Æ', 0xe8: 'Ł', 0xe9: 'Ø', 0xea: 'Œ', 0xf1: 'æ', 0xf5: 'ı', 0xf8: 'ł',
+  0xf9: 'ø', 0xfa: 'œ', 0xfb: 'ß',
+});
+
+// TeX's OT1 layout, the built-in encoding of the Computer Modern text fonts
+// when they are embedded without an encoding vector
+const OT1 = ascii();
+Object.assign(OT1, { 0x0b: 'ff', 0x0c: 'fi', 0x0d: 'fl', 0x0e: 'ffi', 0x0f: 'ffl', 0x10: 'ı', 0x19: 'ß', 0x1a: 'æ', 0x1b: 'œ', 0x1c: 'ø', 0x1d: 'Æ', 0x1e: 'Œ', 0x1f: 'Ø', 0x22: '”', 0x5c: '“', 0x7b: '–', 0x7c: '—' });
+
+const ENCODINGS = { WinAnsiEncoding: WIN_ANSI, MacRomanEncoding: MAC_ROMAN, StandardEncoding: STANDARD };
+
+// Glyph names beyond single letters and the uniXXXX/uXXXX forms; accented
+// letters are composed from their base letter and accent suffix
+const GLYPHS = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(', parenright: ')', asterisk: '*',
+  plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/', zero: '0', one: '1', two: '2', three: '3',
+  four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<',
+  equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+  asciicircum: '^', underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚', quotedblbase: '„', guillemotleft: '«',
+  guillemotright: '»', guilsinglleft: '‹', guilsinglright: '›', endash: '–', emdash: '—', bullet: '•',
+  ellipsis: '…', ff: 'ff', fi: 'fi', fl: 'fl', ffi: 'ffi', ffl: 'ffl', dagger: '†', daggerdbl: '‡',
+  section: '§', paragraph: '¶', periodcentered: '·', minus: '−', multiply: '×', divide: '÷',
+  plusminus: '±', degree: '°', copyright: '©', registered: '®', trademark: '™', dotlessi: 'ı',
+  germandbls: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', oslash: 'ø', Oslash: 'Ø', lslash: 'ł', Lslash: 'Ł',
+  sterling: '£', yen: '¥', Euro: '€', euro: '€', cent: '¢', florin: 'ƒ', fraction: '⁄', perthousand: '‰',
+  exclamdown: '¡', questiondown: '¿', ordfeminine: 'ª', ordmasculine: 'º', mu: 'µ', nbspace: '\u00a0',
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ',
+  iota: 'ι', kappa: 'κ', lambda: 'λ', nu: 'ν', xi: 'ξ', omicron: 'ο', pi: 'π', rho: 'ρ', sigma: 'σ',
+  tau: 'τ', upsilon: 'υ', phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ',
+  Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+};
+const ACCENTS = {
+  acute: '\u0301', grave: '\u0300', circumflex: '\u0302', dieresis: '\u0308', tilde: '\u0303',
+  cedilla: '\u0327', ring: '\u030a', caron: '\u030c', macron: '\u0304', breve: '\u0306',
+  dotaccent: '\u0307', ogonek: '\u0328', hungarumlaut: '\u030b',
+};
+const ACCENT_RE = new RegExp(`^([A-Za-z])(${Object.keys(ACCENTS).join('|')})$`);
+
+function glyphText(name) {
+  if (GLYPHS[name] !== undefined) return GLYPHS[name];
+  if (/^[A-Za-z]$/.test(name)) return name;
+  let m = name.match(/^uni((?:[0-9A-F]{4})+)$/);
+  if (m) return m[1].match(/.{4}/g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+  m = name.match(/^u([0-9A-F]{4,6})$/);
+  if (m) return String.fromCodePoint(parseInt(m[1], 16));
+  m = name.match(ACCENT_RE);
+  if (m) return (m[1] + ACCENTS[m[2]]).normalize('NFC');
+  // Variants (a.sc, one.oldstyle) and ligatures named by parts (f_f_i)
+  if (name.includes('.')) return glyphText(name.slice(0, name.indexOf('.')));
+  if (name.includes('_')) return name.split('_').map(glyphText).join('');
+  return '';
+}
+
+// ---------------------------------------------------------------------------
+// Fonts
+// ---------------------------------------------------------------------------
+
+const bytesToInt = bytes => {
+  let n = 0;
+  for (let i = 0; i < bytes.length; i++) n = n * 256 + bytes.charCodeAt(i);
+  return n;
+};
+const intToBytes = (n, length) => {
+  let out = '';
+  for (let i = length - 1; i >= 0; i--) out += String.fromCharCode(Math.floor(n / 256 ** i) % 256);
+  return out;
+};
+const utf16 = bytes => {
+  let out = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+  return out;
+};
+
+// ToUnicode CMap: code (as a byte string) to text, plus the codespace ranges
+// that say how many bytes each code takes
+function parseCMap(data) {
+  const lexer = new Lexer(data.toString('latin1'));
+  const map = new Map();
+  const ranges = [];
+  let operands = [];
+  while (!lexer.atEnd()) {
+    let value;
+    try {
+      value = lexer.value();
+    } catch {
+      break;
+    }
+    if (!(value instanceof PdfKeyword)) {
+      operands.push(value);
+      continue;
+    }
+    const strings = operands.filter(v => typeof v === 'string' || Array.isArray(v));
+    if (value.word === 'endcodespacerange') {
+      for (let i = 0; i + 1 < strings.length; i += 2) {
+        ranges.push({ length: strings[i].length, low: bytesToInt(strings[i]), high: bytesToInt(strings[i + 1]) });
+      }
+    } else if (value.word === 'endbfchar') {
+      for (let i = 0; i + 1 < strings.length; i += 2) map.set(strings[i], utf16(strings[i + 1]));
+    } else if (value.word === 'endbfrange') {
+      for (let i = 0; i + 2 < strings.length; i += 3) {
+        const [lowBytes, highBytes, target] = strings.slice(i, i + 3);
+        const low = bytesToInt(lowBytes);
+        const high = Math.min(bytesToInt(highBytes), low + 0xffff);
+        for (let code = low; code <= high; code++) {
+          const key = intToBytes(code, lowBytes.length);
+          if (Array.isArray(target)) {
+            if (typeof target[code - low] === 'string') map.set(key, utf16(target[code - low]));
+          } else {
+            const last = target.length - 2;
+            const next = bytesToInt(target.slice(last)) + code - low;
+            map.set(key, utf16(target.slice(0, last) + intToBytes(next, 2)));
+          }
+        }
+      }
+    }
+    operands = [];
+  }
+  return { map, ranges };
+}
+
+// Encoding vector in the clear-text part of an embedded Type 1 font
+function builtinEncoding(doc, descriptor) {
+  const file = descriptor && doc.resolve(descriptor.FontFile);
+  if (!(file instanceof PdfStream)) return null;
+  let text;
+  try {
+    text = doc.decode(file).toString('latin1');
+  } catch {
+    return null;
+  }
+  text = text.slice(0, text.indexOf('eexec') === -1 ? 65536 : text.indexOf('eexec'));
+  if (/\/Encoding\s+StandardEncoding\s+def/.test(text)) return STANDARD;
+  const encoding = new Array(256).fill(undefined);
+  let found = false;
+  for (const m of text.matchAll(/dup\s+(\d+)\s*\/([^\s/[\]]+)\s+put/g)) {
+    if (Number(m[1]) < 256) {
+      encoding[Number(m[1])] = glyphText(m[2]);
+      found = true;
+    }
+  }
+  return found ? encoding : null;
+}
+
+class Font {
+  constructor(doc, dict) {
+    this.doc = doc;
+    dict = doc.resolve(dict) || {};
+    const subtype = dict.Subtype && dict.Subtype.name;
+    this.composite = subtype === 'Type0';
+    const toUnicode = doc.resolve(dict.ToUnicode);
+    this.cmap = { map: new Map(), ranges: [] };
+    if (toUnicode instanceof PdfStream) {
+      try {
+        this.cmap = parseCMap(doc.decode(toUnicode));
+      } catch {
+        // fall back to the encoding
+      }
+    }
+    if (this.composite) this.loadComposite(dict);
+    else this.loadSimple(dict, subtype);
+  }
+
+  loadComposite(dict) {
+    const doc = this.doc;
+    const descendant = doc.resolve((doc.resolve(dict.DescendantFonts) || [])[0]) || {};
+    this.defaultWidth = doc.resolve(descendant.DW) ?? 1000;
+    this.widths = new Map();
+    const w = doc.resolve(descendant.W) || [];
+    for (let i = 0; i < w.length; ) {
+      const first = doc.resolve(w[i]);
+      const next = doc.resolve(w[i + 1]);
+      if (Array.isArray(next)) {
+        next.forEach((width, j) => this.widths.set(first + j, doc.resolve(width)));
+        i += 2;
+      } else {
+        const width = doc.resolve(w[i + 2]);
+        for (let cid = first; cid <= next && cid - first < 0x10000; cid++) this.widths.set(cid, width);
+        i += 3;
+      }
+    }
+    if (!this.cmap.ranges.length) this.cmap.ranges.push({ length: 2, low: 0, high: 0xffff });
+  }
+
+  loadSimple(dict, subtype) {
+    const doc = this.doc;
+    const descriptor = doc.resolve(dict.FontDescriptor) || {};
+    this.firstChar = doc.resolve(dict.FirstChar) ?? 0;
+    this.widthList = (doc.resolve(dict.Widths) || []).map(w => doc.resolve(w));
+    this.missingWidth = doc.resolve(descriptor.MissingWidth) ?? 500;
+    // Type 3 widths are in glyph space
+    const matrix = doc.resolve(dict.FontMatrix);
+    this.widthScale = subtype === 'Type3' && Array.isArray(matrix) ? matrix[0] * 1000 : 1;
+
+    const encoding = doc.resolve(dict.Encoding);
+    let base = null;
+    if (encoding instanceof PdfName) base = ENCODINGS[encoding.name];
+    else if (encoding && doc.resolve(encoding.BaseEncoding) instanceof PdfName) base = ENCODINGS[doc.resolve(encoding.BaseEncoding).name];
+    if (!base) base = builtinEncoding(doc, descriptor);
+    if (!base) {
+      const name = (dict.BaseFont && dict.BaseFont.name) || '';
+      base = /(^|\+)CM(R|BX|TI|SL|SS|CSC|BXTI|BXSL|SSBX|SSI|U)\d+$/.test(name) ? OT1 : STANDARD;
+    }
+    this.encoding = base.slice();
+    const differences = encoding && typeof encoding === 'object' && doc.resolve(encoding.Differences);
+    if (Array.isArray(differences)) {
+      let code = 0;
+      for (const item of differences.map(d => doc.resolve(d))) {
+        if (typeof item === 'number') code = item;
+        else if (item instanceof PdfName) this.encoding[code++] = glyphText(item.name);
+      }
+    }
+  }
+
+  codeLength(bytes, i) {
+    for (const range of this.cmap.ranges) {
+      if (i + range.length > bytes.length) continue;
+      const code = bytesToInt(bytes.slice(i, i + range.length));
+      if (code >= range.low && code <= range.high) return range.length;
+    }
+    return this.composite ? 2 : 1;
+  }
+
+  // Glyphs of a shown string: [{ text, width (thousandths of an em), space }]
+  glyphs(bytes) {
+    const out = [];
+    for (let i = 0; i < bytes.length; ) {
+      const length = this.codeLength(bytes, i);
+      const key = bytes.slice(i, i + length);
+      const code = bytesToInt(key);
+      i += length;
+      let text = this.cmap.map.get(key);
+      let width;
+      if (this.composite) {
+        width = this.widths.get(code) ?? this.defaultWidth;
+      } else {
+        if (text === undefined) text = this.encoding[code];
+        const w = this.widthList[code - this.firstChar];
+        width = (typeof w === 'number' ? w : this.missingWidth) * this.widthScale;
+      }
+      out.push({ text: text || '', width, space: length === 1 && code === 32 });
+    }
+    return out;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Content streams
+// ---------------------------------------------------------------------------
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const multiply = (m, n) => [
+  m[0] * n[0] + m[1] * n[2],
+  m[0] * n[1] + m[1] * n[3],
+  m[2] * n[0] + m[3] * n[2],
+  m[2] * n[1] + m[3] * n[3],
+  m[4] * n[0] + m[5] * n[2] + n[4],
+  m[4] * n[1] + m[5] * n[3] + n[5],
+];
+const MAX_FORM_DEPTH = 8;
+
+class PageReader {
+  constructor(doc) {
+    this.doc = doc;
+    this.fonts = new Map();
+    this.runs = [];
+  }
+
+  font(resources, name) {
+    const fonts = this.doc.resolve(resources && resources.Font) || {};
+    const ref = fonts[name];
+    const key = ref && ref.num !== undefined ? `ref:${ref.num}` : null;
+    if (key && this.fonts.has(key)) return this.fonts.get(key);
+    const font = new Font(this.doc, ref);
+    if (key) this.fonts.set(key, font);
+    return font;
+  }
+
+  contentOf(value) {
+    const parts = [];
+    for (const item of [].concat(this.doc.resolve(value) || [])) {
+      const stream = this.doc.resolve(item);
+      if (!(stream instanceof PdfStream)) continue;
+      try {
+        parts.push(this.doc.decode(stream).toString('latin1'));
+      } catch {
+        // an undecodable part contributes no text
+      }
+    }
+    return parts.join('\n');
+  }
+
+  run(content, resources, ctm, depth = 0) {
+    const doc = this.doc;
+    const lexer = new Lexer(content);
+    const stack = [];
+    let gs = { ctm, font: null, size: 0, charSpace: 0, wordSpace: 0, scale: 1, leading: 0, rise: 0 };
+    let tm = IDENTITY;
+    let tlm = IDENTITY;
+    let operands = [];
+
+    const moveLine = (tx, ty) => {
+      tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+      tm = tlm;
+    };
+    const show = bytes => {
+      if (!gs.font || typeof bytes !== 'string') return;
+      const m = multiply([gs.size * gs.scale, 0, 0, gs.size, 0, gs.rise], multiply(tm, gs.ctm));
+      const size = Math.hypot(m[2], m[3]) || 1;
+      const start = { x: m[4], y: m[5] };
+      let text = '';
+      for (const glyph of gs.font.glyphs(bytes)) {
+        text += glyph.text;
+        const advance = ((glyph.width / 1000) * gs.size + gs.charSpace + (glyph.space ? gs.wordSpace : 0)) * gs.scale;
+        tm = multiply([1, 0, 0, 1, advance, 0], tm);
+      }
+      const end = multiply([1, 0, 0, 1, 0, gs.rise], multiply(tm, gs.ctm));
+      if (text) this.runs.push({ x: start.x, y: start.y, endX: end[4], size, text });
+    };
+
+    while (!lexer.atEnd()) {
+      let value;
+      try {
+        value = lexer.value();
+      } catch {
+        break;
+      }
+      if (!(value instanceof PdfKeyword)) {
+        operands.push(value);
+        continue;
+      }
+      const op = value.word;
+      const n = operands.map(v => (typeof v === 'number' ? v : 0));
+      switch (op) {
+        case 'q':
+          stack.push(gs);
+          gs = { ...gs };
+          break;
+        case 'Q':
+          if (stack.length) gs = stack.pop();
+          break;
+        case 'cm':
+          if (operands.length === 6) gs.ctm = multiply(n, gs.ctm);
+          break;
+        case 'BT':
+          tm = tlm = IDENTITY;
+          break;
+        case 'Tf':
+          if (operands[0] instanceof PdfName) gs.font = this.font(resources, operands[0].name);
+          gs.size = n[1];
+          break;
+        case 'Tc':
+          gs.charSpace = n[0];
+          break;
+        case 'Tw':
+          gs.wordSpace = n[0];
+          break;
+        case 'Tz':
+          gs.scale = n[0] / 100;
+          break;
+        case 'TL':
+          gs.leading = n[0];
+          break;
+        case 'Ts':
+          gs.rise = n[0];
+          break;
+        case 'Td':
+          moveLine(n[0], n[1]);
+          break;
+        case 'TD':
+          gs.leading = -n[1];
+          moveLine(n[0], n[1]);
+          break;
+        case 'Tm':
+          if (operands.length === 6) tm = tlm = n;
+          break;
+        case 'T*':
+          moveLine(0, -gs.leading);
+          break;
+        case 'Tj':
+          show(operands[0]);
+          break;
+        case "'":
+          moveLine(0, -gs.leading);
+          show(operands[0]);
+          break;
+        case '"':
+          gs.wordSpace = n[0];
+          gs.charSpace = n[1];
+          moveLine(0, -gs.leading);
+          show(operands[2]);
+          break;
+        case 'TJ':
+          for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+            if (typeof item === 'number') tm = multiply([1, 0, 0, 1, (-item / 1000) * gs.size * gs.scale, 0], tm);
+            else show(item);
+          }
+          break;
+        case 'Do': {
+          const xobjects = doc.resolve(resources && resources.XObject) || {};
+          const form = operands[0] instanceof PdfName ? doc.resolve(xobjects[operands[0].name]) : null;
+          if (form instanceof PdfStream && form.dict.Subtype && form.dict.Subtype.name === 'Form' && depth < MAX_FORM_DEPTH) {
+            const matrix = doc.resolve(form.dict.Matrix);
+            const formCtm = Array.isArray(matrix) && matrix.length === 6 ? multiply(matrix, gs.ctm) : gs.ctm;
+            this.run(this.contentOf(form), doc.resolve(form.dict.Resources) || resources, formCtm, depth + 1);
+          }
+          break;
+        }
+        case 'BI': {
+          // Inline image data is binary; skip to the EI that ends it
+          const id = content.indexOf('ID', lexer.pos);
+          const ei = id === -1 ? -1 : content.slice(id + 3).search(/[\0\t\n\f\r ]EI(?![^\0\t\n\f\r ()<>[\]{}/%])/);
+          lexer.pos = ei === -1 ? content.length : id + 3 + ei + 3;
+          break;
+        }
+      }
+      operands = [];
+    }
+  }
+}
+
+// Runs to lines: a change of baseline starts a new line, a larger jump (or a
+// move back up the page, as at a column break) a blank line; a gap along the
+// baseline becomes a space
+function layout(runs) {
+  let out = '';
+  let prev = null;
+  for (const run of runs) {
+    if (prev) {
+      const size = Math.max(run.size, prev.size);
+      const dy = prev.y - run.y;
+      if (Math.abs(dy) > size * 0.5) {
+        out += dy > size * 2.2 || dy < 0 ? '\n\n' : '\n';
+      } else if ((run.x - prev.endX > size * 0.15 || run.x < prev.x) && !/\s$/.test(out) && !/^\s/.test(run.text)) {
+        out += ' ';
+      }
+    }
+    out += run.text;
+    prev = run;
+  }
+  return out;
+}
+
+const LIGATURES = { 'ﬀ': 'ff', 'ﬁ': 'fi', 'ﬂ': 'fl', 'ﬃ': 'ffi', 'ﬄ': 'ffl', 'ﬅ': 'st', 'ﬆ': 'st' };
+
+function cleanText(text) {
+  return text
+    .replace(/[ﬀ-ﬆ]/g, ch => LIGATURES[ch] || ch)
+    .replace(/[\0-\x08\x0b\x0c\x0e-\x1f\u00ad\ufffd]/g, '')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Text of one leaf page (as returned by doc.pages)
+function pageText(doc, page) {
+  const reader = new PageReader(doc);
+  reader.run(reader.contentOf(page.Contents), doc.resolve(page.Resources) || {}, IDENTITY);
+  return cleanText(layout(reader.runs));
+}
+
+// Text of the whole document, pages separated by form feeds
+function extractText(doc) {
+  if (doc.encrypted) throw new PdfError('PDF is encrypted; its text cannot be read');
+  return doc.pages.map(page => pageText(doc, page)).join('\n\f\n');
+}
+
+module.exports = { extractText, pageText, glyphText, parseCMap };
@@ -0,0 +1,513 @@
+// lib/pdf.js — minimal PDF reader
+// Zero npm dependencies: zlib from Node core inflates FlateDecode streams.
+// Reads the object structure of a PDF: indirect objects (also those packed
+// in PDF 1.5 object streams), the trailer and the page tree. Objects are
+// found by scanning the file rather than trusting the xref table, so files
+// with stale offsets or incremental updates still read; a later definition
+// of an object replaces an earlier one. Encrypted files are detected but not
+// decrypted.
+
+const zlib = require('zlib');
+
+class PdfError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PdfError';
+  }
+}
+
+class PdfName {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+// Content stream operators and other bare keywords
+class PdfKeyword {
+  constructor(word) {
+    this.word = word;
+  }
+}
+
+class PdfStream {
+  constructor(dict, raw) {
+    this.dict = dict;
+    this.raw = raw;
+  }
+}
+
+// Strings are kept as byte strings (one char per byte, latin1); see
+// textString() for decoding document text strings
+const WHITESPACE = '\0\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+const isRegular = ch => ch !== undefined && !WHITESPACE.includes(ch) && !DELIMITERS.includes(ch);
+const REF_RE = /\s+(\d+)\s+R(?![^\0\t\n\f\r ()<>[\]{}/%])/y;
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+// Tokenizer and object parser over a byte string
+class Lexer {
+  constructor(str, pos = 0) {
+    this.str = str;
+    this.pos = pos;
+  }
+
+  skipSpace() {
+    const s = this.str;
+    while (this.pos < s.length) {
+      const ch = s[this.pos];
+      if (WHITESPACE.includes(ch)) {
+        this.pos++;
+      } else if (ch === '%') {
+        while (this.pos < s.length && s[this.pos] !== '\n' && s[this.pos] !== '\r') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  atEnd() {
+    this.skipSpace();
+    return this.pos >= this.str.length;
+  }
+
+  // Next complete object, or a PdfKeyword for anything that is not one.
+  // `>>` and `]` come back as keywords so containers can find their end.
+  value() {
+    this.skipSpace();
+    const s = this.str;
+    const ch = s[this.pos];
+    if (ch === undefined) throw new PdfError('Unexpected end of data');
+    if (ch === '/') return this.name();
+    if (ch === '(') return this.literalString();
+    if (ch === '<') {
+      if (s[this.pos + 1] === '<') {
+        this.pos += 2;
+        return this.dict();
+      }
+      return this.hexString();
+    }
+    if (ch === '>' && s[this.pos + 1] === '>') {
+      this.pos += 2;
+      return new PdfKeyword('>>');
+    }
+    if (ch === '[') {
+      this.pos++;
+      const items = [];
+      for (;;) {
+        const item = this.value();
+        if (item instanceof PdfKeyword && item.word === ']') return items;
+        items.push(item);
+      }
+    }
+    if (ch === ']' || ch === '{' || ch === '}' || ch === ')' || ch === '>') {
+      this.pos++;
+      return new PdfKeyword(ch);
+    }
+
+    const start = this.pos;
+    while (isRegular(s[this.pos])) this.pos++;
+    const word = s.slice(start, this.pos);
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      if (/^\d+$/.test(word)) {
+        REF_RE.lastIndex = this.pos;
+        const ref = REF_RE.exec(s);
+        if (ref) {
+          this.pos = REF_RE.lastIndex;
+          return new PdfRef(Number(word), Number(ref[1]));
+        }
+      }
+      return Number(word);
+    }
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return new PdfKeyword(word);
+  }
+
+  name() {
+    const s = this.str;
+    const start = ++this.pos;
+    while (isRegular(s[this.pos])) this.pos++;
+    return new PdfName(s.slice(start, this.pos).replace(/#([0-9a-fA-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))));
+  }
+
+  dict() {
+    const out = {};
+    for (;;) {
+      const key = this.value();
+      if (key instanceof PdfKeyword && key.word === '>>') return out;
+      if (!(key instanceof PdfName)) throw new PdfError(`Dictionary key is not a name at offset ${this.pos}`);
+      const value = this.value();
+      if (value instanceof PdfKeyword) throw new PdfError(`Dictionary /${key.name} has no value at offset ${this.pos}`);
+      out[key.name] = value;
+    }
+  }
+
+  literalString() {
+    const s = this.str;
+    let depth = 1;
+    let out = '';
+    this.pos++;
+    while (this.pos < s.length) {
+      const ch = s[this.pos++];
+      if (ch === '\\') {
+        const next = s[this.pos++];
+        if (ESCAPES[next] !== undefined) {
+          out += ESCAPES[next];
+        } else if (next >= '0' && next <= '7') {
+          let oct = next;
+          while (oct.length < 3 && s[this.pos] >= '0' && s[this.pos] <= '7') oct += s[this.pos++];
+          out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+        } else if (next === '\r') {
+          if (s[this.pos] === '\n') this.pos++;
+        } else if (next !== '\n') {
+          out += next;
+        }
+      } else if (ch === '(') {
+        depth++;
+        out += ch;
+      } else if (ch === ')') {
+        if (--depth === 0) return out;
+        out += ch;
+      } else {
+        out += ch;
+      }
+    }
+    throw new PdfError('Unterminated string');
+  }
+
+  hexString() {
+    const end = this.str.indexOf('>', this.pos);
+    if (end === -1) throw new PdfError('Unterminated hex string');
+    let hex = this.str.slice(this.pos + 1, end).replace(/[\0\t\n\f\r ]/g, '');
+    this.pos = end + 1;
+    if (hex.length % 2) hex += '0';
+    let out = '';
+    for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16) || 0);
+    return out;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Stream filters
+// ---------------------------------------------------------------------------
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// PNG (10-15) and TIFF (2) predictors, as used by xref and object streams
+function unpredict(data, parms) {
+  const predictor = parms.Predictor || 1;
+  if (predictor < 2) return data;
+  const colors = parms.Colors || 1;
+  const bpc = parms.BitsPerComponent || 8;
+  const columns = parms.Columns || 1;
+  const bpp = Math.max(1, Math.ceil((colors * bpc) / 8));
+  const rowLength = Math.ceil((colors * bpc * columns) / 8);
+  if (predictor === 2) {
+    if (bpc !== 8) throw new PdfError('TIFF predictor is only supported for 8-bit components');
+    const out = Buffer.from(data);
+    for (let row = 0; row + rowLength <= out.length; row += rowLength) {
+      for (let i = bpp; i < rowLength; i++) out[row + i] = (out[row + i] + out[row + i - bpp]) & 0xff;
+    }
+    return out;
+  }
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const out = Buffer.alloc(rows * rowLength);
+  for (let r = 0; r < rows; r++) {
+    const type = data[r * (rowLength + 1)];
+    const src = r * (rowLength + 1) + 1;
+    const dst = r * rowLength;
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bpp ? out[dst + i - bpp] : 0;
+      const up = r ? out[dst - rowLength + i] : 0;
+      const upLeft = r && i >= bpp ? out[dst - rowLength + i - bpp] : 0;
+      let value = data[src + i];
+      if (type === 1) value += left;
+      else if (type === 2) value += up;
+      else if (type === 3) value += (left + up) >> 1;
+      else if (type === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      out[dst + i] = value & 0xff;
+    }
+  }
+  return out;
+}
+
+function flateDecode(data) {
+  try {
+    return zlib.inflateSync(data);
+  } catch {
+    // Truncated or padded streams are common; keep what inflates
+    try {
+      return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    } catch (err) {
+      throw new PdfError(`FlateDecode stream is corrupt: ${err.message}`);
+    }
+  }
+}
+
+function asciiHexDecode(data) {
+  const hex = data.toString('latin1').replace(/>.*$/s, '').replace(/[^0-9a-fA-F]/g, '');
+  return Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+}
+
+function ascii85Decode(data) {
+  const str = data.toString('latin1').replace(/~>.*$/s, '').replace(/^<~/, '').replace(/[\0\t\n\f\r ]/g, '');
+  const out = [];
+  let group = [];
+  const flush = count => {
+    let n = 0;
+    for (let i = 0; i < 5; i++) n = n * 85 + (i < group.length ? group[i] : 84);
+    for (let i = 0; i < count; i++) out.push((n >>> (24 - 8 * i)) & 0xff);
+    group = [];
+  };
+  for (const ch of str) {
+    if (ch === 'z' && !group.length) {
+      out.push(0, 0, 0, 0);
+      continue;
+    }
+    const code = ch.charCodeAt(0) - 33;
+    if (code < 0 || code > 84) throw new PdfError(`ASCII85Decode: invalid character "${ch}"`);
+    group.push(code);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length) flush(group.length - 1);
+  return Buffer.from(out);
+}
+
+const FILTERS = {
+  FlateDecode: flateDecode,
+  Fl: flateDecode,
+  ASCIIHexDecode: asciiHexDecode,
+  AHx: asciiHexDecode,
+  ASCII85Decode: ascii85Decode,
+  A85: ascii85Decode,
+};
+
+// ---------------------------------------------------------------------------
+// Document
+// ---------------------------------------------------------------------------
+
+const OBJ_RE = /(\d+)[\0\t\n\f\r ]+(\d+)[\0\t\n\f\r ]+obj(?![^\0\t\n\f\r ()<>[\]{}/%])/g;
+
+class PdfDocument {
+  constructor(buffer) {
+    if (!Buffer.isBuffer(buffer)) buffer = Buffer.from(buffer);
+    this.buffer = buffer;
+    this.str = buffer.toString('latin1');
+    const header = this.str.slice(0, 1024).indexOf('%PDF-');
+    if (header === -1) throw new PdfError('Not a PDF file (no %PDF- header)');
+    this.version = this.str.slice(header + 5, header + 8);
+    this.objects = new Map();
+    this.trailer = {};
+    this.scan();
+    this.encrypted = this.trailer.Encrypt !== undefined;
+    this._pages = null;
+  }
+
+  // Read every "n g obj ... endobj" in file order, unpacking object streams
+  // where they appear, and merge every trailer (classic or xref stream)
+  scan() {
+    const s = this.str;
+    OBJ_RE.lastIndex = 0;
+    let match;
+    while ((match = OBJ_RE.exec(s))) {
+      const num = Number(match[1]);
+      const lexer = new Lexer(s, OBJ_RE.lastIndex);
+      let value;
+      try {
+        value = lexer.value();
+      } catch {
+        continue;
+      }
+      lexer.skipSpace();
+      if (s.startsWith('stream', lexer.pos) && value && typeof value === 'object' && !(value instanceof PdfName)) {
+        const stream = this.readStream(value, lexer.pos + 6);
+        OBJ_RE.lastIndex = stream.end;
+        value = stream.value;
+      } else {
+        OBJ_RE.lastIndex = lexer.pos;
+      }
+      this.objects.set(num, value);
+      if (value instanceof PdfStream) {
+        const type = value.dict.Type && value.dict.Type.name;
+        if (type === 'XRef') this.mergeTrailer(value.dict);
+        if (type === 'ObjStm' && value.dict.Encrypt === undefined) this.unpackObjectStream(value);
+      }
+    }
+    let at = 0;
+    while ((at = s.indexOf('trailer', at)) !== -1) {
+      at += 7;
+      try {
+        const lexer = new Lexer(s, at);
+        const dict = lexer.value();
+        if (dict && typeof dict === 'object' && !(dict instanceof PdfKeyword)) this.mergeTrailer(dict);
+      } catch {
+        // a "trailer" that is not one (e.g. inside a stream)
+      }
+    }
+    if (!this.objects.size) throw new PdfError('No objects found');
+  }
+
+  mergeTrailer(dict) {
+    for (const key of ['Root', 'Info', 'Encrypt', 'ID']) {
+      if (dict[key] !== undefined) this.trailer[key] = dict[key];
+    }
+  }
+
+  // Stream data starts after the EOL following "stream"; /Length is trusted
+  // when it is direct and lands on "endstream", else endstream is searched for
+  readStream(dict, start) {
+    const s = this.str;
+    if (s[start] === '\r') start++;
+    if (s[start] === '\n') start++;
+    let end = -1;
+    if (Number.isInteger(dict.Length)) {
+      const after = new Lexer(s, start + dict.Length);
+      after.skipSpace();
+      if (s.startsWith('endstream', after.pos)) end = start + dict.Length;
+    }
+    if (end === -1) {
+      end = s.indexOf('endstream', start);
+      if (end === -1) throw new PdfError('Unterminated stream');
+      if (s[end - 1] === '\n') end--;
+      if (s[end - 1] === '\r') end--;
+    }
+    const close = s.indexOf('endstream', end) + 9;
+    return { value: new PdfStream(dict, this.buffer.subarray(start, end)), end: close };
+  }
+
+  unpackObjectStream(stream) {
+    let data;
+    try {
+      data = this.decode(stream).toString('latin1');
+    } catch {
+      return;
+    }
+    const first = this.resolve(stream.dict.First);
+    const count = this.resolve(stream.dict.N);
+    const header = new Lexer(data);
+    const entries = [];
+    for (let i = 0; i < count; i++) entries.push([header.value(), header.value()]);
+    for (const [num, offset] of entries) {
+      try {
+        this.objects.set(num, new Lexer(data, first + offset).value());
+      } catch {
+        // skip an unreadable object
+      }
+    }
+  }
+
+  // Follow references (and chains of them) to the object itself
+  resolve(value, depth = 0) {
+    while (value instanceof PdfRef) {
+      if (++depth > 32) throw new PdfError('Reference chain too long');
+      value = this.objects.has(value.num) ? this.objects.get(value.num) : null;
+    }
+    return value;
+  }
+
+  // Decoded data of a stream, with its filters applied in order
+  decode(stream) {
+    stream = this.resolve(stream);
+    if (!(stream instanceof PdfStream)) throw new PdfError('Not a stream');
+    const filters = asArray(this.resolve(stream.dict.Filter ?? stream.dict.F)).map(f => this.resolve(f));
+    const parms = asArray(this.resolve(stream.dict.DecodeParms ?? stream.dict.DP));
+    let data = stream.raw;
+    filters.forEach((filter, i) => {
+      const decoder = FILTERS[filter && filter.name];
+      if (!decoder) throw new PdfError(`Unsupported stream filter ${filter && filter.name}`);
+      data = decoder(data);
+      const p = this.resolve(parms[i]);
+      if (p && typeof p === 'object') data = unpredict(data, p);
+    });
+    return data;
+  }
+
+  get catalog() {
+    let root = this.resolve(this.trailer.Root);
+    if (!root) {
+      for (const obj of this.objects.values()) {
+        if (obj && obj.Type instanceof PdfName && obj.Type.name === 'Catalog') root = obj;
+      }
+    }
+    if (!root || typeof root !== 'object') throw new PdfError('No document catalog');
+    return root;
+  }
+
+  // Leaf page dictionaries in document order, each with the inheritable
+  // attributes (Resources, MediaBox, CropBox, Rotate) copied down
+  get pages() {
+    if (this._pages) return this._pages;
+    const pages = [];
+    const seen = new Set();
+    const walk = (node, inherited) => {
+      const dict = this.resolve(node);
+      if (!dict || typeof dict !== 'object' || seen.has(dict)) return;
+      seen.add(dict);
+      const attrs = { ...inherited };
+      for (const key of ['Resources', 'MediaBox', 'CropBox', 'Rotate']) {
+        if (dict[key] !== undefined) attrs[key] = dict[key];
+      }
+      const kids = this.resolve(dict.Kids);
+      if (Array.isArray(kids) && !(dict.Type instanceof PdfName && dict.Type.name === 'Page')) {
+        for (const kid of kids) walk(kid, attrs);
+      } else {
+        pages.push({ ...dict, ...attrs });
+      }
+    };
+    walk(this.catalog.Pages, {});
+    if (!pages.length) throw new PdfError('The page tree has no pages');
+    this._pages = pages;
+    return pages;
+  }
+
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  // Document information dictionary with text strings decoded
+  get info() {
+    const info = this.resolve(this.trailer.Info);
+    const out = {};
+    if (!info || typeof info !== 'object' || this.encrypted) return out;
+    for (const [key, value] of Object.entries(info)) {
+      const resolved = this.resolve(value);
+      if (typeof resolved === 'string') out[key] = textString(resolved);
+    }
+    return out;
+  }
+}
+
+// PDF text strings: UTF-16BE with a byte order mark, UTF-8 with one (PDF 2.0)
+// or PDFDocEncoding, read here as Latin-1
+function textString(bytes) {
+  if (bytes.startsWith('\xfe\xff')) {
+    let out = '';
+    for (let i = 2; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+    return out;
+  }
+  if (bytes.startsWith('\xef\xbb\xbf')) return Buffer.from(bytes.slice(3), 'latin1').toString('utf-8');
+  return bytes;
+}
+
+function readPdf(buffer) {
+  return new PdfDocument(buffer);
+}
+
+module.exports = { readPdf, PdfDocument, PdfError, PdfName, PdfRef, PdfKeyword, PdfStream, Lexer, textString };
@@ -0,0 +1,232 @@
+// lib/raster.js — tiny anti-aliased 2D rasteriser
+// Zero npm dependencies. Enough drawing for generated share images: solid
+// rectangles, filled polygons (e.g. rounded rectangles) and TrueType text,
+// rendered with exact-area anti-aliasing and written out as PNG.
+
+const { encodePng } = require('./png');
+
+function parseColor(hex) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+  if (!m) throw new Error(`Unsupported colour "${hex}" (expected #RRGGBB)`);
+  return [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)];
+}
+
+// Signed-area coverage accumulator: each edge adds its area and coverage to
+// the cells it crosses; a running sum along the buffer gives pixel coverage.
+class Coverage {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.acc = new Float32Array(width * height + 2);
+  }
+
+  line(x0, y0, x1, y1) {
+    if (y0 === y1) return;
+    let dir = 1;
+    if (y0 > y1) {
+      dir = -1;
+      [x0, y0, x1, y1] = [x1, y1, x0, y0];
+    }
+    const { width, acc } = this;
+    const dxdy = (x1 - x0) / (y1 - y0);
+    let x = x0;
+    if (y0 < 0) x -= y0 * dxdy;
+    const yEnd = Math.min(this.height, Math.ceil(y1));
+    for (let y = Math.max(0, Math.floor(y0)); y < yEnd; y++) {
+      const rowStart = y * width;
+      const dy = Math.min(y + 1, y1) - Math.max(y, y0);
+      const xNext = x + dxdy * dy;
+      const d = dy * dir;
+      const xa = Math.min(x, xNext);
+      const xb = Math.max(x, xNext);
+      const xaFloor = Math.floor(xa);
+      const xai = xaFloor;
+      const xbCeil = Math.ceil(xb);
+      const xbi = xbCeil;
+      if (xbi <= xai + 1) {
+        // Edge stays within one pixel column on this row
+        const xmf = 0.5 * (x + xNext) - xaFloor;
+        acc[rowStart + xai] += d - d * xmf;
+        acc[rowStart + xai + 1] += d * xmf;
+      } else {
+        const s = 1 / (xb - xa);
+        const xaf = xa - xaFloor;
+        const a0 = 0.5 * s * (1 - xaf) * (1 - xaf);
+        const xbf = xb - xbCeil + 1;
+        const am = 0.5 * s * xbf * xbf;
+        acc[rowStart + xai] += d * a0;
+        if (xbi === xai + 2) {
+          acc[rowStart + xai + 1] += d * (1 - a0 - am);
+        } else {
+          const a1 = s * (1.5 - xaf);
+          acc[rowStart + xai + 1] += d * (a1 - a0);
+          for (let xi = xai + 2; xi < xbi - 1; xi++) acc[rowStart + xi] += d * s;
+          const a2 = a1 + (xbi - xai - 3) * s;
+          acc[rowStart + xbi - 1] += d * (1 - a2 - am);
+        }
+        acc[rowStart + xbi] += d * am;
+      }
+      x = xNext;
+    }
+  }
+}
+
+// Flatten a TrueType contour (on/off-curve quadratic points) into a polygon
+function flattenQuadratic(points, transform) {
+  const n = points.length;
+  if (!n) return [];
+  const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, on: true });
+
+  // Start on an on-curve point (or the implied one between two off-curve points)
+  let startIndex = points.findIndex(p => p.on);
+  const start = startIndex === -1 ? mid(points[n - 1], points[0]) : points[startIndex];
+  if (startIndex === -1) startIndex = n - 1;
+
+  const out = [transform(start)];
+  let prev = start;
+  let control = null;
+  for (let k = 1; k <= n; k++) {
+    const pt = points[(startIndex + k) % n];
+    if (pt.on) {
+      if (control) quad(prev, control, pt);
+      else out.push(transform(pt));
+      prev = pt;
+      control = null;
+    } else if (control) {
+      const m = mid(control, pt);
+      quad(prev, control, m);
+      prev = m;
+      control = pt;
+    } else {
+      control = pt;
+    }
+  }
+  if (control) quad(prev, control, start);
+  return out;
+
+  function quad(p0, c, p1) {
+    const a = transform(p0);
+    const b = transform(c);
+    const e = transform(p1);
+    const dist = Math.hypot(a[0] - 2 * b[0] + e[0], a[1] - 2 * b[1] + e[1]);
+    const steps = Math.max(1, Math.ceil(Math.sqrt(dist * 2)));
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      const u = 1 - t;
+      out.push([u * u * a[0] + 2 * u * t * b[0] + t * t * e[0], u * u * a[1] + 2 * u * t * b[1] + t * t * e[1]]);
+    }
+  }
+}
+
+class Canvas {
+  constructor(width, height, background = '#FFFFFF') {
+    this.width = width;
+    this.height = height;
+    this.pixels = new Uint8Array(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  fillRect(x, y, w, h, color) {
+    const [r, g, b] = parseColor(color);
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + w));
+    const y1 = Math.min(this.height, Math.round(y + h));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const i = (py * this.width + px) * 3;
+        this.pixels[i] = r;
+        this.pixels[i + 1] = g;
+        this.pixels[i + 2] = b;
+      }
+    }
+  }
+
+  // Fill polygons given as arrays of [x, y] points (non-overlapping contours,
+  // holes wound the opposite way, as in TrueType outlines)
+  fillPath(polygons, color) {
+    const points = polygons.flat();
+    if (!points.length) return;
+    const ox = Math.floor(Math.min(...points.map(p => p[0])));
+    const oy = Math.floor(Math.min(...points.map(p => p[1])));
+    const w = Math.ceil(Math.max(...points.map(p => p[0]))) - ox + 2;
+    const h = Math.ceil(Math.max(...points.map(p => p[1]))) - oy + 1;
+    const cov = new Coverage(w, h);
+    for (const poly of polygons) {
+      for (let i = 0; i < poly.length; i++) {
+        const a = poly[i];
+        const b = poly[(i + 1) % poly.length];
+        cov.line(a[0] - ox, a[1] - oy, b[0] - ox, b[1] - oy);
+      }
+    }
+
+    const rgb = parseColor(color);
+    let sum = 0;
+    for (let py = 0; py < h; py++) {
+      for (let px = 0; px < w; px++) {
+        sum += cov.acc[py * w + px];
+        const alpha = Math.min(1, Math.abs(sum));
+        const cx = px + ox;
+        const cy = py + oy;
+        if (alpha < 1 / 512 || cx < 0 || cy < 0 || cx >= this.width || cy >= this.height) continue;
+        const i = (cy * this.width + cx) * 3;
+        for (let c = 0; c < 3; c++) {
+          this.pixels[i + c] = Math.round(this.pixels[i + c] * (1 - alpha) + rgb[c] * alpha);
+        }
+      }
+    }
+  }
+
+  roundRect(x, y, w, h, r, color) {
+    const poly = [];
+    const corners = [[x + w - r, y + r, -90], [x + w - r, y + h - r, 0], [x + r, y + h - r, 90], [x + r, y + r, 180]];
+    for (const [cx, cy, startDeg] of corners) {
+      for (let i = 0; i <= 6; i++) {
+        const t = ((startDeg + i * 15) * Math.PI) / 180;
+        poly.push([cx + r * Math.cos(t), cy + r * Math.sin(t)]);
+      }
+    }
+    this.fillPath([poly], color);
+  }
+
+  // Width of a single line of text in pixels
+  measureText(font, text, size, tracking = 0) {
+    const scale = size / font.unitsPerEm;
+    let width = 0;
+    let prev = null;
+    for (const ch of text) {
+      const glyph = font.glyphIndex(ch.codePointAt(0));
+      if (prev !== null) width += font.kern(prev, glyph) * scale + tracking;
+      width += font.advance(glyph) * scale;
+      prev = glyph;
+    }
+    return width;
+  }
+
+  // Draw a single line of text with its baseline at y; returns the end x
+  drawText(font, text, x, y, size, color, tracking = 0) {
+    const scale = size / font.unitsPerEm;
+    const polygons = [];
+    let pen = x;
+    let prev = null;
+    for (const ch of text) {
+      const glyph = font.glyphIndex(ch.codePointAt(0));
+      if (prev !== null) pen += font.kern(prev, glyph) * scale + tracking;
+      const originX = pen;
+      const transform = pt => [originX + pt.x * scale, y - pt.y * scale];
+      for (const contour of font.outline(glyph)) {
+        polygons.push(flattenQuadratic(contour, transform));
+      }
+      pen += font.advance(glyph) * scale;
+      prev = glyph;
+    }
+    this.fillPath(polygons, color);
+    return pen;
+  }
+
+  toPng() {
+    return encodePng(this.width, this.height, this.pixels);
+  }
+}
+
+module.exports = { Canvas };
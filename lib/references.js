@@ -0,0 +1,142 @@
+// lib/references.js — reference lists from extracted paper text
+// Zero npm dependencies. Finds the reference list in the plain text of a
+// paper (as written by lib/pdf-text) and splits it into entries:
+//
+//   [{ text, doi }]   (doi is null when the entry has none)
+//
+// The list starts at the last "References" (or "Bibliography", ...) heading,
+// or at the last "[1]" that a "[2]" follows, and ends at an appendix
+// heading or the end of the text. Entries are split on their numbering
+// ("[12]", "12.") when the list is numbered from 1, else on lines that open
+// with an author name after an entry that looks complete. Lines broken
+// inside a word, a DOI or a URL are joined back together.
+
+const HEADING_RE = /^(?:(?:\d+(?:\.\d+)*|[IVX]+|[A-Z])\.?\s+)?(?:references|bibliography|works cited|literature cited|reference list|literatur)\s*:?$/i;
+const END_RE = /^(?:(?:\d+|[A-Z])\.?\s+)?(?:appendix|appendices|online appendix|supplementary (?:material|information)|tables and figures)\b/i;
+const BRACKET_RE = /^\[(\d{1,3})\]\s*/;
+const NUMBER_RE = /^(\d{1,3})\.\s+(?=\S)/;
+const AUTHOR_RE = /^(?:(?:van|von|de|der|den|di|da|du|le|la|del|dos|ter)\s+)*\p{Lu}[\p{L}'’`-]+(?:\s+\p{Lu}[\p{L}'’`-]+)?,\s*(?:\p{Lu}|\()|^\p{Lu}[\p{L}'’`-]+\s+(?:\p{Lu}\.?\s*){1,3}(?:,|\(|and\b|&)|^[—–-]{2,}/u;
+const YEAR_RE = /\b(?:1[89]|20)\d{2}[a-z]?\b|\bforthcoming\b|\bn\.d\./i;
+const LINK_END_RE = /(?:https?:\/\/|doi\.org\/|\b10\.\d{4,9}\/)\S*$/i;
+const DOI_RE = /\b10\.\d{4,9}\/[^\s"<>]+/;
+
+// Lines that repeat on many pages (running heads and footers) and bare
+// page numbers are page furniture, not part of an entry
+function furniture(text) {
+  const counts = new Map();
+  for (const line of text.split('\n')) {
+    const key = line.trim();
+    if (key && key.length < 80) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return line => /^\d{1,4}$/.test(line) || (counts.get(line) || 0) >= 3;
+}
+
+// Lines of the reference list, or null when the text has none
+function referenceLines(text) {
+  const lines = text.split('\n').map(line => line.trim());
+  let start = -1;
+  lines.forEach((line, i) => {
+    if (HEADING_RE.test(line)) start = i;
+  });
+  // Without a heading we recognise (another language, or set as an image),
+  // a list numbered [1], [2], ... still marks where the references are
+  if (start === -1) {
+    lines.forEach((line, i) => {
+      if (line.startsWith('[1]') && lines.slice(i + 1).some(l => l.startsWith('[2]'))) start = i - 1;
+    });
+  }
+  if (start === -1) return null;
+  const isFurniture = furniture(text);
+  const out = [];
+  for (const line of lines.slice(start + 1)) {
+    if (END_RE.test(line) && line.length < 60) break;
+    if (line && line !== '\f' && !isFurniture(line)) out.push(line);
+  }
+  return out;
+}
+
+// Join an entry's lines: a word hyphenated across lines loses its hyphen,
+// a DOI or URL broken after a separator is rejoined without a space
+function joinLines(lines) {
+  let out = '';
+  for (const line of lines) {
+    if (!out) {
+      out = line;
+    } else if (LINK_END_RE.test(out) && /[/\-._=?&#]$/.test(out)) {
+      out += line;
+    } else if (/\p{Ll}-$/u.test(out) && /^\p{Ll}/u.test(line)) {
+      out = out.slice(0, -1) + line;
+    } else {
+      out += ` ${line}`;
+    }
+  }
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+// isStart(line, entry) sees every line, the first one too (numbered lists
+// count their entries from it), with the entry so far
+function split(lines, isStart) {
+  const entries = [];
+  for (const line of lines) {
+    if (isStart(line, entries[entries.length - 1] || []) || !entries.length) entries.push([line]);
+    else entries[entries.length - 1].push(line);
+  }
+  return entries;
+}
+
+// Whether the list is numbered with `re`: its first numbered line is 1 and
+// a 2 follows (two entries are enough)
+function numberedWith(lines, re) {
+  const numbers = lines.map(line => line.match(re)).filter(Boolean).map(m => Number(m[1]));
+  return numbers[0] === 1 && numbers.includes(2);
+}
+
+function splitEntries(lines) {
+  if (numberedWith(lines, BRACKET_RE)) {
+    return split(lines, line => BRACKET_RE.test(line)).map(entry => {
+      entry[0] = entry[0].replace(BRACKET_RE, '');
+      return entry;
+    });
+  }
+  // "1." numbering counts up; a line opening with the next number starts an entry
+  if (numberedWith(lines, NUMBER_RE)) {
+    let expected = 1;
+    return split(lines, line => {
+      const m = line.match(NUMBER_RE);
+      if (!m || Number(m[1]) !== expected) return false;
+      expected++;
+      return true;
+    }).map(entry => {
+      entry[0] = entry[0].replace(NUMBER_RE, '');
+      return entry;
+    });
+  }
+  return split(lines, (line, entry) => {
+    if (!AUTHOR_RE.test(line)) return false;
+    const text = joinLines(entry);
+    return YEAR_RE.test(text) && /[.)]$|\d$|\S\/\S*$/.test(text);
+  });
+}
+
+// First DOI in an entry, without trailing punctuation or an unmatched
+// closing bracket
+function findDoi(text) {
+  const m = text.match(DOI_RE);
+  if (!m) return null;
+  let doi = m[0].replace(/[.,;:]+$/, '');
+  for (const [open, close] of [['(', ')'], ['[', ']']]) {
+    while (doi.endsWith(close) && doi.split(open).length < doi.split(close).length) doi = doi.slice(0, -1);
+  }
+  return doi.replace(/[.,;:]+$/, '');
+}
+
+function parseReferences(text) {
+  const lines = referenceLines(String(text || ''));
+  if (!lines || !lines.length) return [];
+  return splitEntries(lines)
+    .map(joinLines)
+    .filter(entry => entry.length >= 20 && /\p{L}{3}/u.test(entry))
+    .map(entry => ({ text: entry, doi: findDoi(entry) }));
+}
+
+module.exports = { parseReferences, findDoi };
@@ -0,0 +1,466 @@
+// lib/tex.js — TeX math to MathML and plain text
+// Zero npm dependencies. Covers the notation that turns up in abstracts:
+// letters, numbers and operators, Greek and common symbols, sub/superscripts,
+// \frac, \binom, \sqrt, accents, \text and font commands (\mathrm, \mathbb,
+// ...), \operatorname and named functions, \left...\right delimiters and
+// spacing. Environments, matrices (& and \\) and macros are not supported;
+// anything unknown raises a TexError rather than being passed through.
+
+class TexError extends Error {
+  constructor(message, source) {
+    super(`${message} in "${source}"`);
+    this.name = 'TexError';
+  }
+}
+
+const GREEK = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+  varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+  Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+};
+
+// Identifier-like symbols (rendered upright)
+const SYMBOLS = {
+  infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅', ell: 'ℓ', hbar: 'ℏ',
+  Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ', top: '⊤', bot: '⊥', angle: '∠', prime: '′',
+};
+
+// Operators and relations
+const OPERATORS = {
+  cdot: '·', times: '×', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '•',
+  oplus: '⊕', ominus: '⊖', otimes: '⊗', odot: '⊙', setminus: '∖', cup: '∪', cap: '∩', wedge: '∧',
+  land: '∧', vee: '∨', lor: '∨', neg: '¬', lnot: '¬', forall: '∀', exists: '∃', nexists: '∄',
+  leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', sim: '∼', simeq: '≃',
+  cong: '≅', equiv: '≡', propto: '∝', ll: '≪', gg: '≫', prec: '≺', succ: '≻', preceq: '⪯', succeq: '⪰',
+  in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+  mid: '∣', nmid: '∤', parallel: '∥', perp: '⊥', models: '⊨', vdash: '⊢',
+  to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+  Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', iff: '⟺', mapsto: '↦', uparrow: '↑',
+  downarrow: '↓', longrightarrow: '⟶', longmapsto: '⟼',
+  langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖',
+  ldots: '…', cdots: '⋯', dots: '…', vdots: '⋮', ddots: '⋱', colon: ':',
+};
+
+// Operators that take limits above and below in display style
+const LARGE_OPERATORS = {
+  sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', oint: '∮', bigcup: '⋃', bigcap: '⋂',
+  bigoplus: '⨁', bigotimes: '⨂', bigvee: '⋁', bigwedge: '⋀',
+};
+
+// Named functions; the second group takes limits like \lim
+const FUNCTIONS = new Set([
+  'log', 'ln', 'lg', 'exp', 'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'sinh', 'cosh', 'tanh', 'arcsin',
+  'arccos', 'arctan', 'arg', 'deg', 'det', 'dim', 'gcd', 'hom', 'ker', 'Pr', 'lcm', 'rank', 'tr',
+]);
+const LIMIT_FUNCTIONS = new Set(['lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'argmax', 'argmin']);
+
+const FONTS = {
+  mathrm: 'normal', textrm: 'normal', mathit: 'italic', mathbf: 'bold', textbf: 'bold', boldsymbol: 'bold-italic',
+  mathsf: 'sans-serif', mathtt: 'monospace', mathcal: 'script', mathscr: 'script', mathbb: 'double-struck',
+  mathfrak: 'fraktur',
+};
+
+const ACCENTS = {
+  hat: ['^', '̂'], widehat: ['^', '̂'], bar: ['¯', '̄'], overline: ['‾', '̅'],
+  tilde: ['~', '̃'], widetilde: ['~', '̃'], vec: ['→', '⃗'], dot: ['˙', '̇'],
+  ddot: ['¨', '̈'],
+};
+
+const SPACES = {
+  ',': 0.1667, ':': 0.2222, '>': 0.2222, ';': 0.2778, '!': -0.1667, ' ': 0.25, quad: 1, qquad: 2,
+};
+
+// Commands with no output in a single-line formula
+const IGNORED = new Set(['displaystyle', 'textstyle', 'limits', 'nolimits', 'big', 'Big', 'bigg', 'Bigg',
+  'bigl', 'bigr', 'Bigl', 'Bigr', 'biggl', 'biggr', 'Biggl', 'Biggr']);
+
+const RELATIONS = new Set('=<>≤≥≠≈∼≃≅≡∝≪≫≺≻⪯⪰∈∉∋⊂⊆⊃⊇∣∤∥⊥⊨⊢→←↔⇒⇐⇔⟹⟺↦↑↓⟶⟼:'.split(''));
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '\\') {
+      const m = /^\\([A-Za-z]+|.)/.exec(src.slice(i));
+      if (!m) throw new TexError('Trailing backslash', src);
+      tokens.push({ type: 'cmd', value: m[1], at: i });
+      i += m[0].length;
+      // A letter command swallows the spaces after it
+      if (/[A-Za-z]/.test(m[1])) while (i < src.length && /\s/.test(src[i])) i++;
+    } else if (/\d/.test(ch)) {
+      const m = /^\d+(\.\d+)?/.exec(src.slice(i));
+      tokens.push({ type: 'num', value: m[0], at: i });
+      i += m[0].length;
+    } else {
+      const cp = String.fromCodePoint(src.codePointAt(i));
+      tokens.push({ type: 'char', value: cp, at: i });
+      i += cp.length;
+    }
+  }
+  return tokens;
+}
+
+class Parser {
+  constructor(src) {
+    this.src = src;
+    this.tokens = tokenize(src);
+    this.pos = 0;
+  }
+
+  fail(message) {
+    throw new TexError(message, this.src);
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  isChar(tok, value) {
+    return tok && tok.type === 'char' && tok.value === value;
+  }
+
+  // Nodes up to the end, a closing brace or \right
+  parseRow(stop = null) {
+    const items = [];
+    for (;;) {
+      const tok = this.peek();
+      if (!tok) {
+        if (stop) this.fail(stop === '}' ? 'Missing }' : 'Missing \\right');
+        break;
+      }
+      if (stop === '}' && this.isChar(tok, '}')) break;
+      if (stop === 'right' && tok.type === 'cmd' && tok.value === 'right') break;
+      if (this.isChar(tok, '}')) this.fail('Unmatched }');
+      const node = this.parseScripted();
+      if (node) items.push(node);
+    }
+    return { t: 'row', items };
+  }
+
+  // An atom followed by any ^ and _ scripts
+  parseScripted() {
+    let base = this.parseAtom();
+    if (!base) return null;
+    let sub = null;
+    let sup = null;
+    for (;;) {
+      const tok = this.peek();
+      if (this.isChar(tok, '^') || this.isChar(tok, '_')) {
+        this.next();
+        const arg = this.parseArg();
+        if (tok.value === '^') {
+          if (sup) this.fail('Double superscript');
+          sup = arg;
+        } else {
+          if (sub) this.fail('Double subscript');
+          sub = arg;
+        }
+      } else if (this.isChar(tok, "'")) {
+        this.next();
+        const prime = { t: 'mo', v: '′' };
+        sup = sup ? { t: 'row', items: [sup, prime] } : prime;
+      } else {
+        break;
+      }
+    }
+    if (sub || sup) base = { t: 'scripts', base, sub, sup };
+    return base;
+  }
+
+  // A braced group or a single atom (the argument of ^, _, \frac, ...)
+  parseArg() {
+    const tok = this.peek();
+    if (!tok) this.fail('Missing argument');
+    if (this.isChar(tok, '{')) {
+      this.next();
+      const row = this.parseRow('}');
+      this.next();
+      return row;
+    }
+    const atom = this.parseAtom();
+    if (!atom) this.fail('Missing argument');
+    return atom;
+  }
+
+  // Raw source of a braced group (for \text and \operatorname)
+  parseTextArg() {
+    const open = this.next();
+    if (!this.isChar(open, '{')) this.fail('Expected { after text command');
+    let depth = 1;
+    for (;;) {
+      const tok = this.next();
+      if (!tok) this.fail('Missing }');
+      if (this.isChar(tok, '{')) depth++;
+      if (this.isChar(tok, '}') && --depth === 0) {
+        return this.src.slice(open.at + 1, tok.at).replace(/\\([{}$%&#_ ])/g, '$1').replace(/\s+/g, ' ');
+      }
+    }
+  }
+
+  // Delimiter after \left, \right or a \big command
+  parseDelimiter() {
+    const tok = this.next();
+    if (!tok) this.fail('Missing delimiter');
+    if (tok.type === 'char' && '()[]|./'.includes(tok.value)) return tok.value === '.' ? '' : tok.value;
+    if (tok.type === 'cmd') {
+      if (tok.value === '{' || tok.value === '}') return tok.value;
+      if (tok.value === '|') return '‖';
+      if (OPERATORS[tok.value] && /[⟨⟩⌊⌋⌈⌉|‖↑↓]/.test(OPERATORS[tok.value])) return OPERATORS[tok.value];
+    }
+    this.fail(`"${tok.type === 'cmd' ? `\\${tok.value}` : tok.value}" is not a delimiter`);
+  }
+
+  parseAtom() {
+    const tok = this.next();
+    if (tok.type === 'num') return { t: 'mn', v: tok.value };
+    if (tok.type === 'char') {
+      const v = tok.value;
+      if (v === '{') {
+        const row = this.parseRow('}');
+        this.next();
+        return row;
+      }
+      if (v === '^' || v === '_') this.fail(`Missing base for ${v}`);
+      if (v === '&' || v === '#' || v === '%') this.fail(`"${v}" is not supported`);
+      if (v === '~') return { t: 'space', width: 0.25 };
+      if (/\p{L}/u.test(v)) return { t: 'mi', v };
+      if (v === '-') return { t: 'mo', v: '−' };
+      if (v === '*') return { t: 'mo', v: '∗' };
+      return { t: 'mo', v, fence: '()[]|'.includes(v) };
+    }
+    return this.parseCommand(tok.value);
+  }
+
+  parseCommand(name) {
+    if (GREEK[name]) return { t: 'mi', v: GREEK[name], variant: /^[A-Z]/.test(name) ? 'normal' : null };
+    if (SYMBOLS[name]) return { t: 'mi', v: SYMBOLS[name], variant: 'normal' };
+    if (OPERATORS[name]) return { t: 'mo', v: OPERATORS[name] };
+    if (LARGE_OPERATORS[name]) return { t: 'mo', v: LARGE_OPERATORS[name], large: true };
+    if (FUNCTIONS.has(name)) return { t: 'fn', v: name };
+    if (LIMIT_FUNCTIONS.has(name)) return { t: 'fn', v: name.replace(/^arg/, 'arg '), limits: true };
+    if (SPACES[name] !== undefined) return { t: 'space', width: SPACES[name] };
+    if (IGNORED.has(name)) return null;
+    if ('{}$%&#_'.includes(name)) return name === '{' || name === '}' ? { t: 'mo', v: name, fence: true } : { t: 'mo', v: name };
+    if (name === '|') return { t: 'mo', v: '‖', fence: true };
+    if (name === '\\') this.fail('Line breaks (\\\\) are not supported');
+
+    switch (name) {
+      case 'frac':
+      case 'dfrac':
+      case 'tfrac':
+        return { t: 'frac', num: this.parseArg(), den: this.parseArg() };
+      case 'binom':
+        return { t: 'binom', top: this.parseArg(), bottom: this.parseArg() };
+      case 'sqrt': {
+        let index = null;
+        if (this.isChar(this.peek(), '[')) {
+          this.next();
+          const items = [];
+          while (this.peek() && !this.isChar(this.peek(), ']')) items.push(this.parseScripted());
+          if (!this.next()) this.fail('Missing ] in \\sqrt');
+          index = { t: 'row', items: items.filter(Boolean) };
+        }
+        return { t: 'sqrt', body: this.parseArg(), index };
+      }
+      case 'text':
+      case 'textit':
+      case 'mbox':
+        return { t: 'text', v: this.parseTextArg() };
+      case 'operatorname':
+        return { t: 'fn', v: this.parseTextArg() };
+      case 'left': {
+        const open = this.parseDelimiter();
+        const body = this.parseRow('right');
+        this.next();
+        return { t: 'fenced', open, close: this.parseDelimiter(), body };
+      }
+      case 'right':
+        this.fail('\\right without \\left');
+        break;
+      case 'underline':
+        return { t: 'under', body: this.parseArg(), mark: '_' };
+      default:
+        break;
+    }
+    if (FONTS[name]) return { t: 'font', variant: FONTS[name], body: this.parseArg() };
+    if (ACCENTS[name]) return { t: 'accent', body: this.parseArg(), mark: ACCENTS[name][0], combining: ACCENTS[name][1] };
+    if (name.startsWith('big') || name.startsWith('Big')) return { t: 'mo', v: this.parseDelimiter(), fence: true };
+    this.fail(`Unsupported command \\${name}`);
+  }
+}
+
+function parseTex(src) {
+  const parser = new Parser(src);
+  return parser.parseRow();
+}
+
+// ---------------------------------------------------------------------------
+// MathML
+// ---------------------------------------------------------------------------
+
+function esc(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toMathml(node, ctx) {
+  switch (node.t) {
+    case 'row':
+      return node.items.length === 1 ? toMathml(node.items[0], ctx) : `<mrow>${node.items.map(n => toMathml(n, ctx)).join('')}</mrow>`;
+    case 'mi': {
+      const variant = ctx.variant || node.variant;
+      const attr = variant && !(variant === 'italic' && [...node.v].length === 1) ? ` mathvariant="${variant}"` : '';
+      return `<mi${attr}>${esc(node.v)}</mi>`;
+    }
+    case 'mn':
+      return `<mn>${esc(node.v)}</mn>`;
+    case 'mo': {
+      let attrs = '';
+      if (node.fence && !ctx.stretchy) attrs = ' stretchy="false"';
+      if (node.large) attrs = ctx.display ? ' largeop="true"' : '';
+      return `<mo${attrs}>${esc(node.v)}</mo>`;
+    }
+    case 'fn':
+      return `<mi>${esc(node.v)}</mi><mo>⁡</mo>`;
+    case 'text':
+      // Edge spaces would collapse in <mtext>, so keep them as no-break spaces
+      return `<mtext>${esc(node.v.replace(/^ | $/g, '\u00a0'))}</mtext>`;
+    case 'space':
+      return `<mspace width="${node.width}em"/>`;
+    case 'frac':
+      return `<mfrac>${toMathml(node.num, ctx)}${toMathml(node.den, ctx)}</mfrac>`;
+    case 'binom':
+      return `<mrow><mo>(</mo><mfrac linethickness="0">${toMathml(node.top, ctx)}${toMathml(node.bottom, ctx)}</mfrac><mo>)</mo></mrow>`;
+    case 'sqrt':
+      return node.index
+        ? `<mroot>${toMathml(node.body, ctx)}${toMathml(node.index, ctx)}</mroot>`
+        : `<msqrt>${toMathml(node.body, ctx)}</msqrt>`;
+    case 'font':
+      return toMathml(node.body, { ...ctx, variant: node.variant });
+    case 'accent':
+      return `<mover accent="true">${toMathml(node.body, ctx)}<mo stretchy="${node.mark === '‾' ? 'true' : 'false'}">${esc(node.mark)}</mo></mover>`;
+    case 'under':
+      return `<munder>${toMathml(node.body, ctx)}<mo stretchy="true">_</mo></munder>`;
+    case 'fenced': {
+      const inner = toMathml(node.body, { ...ctx, stretchy: false });
+      const open = node.open ? `<mo fence="true" stretchy="true">${esc(node.open)}</mo>` : '';
+      const close = node.close ? `<mo fence="true" stretchy="true">${esc(node.close)}</mo>` : '';
+      return `<mrow>${open}${inner}${close}</mrow>`;
+    }
+    case 'scripts': {
+      const base = node.base;
+      const limits = ctx.display && ((base.t === 'mo' && base.large) || (base.t === 'fn' && base.limits));
+      const baseXml = base.t === 'fn' ? `<mi>${esc(base.v)}</mi>` : toMathml(base, ctx);
+      const sub = node.sub && toMathml(node.sub, ctx);
+      const sup = node.sup && toMathml(node.sup, ctx);
+      let xml;
+      if (sub && sup) xml = limits ? `<munderover>${baseXml}${sub}${sup}</munderover>` : `<msubsup>${baseXml}${sub}${sup}</msubsup>`;
+      else if (sub) xml = limits ? `<munder>${baseXml}${sub}</munder>` : `<msub>${baseXml}${sub}</msub>`;
+      else xml = limits ? `<mover>${baseXml}${sup}</mover>` : `<msup>${baseXml}${sup}</msup>`;
+      return base.t === 'fn' ? `${xml}<mo>⁡</mo>` : xml;
+    }
+    default:
+      throw new Error(`Unknown node ${node.t}`);
+  }
+}
+
+// MathML for a formula; the TeX source is kept as an annotation
+function texToMathml(src, { display = false } = {}) {
+  const tree = parseTex(src);
+  const body = toMathml(tree, { display, stretchy: false });
+  const mrow = body.startsWith('<mrow>') ? body : `<mrow>${body}</mrow>`;
+  return `<math${display ? ' display="block"' : ''}><semantics>${mrow}<annotation encoding="application/x-tex">${esc(src.trim())}</annotation></semantics></math>`;
+}
+
+// ---------------------------------------------------------------------------
+// Plain text
+// ---------------------------------------------------------------------------
+
+const SUPERSCRIPTS = {
+  0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹',
+  '+': '⁺', '−': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', n: 'ⁿ', i: 'ⁱ', '′': '′', '∗': '*',
+};
+const SUBSCRIPTS = {
+  0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉',
+  '+': '₊', '−': '₋', '=': '₌', '(': '₍', ')': '₎', a: 'ₐ', e: 'ₑ', o: 'ₒ', x: 'ₓ', h: 'ₕ', k: 'ₖ',
+  l: 'ₗ', m: 'ₘ', n: 'ₙ', p: 'ₚ', s: 'ₛ', t: 'ₜ', i: 'ᵢ', j: 'ⱼ', r: 'ᵣ', u: 'ᵤ', v: 'ᵥ',
+};
+
+// Parenthesise compound text so a/b, x^(…) and √(…) stay unambiguous
+function wrap(text) {
+  return [...text].length > 1 && /[^\p{L}\p{N}.′]/u.test(text) && !/^\(.*\)$/.test(text) ? `(${text})` : text;
+}
+
+function scriptText(text, map, marker) {
+  const chars = [...text];
+  if (chars.length && chars.every(c => map[c])) return chars.map(c => map[c]).join('');
+  return `${marker}${wrap(text)}`;
+}
+
+function toText(node) {
+  switch (node.t) {
+    case 'row':
+      return node.items.map((item, i) => {
+        const text = toText(item);
+        const next = node.items[i + 1];
+        // Keep a space between a function name and its argument
+        return item.t === 'fn' && next && next.t !== 'scripts' ? `${text} ` : text;
+      }).join('');
+    case 'mi':
+    case 'mn':
+      return node.v;
+    case 'mo':
+      if (RELATIONS.has(node.v)) return ` ${node.v} `;
+      if (node.v === ',' || node.v === ';') return `${node.v} `;
+      return node.v;
+    case 'fn':
+    case 'text':
+      return node.v;
+    case 'space':
+      return node.width > 0.2 ? ' ' : '';
+    case 'frac':
+      return `${wrap(toText(node.num).trim())}/${wrap(toText(node.den).trim())}`;
+    case 'binom':
+      return `C(${toText(node.top).trim()}, ${toText(node.bottom).trim()})`;
+    case 'sqrt':
+      return `${node.index ? scriptText(toText(node.index).trim(), SUPERSCRIPTS, '') : ''}√${wrap(toText(node.body).trim())}`;
+    case 'font':
+      return toText(node.body);
+    case 'accent':
+    case 'under': {
+      const body = toText(node.body).trim();
+      if (node.t === 'accent' && [...body].length === 1) return body + node.combining;
+      return `${node.t === 'accent' ? 'overline' : 'underline'}(${body})`;
+    }
+    case 'fenced':
+      return `${node.open}${toText(node.body).trim()}${node.close}`;
+    case 'scripts': {
+      let text = toText(node.base);
+      if (node.sub) text += scriptText(toText(node.sub).trim(), SUBSCRIPTS, '_');
+      if (node.sup) text += scriptText(toText(node.sup).trim(), SUPERSCRIPTS, '^');
+      return node.base.t === 'fn' ? `${text} ` : text;
+    }
+    default:
+      throw new Error(`Unknown node ${node.t}`);
+  }
+}
+
+// Readable Unicode approximation of a formula, for plain-text outputs
+function texToText(src) {
+  return toText(parseTex(src)).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { texToMathml, texToText, TexError };
@@ -0,0 +1,255 @@
+// lib/ttf.js — minimal TrueType font reader
+// Zero npm dependencies. Reads the tables needed to lay out and draw text:
+// cmap (formats 4 and 12), glyf/loca outlines (simple and composite glyphs),
+// hmtx advances and pair kerning from the legacy kern table. Hinting, GPOS
+// and GSUB are ignored, which is fine for large display text.
+
+const fs = require('fs');
+
+class Font {
+  constructor(buffer) {
+    this.buf = buffer;
+    this.tables = {};
+    const numTables = buffer.readUInt16BE(4);
+    for (let i = 0; i < numTables; i++) {
+      const rec = 12 + i * 16;
+      const tag = buffer.toString('latin1', rec, rec + 4);
+      this.tables[tag] = { offset: buffer.readUInt32BE(rec + 8), length: buffer.readUInt32BE(rec + 12) };
+    }
+    for (const tag of ['head', 'hhea', 'maxp', 'hmtx', 'cmap', 'loca', 'glyf']) {
+      if (!this.tables[tag]) throw new Error(`Font has no ${tag} table (only TrueType outlines are supported)`);
+    }
+
+    const head = this.tables.head.offset;
+    this.unitsPerEm = buffer.readUInt16BE(head + 18);
+    this.longLoca = buffer.readInt16BE(head + 50) === 1;
+
+    const hhea = this.tables.hhea.offset;
+    this.ascender = buffer.readInt16BE(hhea + 4);
+    this.descender = buffer.readInt16BE(hhea + 6);
+    this.numHMetrics = buffer.readUInt16BE(hhea + 34);
+    this.numGlyphs = buffer.readUInt16BE(this.tables.maxp.offset + 4);
+
+    this.cmap = this.readCmap();
+    this.kerning = this.readKern();
+    this.cache = new Map();
+  }
+
+  static load(file) {
+    return new Font(fs.readFileSync(file));
+  }
+
+  readCmap() {
+    const b = this.buf;
+    const base = this.tables.cmap.offset;
+    const count = b.readUInt16BE(base + 2);
+    let best = null;
+    for (let i = 0; i < count; i++) {
+      const rec = base + 4 + i * 8;
+      const platform = b.readUInt16BE(rec);
+      const encoding = b.readUInt16BE(rec + 2);
+      const offset = base + b.readUInt32BE(rec + 4);
+      const format = b.readUInt16BE(offset);
+      const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+      if (!unicode || (format !== 4 && format !== 12)) continue;
+      if (!best || format === 12) best = { format, offset };
+    }
+    if (!best) throw new Error('Font has no Unicode cmap');
+
+    const map = new Map();
+    const o = best.offset;
+    if (best.format === 12) {
+      const groups = b.readUInt32BE(o + 12);
+      for (let i = 0; i < groups; i++) {
+        const g = o + 16 + i * 12;
+        const start = b.readUInt32BE(g);
+        const end = b.readUInt32BE(g + 4);
+        const glyph = b.readUInt32BE(g + 8);
+        for (let c = start; c <= end; c++) map.set(c, glyph + c - start);
+      }
+      return map;
+    }
+
+    const segX2 = b.readUInt16BE(o + 6);
+    const ends = o + 14;
+    const starts = ends + segX2 + 2;
+    const deltas = starts + segX2;
+    const rangeOffsets = deltas + segX2;
+    for (let s = 0; s < segX2; s += 2) {
+      const end = b.readUInt16BE(ends + s);
+      const start = b.readUInt16BE(starts + s);
+      const delta = b.readInt16BE(deltas + s);
+      const rangeOffset = b.readUInt16BE(rangeOffsets + s);
+      for (let c = start; c <= end && c !== 0xffff; c++) {
+        let glyph;
+        if (rangeOffset === 0) {
+          glyph = (c + delta) & 0xffff;
+        } else {
+          const at = rangeOffsets + s + rangeOffset + (c - start) * 2;
+          glyph = b.readUInt16BE(at);
+          if (glyph !== 0) glyph = (glyph + delta) & 0xffff;
+        }
+        if (glyph) map.set(c, glyph);
+      }
+    }
+    return map;
+  }
+
+  // Format 0 subtables of the kern table (horizontal pair kerning)
+  readKern() {
+    const pairs = new Map();
+    const table = this.tables.kern;
+    if (!table) return pairs;
+    const b = this.buf;
+    let at = table.offset;
+    if (b.readUInt16BE(at) !== 0) return pairs;
+    const count = b.readUInt16BE(at + 2);
+    at += 4;
+    for (let i = 0; i < count; i++) {
+      const length = b.readUInt16BE(at + 2);
+      const coverage = b.readUInt16BE(at + 4);
+      if ((coverage >> 8) === 0 && (coverage & 1)) {
+        const n = b.readUInt16BE(at + 6);
+        for (let p = 0; p < n; p++) {
+          const rec = at + 14 + p * 6;
+          pairs.set(b.readUInt16BE(rec) * 65536 + b.readUInt16BE(rec + 2), b.readInt16BE(rec + 4));
+        }
+      }
+      at += length;
+    }
+    return pairs;
+  }
+
+  glyphIndex(codePoint) {
+    return this.cmap.get(codePoint) || 0;
+  }
+
+  advance(glyph) {
+    const hmtx = this.tables.hmtx.offset;
+    const i = Math.min(glyph, this.numHMetrics - 1);
+    return this.buf.readUInt16BE(hmtx + i * 4);
+  }
+
+  kern(left, right) {
+    return this.kerning.get(left * 65536 + right) || 0;
+  }
+
+  // Glyph outline as contours of { x, y, on } points in font units
+  outline(glyph) {
+    if (this.cache.has(glyph)) return this.cache.get(glyph);
+    const contours = this.readGlyph(glyph, 0);
+    this.cache.set(glyph, contours);
+    return contours;
+  }
+
+  glyphOffset(glyph) {
+    const b = this.buf;
+    const loca = this.tables.loca.offset;
+    const start = this.longLoca ? b.readUInt32BE(loca + glyph * 4) : b.readUInt16BE(loca + glyph * 2) * 2;
+    const end = this.longLoca ? b.readUInt32BE(loca + glyph * 4 + 4) : b.readUInt16BE(loca + glyph * 2 + 2) * 2;
+    return end > start ? this.tables.glyf.offset + start : null;
+  }
+
+  readGlyph(glyph, depth) {
+    const b = this.buf;
+    const at = this.glyphOffset(glyph);
+    if (at === null || depth > 8) return [];
+    const numContours = b.readInt16BE(at);
+    if (numContours >= 0) return this.readSimple(at, numContours);
+
+    // Composite glyph: components placed by x/y offsets, optionally scaled
+    const contours = [];
+    let p = at + 10;
+    let more = true;
+    while (more) {
+      const flags = b.readUInt16BE(p);
+      const component = b.readUInt16BE(p + 2);
+      p += 4;
+      let dx, dy;
+      if (flags & 0x0001) {
+        dx = b.readInt16BE(p);
+        dy = b.readInt16BE(p + 2);
+        p += 4;
+      } else {
+        dx = b.readInt8(p);
+        dy = b.readInt8(p + 1);
+        p += 2;
+      }
+      if (!(flags & 0x0002)) dx = dy = 0; // point-matched placement is not supported
+      let [a, bb, c, d] = [1, 0, 0, 1];
+      const f2dot14 = off => b.readInt16BE(off) / 16384;
+      if (flags & 0x0008) {
+        a = d = f2dot14(p);
+        p += 2;
+      } else if (flags & 0x0040) {
+        a = f2dot14(p);
+        d = f2dot14(p + 2);
+        p += 4;
+      } else if (flags & 0x0080) {
+        a = f2dot14(p);
+        bb = f2dot14(p + 2);
+        c = f2dot14(p + 4);
+        d = f2dot14(p + 6);
+        p += 8;
+      }
+      for (const contour of this.readGlyph(component, depth + 1)) {
+        contours.push(contour.map(pt => ({
+          x: pt.x * a + pt.y * c + dx,
+          y: pt.x * bb + pt.y * d + dy,
+          on: pt.on,
+        })));
+      }
+      more = !!(flags & 0x0020);
+    }
+    return contours;
+  }
+
+  readSimple(at, numContours) {
+    const b = this.buf;
+    const endPts = [];
+    for (let i = 0; i < numContours; i++) endPts.push(b.readUInt16BE(at + 10 + i * 2));
+    const numPoints = numContours ? endPts[numContours - 1] + 1 : 0;
+    let p = at + 10 + numContours * 2;
+    p += 2 + b.readUInt16BE(p); // skip instructions
+
+    const flags = [];
+    while (flags.length < numPoints) {
+      const flag = b.readUInt8(p++);
+      flags.push(flag);
+      if (flag & 0x08) {
+        let repeat = b.readUInt8(p++);
+        while (repeat--) flags.push(flag);
+      }
+    }
+
+    const readCoords = (shortBit, sameBit) => {
+      const values = [];
+      let v = 0;
+      for (const flag of flags) {
+        if (flag & shortBit) {
+          const delta = b.readUInt8(p++);
+          v += flag & sameBit ? delta : -delta;
+        } else if (!(flag & sameBit)) {
+          v += b.readInt16BE(p);
+          p += 2;
+        }
+        values.push(v);
+      }
+      return values;
+    };
+    const xs = readCoords(0x02, 0x10);
+    const ys = readCoords(0x04, 0x20);
+
+    const contours = [];
+    let start = 0;
+    for (const end of endPts) {
+      const contour = [];
+      for (let i = start; i <= end; i++) contour.push({ x: xs[i], y: ys[i], on: !!(flags[i] & 0x01) });
+      if (contour.length) contours.push(contour);
+      start = end + 1;
+    }
+    return contours;
+  }
+}
+
+module.exports = { Font };
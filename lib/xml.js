@@ -0,0 +1,198 @@
+// lib/xml.js — minimal namespace-aware XML parser
+// Zero npm dependencies. Enough XML for our own feeds, deposit files and
+// saved metadata exports: elements, attributes, text, CDATA, comments,
+// processing instructions, the predefined and numeric entities, and xmlns.
+// No DTD processing (a DOCTYPE is skipped) and no external entities.
+
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+class XmlError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'XmlError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const NAME_RE = /^[A-Za-z_][\w.\-]*(:[A-Za-z_][\w.\-]*)?$/;
+
+function decodeEntities(str, fail) {
+  return str.replace(/&([^;\s&]*);?/g, (match, name) => {
+    if (!match.endsWith(';')) fail(`Unterminated entity reference "${match}"`);
+    if (name.startsWith('#x')) return String.fromCodePoint(parseInt(name.slice(2), 16));
+    if (name.startsWith('#')) return String.fromCodePoint(parseInt(name.slice(1), 10));
+    if (ENTITIES[name] === undefined) fail(`Unknown entity "&${name};"`);
+    return ENTITIES[name];
+  });
+}
+
+// Parse an XML document. Returns the root element:
+//   { name, prefix, local, ns, attrs: { qname: value }, attrNs: [{ ns, local, value }],
+//     children: [element | { text }], parent }
+function parse(xml) {
+  let pos = 0;
+
+  function location(at) {
+    const before = xml.slice(0, at);
+    const line = before.split('\n').length;
+    const column = at - before.lastIndexOf('\n');
+    return [line, column];
+  }
+
+  function fail(message, at = pos) {
+    throw new XmlError(message, ...location(at));
+  }
+
+  function skipMisc() {
+    for (;;) {
+      while (pos < xml.length && /\s/.test(xml[pos])) pos++;
+      if (xml.startsWith('<?', pos)) {
+        const end = xml.indexOf('?>', pos);
+        if (end === -1) fail('Unterminated processing instruction');
+        pos = end + 2;
+      } else if (xml.startsWith('<!--', pos)) {
+        const end = xml.indexOf('-->', pos);
+        if (end === -1) fail('Unterminated comment');
+        pos = end + 3;
+      } else if (xml.startsWith('<!DOCTYPE', pos)) {
+        // Skip, including an internal subset in brackets
+        let depth = 0;
+        while (pos < xml.length) {
+          const ch = xml[pos++];
+          if (ch === '[') depth++;
+          else if (ch === ']') depth--;
+          else if (ch === '>' && depth === 0) break;
+        }
+      } else {
+        return;
+      }
+    }
+  }
+
+  function resolve(prefix, scope, at) {
+    if (prefix === 'xml') return XML_NS;
+    const ns = scope[prefix || ''];
+    if (prefix && ns === undefined) fail(`Undeclared namespace prefix "${prefix}"`, at);
+    return ns || null;
+  }
+
+  function parseElement(parent, scope) {
+    const start = pos;
+    pos++; // <
+    const nameMatch = /^[^\s/>]+/.exec(xml.slice(pos));
+    if (!nameMatch || !NAME_RE.test(nameMatch[0])) fail('Invalid element name', start);
+    const name = nameMatch[0];
+    pos += name.length;
+
+    const rawAttrs = [];
+    for (;;) {
+      while (/\s/.test(xml[pos])) pos++;
+      if (xml[pos] === '>' || xml.startsWith('/>', pos)) break;
+      const attrStart = pos;
+      const m = /^([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')/.exec(xml.slice(pos));
+      if (!m) fail(`Malformed attribute in <${name}>`, attrStart);
+      if (!NAME_RE.test(m[1])) fail(`Invalid attribute name "${m[1]}"`, attrStart);
+      const raw = m[3] !== undefined ? m[3] : m[4];
+      if (raw.includes('<')) fail(`"<" in value of attribute "${m[1]}"`, attrStart);
+      if (rawAttrs.some(a => a.name === m[1])) fail(`Duplicate attribute "${m[1]}"`, attrStart);
+      rawAttrs.push({ name: m[1], value: decodeEntities(raw, msg => fail(msg, attrStart)), at: attrStart });
+      pos += m[0].length;
+    }
+
+    // Namespace declarations apply to the element itself
+    const childScope = Object.assign({}, scope);
+    for (const a of rawAttrs) {
+      if (a.name === 'xmlns') childScope[''] = a.value;
+      else if (a.name.startsWith('xmlns:')) childScope[a.name.slice(6)] = a.value;
+    }
+
+    const [prefix, local] = name.includes(':') ? name.split(':') : [null, name];
+    const el = {
+      name,
+      prefix,
+      local,
+      ns: resolve(prefix, childScope, start),
+      attrs: {},
+      attrNs: [],
+      children: [],
+      parent,
+    };
+    for (const a of rawAttrs) {
+      el.attrs[a.name] = a.value;
+      if (a.name === 'xmlns' || a.name.startsWith('xmlns:')) continue;
+      const [ap, al] = a.name.includes(':') ? a.name.split(':') : [null, a.name];
+      el.attrNs.push({ name: a.name, ns: ap ? resolve(ap, childScope, a.at) : null, local: al, value: a.value });
+    }
+
+    if (xml.startsWith('/>', pos)) {
+      pos += 2;
+      return el;
+    }
+    pos++; // >
+
+    for (;;) {
+      if (pos >= xml.length) fail(`Unclosed element <${name}>`, start);
+      if (xml.startsWith('</', pos)) {
+        const m = /^<\/([^\s>]+)\s*>/.exec(xml.slice(pos));
+        if (!m) fail('Malformed closing tag');
+        if (m[1] !== name) fail(`Expected </${name}> but found </${m[1]}>`);
+        pos += m[0].length;
+        return el;
+      }
+      if (xml.startsWith('<!--', pos)) {
+        const end = xml.indexOf('-->', pos);
+        if (end === -1) fail('Unterminated comment');
+        pos = end + 3;
+      } else if (xml.startsWith('<![CDATA[', pos)) {
+        const end = xml.indexOf(']]>', pos);
+        if (end === -1) fail('Unterminated CDATA section');
+        el.children.push({ text: xml.slice(pos + 9, end) });
+        pos = end + 3;
+      } else if (xml.startsWith('<?', pos)) {
+        const end = xml.indexOf('?>', pos);
+        if (end === -1) fail('Unterminated processing instruction');
+        pos = end + 2;
+      } else if (xml[pos] === '<') {
+        el.children.push(parseElement(el, childScope));
+      } else {
+        const end = xml.indexOf('<', pos);
+        const textStart = pos;
+        const raw = xml.slice(pos, end === -1 ? xml.length : end);
+        if (raw.includes(']]>')) fail('"]]>" is not allowed in text', textStart);
+        el.children.push({ text: decodeEntities(raw, msg => fail(msg, textStart)) });
+        pos = end === -1 ? xml.length : end;
+      }
+    }
+  }
+
+  if (xml.charCodeAt(0) === 0xfeff) pos = 1;
+  skipMisc();
+  if (xml[pos] !== '<') fail('Expected a root element');
+  const root = parseElement(null, {});
+  skipMisc();
+  if (pos < xml.length) fail('Content after the root element');
+  return root;
+}
+
+// Child elements, optionally filtered by local name (and namespace)
+function elements(el, local, ns) {
+  return el.children.filter(c => c.local !== undefined
+    && (local === undefined || c.local === local)
+    && (ns === undefined || c.ns === ns));
+}
+
+function firstElement(el, local, ns) {
+  return elements(el, local, ns)[0] || null;
+}
+
+// Concatenated text content of an element and its descendants
+function textContent(el) {
+  if (!el) return '';
+  if (el.text !== undefined) return el.text;
+  return el.children.map(textContent).join('');
+}
+
+module.exports = { parse, elements, firstElement, textContent, XmlError, XML_NS };
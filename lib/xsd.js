@@ -0,0 +1,439 @@
+// lib/xsd.js — validator for a practical subset of XML Schema 1.0
+// Zero npm dependencies. Supports what our bundled schemas use: global and
+// local element declarations (name/ref/type, minOccurs/maxOccurs), named and
+// anonymous complex types with sequence/choice/all-free content models,
+// mixed content, simpleContent extensions, attributes (use/fixed/default),
+// simple types restricted by enumeration/pattern/length/range facets,
+// built-in datatypes, and xsd:import/xsd:include of sibling schema files.
+// Identity constraints, substitution groups, wildcards, unions and lists are
+// not supported; schemas using them are rejected when loaded.
+
+const fs = require('fs');
+const path = require('path');
+const xml = require('./xml');
+
+const XSD_NS = 'http://www.w3.org/2001/XMLSchema';
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+
+const BUILTIN_PATTERNS = {
+  string: null,
+  normalizedString: /^[^\t\n\r]*$/,
+  token: /^(\S+( \S+)*)?$/,
+  anyURI: /^\S*$/,
+  NMTOKEN: /^[\w.:-]+$/,
+  ID: /^[A-Za-z_][\w.-]*$/,
+  boolean: /^(true|false|1|0)$/,
+  integer: /^[+-]?\d+$/,
+  positiveInteger: /^\+?0*[1-9]\d*$/,
+  nonNegativeInteger: /^\+?\d+$/,
+  decimal: /^[+-]?(\d+(\.\d*)?|\.\d+)$/,
+  date: /^-?\d{4,}-\d{2}-\d{2}(Z|[+-]\d{2}:\d{2})?$/,
+  dateTime: /^-?\d{4,}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/,
+  gYear: /^-?\d{4,}(Z|[+-]\d{2}:\d{2})?$/,
+};
+
+const NUMERIC = new Set(['integer', 'positiveInteger', 'nonNegativeInteger', 'decimal']);
+
+class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+// Namespace URI bound to a prefix at a schema element (walks up to the root)
+function lookupNs(el, prefix) {
+  const attr = prefix ? `xmlns:${prefix}` : 'xmlns';
+  for (let e = el; e; e = e.parent) {
+    if (e.attrs[attr] !== undefined) return e.attrs[attr];
+  }
+  if (prefix === 'xml') return xml.XML_NS;
+  return prefix ? undefined : null;
+}
+
+function qname(el, value) {
+  const [prefix, local] = value.includes(':') ? value.split(':') : [null, value];
+  const ns = lookupNs(el, prefix);
+  if (ns === undefined) throw new SchemaError(`Undeclared prefix in "${value}"`);
+  return { ns, local, key: `{${ns || ''}}${local}` };
+}
+
+function occurs(el) {
+  const min = el.attrs.minOccurs !== undefined ? Number(el.attrs.minOccurs) : 1;
+  const max = el.attrs.maxOccurs === 'unbounded'
+    ? Infinity
+    : el.attrs.maxOccurs !== undefined ? Number(el.attrs.maxOccurs) : 1;
+  return { min, max };
+}
+
+// A compiled set of schema documents, keyed by expanded names
+class Schema {
+  constructor() {
+    this.elements = {};
+    this.types = {};
+    this.groups = {};
+    this.loaded = new Set();
+  }
+
+  static load(file) {
+    const schema = new Schema();
+    schema.loadFile(path.resolve(file));
+    return schema;
+  }
+
+  loadFile(file) {
+    if (this.loaded.has(file)) return;
+    this.loaded.add(file);
+    const root = xml.parse(fs.readFileSync(file, 'utf-8'));
+    if (root.ns !== XSD_NS || root.local !== 'schema') {
+      throw new SchemaError(`${file} is not an XML Schema document`);
+    }
+    const target = root.attrs.targetNamespace || null;
+    const doc = { file, target, qualified: root.attrs.elementFormDefault === 'qualified' };
+
+    for (const child of xml.elements(root, undefined, XSD_NS)) {
+      const name = child.attrs.name;
+      const key = `{${target || ''}}${name}`;
+      switch (child.local) {
+        case 'import':
+        case 'include':
+          if (child.attrs.schemaLocation && !/^https?:/.test(child.attrs.schemaLocation)) {
+            this.loadFile(path.resolve(path.dirname(file), child.attrs.schemaLocation));
+          }
+          break;
+        case 'element':
+          this.elements[key] = { node: child, doc, ns: target, local: name };
+          break;
+        case 'complexType':
+        case 'simpleType':
+          this.types[key] = { node: child, doc };
+          break;
+        case 'group':
+          this.groups[key] = { node: child, doc };
+          break;
+        case 'annotation':
+          break;
+        default:
+          throw new SchemaError(`Unsupported top-level xsd:${child.local} in ${path.basename(file)}`);
+      }
+    }
+  }
+
+  // --- Compilation (lazy, memoised on the schema node) ---
+
+  elementDecl(node, doc) {
+    if (node.attrs.ref) {
+      const q = qname(node, node.attrs.ref);
+      const global = this.elements[q.key];
+      if (!global) throw new SchemaError(`Unknown element reference "${node.attrs.ref}"`);
+      return global;
+    }
+    const ns = node.parent.local === 'schema' || doc.qualified ? doc.target : null;
+    return { node, doc, ns, local: node.attrs.name };
+  }
+
+  elementType(decl) {
+    if (decl.compiled) return decl.compiled;
+    const { node, doc } = decl;
+    let type;
+    if (node.attrs.type) {
+      type = this.typeByName(node, node.attrs.type);
+    } else {
+      const inline = xml.firstElement(node, 'complexType', XSD_NS) || xml.firstElement(node, 'simpleType', XSD_NS);
+      type = inline ? this.compileType(inline, doc) : { kind: 'simple', base: 'string', facets: {} };
+    }
+    decl.compiled = type;
+    return type;
+  }
+
+  typeByName(node, value) {
+    const q = qname(node, value);
+    if (q.ns === XSD_NS) {
+      if (q.local === 'anyType') return { kind: 'any' };
+      if (!(q.local in BUILTIN_PATTERNS)) throw new SchemaError(`Unsupported built-in type xsd:${q.local}`);
+      return { kind: 'simple', base: q.local, facets: {} };
+    }
+    const named = this.types[q.key];
+    if (!named) throw new SchemaError(`Unknown type "${value}"`);
+    if (!named.compiled) {
+      named.compiled = { kind: 'pending' };
+      Object.assign(named.compiled, this.compileType(named.node, named.doc));
+    }
+    return named.compiled;
+  }
+
+  compileType(node, doc) {
+    if (node.local === 'simpleType') return this.compileSimple(node);
+
+    const type = {
+      kind: 'complex',
+      mixed: node.attrs.mixed === 'true',
+      content: null,
+      attributes: [],
+      text: null,
+    };
+    for (const child of xml.elements(node, undefined, XSD_NS)) {
+      if (child.local === 'sequence' || child.local === 'choice' || child.local === 'group') {
+        type.content = this.compileParticle(child, doc);
+      } else if (child.local === 'attribute') {
+        type.attributes.push(this.compileAttribute(child));
+      } else if (child.local === 'simpleContent') {
+        const ext = xml.firstElement(child, 'extension', XSD_NS);
+        if (!ext) throw new SchemaError('Only xsd:extension is supported inside xsd:simpleContent');
+        type.text = this.typeByName(ext, ext.attrs.base);
+        for (const attr of xml.elements(ext, 'attribute', XSD_NS)) {
+          type.attributes.push(this.compileAttribute(attr));
+        }
+      } else if (child.local !== 'annotation') {
+        throw new SchemaError(`Unsupported xsd:${child.local} in complex type`);
+      }
+    }
+    return type;
+  }
+
+  compileSimple(node) {
+    const restriction = xml.firstElement(node, 'restriction', XSD_NS);
+    if (!restriction) throw new SchemaError('Only xsd:restriction simple types are supported');
+    const base = this.typeByName(restriction, restriction.attrs.base);
+    if (base.kind !== 'simple') throw new SchemaError('Simple type restricts a complex type');
+    const facets = {};
+    for (const f of xml.elements(restriction, undefined, XSD_NS)) {
+      const value = f.attrs.value;
+      if (f.local === 'enumeration') (facets.enumeration = facets.enumeration || []).push(value);
+      else if (f.local === 'pattern') (facets.pattern = facets.pattern || []).push(new RegExp(`^(?:${value})$`, 'u'));
+      else if (f.local !== 'annotation') facets[f.local] = value;
+    }
+    return { kind: 'simple', base: base.base, parent: base, facets };
+  }
+
+  compileAttribute(node) {
+    const type = node.attrs.type
+      ? this.typeByName(node, node.attrs.type)
+      : xml.firstElement(node, 'simpleType', XSD_NS)
+        ? this.compileSimple(xml.firstElement(node, 'simpleType', XSD_NS))
+        : { kind: 'simple', base: 'string', facets: {} };
+    return {
+      name: node.attrs.name,
+      type,
+      required: node.attrs.use === 'required',
+      fixed: node.attrs.fixed,
+    };
+  }
+
+  compileParticle(node, doc) {
+    const { min, max } = occurs(node);
+    if (node.local === 'element') {
+      return { kind: 'element', decl: this.elementDecl(node, doc), min, max };
+    }
+    if (node.local === 'group') {
+      const q = qname(node, node.attrs.ref);
+      const group = this.groups[q.key];
+      if (!group) throw new SchemaError(`Unknown group "${node.attrs.ref}"`);
+      const inner = xml.elements(group.node, undefined, XSD_NS).find(c => c.local !== 'annotation');
+      const particle = this.compileParticle(inner, group.doc);
+      return { kind: 'sequence', items: [particle], min, max };
+    }
+    if (node.local === 'sequence' || node.local === 'choice') {
+      const items = xml.elements(node, undefined, XSD_NS)
+        .filter(c => c.local !== 'annotation')
+        .map(c => this.compileParticle(c, doc));
+      return { kind: node.local, items, min, max };
+    }
+    throw new SchemaError(`Unsupported particle xsd:${node.local}`);
+  }
+
+  // --- Validation ---
+
+  // Validate a parsed document or XML string. Returns a list of error strings.
+  validate(doc) {
+    const root = typeof doc === 'string' ? xml.parse(doc) : doc;
+    const errors = [];
+    const decl = this.elements[`{${root.ns || ''}}${root.local}`];
+    if (!decl) {
+      errors.push(`/${root.name}: no global declaration for root element {${root.ns || ''}}${root.local}`);
+      return errors;
+    }
+    this.validateElement(root, decl, `/${root.name}`, errors);
+    return errors;
+  }
+
+  validateElement(el, decl, where, errors) {
+    const type = this.elementType(decl);
+    if (type.kind === 'any') return;
+
+    const kids = xml.elements(el);
+    const text = el.children.filter(c => c.text !== undefined).map(c => c.text).join('');
+
+    if (type.kind === 'simple') {
+      if (kids.length) errors.push(`${where}: element content is not allowed (found <${kids[0].name}>)`);
+      this.checkAttributes(el, [], where, errors);
+      this.checkSimple(text, type, where, errors);
+      return;
+    }
+
+    this.checkAttributes(el, type.attributes, where, errors);
+
+    if (type.text) {
+      if (kids.length) errors.push(`${where}: element content is not allowed (found <${kids[0].name}>)`);
+      this.checkSimple(text, type.text, where, errors);
+      return;
+    }
+
+    if (!type.mixed && text.trim()) {
+      errors.push(`${where}: text is not allowed here ("${text.trim().slice(0, 40)}")`);
+    }
+
+    if (!type.content) {
+      if (kids.length) errors.push(`${where}: no child elements are allowed (found <${kids[0].name}>)`);
+      return;
+    }
+
+    const state = { furthest: 0 };
+    const ends = this.matchRepeat(type.content, kids, 0, state);
+    if (!ends.has(kids.length)) {
+      if (state.furthest < kids.length) {
+        errors.push(`${where}: unexpected element <${kids[state.furthest].name}>`);
+      } else {
+        const expected = this.firstNames(type.content).join(', ');
+        errors.push(`${where}: content is incomplete${expected ? ` (expected one of: ${expected})` : ''}`);
+      }
+    }
+
+    // Children are checked even when the sequence is wrong, so one run
+    // reports every problem; elements unknown to the model were reported above.
+    const byName = {};
+    this.collectElements(type.content, byName);
+    const counts = {};
+    for (const kid of kids) {
+      const childDecl = byName[`{${kid.ns || ''}}${kid.local}`];
+      counts[kid.name] = (counts[kid.name] || 0) + 1;
+      if (childDecl) this.validateElement(kid, childDecl, `${where}/${kid.name}[${counts[kid.name]}]`, errors);
+    }
+  }
+
+  checkAttributes(el, declared, where, errors) {
+    for (const attr of declared) {
+      const value = el.attrs[attr.name];
+      if (value === undefined) {
+        if (attr.required) errors.push(`${where}: missing required attribute "${attr.name}"`);
+        continue;
+      }
+      if (attr.fixed !== undefined && value !== attr.fixed) {
+        errors.push(`${where}/@${attr.name}: must be "${attr.fixed}"`);
+      }
+      this.checkSimple(value, attr.type, `${where}/@${attr.name}`, errors);
+    }
+    for (const a of el.attrNs) {
+      if (a.ns === XSI_NS || a.ns === xml.XML_NS) continue;
+      if (a.ns || !declared.some(d => d.name === a.local)) {
+        errors.push(`${where}: attribute "${a.name}" is not allowed`);
+      }
+    }
+  }
+
+  checkSimple(value, type, where, errors) {
+    if (type.kind !== 'simple') return;
+    if (type.parent) this.checkSimple(value, type.parent, where, errors);
+    const v = type.base === 'string' || type.base === 'normalizedString' ? value : value.trim();
+    const builtin = BUILTIN_PATTERNS[type.base];
+    if (!type.parent && builtin && !builtin.test(v)) {
+      errors.push(`${where}: "${v}" is not a valid xsd:${type.base}`);
+      return;
+    }
+    const f = type.facets;
+    if (f.enumeration && !f.enumeration.includes(v)) {
+      errors.push(`${where}: "${v}" is not one of ${f.enumeration.join(', ')}`);
+    }
+    if (f.pattern && !f.pattern.some(re => re.test(v))) {
+      errors.push(`${where}: "${v}" does not match the required pattern`);
+    }
+    const length = [...v].length;
+    if (f.length !== undefined && length !== Number(f.length)) {
+      errors.push(`${where}: length must be ${f.length}`);
+    }
+    if (f.minLength !== undefined && length < Number(f.minLength)) {
+      errors.push(`${where}: must be at least ${f.minLength} characters`);
+    }
+    if (f.maxLength !== undefined && length > Number(f.maxLength)) {
+      errors.push(`${where}: must be at most ${f.maxLength} characters (got ${length})`);
+    }
+    if (NUMERIC.has(type.base)) {
+      if (f.minInclusive !== undefined && Number(v) < Number(f.minInclusive)) {
+        errors.push(`${where}: ${v} is below the minimum ${f.minInclusive}`);
+      }
+      if (f.maxInclusive !== undefined && Number(v) > Number(f.maxInclusive)) {
+        errors.push(`${where}: ${v} is above the maximum ${f.maxInclusive}`);
+      }
+    }
+  }
+
+  // Content-model matching over child elements. Returns the set of indices
+  // at which a match of `p` starting at `i` can end.
+  matchOnce(p, kids, i, state) {
+    if (p.kind === 'element') {
+      const kid = kids[i];
+      if (kid && kid.local === p.decl.local && (kid.ns || null) === (p.decl.ns || null)) {
+        state.furthest = Math.max(state.furthest, i + 1);
+        return new Set([i + 1]);
+      }
+      return new Set();
+    }
+    if (p.kind === 'sequence') {
+      let positions = new Set([i]);
+      for (const item of p.items) {
+        const next = new Set();
+        for (const j of positions) {
+          for (const k of this.matchRepeat(item, kids, j, state)) next.add(k);
+        }
+        positions = next;
+        if (!positions.size) break;
+      }
+      return positions;
+    }
+    // choice
+    const ends = new Set();
+    for (const item of p.items) {
+      for (const k of this.matchRepeat(item, kids, i, state)) ends.add(k);
+    }
+    return ends;
+  }
+
+  matchRepeat(p, kids, i, state) {
+    const results = new Set();
+    if (p.min === 0) results.add(i);
+    let frontier = new Set([i]);
+    for (let count = 1; count <= p.max && frontier.size; count++) {
+      const next = new Set();
+      for (const j of frontier) {
+        for (const k of this.matchOnce(p, kids, j, state)) {
+          // Past the minimum, only repetitions that consume input can continue
+          if (k > j || count <= p.min) next.add(k);
+        }
+      }
+      if (count >= p.min) for (const k of next) results.add(k);
+      frontier = next;
+    }
+    return results;
+  }
+
+  collectElements(p, out) {
+    if (p.kind === 'element') {
+      out[`{${p.decl.ns || ''}}${p.decl.local}`] = p.decl;
+    } else {
+      for (const item of p.items) this.collectElements(item, out);
+    }
+  }
+
+  firstNames(p) {
+    if (p.kind === 'element') return [p.decl.local];
+    if (p.kind === 'choice') return p.items.flatMap(item => this.firstNames(item));
+    const names = [];
+    for (const item of p.items) {
+      names.push(...this.firstNames(item));
+      if (item.min > 0) break;
+    }
+    return names;
+  }
+}
+
+module.exports = { Schema, SchemaError };
@@ -0,0 +1,673 @@
+#!/usr/bin/env node
+// paper.js — editorial command-line tool for papers.json
+// Zero npm dependencies. Adds papers, moves them through the status workflow
+// and between programmes, and retires them. Every command validates the
+// result and rewrites papers.json in one stable order (see formatData), so
+// each change shows up as a small, reviewable diff.
+//
+// Usage:
+//   node paper.js new
+//   node paper.js set-status <wpNumber> <status> [--journal "Name"] [--force]
+//   node paper.js retire <wpNumber> --reason "..." [--replaced-by <wpNumber>] [--date YYYY-MM-DD]
+//   node paper.js move-programme <wpNumber> <programme> [--category <category>]
+//   node paper.js import <file> [--record N] [--programme <programme>] [--category <category>]
+//                        [--status <status>] [--series DAI|DP] [--tags a,b] [--id slug] [--date YYYY-MM-DD] [--write]
+//   node paper.js format
+
+const fs = require('fs');
+const readline = require('readline');
+const {
+  DATA_FILE,
+  data,
+  papers,
+  PAPER_FIELDS,
+  VERSION_FIELDS,
+  ARTIFACT_FIELDS,
+  RETIRED_FIELDS,
+  AUTHOR_FIELDS,
+  REDIRECT_FIELDS,
+  CITATION_FILES,
+  slugify,
+  programmeNumber,
+  paperUrl,
+  nameParts,
+  authorNames,
+  abstractText,
+  summaryText,
+  textTerms,
+  idfTable,
+  tfidfVector,
+  cosine,
+  validateData,
+  formatValidationReport,
+} = require('./build');
+const { readMetadata, MetadataError } = require('./lib/metadata');
+const { markdownToText } = require('./lib/markdown');
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+
+// Allowed status changes. Every key must be a status in papers.json;
+// set-status --force skips this check for corrections.
+const STATUS_TRANSITIONS = {
+  'upcoming':     ['working', 'preprint'],
+  'working':      ['preprint', 'submitted'],
+  'preprint':     ['working', 'submitted'],
+  'submitted':    ['with-editor', 'peer-review', 'preprint'],
+  'with-editor':  ['peer-review', 'transferring', 'preprint'],
+  'peer-review':  ['published', 'with-editor', 'transferring', 'preprint'],
+  'transferring': ['submitted', 'with-editor', 'peer-review', 'preprint'],
+  'published':    [],
+};
+
+// Statuses a new paper can start in
+const INITIAL_STATUSES = ['upcoming', 'working', 'preprint'];
+
+// Series prefixes for wpNumbers (DAI-YYNN, DP-YYNN)
+const SERIES = {
+  DAI: 'Working Paper',
+  DP: 'Discussion Paper',
+};
+
+// Top-level sections of papers.json, in file order
+const TOP_LEVEL_ORDER = ['papers', 'people', 'tags', 'statuses', 'programs', 'categories', 'redirects'];
+
+// Fields written as null when empty, so every record has the same shape
+const NULLABLE_FIELDS = ['subtitle', 'abstract', 'doi', 'zenodo', 'arxiv', 'pdf', 'github', 'dashboard'];
+
+// String arrays kept on one line (number arrays, such as author affiliation
+// indices, always are)
+const INLINE_ARRAYS = new Set(['methods', 'supersedes', 'extends', 'related']);
+
+// Options that take no value
+const SWITCHES = new Set(['force', 'write']);
+
+// Tags suggested for an imported paper: at most this many, each scoring at
+// least the minimum (text similarity to the tag's papers, plus a bonus when
+// the tag's label turns up in the text or keywords)
+const TAG_SUGGEST_COUNT = 4;
+const TAG_SUGGEST_MIN_SCORE = 0.15;
+const TAG_LABEL_BONUS = 0.5;
+
+// Fields compared when an import matches a paper already in papers.json
+const IMPORT_COMPARE_FIELDS = ['title', 'subtitle', 'authors', 'date', 'abstract', 'doi', 'zenodo', 'arxiv', 'journal', 'github'];
+
+// ---------------------------------------------------------------------------
+// Arguments
+// ---------------------------------------------------------------------------
+
+function parseArgs(argv) {
+  const opts = { positional: [], flags: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--') && SWITCHES.has(arg.slice(2))) opts.flags[arg.slice(2)] = true;
+    else if (arg.startsWith('--')) {
+      if (i + 1 >= argv.length) fail(`Option ${arg} needs a value`);
+      opts.flags[arg.slice(2)] = argv[++i];
+    } else opts.positional.push(arg);
+  }
+  return opts;
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+// ---------------------------------------------------------------------------
+// Stable papers.json output
+// ---------------------------------------------------------------------------
+
+// Known keys in their table order, then any others in their existing order
+function orderKeys(obj, order) {
+  const out = {};
+  for (const key of order) if (key in obj) out[key] = obj[key];
+  for (const key of Object.keys(obj)) if (!(key in out)) out[key] = obj[key];
+  return out;
+}
+
+function orderPaper(paper) {
+  const out = orderKeys(paper, Object.keys(PAPER_FIELDS));
+  if (out.retired) out.retired = orderKeys(out.retired, Object.keys(RETIRED_FIELDS));
+  if (Array.isArray(out.versions)) out.versions = out.versions.map(v => orderKeys(v, Object.keys(VERSION_FIELDS)));
+  if (Array.isArray(out.artifacts)) out.artifacts = out.artifacts.map(a => orderKeys(a, Object.keys(ARTIFACT_FIELDS)));
+  if (Array.isArray(out.authors)) {
+    out.authors = out.authors.map(a => (a && typeof a === 'object' ? orderKeys(a, Object.keys(AUTHOR_FIELDS)) : a));
+  }
+  return out;
+}
+
+// JSON with two-space indents, like JSON.stringify(d, null, 2), except that
+// INLINE_ARRAYS stay on one line
+function toJson(value, indent = '', key = null) {
+  if (Array.isArray(value)) {
+    if (!value.length) return '[]';
+    if ((INLINE_ARRAYS.has(key) && value.every(v => typeof v === 'string')) || value.every(v => typeof v === 'number')) {
+      return `[${value.map(v => JSON.stringify(v)).join(', ')}]`;
+    }
+    const inner = `${indent}  `;
+    return `[\n${value.map(v => inner + toJson(v, inner)).join(',\n')}\n${indent}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (!keys.length) return '{}';
+    const inner = `${indent}  `;
+    return `{\n${keys.map(k => `${inner}${JSON.stringify(k)}: ${toJson(value[k], inner, k)}`).join(',\n')}\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function formatData(d) {
+  const out = orderKeys(d, TOP_LEVEL_ORDER);
+  out.papers = out.papers.map(orderPaper);
+  if (out.redirects) out.redirects = out.redirects.map(r => orderKeys(r, Object.keys(REDIRECT_FIELDS)));
+  return `${toJson(out)}\n`;
+}
+
+// Validate, then write; nothing is written if the result is invalid
+function save(d) {
+  const errors = validateData(d);
+  if (errors.length) fail(`Not writing papers.json:\n\n${formatValidationReport(errors)}`);
+  fs.writeFileSync(DATA_FILE, formatData(d), 'utf-8');
+  console.log('Wrote papers.json. Run `node build.js` to regenerate the site.');
+}
+
+// ---------------------------------------------------------------------------
+// Lookups
+// ---------------------------------------------------------------------------
+
+function findPaper(wpNumber) {
+  if (!wpNumber) fail('Missing wpNumber (e.g. DAI-2601)');
+  const paper = data.papers.find(p => p.wpNumber === wpNumber);
+  if (!paper) fail(`No paper with wpNumber ${wpNumber}`);
+  return paper;
+}
+
+// Programme by key, arabic number or roman index ("crypto-microstructure", "3", "III")
+function programmeKey(ref) {
+  return Object.keys(data.programs).find(key =>
+    ref === key || ref === String(programmeNumber(key)) || ref.toUpperCase() === data.programs[key].index) || null;
+}
+
+function findProgramme(ref) {
+  if (!ref) fail('Missing programme');
+  const key = programmeKey(ref);
+  if (!key) fail(`Unknown programme "${ref}" (expected one of: ${Object.keys(data.programs).join(', ')})`);
+  return key;
+}
+
+// Next free number in a series for a year. Retired papers keep their
+// numbers, so they count too; numbers are never reused.
+function nextWpNumber(series, year) {
+  const yy = String(year).slice(-2);
+  const prefix = `${series}-${yy}`;
+  const used = data.papers
+    .map(p => p.wpNumber)
+    .filter(wp => typeof wp === 'string' && wp.startsWith(prefix))
+    .map(wp => parseInt(wp.slice(prefix.length), 10));
+  const next = used.length ? Math.max(...used) + 1 : 1;
+  if (next > 99) fail(`Series ${series} has no numbers left for 20${yy}`);
+  return `${prefix}${String(next).padStart(2, '0')}`;
+}
+
+// A paper's page and citation export paths
+function paperPaths(paper) {
+  const base = paperUrl(paper);
+  return [base, ...CITATION_FILES.map(f => `${base}.${f.ext}`)];
+}
+
+// Drop redirects in papers.json that would shadow these paths
+function dropRedirectsFrom(d, paths) {
+  if (!d.redirects) return;
+  const shadowing = d.redirects.filter(r => paths.includes(r.from));
+  for (const r of shadowing) console.log(`Removed redirect ${r.from} -> ${r.to}`);
+  d.redirects = d.redirects.filter(r => !paths.includes(r.from));
+  if (!d.redirects.length) delete d.redirects;
+}
+
+// ---------------------------------------------------------------------------
+// Importing saved metadata (arXiv, Zenodo/DataCite, Crossref, BibTeX, RIS)
+// ---------------------------------------------------------------------------
+
+function foldName(str) {
+  return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z ]/g, '').trim();
+}
+
+// An imported author as papers.json spells them: a person's own spelling
+// when the name matches one, also from an initial ("M. Farzulla")
+function authorName({ given, family, suffix, name }) {
+  if (name) return name;
+  const full = [given, family].filter(Boolean).join(' ');
+  const initial = /^[A-Z]\.?(\s|$)/.test(given);
+  for (const person of Object.values(data.people || {})) {
+    const parts = nameParts(person.name);
+    if (foldName(person.name) === foldName(full)) return person.name;
+    if (initial && foldName(parts.family) === foldName(family) && foldName(parts.given)[0] === foldName(given)[0]) return person.name;
+  }
+  return [full, suffix].filter(Boolean).join(' ');
+}
+
+// Authors and affiliations for a new entry. Corporate authors become
+// { name }. People we know, and authors the record says nothing more about,
+// stay plain strings; the rest (an ORCID, an affiliation or a suffix given
+// apart from the name) become structured authors.
+function importedAuthors(rec) {
+  const affiliations = [];
+  const authors = rec.authors.map(author => {
+    if (author.name) return { name: author.name };
+    const name = authorName(author);
+    const known = Object.values(data.people || {}).some(person => person.name === name);
+    if (known || (!author.orcid && !author.affiliation && !author.suffix)) return name;
+    const entry = author.given ? { given: author.given, family: author.family } : { family: author.family };
+    if (author.suffix) entry.suffix = author.suffix;
+    if (author.orcid) entry.orcid = author.orcid;
+    if (author.affiliation) {
+      if (!affiliations.includes(author.affiliation)) affiliations.push(author.affiliation);
+      entry.affiliations = [affiliations.indexOf(author.affiliation)];
+    }
+    return entry;
+  });
+  return { authors, affiliations };
+}
+
+function plainAbstract(markdown) {
+  try {
+    return markdownToText(markdown);
+  } catch {
+    return markdown;
+  }
+}
+
+// Tags from the existing vocabulary that fit an imported record, best first,
+// as [{ tag, score }]. Each tag is represented by the TF-IDF centroid of the
+// current papers carrying it.
+function suggestTags(rec) {
+  const docs = papers.map(p => textTerms([p.title, p.subtitle, summaryText(p), abstractText(p)].join(' ')));
+  const idf = idfTable(docs);
+  const vectors = docs.map(doc => tfidfVector(doc, idf));
+  const text = [rec.title, rec.subtitle, rec.abstract && plainAbstract(rec.abstract), ...rec.keywords].join(' ');
+  const terms = new Set(textTerms(text));
+  const vector = tfidfVector(textTerms(text), idf);
+  const keywords = new Set(rec.keywords.map(foldName));
+
+  return Object.entries(data.tags).map(([tag, label]) => {
+    const centroid = {};
+    papers.forEach((p, i) => {
+      if (!p.tags.includes(tag)) return;
+      for (const [term, w] of Object.entries(vectors[i])) centroid[term] = (centroid[term] || 0) + w;
+    });
+    const norm = Math.sqrt(Object.values(centroid).reduce((sum, w) => sum + w * w, 0));
+    let score = norm ? cosine(vector, centroid) / norm : 0;
+    const labelTerms = textTerms(label);
+    if (keywords.has(foldName(label)) || keywords.has(foldName(tag.replace(/-/g, ' ')))
+      || (labelTerms.length && labelTerms.every(t => terms.has(t)))) {
+      score += TAG_LABEL_BONUS;
+    }
+    return { tag, score };
+  })
+    .filter(s => s.score >= TAG_SUGGEST_MIN_SCORE)
+    .sort((a, b) => b.score - a.score || a.tag.localeCompare(b.tag))
+    .slice(0, TAG_SUGGEST_COUNT);
+}
+
+// The paper in papers.json an import describes, by DOI, arXiv ID or title
+function findImported(rec) {
+  const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+  const dois = paper => [paper.doi, paper.zenodo, ...(paper.versions || []).map(v => v.doi)];
+  const title = str => foldName(str || '').replace(/\s+/g, ' ');
+  const checks = [
+    ['DOI', rec.doi, paper => dois(paper).some(d => same(d, rec.doi))],
+    ['Zenodo DOI', rec.zenodo, paper => dois(paper).some(d => same(d, rec.zenodo))],
+    ['arXiv ID', rec.arxiv, paper => same(paper.arxiv, rec.arxiv)],
+    ['title', rec.title, paper => title(paper.title) === title(rec.title)],
+  ];
+  for (const [by, value, matches] of checks) {
+    const paper = value && data.papers.find(matches);
+    if (paper) return { paper, by: `${by} ${value}` };
+  }
+  return null;
+}
+
+// Fields of an existing paper that disagree with the import, as
+// [{ field, ours, theirs }]; fields the import does not have are skipped
+function importDifferences(paper, rec) {
+  const norm = v => (Array.isArray(v) ? v.join(', ') : String(v == null ? '' : v)).replace(/\s+/g, ' ').trim();
+  const imported = {
+    ...rec,
+    authors: rec.authors.length ? rec.authors.map(authorName) : null,
+    abstract: rec.abstract && plainAbstract(rec.abstract),
+  };
+  const diffs = [];
+  for (const field of IMPORT_COMPARE_FIELDS) {
+    const theirs = imported[field];
+    if (theirs == null || !norm(theirs)) continue;
+    let ours = field === 'abstract' ? abstractText(paper) : field === 'authors' ? authorNames(paper) : paper[field];
+    if (field === 'date') ours = (ours || '').slice(0, theirs.length);
+    if (field === 'doi' && [paper.doi, paper.zenodo, ...(paper.versions || []).map(v => v.doi)]
+      .some(d => d && d.toLowerCase() === theirs.toLowerCase())) continue;
+    if (norm(ours) !== norm(theirs)) diffs.push({ field, ours: norm(ours), theirs: norm(theirs) });
+  }
+  return diffs;
+}
+
+// Long values are shown around their first difference
+function diffSnippets(a, b, width = 70) {
+  if (a.length <= width && b.length <= width) return [a || '(empty)', b];
+  let i = 0;
+  while (i < a.length && a[i] === b[i]) i++;
+  const from = i > 20 ? a.lastIndexOf(' ', i - 20) + 1 : 0;
+  const cut = s => `${from ? '…' : ''}${s.slice(from, from + width)}${s.length > from + width ? '…' : ''}`;
+  return [a ? cut(a) : '(empty)', cut(b)];
+}
+
+// A papers.json entry from an imported record and the command's options
+function importedPaper(rec, opts) {
+  const { flags } = opts;
+  const list = str => str.split(',').map(s => s.trim()).filter(Boolean);
+  if (!rec.title) fail('The record has no title');
+
+  let date = flags.date || rec.date;
+  if (!date) fail('The record has no date; give one with --date YYYY-MM-DD');
+  if (date.length < 10) {
+    console.log(`Note: the record only dates the paper to ${date}; using ${`${date}-01-01`.slice(0, 10)} (--date to set it)`);
+    date = `${date}-01-01`.slice(0, 10);
+  }
+
+  const series = (flags.series || 'DAI').toUpperCase();
+  if (!SERIES[series]) fail(`Unknown series "${flags.series}" (expected one of: ${Object.keys(SERIES).join(', ')})`);
+  const status = flags.status || (rec.journal ? 'published' : 'preprint');
+  if (!data.statuses[status]) fail(`Unknown status "${status}" (expected one of: ${Object.keys(data.statuses).join(', ')})`);
+  const program = flags.programme ? findProgramme(flags.programme) : null;
+  let category = flags.category || null;
+  if (category && !data.categories[category]) {
+    fail(`Unknown category "${category}" (expected one of: ${Object.keys(data.categories).join(', ')})`);
+  }
+  if (!category && program) {
+    const counts = {};
+    for (const p of data.papers.filter(p => p.program === program)) counts[p.category] = (counts[p.category] || 0) + 1;
+    category = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+  }
+
+  const id = flags.id || slugify(rec.title).split('-').slice(0, 5).join('-');
+  if (data.papers.some(p => p.id === id)) fail(`The id "${id}" is already used; give another with --id`);
+
+  const { authors, affiliations } = importedAuthors(rec);
+  const paper = {
+    id,
+    title: rec.title,
+    subtitle: rec.subtitle,
+    date,
+    status,
+    journal: rec.journal || undefined,
+    tags: flags.tags ? list(flags.tags) : suggestTags(rec).map(s => s.tag),
+    authors,
+    affiliations: affiliations.length ? affiliations : undefined,
+    abstract: rec.abstract,
+    doi: rec.doi,
+    zenodo: rec.zenodo,
+    arxiv: rec.arxiv,
+    pdf: null,
+    github: rec.github,
+    dashboard: null,
+    methods: [],
+    wpNumber: nextWpNumber(series, date.slice(0, 4)),
+    program,
+    category,
+  };
+  if (!paper.journal) delete paper.journal;
+  if (!paper.affiliations) delete paper.affiliations;
+  for (const field of NULLABLE_FIELDS) if (!paper[field]) paper[field] = null;
+  return paper;
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+async function cmdNew() {
+  // Read answers from a line iterator rather than rl.question(), so answers
+  // piped in ahead of the prompts are not lost
+  const rl = readline.createInterface({ input: process.stdin });
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async (question, { def = '', required = false, check = null } = {}) => {
+    for (;;) {
+      process.stdout.write(def ? `${question} [${def}]: ` : `${question}: `);
+      const { value, done } = await lines.next();
+      if (done) fail('\nInput ended before the paper was complete; nothing written.');
+      const answer = value.trim() || def;
+      if (!answer && required) {
+        console.log('  Required.');
+        continue;
+      }
+      const problem = answer && check ? check(answer) : null;
+      if (!problem) return answer;
+      console.log(`  ${problem}`);
+    }
+  };
+  const list = str => str.split(',').map(s => s.trim()).filter(Boolean);
+
+  console.log('New paper (Enter accepts the [default]; optional fields can be left empty)\n');
+  const title = await ask('Title', { required: true });
+  const subtitle = await ask('Subtitle');
+  const id = await ask('URL slug (id)', {
+    def: slugify(title).split('-').slice(0, 5).join('-'),
+    check: v => (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(v) ? 'Use lowercase letters, digits and hyphens'
+      : data.papers.some(p => p.id === v) ? `"${v}" is already used` : null),
+  });
+  const peopleNames = Object.values(data.people || {}).map(p => p.name);
+  const authors = list(await ask(`Authors, comma-separated (known: ${peopleNames.join(', ')})`, { required: true }));
+  const date = await ask('Date', { def: today(), check: v => (/^\d{4}-\d{2}-\d{2}$/.test(v) ? null : 'Use YYYY-MM-DD') });
+  const series = (await ask(`Series (${Object.entries(SERIES).map(([k, v]) => `${k} = ${v}`).join(', ')})`, {
+    def: 'DAI',
+    check: v => (SERIES[v.toUpperCase()] ? null : `Expected one of: ${Object.keys(SERIES).join(', ')}`),
+  })).toUpperCase();
+
+  console.log('\nProgrammes:');
+  for (const key of Object.keys(data.programs)) {
+    console.log(`  ${programmeNumber(key)}  ${data.programs[key].title} (${key})`);
+  }
+  const program = programmeKey(await ask('Programme (number or key)', { required: true, check: v => (programmeKey(v) ? null : 'Unknown programme') }));
+
+  const categoryCounts = {};
+  for (const p of data.papers.filter(p => p.program === program)) categoryCounts[p.category] = (categoryCounts[p.category] || 0) + 1;
+  const usualCategory = Object.keys(categoryCounts).sort((a, b) => categoryCounts[b] - categoryCounts[a])[0] || '';
+  const category = await ask(`Category (${Object.keys(data.categories).join(', ')})`, {
+    def: usualCategory,
+    required: true,
+    check: v => (data.categories[v] ? null : 'Unknown category'),
+  });
+  const status = await ask(`Status (${INITIAL_STATUSES.join(', ')})`, {
+    def: 'working',
+    check: v => (INITIAL_STATUSES.includes(v) && data.statuses[v] ? null : `Expected one of: ${INITIAL_STATUSES.join(', ')}`),
+  });
+  const tags = list(await ask('Tags, comma-separated', {
+    required: true,
+    check: v => {
+      const unknown = list(v).filter(t => !data.tags[t]);
+      return unknown.length ? `Unknown tag(s) ${unknown.join(', ')} (known: ${Object.keys(data.tags).join(', ')})` : null;
+    },
+  }));
+  const methods = list(await ask('Methods, comma-separated'));
+  const abstract = await ask('Abstract (Markdown, $...$ for TeX)');
+  const summary = await ask('Summary');
+  const doi = await ask('DOI');
+  const arxiv = await ask('arXiv ID');
+  const pdf = await ask('PDF file name');
+  const github = await ask('GitHub URL');
+  const dashboard = await ask('Dashboard URL');
+  rl.close();
+
+  const paper = {
+    id, title, subtitle, date, status, tags, authors, abstract, doi, zenodo: null, arxiv, pdf, github, dashboard, methods,
+    wpNumber: nextWpNumber(series, date.slice(0, 4)),
+    program,
+    category,
+  };
+  for (const field of NULLABLE_FIELDS) if (!paper[field]) paper[field] = null;
+  if (summary) paper.summary = summary;
+
+  data.papers.unshift(paper);
+  console.log(`\nAllocated ${paper.wpNumber} -> ${paperUrl(paper)}`);
+  save(data);
+}
+
+function cmdSetStatus(opts) {
+  const [wpNumber, status] = opts.positional;
+  const paper = findPaper(wpNumber);
+  if (!status) fail('Missing status');
+  if (!data.statuses[status]) fail(`Unknown status "${status}" (expected one of: ${Object.keys(data.statuses).join(', ')})`);
+  if (paper.retired) fail(`${wpNumber} is retired`);
+  if (paper.status === status) fail(`${wpNumber} is already "${status}"`);
+
+  if (!opts.flags.force) {
+    const allowed = STATUS_TRANSITIONS[paper.status];
+    if (!allowed) fail(`No transitions are defined for status "${paper.status}"; add it to STATUS_TRANSITIONS in paper.js (or use --force)`);
+    if (!allowed.includes(status)) {
+      const options = allowed.length ? allowed.join(', ') : 'none';
+      fail(`${wpNumber} cannot go from "${paper.status}" to "${status}" (allowed: ${options}; --force to override)`);
+    }
+  }
+
+  console.log(`${wpNumber}: ${data.statuses[paper.status]} -> ${data.statuses[status]}`);
+  paper.status = status;
+  if (opts.flags.journal) {
+    paper.journal = opts.flags.journal;
+    console.log(`${wpNumber}: journal "${paper.journal}"`);
+  }
+  save(data);
+}
+
+function cmdRetire(opts) {
+  const [wpNumber] = opts.positional;
+  const paper = findPaper(wpNumber);
+  if (paper.retired) fail(`${wpNumber} was already retired on ${paper.retired.date}`);
+  if (!opts.flags.reason) fail('Give a reason with --reason "..." (it is shown on the tombstone page)');
+
+  paper.retired = { date: opts.flags.date || today(), reason: opts.flags.reason };
+  if (opts.flags['replaced-by']) paper.retired.replacedBy = opts.flags['replaced-by'];
+  if (paper.featured !== undefined) {
+    delete paper.featured;
+    console.log(`${wpNumber}: removed from the homepage features`);
+  }
+
+  console.log(`${wpNumber}: retired; ${paperUrl(paper)} will show a withdrawal notice with its citation`);
+  save(data);
+}
+
+function cmdMoveProgramme(opts) {
+  const [wpNumber, ref] = opts.positional;
+  const paper = findPaper(wpNumber);
+  const program = findProgramme(ref);
+  if (paper.program === program) fail(`${wpNumber} is already in ${program}`);
+  if (opts.flags.category && !data.categories[opts.flags.category]) {
+    fail(`Unknown category "${opts.flags.category}" (expected one of: ${Object.keys(data.categories).join(', ')})`);
+  }
+
+  // The build records every URL a paper has had (published-urls.json) and
+  // writes 301s from the earlier ones, so only the programme changes here
+  const oldUrl = paperUrl(paper);
+  paper.program = program;
+  if (opts.flags.category) paper.category = opts.flags.category;
+  dropRedirectsFrom(data, paperPaths(paper));
+
+  console.log(`${wpNumber}: ${oldUrl} -> ${paperUrl(paper)} (the next build adds 301s from the old URLs)`);
+  save(data);
+}
+
+function cmdImport(opts) {
+  const [file] = opts.positional;
+  if (!file) fail('Missing file (a saved arXiv Atom, Zenodo/DataCite or Crossref JSON, BibTeX or RIS export)');
+  let records;
+  try {
+    records = readMetadata(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') fail(`No such file: ${file}`);
+    if (err instanceof MetadataError || err.name === 'XmlError') fail(`${file}: ${err.message}`);
+    throw err;
+  }
+  if (records.length > 1 && !opts.flags.record) {
+    const lines = records.map((r, i) => `  ${i + 1}  ${r.title || '(untitled)'}`);
+    fail(`${file} holds ${records.length} records; pick one with --record N:\n${lines.join('\n')}`);
+  }
+  const n = opts.flags.record ? parseInt(opts.flags.record, 10) : 1;
+  const rec = records[n - 1];
+  if (!rec) fail(`No record ${opts.flags.record} in ${file} (it holds ${records.length})`);
+  console.log(`Read ${rec.format}: ${rec.title || '(untitled)'}`);
+
+  // Already in papers.json: report what differs, change nothing
+  const match = findImported(rec);
+  if (match) {
+    const { paper } = match;
+    const diffs = importDifferences(paper, rec);
+    console.log(`\nMatches ${paper.wpNumber} (by ${match.by}).`);
+    if (!diffs.length) {
+      console.log('papers.json agrees with the import on every field it has.');
+    } else {
+      console.log(`${diffs.length} field${diffs.length !== 1 ? 's' : ''} differ:`);
+      const width = Math.max('papers.json'.length, rec.format.length);
+      for (const { field, ours, theirs } of diffs) {
+        const [a, b] = diffSnippets(ours, theirs);
+        console.log(`\n  ${field}\n    ${'papers.json'.padEnd(width)}  ${a}\n    ${rec.format.padEnd(width)}  ${b}`);
+      }
+      console.log(`\nNothing written; edit ${paper.wpNumber} in papers.json to take any of these.`);
+    }
+    return;
+  }
+
+  const paper = importedPaper(rec, opts);
+  if (!opts.flags.tags) {
+    const suggested = suggestTags(rec);
+    console.log(suggested.length
+      ? `Suggested tags: ${suggested.map(s => `${s.tag} (${s.score.toFixed(2)})`).join(', ')}; --tags to choose others`
+      : 'No tag fits well; give them with --tags');
+  }
+  if (rec.pdfUrl) console.log(`PDF: ${rec.pdfUrl} (save it to the papers folder and set "pdf")`);
+  console.log(`\n${toJson(orderPaper(paper))}`);
+
+  if (!opts.flags.write) {
+    console.log('\nNothing written; add --write (with --programme) to add this paper to papers.json.');
+    return;
+  }
+  if (!paper.program) fail('\nGive a --programme to write the paper');
+  data.papers.unshift(paper);
+  console.log(`\nAllocated ${paper.wpNumber} -> ${paperUrl(paper)}`);
+  save(data);
+}
+
+function cmdFormat() {
+  save(data);
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+const COMMANDS = {
+  'new': cmdNew,
+  'set-status': cmdSetStatus,
+  'retire': cmdRetire,
+  'move-programme': cmdMoveProgramme,
+  'import': cmdImport,
+  'format': cmdFormat,
+};
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (!COMMANDS[command]) {
+    fail(`Usage: node paper.js <${Object.keys(COMMANDS).join('|')}> ...\nSee the header of paper.js for the options of each command.`);
+  }
+  for (const status of Object.keys(STATUS_TRANSITIONS)) {
+    if (!data.statuses[status]) fail(`STATUS_TRANSITIONS names "${status}", which is not a status in papers.json`);
+  }
+  const errors = validateData(data);
+  if (errors.length) fail(formatValidationReport(errors));
+
+  Promise.resolve(COMMANDS[command](parseArgs(rest))).catch(err => fail(err.stack || String(err)));
+}
+
+main();
@@ -0,0 +1,66 @@
+// test/citations.test.js — golden-file tests for citation output
+// Run with `node --test test/`. Each fixture paper in
+// fixtures/citations/papers.json (plain string, particle, suffix, corporate
+// and multi-author names) is rendered to its export files, citation strings
+// and head metadata, and compared with fixtures/citations/golden/. After an
+// intended change, rewrite the golden files with
+// `UPDATE_GOLDEN=1 node --test test/` and review the diff.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const build = require('../build');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'citations');
+const GOLDEN_DIR = path.join(FIXTURES, 'golden');
+const update = !!process.env.UPDATE_GOLDEN;
+
+// Highwire and Dublin Core meta tags, then the ScholarlyArticle JSON-LD
+function headMeta(html) {
+  const head = html.slice(0, html.indexOf('</head>'));
+  const meta = head.split('\n').filter(line => /<meta name="(citation_|DC\.)/.test(line)).map(line => line.trim());
+  const jsonLd = head.match(/<script type="application\/ld\+json">\n([\s\S]*?)\n\s*<\/script>/);
+  return `${meta.join('\n')}\n\n${jsonLd ? jsonLd[1] : ''}\n`;
+}
+
+// Golden file name -> content for one paper
+function goldenOutputs(paper) {
+  const out = {};
+  for (const f of build.CITATION_FILES) out[`${paper.id}.${f.ext}`] = f.render(paper);
+  out[`${paper.id}.citations.txt`] = [
+    `APA: ${build.apaCitation(paper)}`,
+    `Chicago: ${build.chicagoCitation(paper)}`,
+    `MLA: ${build.mlaCitation(paper)}`,
+    `Suggested (HTML): ${build.suggestedCitation(paper).trim()}`,
+  ].join('\n') + '\n';
+  out[`${paper.id}.head.html`] = headMeta(build.buildPaperPage(paper));
+  return out;
+}
+
+const papers = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'papers.json'), 'utf-8'));
+
+for (const paper of papers) {
+  test(`citation output for ${paper.id}`, () => {
+    for (const [file, actual] of Object.entries(goldenOutputs(paper))) {
+      const golden = path.join(GOLDEN_DIR, file);
+      if (update) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(golden, actual, 'utf-8');
+        continue;
+      }
+      assert.ok(fs.existsSync(golden), `missing golden file ${file} (run with UPDATE_GOLDEN=1)`);
+      assert.strictEqual(actual, fs.readFileSync(golden, 'utf-8'), `${file} differs from its golden file`);
+    }
+  });
+}
+
+test('text in the JSON-LD cannot end its script element', () => {
+  const abstract = 'Ends early </script><script>alert(1)</script> & <b>';
+  const html = build.buildPaperPage({ ...papers[0], abstract });
+  const head = html.slice(0, html.indexOf('</head>'));
+  assert.strictEqual(head.split('<script').length, head.split('</script>').length);
+  const jsonLd = head.match(/<script type="application\/ld\+json">\n([\s\S]*?)\n\s*<\/script>/)[1];
+  assert.ok(!/[<>&]/.test(jsonLd));
+  assert.strictEqual(JSON.parse(jsonLd).abstract, abstract);
+});
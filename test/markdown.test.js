@@ -0,0 +1,27 @@
+// test/markdown.test.js — Markdown subset edge cases
+// Run with `node --test test/`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderMarkdown, MarkdownError } = require('../lib/markdown');
+
+test('nested emphasis, code and links', () => {
+  assert.strictEqual(
+    renderMarkdown('*a *b* c* and __x _y_ z__ and `*q*` [*l* x](https://a.b) *u'),
+    '<p><em>a <em>b</em> c</em> and <strong>x <em>y</em> z</strong> and <code>*q*</code> <a href="https://a.b"><em>l</em> x</a> *u</p>',
+  );
+});
+
+// Each unmatched opener used to retry every way of nesting the ones after
+// it: twenty took seconds, two thousand never finished
+test('unmatched emphasis delimiters parse in linear time', { timeout: 5000 }, () => {
+  for (const unit of ['*a ', '_a ', '**a ', '*a _b __c ']) {
+    const src = unit.repeat(2000);
+    assert.strictEqual(renderMarkdown(src), `<p>${src.trim()}</p>`);
+  }
+  assert.strictEqual(renderMarkdown(`${'*a '.repeat(50)}b*`), `<p>${'*a '.repeat(49)}<em>a b</em></p>`);
+});
+
+test('emphasis nested too deeply is an error', () => {
+  assert.throws(() => renderMarkdown(`${'*a '.repeat(200)}b${'*'.repeat(200)}`), MarkdownError);
+});
@@ -0,0 +1,86 @@
+// test/metadata.test.js — author names read from saved metadata exports
+// Run with `node --test test/`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readMetadata } = require('../lib/metadata');
+
+const names = src => readMetadata(src)[0].authors.map(({ given, family, suffix, name }) => ({ given, family, suffix, name }));
+const person = (given, family, suffix = null) => ({ given, family, suffix, name: null });
+const corporate = name => ({ given: '', family: '', suffix: null, name });
+
+test('BibTeX names: braced corporate names, von parts and Jr parts', () => {
+  const bib = `@techreport{key,
+    author = {{World Bank} and Lucas, Jr., Robert E. and Ludwig van Beethoven and de la Cruz, Maria and {Barnes and Noble} and M{\\"u}ller, J{\\"o}rg},
+    title = {Title}, year = 2024
+  }`;
+  assert.deepStrictEqual(names(bib), [
+    corporate('World Bank'),
+    person('Robert E.', 'Lucas', 'Jr.'),
+    person('Ludwig', 'van Beethoven'),
+    person('Maria', 'de la Cruz'),
+    corporate('Barnes and Noble'),
+    person('Jörg', 'Müller'),
+  ]);
+});
+
+test('RIS names carry a suffix after the given name', () => {
+  const ris = 'TY  - RPRT\nTI  - Title\nAU  - Lucas, Robert E., Jr.\nAU  - Roe, Jane\nPY  - 2024\nER  - \n';
+  assert.deepStrictEqual(names(ris), [person('Robert E.', 'Lucas', 'Jr.'), person('Jane', 'Roe')]);
+});
+
+test('Crossref, DataCite and Zenodo organisations are corporate authors', () => {
+  const crossref = {
+    DOI: '10.1234/abc.1',
+    title: ['Title'],
+    author: [{ name: 'World Bank' }, { given: 'Martin Luther', family: 'King', suffix: 'III' }],
+  };
+  assert.deepStrictEqual(names(JSON.stringify(crossref)), [corporate('World Bank'), person('Martin Luther', 'King', 'III')]);
+
+  const datacite = {
+    titles: [{ title: 'Title' }],
+    creators: [{ name: 'OECD', nameType: 'Organizational' }, { name: 'Doe, John', givenName: 'John', familyName: 'Doe' }],
+  };
+  assert.deepStrictEqual(names(JSON.stringify(datacite)), [corporate('OECD'), person('John', 'Doe')]);
+
+  const zenodo = {
+    metadata: {
+      title: 'Title',
+      creators: [
+        { person_or_org: { type: 'organizational', name: 'CERN' } },
+        { person_or_org: { type: 'personal', given_name: 'Ann', family_name: 'Lee' } },
+      ],
+    },
+  };
+  assert.deepStrictEqual(names(JSON.stringify(zenodo)), [corporate('CERN'), person('Ann', 'Lee')]);
+});
+
+test('BibTeX and arXiv titles are flattened to Unicode, math included', () => {
+  const bib = String.raw`@article{key,
+    title = {The $\alpha$-stable {\"u}ber \emph{Model} of M{\"u}ller---a \mbox{10\,\%} gain},
+    abstract = {We use \textit{very} {\'e}l{\'e}gant $\alpha = 1$ at \$5.},
+    journal = {J. {\"O}kon.}, author = {Doe, Jane}, year = 2024
+  }`;
+  const [record] = readMetadata(bib);
+  assert.strictEqual(record.title, 'The α-stable über Model of Müller—a 10 % gain');
+  assert.strictEqual(record.abstract, 'We use very élégant $\\alpha = 1$ at \\$5.');
+  assert.strictEqual(record.journal, 'J. Ökon.');
+
+  const atom = String.raw`<feed xmlns="http://www.w3.org/2005/Atom">
+    <entry><id>http://arxiv.org/abs/2401.00001v1</id>
+      <title>Sorting in $\mathcal{O}(n^2)$ \emph{time}</title>
+      <summary>We show \textbf{it}.</summary>
+      <published>2024-01-01T00:00:00Z</published><author><name>Jane Roe</name></author>
+    </entry></feed>`;
+  assert.strictEqual(readMetadata(atom)[0].title, 'Sorting in O(n²) time');
+});
+
+test('TeX that cannot be flattened stops the import', () => {
+  const bib = (title, abstract) => `@article{key, title = {${title}}, abstract = {${abstract}}, author = {Doe, Jane}, year = 2024}`;
+  assert.throws(() => readMetadata(bib('Title', String.raw`As in \citet{roe}.`)), {
+    name: 'MetadataError',
+    message: String.raw`BibTeX abstract: unsupported TeX command \citet (remove it from the record and import again)`,
+  });
+  assert.throws(() => readMetadata(bib(String.raw`A \footnote{x} title`, 'Text.')), { message: /^BibTeX title: unsupported TeX command \\footnote/ });
+  assert.throws(() => readMetadata(bib(String.raw`A $\unknown$ title`, 'Text.')), { message: /^BibTeX title: Unsupported command \\unknown/ });
+});
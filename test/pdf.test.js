@@ -0,0 +1,288 @@
+// test/pdf.test.js — PDF reading, text extraction, reference lists and
+// local-PDF mode
+// Run with `node --test test/`. The PDFs are generated here, a few objects
+// each, so every case shows exactly what the reader is given. The build is
+// loaded in local-PDF mode, with PDF_DIR a temporary directory.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const PDF_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ascri-pdfs-'));
+process.env.PDF_DIR = PDF_DIR;
+test.after(() => fs.rmSync(PDF_DIR, { recursive: true, force: true }));
+
+const build = require('../build');
+const { readPdf } = require('../lib/pdf');
+const { extractText } = require('../lib/pdf-text');
+const { parseReferences, findDoi } = require('../lib/references');
+
+// A PDF file of `objects`, numbered from 1 (the catalog). A { dict, data }
+// object is a stream; its /Length is added. xref: 'table' (classic table
+// with correct offsets), 'stream' (objects packed in an object stream, with
+// a cross-reference stream) or 'broken' (a table whose offsets point nowhere)
+function makePdf(objects, { xref = 'table' } = {}) {
+  const chunks = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let size = chunks[0].length;
+  const write = (text, data) => {
+    const chunk = Buffer.concat([Buffer.from(text, 'latin1'), data || Buffer.alloc(0)]);
+    chunks.push(chunk);
+    size += chunk.length;
+  };
+  const writeObject = (num, body) => {
+    offsets[num] = size;
+    if (typeof body === 'string') return write(`${num} 0 obj\n${body}\nendobj\n`);
+    const data = Buffer.from(body.data, 'latin1');
+    write(`${num} 0 obj\n<< ${body.dict || ''} /Length ${data.length} >>\nstream\n`, data);
+    write('\nendstream\nendobj\n');
+  };
+
+  if (xref !== 'stream') {
+    objects.forEach((body, i) => writeObject(i + 1, body));
+    const start = size;
+    const entries = objects.map((_, i) => `${String(xref === 'broken' ? 9 : offsets[i + 1]).padStart(10, '0')} 00000 n \n`);
+    write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${entries.join('')}`);
+    write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref === 'broken' ? 99999 : start}\n%%EOF\n`);
+    return Buffer.concat(chunks);
+  }
+
+  // Streams stay at top level; everything else goes in object stream n + 1
+  const packed = objects.map((body, i) => [i + 1, body]).filter(([, body]) => typeof body === 'string');
+  const objStm = objects.length + 1;
+  let header = '';
+  let bodies = '';
+  for (const [num, body] of packed) {
+    header += `${num} ${bodies.length} `;
+    bodies += `${body}\n`;
+  }
+  objects.forEach((body, i) => typeof body !== 'string' && writeObject(i + 1, body));
+  writeObject(objStm, {
+    dict: `/Type /ObjStm /N ${packed.length} /First ${header.length} /Filter /FlateDecode`,
+    data: zlib.deflateSync(header + bodies),
+  });
+  const xrefNum = objStm + 1;
+  offsets[xrefNum] = size;
+  const entry = (type, field2, field3) => {
+    const b = Buffer.alloc(7);
+    b.writeUInt8(type, 0);
+    b.writeUInt32BE(field2, 1);
+    b.writeUInt16BE(field3, 5);
+    return b;
+  };
+  const rows = [entry(0, 0, 65535)];
+  for (let num = 1; num <= xrefNum; num++) {
+    const index = packed.findIndex(([n]) => n === num);
+    rows.push(index === -1 ? entry(1, offsets[num], 0) : entry(2, objStm, index));
+  }
+  const data = Buffer.concat(rows);
+  write(`${xrefNum} 0 obj\n<< /Type /XRef /Size ${xrefNum + 1} /W [1 4 2] /Root 1 0 R /Length ${data.length} >>\nstream\n`, data);
+  write(`\nendstream\nendobj\nstartxref\n${offsets[xrefNum]}\n%%EOF\n`);
+  return Buffer.concat(chunks);
+}
+
+const HELVETICA = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+
+// Objects of a document with one page per content stream, drawn with /F1
+// set to `font` (object 3 + 2 * pages); `extra` objects follow it
+function documentObjects(contents, { font = HELVETICA, extra = [], flate = false } = {}) {
+  const fontNum = 3 + 2 * contents.length;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${contents.map((_, i) => `${3 + 2 * i} 0 R`).join(' ')}] /Count ${contents.length} >>`,
+  ];
+  contents.forEach((content, i) => {
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${fontNum} 0 R >> >> /Contents ${4 + 2 * i} 0 R >>`);
+    objects.push(flate ? { dict: '/Filter /FlateDecode', data: zlib.deflateSync(Buffer.from(content, 'latin1')) } : { data: content });
+  });
+  return [...objects, font, ...extra];
+}
+
+// A content stream showing each line below the last
+function textContent(lines) {
+  const shown = lines.map(line => `(${line.replace(/[\\()]/g, '\\$&')}) Tj T*`);
+  return `BT /F1 10 Tf 12 TL 72 720 Td\n${shown.join('\n')}\nET`;
+}
+
+const pdfText = (contents, opts) => extractText(readPdf(makePdf(documentObjects(contents, opts))));
+
+test('text of a plain content stream', () => {
+  const content = 'BT /F1 12 Tf 72 720 Td (Hello, world) Tj 0 -14 Td (Caf\xe9 \\(au lait\\)) Tj ET';
+  assert.strictEqual(pdfText([content]), 'Hello, world\nCafé (au lait)');
+});
+
+test('text of Flate-compressed content streams, one per page', () => {
+  const pages = [textContent(['First page']), textContent(['Second page'])];
+  assert.strictEqual(pdfText(pages, { flate: true }), 'First page\n\f\nSecond page');
+});
+
+test('text through a ToUnicode CMap', () => {
+  // Type 0 font with two-byte codes: 1-5 are M, ü, e, r and the fi
+  // ligature, 0x10-0x12 a range starting at k
+  const cmap = `/CIDInit /ProcSet findresource begin
+12 dict begin
+begincmap
+1 begincodespacerange
+<0000> <FFFF>
+endcodespacerange
+5 beginbfchar
+<0001> <004D>
+<0002> <00FC>
+<0003> <0065>
+<0004> <0072>
+<0005> <FB01>
+endbfchar
+1 beginbfrange
+<0010> <0012> <006B>
+endbfrange
+endcmap
+end
+end`;
+  const font = '<< /Type /Font /Subtype /Type0 /BaseFont /ABCDEF+Serif /Encoding /Identity-H /DescendantFonts [6 0 R] /ToUnicode 7 0 R >>';
+  const extra = [
+    '<< /Type /Font /Subtype /CIDFontType2 /BaseFont /ABCDEF+Serif /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /DW 500 >>',
+    { data: cmap },
+  ];
+  const content = 'BT /F1 12 Tf 72 720 Td <000100020011001100030004> Tj 100 0 Td <000500110003> Tj ET';
+  assert.strictEqual(pdfText([content], { font, extra }), 'Müller file');
+});
+
+test('a PDF without a text layer has no text', () => {
+  const content = 'q 0 0 1 rg 72 600 200 100 re f Q\nq 200 0 0 100 72 400 cm BI /W 2 /H 1 /CS /G /BPC 8 ID \x00( EI Q';
+  assert.strictEqual(pdfText([content]), '');
+});
+
+test('[n] references: two entries are a numbered list', () => {
+  const text = pdfText([textContent([
+    'References',
+    '[1] Smith, J. (2020). A study of committee voting. Journal of',
+    'Politics, 12(3), 45-67.',
+    '[2] Doe, A. (2021). Legitimacy in practice. Oxford University Press.',
+  ])]);
+  assert.deepStrictEqual(parseReferences(text), [
+    { text: 'Smith, J. (2020). A study of committee voting. Journal of Politics, 12(3), 45-67.', doi: null },
+    { text: 'Doe, A. (2021). Legitimacy in practice. Oxford University Press.', doi: null },
+  ]);
+});
+
+test('[n] references without a heading', () => {
+  const text = pdfText([textContent([
+    'We thank the editors.',
+    '[1] Smith, J. (2020). A study of committee voting. Journal of Politics.',
+    '[2] Doe, A. (2021). Legitimacy in practice. Oxford University Press.',
+  ])]);
+  assert.deepStrictEqual(parseReferences(text).map(r => r.text), [
+    'Smith, J. (2020). A study of committee voting. Journal of Politics.',
+    'Doe, A. (2021). Legitimacy in practice. Oxford University Press.',
+  ]);
+});
+
+test('n. references, with hyphenated words and DOIs broken across lines', () => {
+  const text = pdfText([textContent([
+    'Bibliography',
+    '1. Smith, J. (2020). Committee voting under uncer-',
+    'tainty. Journal of Politics. https://doi.org/10.1234/',
+    'jop.2020.5',
+    '2. Doe, A. (2021). Legitimacy in practice. Oxford University Press.',
+  ])]);
+  assert.deepStrictEqual(parseReferences(text), [
+    { text: 'Smith, J. (2020). Committee voting under uncertainty. Journal of Politics. https://doi.org/10.1234/jop.2020.5', doi: '10.1234/jop.2020.5' },
+    { text: 'Doe, A. (2021). Legitimacy in practice. Oxford University Press.', doi: null },
+  ]);
+});
+
+test('author-year references, up to an appendix', () => {
+  const text = pdfText([textContent([
+    'References',
+    'Doe, A. and Roe, B. (2021). Legitimacy in practice: evidence from',
+    'twelve parliaments. Oxford University Press.',
+    'van der Berg, C. (2019). Courts and their critics. Law Review 3, 1-20.',
+    'Smith J (2020) A study of committee voting. doi:10.1234/jop.2020.5.',
+    'Appendix A',
+    'Lee, D. (2018). Not a reference. Some Journal.',
+  ])]);
+  assert.deepStrictEqual(parseReferences(text), [
+    { text: 'Doe, A. and Roe, B. (2021). Legitimacy in practice: evidence from twelve parliaments. Oxford University Press.', doi: null },
+    { text: 'van der Berg, C. (2019). Courts and their critics. Law Review 3, 1-20.', doi: null },
+    { text: 'Smith J (2020) A study of committee voting. doi:10.1234/jop.2020.5.', doi: '10.1234/jop.2020.5' },
+  ]);
+});
+
+test('findDoi drops trailing punctuation and unmatched closing brackets', () => {
+  assert.strictEqual(findDoi('See doi:10.1234/abc.def.'), '10.1234/abc.def');
+  assert.strictEqual(findDoi('(https://doi.org/10.1000/xyz;),'), '10.1000/xyz');
+  assert.strictEqual(findDoi('[10.5555/a_b]'), '10.5555/a_b');
+  assert.strictEqual(findDoi('10.1016/S0140-6736(20)30183-5).'), '10.1016/S0140-6736(20)30183-5');
+  assert.strictEqual(findDoi('no identifier here'), null);
+});
+
+test('readPdf counts the leaf pages of a nested page tree', () => {
+  const doc = readPdf(makePdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 3 >>',
+    '<< /Type /Pages /Parent 2 0 R /Kids [5 0 R 6 0 R] /Count 2 /MediaBox [0 0 612 792] >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] >>',
+    '<< /Type /Page /Parent 3 0 R >>',
+    '<< /Type /Page /Parent 3 0 R >>',
+  ]));
+  assert.strictEqual(doc.pageCount, 3);
+  assert.deepStrictEqual(doc.pages.map(p => p.MediaBox), [[0, 0, 612, 792], [0, 0, 612, 792], [0, 0, 595, 842]]);
+});
+
+test('readPdf reads objects from an object stream with a cross-reference stream', () => {
+  const objects = [...documentObjects([textContent(['Packed'])]), '<< /Title (Compressed) >>'];
+  objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+  const buffer = makePdf(objects, { xref: 'stream' });
+  assert.ok(!buffer.includes('trailer'));
+  const doc = readPdf(buffer);
+  assert.strictEqual(doc.pageCount, 1);
+  assert.strictEqual(extractText(doc), 'Packed');
+});
+
+test('readPdf finds the objects when the xref offsets are wrong', () => {
+  const doc = readPdf(makePdf(documentObjects([textContent(['One']), textContent(['Two'])]), { xref: 'broken' }));
+  assert.strictEqual(doc.pageCount, 2);
+  assert.strictEqual(extractText(doc), 'One\n\f\nTwo');
+});
+
+test('readPdf reports why a file is not a readable PDF', () => {
+  assert.throws(() => readPdf(Buffer.from('<html>Not found</html>')), { name: 'PdfError', message: 'Not a PDF file (no %PDF- header)' });
+  assert.throws(() => readPdf(Buffer.from('%PDF-1.7\n%%EOF\n')), { name: 'PdfError', message: 'No objects found' });
+  const noPages = readPdf(makePdf(['<< /Type /Catalog /Pages 2 0 R >>', '<< /Type /Pages /Kids [] /Count 0 >>']));
+  assert.throws(() => noPages.pageCount, { name: 'PdfError', message: 'The page tree has no pages' });
+  const corrupt = readPdf(makePdf([...documentObjects(['']).slice(0, 3), { dict: '/Filter /FlateDecode', data: 'not deflated' }, '<< >>']));
+  assert.throws(() => corrupt.decode(corrupt.objects.get(4)), { name: 'PdfError', message: /^FlateDecode stream is corrupt/ });
+});
+
+test('local-PDF mode: a missing or unreadable PDF is a validation error', () => {
+  const [unreadable, missing] = build.data.papers.filter(p => p.pdf && !p.versions);
+  fs.writeFileSync(path.join(PDF_DIR, unreadable.pdf), '<html>Not found</html>');
+  const errors = build.checkLocalPdfs();
+  const errorFor = paper => errors.find(e => e.paper.wpNumber === paper.wpNumber);
+  assert.deepStrictEqual(errorFor(unreadable), {
+    paper: { index: build.data.papers.indexOf(unreadable), id: unreadable.id, wpNumber: unreadable.wpNumber },
+    field: 'pdf',
+    message: `"${unreadable.pdf}" is not a readable PDF: Not a PDF file (no %PDF- header)`,
+  });
+  assert.strictEqual(errorFor(missing).message, `"${missing.pdf}" is not in ${PDF_DIR}/`);
+});
+
+test('local-PDF mode: the page count, size and checksum reach the page and its JSON-LD', () => {
+  const buffer = makePdf(documentObjects([textContent(['One']), textContent(['Two'])]));
+  fs.writeFileSync(path.join(PDF_DIR, 'local-mode.pdf'), buffer);
+  const paper = { ...build.data.papers.find(p => p.pdf && !p.versions), pdf: 'local-mode.pdf' };
+  const html = build.buildPaperPage(paper);
+  const jsonLd = JSON.parse(html.match(/<script type="application\/ld\+json">\n([\s\S]*?)\n\s*<\/script>/)[1]);
+  assert.deepStrictEqual(jsonLd.encoding, {
+    '@type': 'MediaObject',
+    contentUrl: `${build.SITE_URL}/${build.programmeNumber(paper.program)}/${paper.wpNumber}.pdf`,
+    encodingFormat: 'application/pdf',
+    contentSize: `${buffer.length} B`,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+  });
+  assert.ok(html.includes(`2 pages &middot; ${buffer.length} B`));
+});